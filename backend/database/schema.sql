@@ -1,11 +1,21 @@
 -- This script defines the complete and final structure of the database.
 -- It includes all tables and columns needed for the Blox Battles application.
+-- Running it wipes the database; bring an existing database up to date with backend/migrate_schema.js instead.
 
 -- Drop tables if they exist to ensure a clean slate.
 DROP TABLE IF EXISTS users;
 DROP TABLE IF EXISTS duels;
+DROP TABLE IF EXISTS duel_revisions;
+DROP TABLE IF EXISTS duel_events;
+DROP TABLE IF EXISTS duel_vetoes;
+DROP TABLE IF EXISTS duel_messages;
+DROP TABLE IF EXISTS duel_chat_reads;
+DROP TABLE IF EXISTS duel_rounds;
+DROP TABLE IF EXISTS duel_participants;
+DROP TABLE IF EXISTS challenge_templates;
 DROP TABLE IF EXISTS tasks;
 DROP TABLE IF EXISTS push_subscriptions;
+DROP TABLE IF EXISTS notification_preferences;
 DROP TABLE IF EXISTS region_servers;
 DROP TABLE IF EXISTS disputes;
 DROP TABLE IF EXISTS transactions;
@@ -13,7 +23,15 @@ DROP TABLE IF EXISTS gem_purchases;
 DROP TABLE IF EXISTS transaction_history;
 DROP TABLE IF EXISTS payout_requests;
 DROP TABLE IF EXISTS crypto_deposits;
-DROP TABLE IF EXISTS inbox_messages;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS email_queue;
+DROP TABLE IF EXISTS reconciliation_runs;
+DROP TABLE IF EXISTS reconciliation_flags;
+DROP TABLE IF EXISTS matchmaking_queue;
+DROP TABLE IF EXISTS rating_history;
+DROP TABLE IF EXISTS tournaments;
+DROP TABLE IF EXISTS tournament_participants;
+DROP TABLE IF EXISTS tournament_matches;
 
 -- Create the 'users' table with all necessary columns.
 -- [MODIFIED] The user status system has been overhauled for the ban/appeals feature.
@@ -26,6 +44,9 @@ CREATE TABLE IF NOT EXISTS users (
     gems INTEGER DEFAULT 0,
     wins INTEGER DEFAULT 0,
     losses INTEGER DEFAULT 0,
+    draws INTEGER DEFAULT 0, -- [NEW] Duels the referee bot called a draw; a no-contest counts for neither side
+    rating REAL DEFAULT 1500, -- Glicko skill rating, updated by the rating service
+    rating_deviation REAL DEFAULT 350, -- How uncertain the rating is; shrinks as the player plays rated duels
     is_admin BOOLEAN DEFAULT TRUE,
     linked_roblox_id TEXT,
     linked_roblox_username TEXT UNIQUE,
@@ -75,16 +96,20 @@ CREATE TABLE IF NOT EXISTS gem_purchases (
 );
 
 -- Create the 'transaction_history' table for a unified user-facing log.
+-- Every balance change is written here by services/ledgerService.js.
 CREATE TABLE IF NOT EXISTS transaction_history (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('deposit_stripe', 'deposit_crypto', 'withdrawal', 'duel_wager', 'duel_win', 'admin_adjustment')),
+    type TEXT NOT NULL CHECK(type IN ('deposit_stripe', 'deposit_crypto', 'withdrawal', 'withdrawal_refund', 'duel_wager', 'duel_win', 'duel_refund', 'admin_adjustment', 'account_bonus', 'tournament_entry', 'tournament_prize', 'tournament_refund')),
     amount_gems INTEGER NOT NULL, -- Can be positive or negative
+    balance_after INTEGER NOT NULL, -- The user's gem balance right after this entry was applied
     description TEXT,
+    reference_type TEXT CHECK(reference_type IN ('duel', 'payout', 'deposit', 'tournament')),
     reference_id TEXT, -- e.g., duel_id, payout_request_id
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
+CREATE INDEX IF NOT EXISTS idx_transaction_history_user ON transaction_history (user_id, created_at);
 
 -- Create the 'payout_requests' table for an audit trail of all withdrawals.
 CREATE TABLE IF NOT EXISTS payout_requests (
@@ -104,32 +129,60 @@ CREATE TABLE IF NOT EXISTS payout_requests (
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
 );
 
--- Create the 'inbox_messages' table for user notifications about withdrawals.
-CREATE TABLE IF NOT EXISTS inbox_messages (
+-- [MODIFIED] Create the 'notifications' table, every inbox notification a user has been sent about withdrawals,
+-- duels and tournaments. Rows are written when the event happens and kept until the user deletes them.
+-- Existing databases still on 'inbox_messages' are moved over with backend/migrate_notifications.js.
+CREATE TABLE IF NOT EXISTS notifications (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('withdrawal_update', 'admin_message')),
+    -- The notification preference it falls under.
+    event TEXT NOT NULL CHECK(event IN ('challenge_received', 'duel_accepted', 'duel_result', 'payout_update', 'admin_message', 'tournament')),
+    type TEXT NOT NULL CHECK(type IN ('withdrawal_update', 'admin_message', 'duel_update')),
     title TEXT NOT NULL,
     message TEXT NOT NULL,
     reference_id TEXT,
-    is_read BOOLEAN DEFAULT FALSE,
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, id);
+
+-- [NEW] Create the 'email_queue' table. Emails are rendered when they are queued and sent by a background worker,
+-- which retries failed sends with a growing delay until the email is sent or gives up.
+CREATE TABLE IF NOT EXISTS email_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    to_address TEXT NOT NULL,
+    template TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    html_body TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue (status, next_attempt_at);
 
 
 -- Create the 'duels' table.
 CREATE TABLE IF NOT EXISTS duels (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     challenger_id TEXT NOT NULL,
-    opponent_id TEXT NOT NULL,
+    -- [MODIFIED] NULL until someone claims an open challenge.
+    opponent_id TEXT,
+    is_open BOOLEAN DEFAULT FALSE,
     wager INTEGER NOT NULL,
     pot INTEGER DEFAULT 0,
     tax_collected INTEGER DEFAULT 0,
     banned_weapons TEXT,
     map TEXT,
     region TEXT, 
-    status TEXT DEFAULT 'pending',
+    -- [MODIFIED] Only changed through services/duelLifecycle.js, which defines the allowed transitions.
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'started', 'completed_unseen', 'under_review', 'completed', 'draw', 'no_contest', 'declined', 'canceled', 'expired')),
     winner_id TEXT,
     challenger_seen_result BOOLEAN DEFAULT FALSE,
     opponent_seen_result BOOLEAN DEFAULT FALSE,
@@ -139,17 +192,161 @@ CREATE TABLE IF NOT EXISTS duels (
     started_at TIMESTAMP, 
     bot_duel_id TEXT UNIQUE, 
     transcript TEXT, 
+    -- [NEW] Counter-offer negotiation: who must answer the current terms, and how much of the
+    -- challenger's balance is currently reserved for them.
+    awaiting_response_from TEXT,
+    challenger_hold INTEGER DEFAULT 0,
+    -- [NEW] Series format. The pot is only settled once a player has won a majority of best_of rounds.
+    best_of INTEGER DEFAULT 1 CHECK(best_of IN (1, 3, 5)),
+    challenger_score INTEGER DEFAULT 0,
+    opponent_score INTEGER DEFAULT 0,
+    -- [NEW] Players per side. In a team duel challenger_id and opponent_id are the team captains,
+    -- every player (captains included) is listed in duel_participants and wager is each player's contribution.
+    team_size INTEGER DEFAULT 1 CHECK(team_size IN (1, 2, 3)),
+    -- [NEW] Set for a tournament match. These duels carry no wager; the result advances the bracket instead.
+    tournament_id INTEGER,
+    -- [NEW] The finished duel this challenge is a rematch of, if any.
+    rematch_of INTEGER,
+    -- [NEW] When a reported result stops accepting disputes. The cron pays it out once this passes,
+    -- even if a player never confirmed it.
+    result_deadline_at TIMESTAMP,
+    -- [NEW] Ready check. Each side marks itself ready before joining the server. The duel only starts, and the
+    -- no-show clock with it, once both sides are ready or the other side lets the ready check time out.
+    challenger_ready_at TIMESTAMP,
+    opponent_ready_at TIMESTAMP,
+    -- [NEW] Scheduled duels. The referee task is only queued shortly before scheduled_for, and both sides
+    -- are reminded once ahead of time.
+    scheduled_for TIMESTAMP,
+    referee_queued_at TIMESTAMP,
+    reminder_sent_at TIMESTAMP,
+    -- [NEW] Map and weapon veto. NULL for a duel whose terms were set by the challenger; otherwise the phase the
+    -- veto is in. map and banned_weapons are filled in as the veto finishes, and only then is the referee task queued.
+    veto_phase TEXT CHECK(veto_phase IN ('maps', 'weapons', 'done')),
     FOREIGN KEY (challenger_id) REFERENCES users (id) ON DELETE CASCADE,
     FOREIGN KEY (opponent_id) REFERENCES users (id) ON DELETE CASCADE,
     FOREIGN KEY (winner_id) REFERENCES users (id) ON DELETE SET NULL
 );
 
+-- [NEW] Create the 'duel_revisions' table to keep every set of terms proposed for a duel.
+-- Revision 1 is the original challenge; each counter-offer adds the next revision.
+CREATE TABLE IF NOT EXISTS duel_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    proposed_by TEXT NOT NULL,
+    wager INTEGER NOT NULL,
+    map TEXT,
+    banned_weapons TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (duel_id, revision_number),
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (proposed_by) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- [NEW] Create the 'duel_events' table, the audit trail of every status change a duel has gone through.
+-- actor_id is the user behind a player or admin transition and is NULL for the bot, the cron jobs and the system.
+CREATE TABLE IF NOT EXISTS duel_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    transition TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor_type TEXT NOT NULL CHECK(actor_type IN ('player', 'bot', 'cron', 'admin', 'system')),
+    actor_id TEXT,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_duel_events_duel ON duel_events (duel_id, id);
+
+-- [NEW] Create the 'duel_vetoes' table, each map or weapon banned by a captain during a duel's veto, in order.
+CREATE TABLE IF NOT EXISTS duel_vetoes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    phase TEXT NOT NULL CHECK(phase IN ('maps', 'weapons')),
+    choice TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_duel_vetoes_duel ON duel_vetoes (duel_id, id);
+
+-- [NEW] Create the 'duel_messages' table, the chat between the players of a duel. Messages are stored
+-- after the profanity filter has masked them.
+CREATE TABLE IF NOT EXISTS duel_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_duel_messages_duel ON duel_messages (duel_id, id);
+CREATE INDEX IF NOT EXISTS idx_duel_messages_user ON duel_messages (user_id, created_at);
+
+-- [NEW] Create the 'duel_chat_reads' table, the last chat message each player has seen in a duel.
+CREATE TABLE IF NOT EXISTS duel_chat_reads (
+    duel_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    last_read_message_id INTEGER NOT NULL,
+    PRIMARY KEY (duel_id, user_id),
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- [NEW] Create the 'duel_rounds' table with the result of every round of a series, as reported by the bot.
+CREATE TABLE IF NOT EXISTS duel_rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    round_number INTEGER NOT NULL,
+    winner_id TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (duel_id, round_number),
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (winner_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- [NEW] Create the 'duel_participants' table listing every player of a team duel.
+-- A player's contribution is the part of their wager currently held for this duel.
+CREATE TABLE IF NOT EXISTS duel_participants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duel_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    team TEXT NOT NULL CHECK(team IN ('challenger', 'opponent')),
+    status TEXT NOT NULL DEFAULT 'invited' CHECK(status IN ('invited', 'joined', 'declined')),
+    contribution INTEGER DEFAULT 0,
+    responded_at TIMESTAMP,
+    UNIQUE (duel_id, user_id),
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- [NEW] Create the 'challenge_templates' table for the named sets of duel terms a player can reuse.
+CREATE TABLE IF NOT EXISTS challenge_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    wager INTEGER NOT NULL,
+    map TEXT NOT NULL,
+    region TEXT NOT NULL,
+    banned_weapons TEXT,
+    best_of INTEGER DEFAULT 1 CHECK(best_of IN (1, 3, 5)),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
 -- Create the 'disputes' table to manage player reports.
 CREATE TABLE IF NOT EXISTS disputes (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     duel_id INTEGER NOT NULL,
-    reporter_id TEXT NOT NULL,
-    reported_id TEXT NOT NULL,
+    -- [MODIFIED] A dispute opened automatically for a result that failed validation has no reporter,
+    -- and no reported player if the reported winner was not in the duel.
+    reporter_id TEXT,
+    reported_id TEXT,
     reason TEXT NOT NULL,
     has_video_evidence BOOLEAN DEFAULT FALSE,
     status TEXT DEFAULT 'pending',
@@ -174,13 +371,27 @@ CREATE TABLE IF NOT EXISTS tasks (
 );
 
 -- Create the 'push_subscriptions' table.
+-- [MODIFIED] A player can subscribe several browsers, so a subscription is keyed by its push endpoint rather than the user.
 CREATE TABLE IF NOT EXISTS push_subscriptions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL UNIQUE,
+    user_id TEXT NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
     subscription TEXT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions (user_id);
+
+-- [NEW] Create the 'notification_preferences' table. A row overrides the default for one event on one channel;
+-- see notificationPreferenceService.js for the events, channels and defaults.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id TEXT NOT NULL,
+    event TEXT NOT NULL CHECK(event IN ('challenge_received', 'duel_accepted', 'duel_result', 'payout_update', 'admin_message', 'tournament')),
+    channel TEXT NOT NULL CHECK(channel IN ('inbox', 'push', 'email')),
+    enabled BOOLEAN NOT NULL,
+    PRIMARY KEY (user_id, event, channel),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
 
 -- Create the 'region_servers' table for admins to manage.
 CREATE TABLE IF NOT EXISTS region_servers (
@@ -189,4 +400,120 @@ CREATE TABLE IF NOT EXISTS region_servers (
     server_link TEXT NOT NULL UNIQUE,
     is_active BOOLEAN DEFAULT TRUE,
     last_used TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- Create the 'reconciliation_runs' table to record each ledger reconciliation pass.
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    users_checked INTEGER DEFAULT 0,
+    users_flagged INTEGER DEFAULT 0
+);
+
+-- Create the 'reconciliation_flags' table for users whose stored gems did not match the ledger.
+CREATE TABLE IF NOT EXISTS reconciliation_flags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    stored_gems INTEGER NOT NULL,
+    ledger_gems INTEGER NOT NULL, -- SUM of the user's transaction_history entries
+    escrowed_gems INTEGER NOT NULL, -- Wagers currently sitting in duel pots
+    held_gems INTEGER NOT NULL, -- Gems held by pending withdrawals
+    balance_drift INTEGER NOT NULL, -- stored_gems - ledger_gems
+    escrow_drift INTEGER NOT NULL, -- Escrowed gems not matched by ledger debits
+    held_drift INTEGER NOT NULL, -- Held gems not matched by ledger debits
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (run_id) REFERENCES reconciliation_runs (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Create the 'matchmaking_queue' table for players waiting to be paired into a ranked duel.
+CREATE TABLE IF NOT EXISTS matchmaking_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL UNIQUE,
+    region TEXT NOT NULL CHECK(region IN ('Oceania', 'Europe', 'North America')),
+    wager INTEGER NOT NULL, -- One of the wager tiers offered by the matchmaking service
+    rating INTEGER NOT NULL, -- The player's skill rating when they joined the queue
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Create the 'rating_history' table recording every rating change, including reversals of overturned results.
+CREATE TABLE IF NOT EXISTS rating_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    duel_id INTEGER NOT NULL,
+    result TEXT NOT NULL CHECK(result IN ('win', 'loss', 'draw', 'reversed')),
+    rating_before REAL NOT NULL,
+    rating_after REAL NOT NULL,
+    deviation_before REAL NOT NULL,
+    deviation_after REAL NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE CASCADE
+);
+
+-- Create the 'tournaments' table. Entry fees are held in the prize pool until the tournament
+-- completes (and is paid out by payout_split) or is canceled (and every fee is refunded).
+CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    region TEXT NOT NULL CHECK(region IN ('Oceania', 'Europe', 'North America')),
+    map_pool TEXT NOT NULL, -- JSON array of map ids; each match is played on a random map from the pool
+    format TEXT NOT NULL CHECK(format IN ('single_elimination', 'double_elimination')),
+    size INTEGER NOT NULL CHECK(size IN (4, 8, 16, 32)), -- Bracket size; empty seeds become byes
+    entry_fee INTEGER NOT NULL DEFAULT 0,
+    payout_split TEXT NOT NULL, -- JSON array of prize pool percentages by placement, e.g. [60, 30, 10]
+    prize_pool INTEGER DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'registration' CHECK(status IN ('registration', 'in_progress', 'completed', 'canceled')),
+    starts_at TIMESTAMP,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Create the 'tournament_participants' table for registered players and their final standing.
+CREATE TABLE IF NOT EXISTS tournament_participants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournament_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    seed INTEGER,
+    status TEXT NOT NULL DEFAULT 'registered' CHECK(status IN ('registered', 'eliminated', 'disqualified', 'champion')),
+    entry_fee_paid INTEGER DEFAULT 0, -- The part of the entry fee currently held in the prize pool
+    eliminated_stage INTEGER, -- How far the player got; players knocked out at the same stage share a placement
+    placement INTEGER,
+    prize INTEGER DEFAULT 0,
+    registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tournament_id, user_id),
+    FOREIGN KEY (tournament_id) REFERENCES tournaments (id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Create the 'tournament_matches' table holding the bracket. Every match knows where its winner
+-- (and, in a double elimination bracket, its loser) goes next.
+CREATE TABLE IF NOT EXISTS tournament_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournament_id INTEGER NOT NULL,
+    bracket TEXT NOT NULL CHECK(bracket IN ('winners', 'losers', 'grand_final')),
+    round INTEGER NOT NULL,
+    match_number INTEGER NOT NULL,
+    player1_id TEXT,
+    player2_id TEXT,
+    feeds_received INTEGER DEFAULT 0, -- How many of the two player slots have been decided (a slot may be decided as empty)
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK(status IN ('waiting', 'ready', 'in_progress', 'completed')),
+    winner_id TEXT,
+    loser_id TEXT,
+    duel_id INTEGER,
+    next_match_id INTEGER,
+    next_match_slot INTEGER,
+    loser_next_match_id INTEGER,
+    loser_next_match_slot INTEGER,
+    elimination_stage INTEGER, -- Set when losing this match knocks the player out
+    completed_at TIMESTAMP,
+    UNIQUE (tournament_id, bracket, round, match_number),
+    FOREIGN KEY (tournament_id) REFERENCES tournaments (id) ON DELETE CASCADE,
+    FOREIGN KEY (duel_id) REFERENCES duels (id) ON DELETE SET NULL
+);
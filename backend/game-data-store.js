@@ -39,7 +39,15 @@ const GAME_DATA = {
         { id: 'sniper_rifle', name: 'Sniper Rifle' },
         { id: 'exogun', name: 'Exogun' },
         { id: 'flare_gun', name: 'Flare Gun' },
-    ]
+    ],
+    // [NEW] Map and weapon veto for ranked and high-wager duels. The captains take turns banning maps from
+    // this pool until one is left, then ban weapons in turn until each has banned weaponBansPerPlayer.
+    // A challenger can ask for a veto on wagers of minWager or more; ranked duels always have one.
+    veto: {
+        minWager: 250,
+        mapPool: ['arena', 'bridge', 'crossroads', 'docks', 'onyx', 'splash', 'station'],
+        weaponBansPerPlayer: 2,
+    }
 };
 
 module.exports = GAME_DATA;
@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const db = require('../database/database');
 const util = require('util');
+const { redeemStreamTicket } = require('../services/eventStreamService');
 
 db.get = util.promisify(db.get);
 db.run = util.promisify(db.run);
@@ -47,6 +48,19 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+/**
+ * [NEW] Middleware to authenticate a player's event stream. The browser's EventSource cannot send
+ * an Authorization header, so the stream is opened with a single-use `ticket` from POST /api/events/ticket.
+ */
+const authenticateEventStream = (req, res, next) => {
+    const userId = typeof req.query.ticket === 'string' ? redeemStreamTicket(req.query.ticket) : null;
+    if (!userId) {
+        return res.status(401).json({ message: 'Stream ticket is missing, used or expired.' });
+    }
+    req.user = { userId };
+    next();
+};
+
 /**
  * [NEW] Middleware to authenticate the bot via its API key.
  */
@@ -121,6 +135,7 @@ const isAdmin = async (req, res, next) => {
 
 module.exports = {
     authenticateToken,
+    authenticateEventStream,
     handleValidationErrors,
     validatePassword,
     isAdmin,
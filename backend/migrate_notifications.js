@@ -0,0 +1,82 @@
+// backend/migrate_notifications.js
+// This script moves an existing database from the old 'inbox_messages' table to the 'notifications' history.
+// Every message is copied over with its read state and date, then the old table is dropped.
+// It checks whether there is anything to move first, so it's safe to run multiple times.
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Define the path to the database file.
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'database', 'blox_battles.db');
+
+// Create a new database connection.
+const db = new sqlite3.Database(dbPath, (err) => {
+    if (err) {
+        return console.error('Error connecting to database:', err.message);
+    }
+    console.log('Successfully connected to the SQLite database for migration.');
+});
+
+// --- Migration Logic ---
+
+// Same definition as in schema.sql.
+const createNotificationsSql = `
+    CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        event TEXT NOT NULL CHECK(event IN ('challenge_received', 'duel_accepted', 'duel_result', 'payout_update', 'admin_message', 'tournament')),
+        type TEXT NOT NULL CHECK(type IN ('withdrawal_update', 'admin_message', 'duel_update')),
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        reference_id TEXT,
+        is_read BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`;
+
+// Old messages had no event, so it is taken from their type.
+const copyMessagesSql = `
+    INSERT INTO notifications (user_id, event, type, title, message, reference_id, is_read, created_at)
+    SELECT user_id,
+           CASE type WHEN 'withdrawal_update' THEN 'payout_update' WHEN 'duel_update' THEN 'duel_result' ELSE 'admin_message' END,
+           type, title, message, reference_id, COALESCE(is_read, FALSE), created_at
+    FROM inbox_messages
+    ORDER BY id ASC`;
+
+const finish = () => {
+    // Close the database connection when all operations are done.
+    db.close((err) => {
+        if (err) {
+            return console.error('Error closing the database:', err.message);
+        }
+        console.log('Migration script finished. Database connection closed.');
+    });
+};
+
+db.serialize(() => {
+    // 1. Make sure the new table exists, even on a database that was never started with the new code.
+    db.run(createNotificationsSql);
+    db.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, id)');
+
+    // 2. Check whether there is an old table to move.
+    db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'inbox_messages'", (err, table) => {
+        if (err) {
+            console.error('Error checking for the inbox_messages table:', err.message);
+            return finish();
+        }
+        if (!table) {
+            console.log('Table "inbox_messages" does not exist. Nothing to move.');
+            return finish();
+        }
+
+        // 3. Copy the messages and drop the old table together, so a failed copy leaves the old table untouched.
+        db.exec(`BEGIN TRANSACTION; ${copyMessagesSql}; DROP TABLE inbox_messages; COMMIT;`, (migrateErr) => {
+            if (migrateErr) {
+                console.error('Error moving inbox messages:', migrateErr.message);
+                return db.exec('ROLLBACK', () => finish());
+            }
+            console.log('Successfully moved "inbox_messages" into "notifications".');
+            finish();
+        });
+    });
+});
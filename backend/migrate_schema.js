@@ -0,0 +1,156 @@
+// backend/migrate_schema.js
+// This script brings an existing database up to date with schema.sql without losing its data.
+// Missing tables are created, and tables whose columns changed are rebuilt from their schema.sql definition
+// with their rows copied over. The first time the ledger columns are added, every user also gets an opening
+// balance in transaction_history, so the ledger explains the gems they already had.
+// Tables whose columns already match are left alone, so it's safe to run multiple times.
+// Run backend/migrate_notifications.js as well to move the old inbox messages.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./database/database');
+
+const schemaSql = fs.readFileSync(path.join(__dirname, 'database', 'schema.sql'), 'utf8');
+
+// Values for new columns on the rows that already exist, where the column's default would not do.
+// balance_after is filled in by the ledger backfill below. Pending challenges used to always await the opponent.
+const NEW_COLUMN_VALUES = {
+    duels: { awaiting_response_from: "CASE WHEN status = 'pending' THEN opponent_id END" },
+    transaction_history: { balance_after: '0' },
+    push_subscriptions: { endpoint: "json_extract(subscription, '$.endpoint')" }
+};
+
+// The same statuses the ledger and the reconciler use for gems that were debited but are still held.
+const ESCROW_DUEL_STATUSES = ['accepted', 'started', 'completed_unseen', 'under_review'];
+const HELD_PAYOUT_STATUSES = ['awaiting_approval', 'approved', 'processing'];
+
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+// Every table definition in schema.sql, in order, and the indexes that go with them.
+const tableDefinitions = [...schemaSql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*?)\n\);/g)]
+    .map(([, name, body]) => ({ name, body }));
+const indexStatements = schemaSql.match(/CREATE INDEX IF NOT EXISTS [^;]+;/g) || [];
+
+const describeColumns = (columns) => JSON.stringify(
+    columns.map(({ name, type, notnull, dflt_value, pk }) => ({ name, type, notnull, dflt_value, pk }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+);
+
+// Rebuilds a table the way SQLite recommends for changes ALTER TABLE cannot make: create the new
+// definition under a temporary name, copy the rows, drop the old table and rename the new one.
+// Returns the columns the old table had, or null if nothing changed.
+async function migrateTable({ name, body }) {
+    const existing = await db.all(`PRAGMA table_info(${name})`);
+    if (existing.length === 0) {
+        console.log(`Creating table "${name}"...`);
+        await db.run(`CREATE TABLE ${name} (${body}\n)`);
+        return null;
+    }
+
+    const tempName = `${name}_new`;
+    await db.run(`DROP TABLE IF EXISTS ${tempName}`);
+    await db.run(`CREATE TABLE ${tempName} (${body}\n)`);
+    const updated = await db.all(`PRAGMA table_info(${tempName})`);
+    if (describeColumns(existing) === describeColumns(updated)) {
+        await db.run(`DROP TABLE ${tempName}`);
+        return null;
+    }
+
+    console.log(`Rebuilding table "${name}"...`);
+    const existingNames = existing.map(column => column.name);
+    const columns = [];
+    const values = [];
+    for (const column of updated) {
+        if (existingNames.includes(column.name)) {
+            columns.push(column.name);
+            values.push(column.name);
+        } else if (NEW_COLUMN_VALUES[name]?.[column.name]) {
+            columns.push(column.name);
+            values.push(NEW_COLUMN_VALUES[name][column.name]);
+        } else if (column.notnull && column.dflt_value === null) {
+            throw new Error(`No value is defined for the new column ${name}.${column.name}.`);
+        }
+    }
+    await db.run(`INSERT INTO ${tempName} (${columns.join(', ')}) SELECT ${values.join(', ')} FROM ${name}`);
+    await db.run(`DROP TABLE ${name}`);
+    await db.run(`ALTER TABLE ${tempName} RENAME TO ${name}`);
+    return existingNames;
+}
+
+// Writes the ledger entries for the gems users had before the ledger existed. Each user gets an
+// opening balance, followed by the debits for the wagers and withdrawals still holding their gems,
+// so their history adds up to their current balance and the reconciler can match every hold.
+async function backfillLedger() {
+    console.log('Writing opening balances to the ledger...');
+    // Entries written before the ledger had no running balance; give them the sum of the entries so far.
+    await db.run(
+        `UPDATE transaction_history SET balance_after = (
+            SELECT SUM(earlier.amount_gems) FROM transaction_history earlier
+            WHERE earlier.user_id = transaction_history.user_id AND earlier.id <= transaction_history.id
+        )`
+    );
+
+    const users = await db.all('SELECT id, gems FROM users');
+    for (const user of users) {
+        const stakes = await db.all(
+            `SELECT id, wager FROM duels WHERE (challenger_id = ? OR opponent_id = ?) AND status IN (${placeholders(ESCROW_DUEL_STATUSES)}) ORDER BY id ASC`,
+            [user.id, user.id, ...ESCROW_DUEL_STATUSES]
+        );
+        const payouts = await db.all(
+            `SELECT id, amount_gems FROM payout_requests WHERE user_id = ? AND status IN (${placeholders(HELD_PAYOUT_STATUSES)}) ORDER BY created_at ASC`,
+            [user.id, ...HELD_PAYOUT_STATUSES]
+        );
+        const ledger = await db.get('SELECT COALESCE(SUM(amount_gems), 0) as total FROM transaction_history WHERE user_id = ?', [user.id]);
+
+        let balance = user.gems + stakes.reduce((sum, duel) => sum + duel.wager, 0) + payouts.reduce((sum, payout) => sum + payout.amount_gems, 0);
+        const entries = [
+            { type: 'admin_adjustment', amount: balance - ledger.total, description: 'Opening balance', referenceType: null, referenceId: null },
+            ...stakes.map(duel => ({ type: 'duel_wager', amount: -duel.wager, description: `Wager for duel #${duel.id}`, referenceType: 'duel', referenceId: String(duel.id) })),
+            ...payouts.map(payout => ({ type: 'withdrawal', amount: -payout.amount_gems, description: `Withdrawal of ${payout.amount_gems} gems`, referenceType: 'payout', referenceId: String(payout.id) }))
+        ];
+        for (const [index, entry] of entries.entries()) {
+            if (index === 0 && entry.amount === 0) {
+                continue;
+            }
+            if (index > 0) {
+                balance += entry.amount;
+            }
+            await db.run(
+                `INSERT INTO transaction_history (user_id, type, amount_gems, balance_after, description, reference_type, reference_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [user.id, entry.type, entry.amount, balance, entry.description, entry.referenceType, entry.referenceId]
+            );
+        }
+    }
+    console.log(`Wrote opening balances for ${users.length} users.`);
+}
+
+async function migrate() {
+    // Foreign keys have to be off while tables are dropped and renamed, and cannot be changed inside a transaction.
+    await db.run('PRAGMA foreign_keys = OFF');
+    await db.run('BEGIN TRANSACTION');
+    try {
+        let previousLedgerColumns = null;
+        for (const table of tableDefinitions) {
+            const previousColumns = await migrateTable(table);
+            if (table.name === 'transaction_history') {
+                previousLedgerColumns = previousColumns;
+            }
+        }
+        for (const statement of indexStatements) {
+            await db.run(statement);
+        }
+        if (previousLedgerColumns && !previousLedgerColumns.includes('balance_after')) {
+            await backfillLedger();
+        }
+        await db.run('COMMIT');
+        console.log('Migration script finished. The database matches schema.sql.');
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error('Migration failed, nothing was changed:', err.message);
+        process.exitCode = 1;
+    }
+    db.instance.close();
+}
+
+migrate();
@@ -4,6 +4,16 @@ const { body, param, query } = require('express-validator');
 const db = require('../database/database');
 const { authenticateToken, isAdmin, handleValidationErrors } = require('../middleware/auth');
 const { getLogs } = require('../middleware/botLogger');
+const { recordTransaction } = require('../services/ledgerService');
+const { getDuelTeams, getCaptainFor, payoutDuelWinner } = require('../services/duelService');
+const { transitionDuel, getDuelEvents } = require('../services/duelLifecycle');
+const { getDuelMessages } = require('../services/duelChatService');
+const { publishEvent } = require('../services/eventStreamService');
+const { notifyUsers, notifyDuelPlayers } = require('../services/notificationService');
+const { runReconciliation, getUserBreakdown } = require('../services/reconciliationService');
+const { recordDuelResult, reverseDuelResult } = require('../services/ratingService');
+const { TOURNAMENT_SIZES, TOURNAMENT_FORMATS, seedTournament, startTournament, disqualifyPlayer, cancelTournament, recordMatchResult } = require('../services/tournamentService');
+const GAME_DATA = require('../game-data-store');
 
 const router = express.Router();
 
@@ -65,7 +75,7 @@ router.get('/users/:userId/details-for-payout/:payoutId', authenticateToken, isA
         const duelHistorySql = `
             SELECT id, wager, winner_id, status, tax_collected
             FROM duels
-            WHERE (challenger_id = ? OR opponent_id = ?) AND status IN ('completed', 'under_review', 'cheater_forfeit')
+            WHERE (challenger_id = ? OR opponent_id = ?) AND status IN ('completed', 'under_review')
             ORDER BY created_at DESC
             LIMIT 50
         `;
@@ -92,11 +102,9 @@ router.post('/payout-requests/:id/approve', authenticateToken, isAdmin, param('i
             return res.status(404).json({ message: 'Request not found or not awaiting approval.' });
         }
         await db.run("UPDATE payout_requests SET status = 'approved', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [requestId]);
-        await db.run(
-            `INSERT INTO inbox_messages (user_id, type, title, message, reference_id) VALUES (?, ?, ?, ?, ?)`,
-            [request.user_id, 'withdrawal_update', 'Withdrawal Approved', `Your request to withdraw ${request.amount_gems} gems has been approved. Please go to your inbox to confirm the payout.`, request.id]
-        );
         await db.run('COMMIT');
+        publishEvent(request.user_id, 'payout_status_changed', { payoutId: request.id, status: 'approved' });
+        notifyUsers([request.user_id], 'payout_decision', { approved: true, amountGems: request.amount_gems, referenceId: request.id });
         res.status(200).json({ message: 'Withdrawal request approved.' });
     } catch (err) {
         await db.run('ROLLBACK').catch(console.error);
@@ -115,13 +123,11 @@ router.post('/payout-requests/:id/decline', authenticateToken, isAdmin, param('i
             await db.run('ROLLBACK');
             return res.status(404).json({ message: 'Request not found or not awaiting approval.' });
         }
-        await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [request.amount_gems, request.user_id]);
+        await recordTransaction({ userId: request.user_id, type: 'withdrawal_refund', amount: request.amount_gems, description: 'Refund for declined withdrawal', referenceType: 'payout', referenceId: request.id });
         await db.run("UPDATE payout_requests SET status = 'declined', decline_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?", [reason, requestId]);
-        await db.run(
-            `INSERT INTO inbox_messages (user_id, type, title, message, reference_id) VALUES (?, ?, ?, ?, ?)`,
-            [request.user_id, 'withdrawal_update', 'Withdrawal Declined', `Your request to withdraw ${request.amount_gems} gems was declined. Reason: "${reason}"`, request.id]
-        );
         await db.run('COMMIT');
+        publishEvent(request.user_id, 'payout_status_changed', { payoutId: request.id, status: 'declined' });
+        notifyUsers([request.user_id], 'payout_decision', { approved: false, amountGems: request.amount_gems, reason, referenceId: request.id });
         res.status(200).json({ message: 'Withdrawal request declined and gems refunded.' });
     } catch (err) {
         await db.run('ROLLBACK').catch(console.error);
@@ -132,11 +138,23 @@ router.post('/payout-requests/:id/decline', authenticateToken, isAdmin, param('i
 
 
 // --- DISPUTE MANAGEMENT ---
+
+// Pays out a disputed duel to the given side and records the result against ratings, replacing any result
+// recorded before the dispute. A tournament duel advances the bracket instead.
+async function settleDisputedDuel(duel, winnerId, description) {
+    if (duel.tournament_id) {
+        await recordMatchResult(duel, winnerId);
+        return;
+    }
+    await payoutDuelWinner(duel, winnerId, description);
+    await reverseDuelResult(duel);
+    await recordDuelResult(duel, winnerId);
+}
 router.get('/disputes', authenticateToken, isAdmin, async (req, res) => {
     try {
         const sql = `
             SELECT d.id, d.duel_id, d.reason, d.has_video_evidence, d.created_at, r.linked_roblox_username as reporter_username, rep.linked_roblox_username as reported_username
-            FROM disputes d JOIN users r ON d.reporter_id = r.id JOIN users rep ON d.reported_id = rep.id
+            FROM disputes d LEFT JOIN users r ON d.reporter_id = r.id LEFT JOIN users rep ON d.reported_id = rep.id
             WHERE d.status = 'pending' ORDER BY d.created_at ASC
         `;
         const disputes = await db.all(sql);
@@ -147,6 +165,35 @@ router.get('/disputes', authenticateToken, isAdmin, async (req, res) => {
     }
 });
 
+// [NEW] The evidence for a dispute: the bot's transcript of the duel and the players' chat, side by side.
+// Admins can only read a duel's chat through a dispute.
+router.get('/disputes/:id/evidence', authenticateToken, isAdmin, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const dispute = await db.get('SELECT duel_id FROM disputes WHERE id = ?', [req.params.id]);
+        if (!dispute) { return res.status(404).json({ message: 'Dispute not found.' }); }
+        const duel = await db.get('SELECT transcript FROM duels WHERE id = ?', [dispute.duel_id]);
+        res.status(200).json({
+            transcript: JSON.parse(duel?.transcript || '[]'),
+            chat: await getDuelMessages(dispute.duel_id)
+        });
+    } catch (err) {
+        console.error("Admin fetch dispute evidence error:", err);
+        res.status(500).json({ message: 'Failed to fetch dispute evidence.' });
+    }
+});
+
+// [NEW] Every status change of a duel, oldest first, so support can see how it got where it is.
+router.get('/duels/:id/events', authenticateToken, isAdmin, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const duel = await db.get('SELECT id, status FROM duels WHERE id = ?', [req.params.id]);
+        if (!duel) { return res.status(404).json({ message: 'Duel not found.' }); }
+        res.status(200).json({ duel, events: await getDuelEvents(duel.id) });
+    } catch (err) {
+        console.error("Admin fetch duel events error:", err);
+        res.status(500).json({ message: 'Failed to fetch duel events.' });
+    }
+});
+
 router.post('/disputes/:id/resolve', authenticateToken, isAdmin, param('id').isInt(), body('resolutionType').isIn(['uphold_winner', 'overturn_to_reporter', 'void_refund']), handleValidationErrors, async (req, res) => {
     const disputeId = req.params.id;
     const adminId = req.user.userId;
@@ -157,30 +204,42 @@ router.post('/disputes/:id/resolve', authenticateToken, isAdmin, param('id').isI
         if (!dispute) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Dispute not found or already resolved.' }); }
         const duel = await db.get('SELECT * FROM duels WHERE id = ?', [dispute.duel_id]);
         if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Associated duel not found.' }); }
+        // [NEW] An automatic dispute has no reporter, so overturning it awards the duel to the side that was reported as losing.
+        // Its reported winner may not be in the duel at all, in which case the duel can only be awarded to a side or voided.
+        const otherCaptainId = duel.winner_id === duel.challenger_id ? duel.opponent_id : duel.challenger_id;
+        const newWinnerId = dispute.reporter_id ? await getCaptainFor(duel, dispute.reporter_id) : (duel.winner_id && otherCaptainId);
+        if (resolutionType !== 'void_refund' && !duel.winner_id) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ message: 'This duel has no valid reported winner. Void it instead.' });
+        }
         let resolutionMessage = '';
+        const changes = {};
         switch (resolutionType) {
             case 'uphold_winner':
-                await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [duel.pot, duel.winner_id]);
-                const loserId = duel.winner_id === duel.challenger_id ? duel.opponent_id : duel.challenger_id;
-                await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [loserId]);
+                await settleDisputedDuel(duel, duel.winner_id, `Won duel #${duel.id} (dispute upheld)`);
                 resolutionMessage = `Winner upheld. Pot of ${duel.pot} paid to original winner.`;
                 break;
-            case 'overturn_to_reporter':
-                await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [duel.pot, dispute.reporter_id]);
-                await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [dispute.reported_id]);
-                await db.run('UPDATE duels SET winner_id = ? WHERE id = ?', [dispute.reporter_id, duel.id]);
-                resolutionMessage = `Result overturned. Pot of ${duel.pot} paid to reporter.`;
+            case 'overturn_to_reporter': {
+                // In a team duel the result is recorded against the reporter's captain.
+                await settleDisputedDuel(duel, newWinnerId, `Won duel #${duel.id} (dispute overturned)`);
+                changes.winner_id = newWinnerId;
+                resolutionMessage = `Result overturned. Pot of ${duel.pot} paid to ${dispute.reporter_id ? 'reporter' : 'the other side'}.`;
                 break;
+            }
             case 'void_refund':
-                const refundAmount = duel.pot / 2;
-                await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.challenger_id]);
-                await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.opponent_id]);
-                resolutionMessage = `Duel voided. Pot of ${duel.pot} refunded to both players.`;
+                await reverseDuelResult(duel);
+                resolutionMessage = duel.tournament_id ? 'Duel voided. The match will be replayed.' : `Duel voided. Pot of ${duel.pot} refunded to all players.`;
                 break;
         }
-        await db.run("UPDATE duels SET status = 'completed' WHERE id = ?", [duel.id]);
+        // [MODIFIED] A voided duel is canceled, which refunds the pot or puts a tournament match back in line.
+        if (resolutionType === 'void_refund') {
+            await transitionDuel(duel, 'void', { actor: 'admin', actorId: adminId, description: `Refund for voided duel #${duel.id}`, note: resolutionMessage });
+        } else {
+            await transitionDuel(duel, 'resolve_dispute', { actor: 'admin', actorId: adminId, changes, note: resolutionMessage });
+        }
         await db.run("UPDATE disputes SET status = 'resolved', resolution = ?, resolved_at = CURRENT_TIMESTAMP, admin_resolver_id = ? WHERE id = ?", [resolutionMessage, adminId, disputeId]);
         await db.run('COMMIT');
+        notifyDuelPlayers(duel.id, 'dispute_resolved');
         res.status(200).json({ message: 'Dispute resolved successfully.' });
     } catch (err) {
         await db.run('ROLLBACK').catch(console.error);
@@ -190,6 +249,50 @@ router.post('/disputes/:id/resolve', authenticateToken, isAdmin, param('id').isI
 });
 
 
+// --- LEDGER RECONCILIATION ---
+router.get('/reconciliation', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const run = await db.get('SELECT * FROM reconciliation_runs WHERE completed_at IS NOT NULL ORDER BY id DESC LIMIT 1');
+        if (!run) {
+            return res.status(200).json({ run: null, flags: [] });
+        }
+        const sql = `
+            SELECT rf.*, u.email, u.linked_roblox_username
+            FROM reconciliation_flags rf
+            JOIN users u ON rf.user_id = u.id
+            WHERE rf.run_id = ?
+            ORDER BY ABS(rf.balance_drift) + ABS(rf.escrow_drift) + ABS(rf.held_drift) DESC
+        `;
+        const flags = await db.all(sql, [run.id]);
+        res.status(200).json({ run, flags });
+    } catch (err) {
+        console.error("Admin fetch reconciliation error:", err);
+        res.status(500).json({ message: 'Failed to fetch the reconciliation report.' });
+    }
+});
+
+router.post('/reconciliation/run', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const runId = await runReconciliation();
+        res.status(200).json({ message: `Reconciliation run #${runId} completed.` });
+    } catch (err) {
+        console.error("Admin run reconciliation error:", err);
+        res.status(500).json({ message: 'Failed to run reconciliation.' });
+    }
+});
+
+router.get('/reconciliation/users/:userId', authenticateToken, isAdmin, param('userId').notEmpty(), handleValidationErrors, async (req, res) => {
+    try {
+        const breakdown = await getUserBreakdown(req.params.userId);
+        if (!breakdown) { return res.status(404).json({ message: 'User not found.' }); }
+        res.status(200).json(breakdown);
+    } catch (err) {
+        console.error("Admin fetch reconciliation breakdown error:", err);
+        res.status(500).json({ message: 'Failed to fetch the ledger breakdown.' });
+    }
+});
+
+
 // --- SERVER LINK MANAGEMENT ---
 router.get('/servers', authenticateToken, isAdmin, async (req, res) => {
     try {
@@ -252,11 +355,16 @@ router.get('/users', authenticateToken, isAdmin,
     }
 });
 
-router.post('/users/:id/gems', authenticateToken, isAdmin, param('id').isUUID(), body('amount').isInt(), handleValidationErrors, async (req, res) => {
+router.post('/users/:id/gems', authenticateToken, isAdmin, param('id').isUUID(), body('amount').isInt().toInt(), handleValidationErrors, async (req, res) => {
     try {
-        await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [req.body.amount, req.params.id]);
+        await db.run('BEGIN TRANSACTION');
+        const user = await db.get('SELECT id FROM users WHERE id = ?', [req.params.id]);
+        if (!user) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'User not found.' }); }
+        await recordTransaction({ userId: user.id, type: 'admin_adjustment', amount: req.body.amount, description: 'Balance adjusted by an admin' });
+        await db.run('COMMIT');
         res.status(200).json({ message: `Successfully updated gems for user ${req.params.id}.` });
     } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
         console.error("Admin update gems error:", err);
         res.status(500).json({ message: 'Failed to update gems.' });
     }
@@ -285,15 +393,22 @@ router.post('/users/:id/ban', authenticateToken, isAdmin,
             for (const request of pendingWithdrawals) {
                 await db.run("UPDATE payout_requests SET status = 'canceled_by_user' WHERE id = ?", [request.id]);
             }
-            const pendingDuels = await db.all("SELECT * FROM duels WHERE (challenger_id = ? OR opponent_id = ?) AND status IN ('pending', 'accepted')", [id, id]);
+            await db.run('DELETE FROM matchmaking_queue WHERE user_id = ?', [id]);
+            const pendingDuels = await db.all("SELECT * FROM duels WHERE (challenger_id = ? OR opponent_id = ? OR id IN (SELECT duel_id FROM duel_participants WHERE user_id = ?)) AND status IN ('pending', 'accepted')", [id, id, id]);
             for (const duel of pendingDuels) {
                 if (duel.status === 'accepted') {
-                    const opponentId = duel.challenger_id === id ? duel.opponent_id : duel.challenger_id;
-                    await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [duel.wager, opponentId]);
+                    // Everyone but the banned player gets their wager back.
+                    const teams = await getDuelTeams(duel);
+                    for (const playerId of [...teams.challenger, ...teams.opponent].filter(playerId => playerId !== id)) {
+                        await recordTransaction({ userId: playerId, type: 'duel_refund', amount: duel.wager, description: `Refund for duel #${duel.id} (player banned)`, referenceType: 'duel', referenceId: duel.id });
+                    }
+                    await transitionDuel(duel, 'void', { actor: 'admin', actorId: req.user.userId, refund: false, note: `Player ${id} banned` });
+                } else {
+                    await transitionDuel(duel, 'cancel', { actor: 'admin', actorId: req.user.userId, description: `Challenge #${duel.id} was canceled (account banned)`, note: `Player ${id} banned` });
                 }
-                await db.run("UPDATE duels SET status = 'canceled' WHERE id = ?", [duel.id]);
             }
             await db.run('COMMIT');
+            notifyUsers([id], 'account_banned', { reason, expiresAt: banExpiresAt });
             res.status(200).json({ message: `User ${id} has been banned and their pending actions canceled.` });
         } catch (err) {
             await db.run('ROLLBACK').catch(console.error);
@@ -315,15 +430,136 @@ router.delete('/users/:id/ban', authenticateToken, isAdmin, param('id').isUUID()
 
 router.delete('/users/:id', authenticateToken, isAdmin, param('id').isUUID(), handleValidationErrors, async (req, res) => {
     try {
-        await db.run("UPDATE users SET status = 'terminated', gems = 0 WHERE id = ?", [req.params.id]);
+        await db.run('BEGIN TRANSACTION');
+        const user = await db.get('SELECT id FROM users WHERE id = ?', [req.params.id]);
+        if (!user) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'User not found.' }); }
+        // Release every open challenge first so no one else's wager stays held by a closed account.
+        const pendingDuels = await db.all("SELECT * FROM duels WHERE (challenger_id = ? OR opponent_id = ? OR id IN (SELECT duel_id FROM duel_participants WHERE user_id = ?)) AND status = 'pending'", [user.id, user.id, user.id]);
+        for (const duel of pendingDuels) {
+            await transitionDuel(duel, 'cancel', { actor: 'admin', actorId: req.user.userId, description: `Challenge #${duel.id} was canceled (account terminated)`, note: `Player ${user.id} terminated` });
+        }
+        await db.run('DELETE FROM matchmaking_queue WHERE user_id = ?', [user.id]);
+        const { gems } = await db.get('SELECT gems FROM users WHERE id = ?', [user.id]);
+        if (gems !== 0) {
+            await recordTransaction({ userId: user.id, type: 'admin_adjustment', amount: -gems, description: 'Balance voided on account termination' });
+        }
+        await db.run("UPDATE users SET status = 'terminated' WHERE id = ?", [user.id]);
+        await db.run('COMMIT');
         res.status(200).json({ message: `User ${req.params.id} has been terminated.` });
     } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
         console.error("Admin terminate user error:", err);
         res.status(500).json({ message: 'Failed to terminate user.' });
     }
 });
 
 
+// --- TOURNAMENT MANAGEMENT ---
+router.post('/tournaments', authenticateToken, isAdmin,
+    body('name').trim().escape().notEmpty(),
+    body('region').isIn(['Oceania', 'Europe', 'North America']),
+    body('map_pool').isArray({ min: 1 }).withMessage('Choose at least one map.'),
+    body('format').isIn(TOURNAMENT_FORMATS),
+    body('size').isIn(TOURNAMENT_SIZES).withMessage('Tournaments hold 4, 8, 16 or 32 players.').toInt(),
+    body('entry_fee').isInt({ min: 0 }).toInt(),
+    body('payout_split').isArray({ min: 1 }).withMessage('Enter at least one payout percentage.'),
+    body('starts_at').optional().isISO8601(),
+    handleValidationErrors,
+    async (req, res) => {
+        const { name, region, map_pool, format, size, entry_fee, payout_split, starts_at } = req.body;
+        const unknownMap = map_pool.find(mapId => !GAME_DATA.maps.some(m => m.id === mapId));
+        if (unknownMap) {
+            return res.status(400).json({ message: `Unknown map: ${unknownMap}` });
+        }
+        if (payout_split.length > size || payout_split.some(percent => !Number.isInteger(percent) || percent < 0) || payout_split.reduce((sum, percent) => sum + percent, 0) !== 100) {
+            return res.status(400).json({ message: 'The payout split must be whole percentages adding up to 100, with no more places than players.' });
+        }
+        try {
+            await db.run(
+                'INSERT INTO tournaments (name, region, map_pool, format, size, entry_fee, payout_split, starts_at, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [name, region, JSON.stringify(map_pool), format, size, entry_fee, JSON.stringify(payout_split), starts_at || null, req.user.userId]
+            );
+            res.status(201).json({ message: `Tournament "${name}" created. Registration is open.` });
+        } catch (err) {
+            console.error("Admin Create Tournament Error:", err);
+            res.status(500).json({ message: 'Failed to create tournament.' });
+        }
+    }
+);
+
+// Seeds the registered players in the given order, or by skill rating if no order is given.
+router.post('/tournaments/:id/seed', authenticateToken, isAdmin, param('id').isInt(), body('seeds').optional().isArray(), handleValidationErrors, async (req, res) => {
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status = 'registration'", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or it has already started.' }); }
+        if (req.body.seeds) {
+            const registered = await db.all("SELECT user_id FROM tournament_participants WHERE tournament_id = ? AND status = 'registered'", [tournament.id]);
+            const seeds = req.body.seeds;
+            if (seeds.length !== registered.length || new Set(seeds).size !== seeds.length || !registered.every(p => seeds.includes(p.user_id))) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ message: 'The seeding must list every registered player exactly once.' });
+            }
+        }
+        await seedTournament(tournament.id, req.body.seeds || null);
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'Players seeded.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Admin Seed Tournament Error:", err);
+        res.status(500).json({ message: 'Failed to seed tournament.' });
+    }
+});
+
+router.post('/tournaments/:id/start', authenticateToken, isAdmin, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status = 'registration'", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or it has already started.' }); }
+        const { count } = await db.get("SELECT COUNT(*) as count FROM tournament_participants WHERE tournament_id = ? AND status = 'registered'", [tournament.id]);
+        if (count < 2) { await db.run('ROLLBACK'); return res.status(400).json({ message: 'At least two players must be registered to start.' }); }
+        await startTournament(tournament);
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'Tournament started. The bracket has been generated.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Admin Start Tournament Error:", err);
+        res.status(500).json({ message: 'Failed to start tournament.' });
+    }
+});
+
+router.post('/tournaments/:id/disqualify', authenticateToken, isAdmin, param('id').isInt(), body('user_id').notEmpty(), handleValidationErrors, async (req, res) => {
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status IN ('registration', 'in_progress')", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or it has already finished.' }); }
+        const participant = await db.get("SELECT id FROM tournament_participants WHERE tournament_id = ? AND user_id = ? AND status = 'registered'", [tournament.id, req.body.user_id]);
+        if (!participant) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'That player is not active in this tournament.' }); }
+        await disqualifyPlayer(tournament, req.body.user_id, req.user.userId);
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'Player disqualified.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Admin Disqualify Error:", err);
+        res.status(500).json({ message: 'Failed to disqualify player.' });
+    }
+});
+
+router.post('/tournaments/:id/cancel', authenticateToken, isAdmin, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status IN ('registration', 'in_progress')", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or it has already finished.' }); }
+        await cancelTournament(tournament, req.user.userId);
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'Tournament canceled and all entry fees refunded.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Admin Cancel Tournament Error:", err);
+        res.status(500).json({ message: 'Failed to cancel tournament.' });
+    }
+});
+
 // --- OTHER ADMIN ROUTES ---
 router.get('/logs', authenticateToken, isAdmin, (req, res) => {
     res.json(getLogs());
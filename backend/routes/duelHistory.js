@@ -22,6 +22,10 @@ router.get('/', authenticateToken, async (req, res) => {
                 d.challenger_id,
                 d.opponent_id,
                 d.transcript,
+                d.best_of,
+                d.challenger_score,
+                d.opponent_score,
+                d.tournament_id,
                 d.created_at,
                 challenger.linked_roblox_username as challenger_username,
                 challenger.avatar_url as challenger_avatar,
@@ -29,20 +33,32 @@ router.get('/', authenticateToken, async (req, res) => {
                 opponent.avatar_url as opponent_avatar
             FROM duels d
             JOIN users challenger ON d.challenger_id = challenger.id
-            JOIN users opponent ON d.opponent_id = opponent.id
+            LEFT JOIN users opponent ON d.opponent_id = opponent.id
             WHERE 
                 (d.challenger_id = ? OR d.opponent_id = ?) 
-                AND d.status IN ('completed', 'canceled', 'declined', 'cheater_forfeit', 'under_review')
+                AND d.status IN ('completed', 'draw', 'no_contest', 'canceled', 'declined', 'expired', 'under_review')
             ORDER BY d.created_at DESC
             LIMIT 100;
         `;
 
         const history = await db.all(sql, [userId, userId]);
 
+        // [NEW] Fetch the round-by-round results of every duel in the list.
+        const duelIds = history.map(duel => duel.id);
+        const rounds = duelIds.length > 0
+            ? await db.all(
+                `SELECT r.duel_id, r.round_number, r.winner_id, u.linked_roblox_username as winner_username
+                 FROM duel_rounds r JOIN users u ON r.winner_id = u.id
+                 WHERE r.duel_id IN (${duelIds.map(() => '?').join(', ')}) ORDER BY r.round_number ASC`,
+                duelIds
+            )
+            : [];
+
         // Parse the JSON transcript for each duel
         const processedHistory = history.map(duel => ({
             ...duel,
-            transcript: JSON.parse(duel.transcript || '[]')
+            transcript: JSON.parse(duel.transcript || '[]'),
+            rounds: rounds.filter(round => round.duel_id === duel.id)
         }));
 
         res.status(200).json(processedHistory);
@@ -4,9 +4,22 @@ const { body, query, param } = require('express-validator');
 const db = require('../database/database');
 const { authenticateToken, handleValidationErrors } = require('../middleware/auth');
 const GAME_DATA = require('../game-data-store');
+const { READY_CHECK_TIMEOUT_MINUTES, SCHEDULED_DUEL_LEAD_MINUTES, createDuel, recordDuelRevision, adjustChallengerHold, acceptDuel, respondToTeamInvite, markDuelReady, getCaptainFor, getDuelTeams } = require('../services/duelService');
+const { transitionDuel } = require('../services/duelLifecycle');
+const { VETO_MIN_WAGER, getVetoState, submitVetoBan } = require('../services/vetoService');
+const { MAX_MESSAGE_LENGTH, getDuelMessages, markDuelChatRead, postDuelMessage } = require('../services/duelChatService');
+const { publishEvent } = require('../services/eventStreamService');
+const { notifyDuelPlayers } = require('../services/notificationService');
 
 const router = express.Router();
 
+// Matches duels the user plays in, either as one of the two captains or as a joined team duel player. Takes the user id three times.
+const PARTICIPANT_CLAUSE = "(challenger_id = ? OR opponent_id = ? OR id IN (SELECT duel_id FROM duel_participants WHERE user_id = ? AND status = 'joined'))";
+
+// [NEW] How far ahead a duel may be scheduled. It must be far enough out for the reminder to go out first.
+const MIN_SCHEDULE_MINUTES = 15;
+const MAX_SCHEDULE_DAYS = 7;
+
 // --- NEW: Dispute System Endpoints ---
 
 router.get('/unseen-results', authenticateToken, async (req, res) => {
@@ -14,14 +27,15 @@ router.get('/unseen-results', authenticateToken, async (req, res) => {
         const userId = req.user.userId;
         const sql = `
             SELECT 
-                d.id, d.wager, d.winner_id, d.challenger_id, d.opponent_id,
+                d.id, d.wager, d.winner_id, d.challenger_id, d.opponent_id, d.result_deadline_at,
+                CAST(ROUND((julianday(d.result_deadline_at) - julianday('now')) * 86400) AS INTEGER) as seconds_to_deadline,
                 w.linked_roblox_username as winner_username,
                 l.linked_roblox_username as loser_username
             FROM duels d
             JOIN users w ON d.winner_id = w.id
             JOIN users l ON (CASE WHEN d.winner_id = d.challenger_id THEN d.opponent_id ELSE d.challenger_id END) = l.id
             WHERE 
-                d.status = 'completed_unseen' AND
+                d.status = 'completed_unseen' AND d.result_deadline_at > datetime('now') AND
                 ((d.challenger_id = ? AND d.challenger_seen_result = FALSE) OR 
                  (d.opponent_id = ? AND d.opponent_seen_result = FALSE))
         `;
@@ -43,9 +57,11 @@ router.post('/:id/confirm-result', authenticateToken, param('id').isInt(), handl
         if (duel.status === 'under_review') { await db.run('ROLLBACK'); return res.status(200).json({ message: 'This duel is now under review by an admin.' }); }
         if (duel.status !== 'completed_unseen') { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel result has already been processed.' }); }
 
-        if (duel.challenger_id === userId) {
+        // In a team duel any player can confirm the result for their side.
+        const captainId = await getCaptainFor(duel, userId);
+        if (captainId && captainId === duel.challenger_id) {
             await db.run('UPDATE duels SET challenger_seen_result = TRUE WHERE id = ?', [duelId]);
-        } else if (duel.opponent_id === userId) {
+        } else if (captainId && captainId === duel.opponent_id) {
             await db.run('UPDATE duels SET opponent_seen_result = TRUE WHERE id = ?', [duelId]);
         } else {
             await db.run('ROLLBACK');
@@ -54,10 +70,7 @@ router.post('/:id/confirm-result', authenticateToken, param('id').isInt(), handl
 
         const updatedDuel = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
         if (updatedDuel.challenger_seen_result && updatedDuel.opponent_seen_result) {
-            const loserId = (updatedDuel.winner_id === updatedDuel.challenger_id) ? updatedDuel.opponent_id : updatedDuel.challenger_id;
-            await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [updatedDuel.pot, updatedDuel.winner_id]);
-            await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [loserId]);
-            await db.run("UPDATE duels SET status = 'completed' WHERE id = ?", [duelId]);
+            await transitionDuel(updatedDuel, 'confirm', { actor: 'player', actorId: userId, description: `Won duel #${duelId}` });
             console.log(`Duel ${duelId} finalized and pot of ${updatedDuel.pot} paid out to winner ${updatedDuel.winner_id}.`);
         }
         await db.run('COMMIT');
@@ -75,22 +88,36 @@ router.post('/:id/dispute', authenticateToken, param('id').isInt(), body('reason
     const { reason, has_video_evidence } = req.body;
     try {
         await db.run('BEGIN TRANSACTION');
-        const duel = await db.get("SELECT * FROM duels WHERE id = ? AND (status = 'completed_unseen' OR status = 'completed')", [duelId]);
+        // Tournament results are settled through the bracket, so they cannot be disputed here.
+        const duel = await db.get("SELECT *, result_deadline_at > datetime('now') as dispute_window_open FROM duels WHERE id = ? AND tournament_id IS NULL", [duelId]);
         if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found or cannot be disputed.' }); }
-        const reportedId = (duel.challenger_id === reporterId) ? duel.opponent_id : duel.challenger_id;
+        // Once the dispute window lapses the cron pays the winner, so a later dispute could pay the pot out twice.
+        if (duel.status !== 'completed_unseen' || !duel.dispute_window_open) {
+            await db.run('ROLLBACK');
+            return res.status(409).json({ message: 'The dispute window for this duel has closed.' });
+        }
+        // In a team duel any player can dispute for their side; the dispute is against the other side's captain.
+        const reporterCaptainId = await getCaptainFor(duel, reporterId);
+        if (!reporterCaptainId) {
+            await db.run('ROLLBACK');
+            return res.status(403).json({ message: 'You are not a participant in this duel.' });
+        }
+        const reportedId = reporterCaptainId === duel.challenger_id ? duel.opponent_id : duel.challenger_id;
         await db.run('INSERT INTO disputes (duel_id, reporter_id, reported_id, reason, has_video_evidence) VALUES (?, ?, ?, ?, ?)', [duelId, reporterId, reportedId, reason, has_video_evidence]);
         if (duel.winner_id === reportedId) {
-            await db.run("UPDATE duels SET status = 'under_review' WHERE id = ?", [duelId]);
+            await transitionDuel(duel, 'dispute', { actor: 'player', actorId: reporterId, note: reason });
             console.log(`Dispute filed for duel ${duelId}. Winner was reported, pot held.`);
         } else {
-            if (duel.challenger_id === reporterId) {
+            if (reporterCaptainId === duel.challenger_id) {
                 await db.run('UPDATE duels SET challenger_seen_result = TRUE WHERE id = ?', [duelId]);
             } else {
                 await db.run('UPDATE duels SET opponent_seen_result = TRUE WHERE id = ?', [duelId]);
             }
             console.log(`Dispute filed for duel ${duelId}. Loser was reported, pot will be paid out normally.`);
         }
+        const reporter = await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [reporterId]);
         await db.run('COMMIT');
+        notifyDuelPlayers(duelId, 'dispute_opened', { reporter: reporter.linked_roblox_username }, reporterId);
         res.status(201).json({ message: 'Dispute filed successfully. An admin will review it shortly.' });
     } catch (err) {
         await db.run('ROLLBACK').catch(console.error);
@@ -114,54 +141,511 @@ router.get('/find-player', authenticateToken, query('roblox_username').trim().es
     }
 });
 
+// Returns the ban message for a user who may not send challenges, lifting the ban first if it has expired.
+const getActiveBanMessage = async (userId) => {
+    // Query the new 'status' column
+    const user = await db.get('SELECT status, ban_expires_at, ban_reason FROM users WHERE id = ?', [userId]);
+    if (user?.status !== 'banned') {
+        return null;
+    }
+    const now = new Date();
+    const expires = user.ban_expires_at ? new Date(user.ban_expires_at) : null;
+    if (expires && now > expires) {
+        await db.run('UPDATE users SET status = \'active\', ban_reason = NULL, ban_expires_at = NULL, ban_applied_at = NULL WHERE id = ?', [userId]);
+        return null;
+    }
+    return `You are currently banned for: ${user.ban_reason}`;
+};
+
+// Looks up the invited players of a team duel. Every player must be a distinct, active user with a linked Roblox account.
+const resolveTeammates = async (teammateNames = [], opponentTeammateNames = [], teamSize, captainIds) => {
+    if (teammateNames.length !== teamSize - 1 || opponentTeammateNames.length !== teamSize - 1) {
+        return { error: `A ${teamSize}v${teamSize} duel needs ${teamSize - 1} teammate(s) on each side.` };
+    }
+    const teammates = { challenger: [], opponent: [] };
+    const seen = new Set(captainIds);
+    for (const [side, names] of [['challenger', teammateNames], ['opponent', opponentTeammateNames]]) {
+        for (const name of names) {
+            const player = await db.get('SELECT id, status FROM users WHERE linked_roblox_username = ?', [String(name).trim()]);
+            if (!player) { return { error: `Player ${name} was not found.` }; }
+            if (player.status !== 'active') { return { error: `Player ${name} cannot take part in duels right now.` }; }
+            if (seen.has(player.id)) { return { error: 'Every player in a team duel must be different.' }; }
+            seen.add(player.id);
+            teammates[side].push(player.id);
+        }
+    }
+    return { teammates };
+};
+
+// Checks a requested start time and converts it to an SQLite UTC datetime. Returns { error } or { scheduledFor }.
+const parseScheduledFor = (value) => {
+    const scheduledFor = new Date(value);
+    const minutesAhead = (scheduledFor.getTime() - Date.now()) / 60000;
+    if (minutesAhead < MIN_SCHEDULE_MINUTES) {
+        return { error: `A scheduled duel must be at least ${MIN_SCHEDULE_MINUTES} minutes from now.` };
+    }
+    if (minutesAhead > MAX_SCHEDULE_DAYS * 24 * 60) {
+        return { error: `A duel can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead.` };
+    }
+    return { scheduledFor: scheduledFor.toISOString().replace('T', ' ').slice(0, 19) };
+};
+
+// Checks a map and a list of banned weapons against the current game data. Returns an error message, or null if the terms are valid.
+const validateDuelTerms = (map, bannedWeapons) => {
+    if (!GAME_DATA.maps.some(m => m.id === map)) {
+        return `The map ${map} is not available.`;
+    }
+    const unknownWeapon = bannedWeapons.find(weaponId => !GAME_DATA.weapons.some(w => w.id === weaponId));
+    if (unknownWeapon) {
+        return `The weapon ${unknownWeapon} is not available.`;
+    }
+    return null;
+};
+
+// [NEW] Lists the user's scheduled duels that have not been played yet, soonest first.
+router.get('/upcoming', authenticateToken, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const duels = await db.all(
+            `SELECT d.id, d.status, d.wager, d.map, d.region, d.best_of, d.team_size, d.scheduled_for,
+                    (d.challenger_id = ? OR d.id IN (SELECT duel_id FROM duel_participants WHERE user_id = ? AND team = 'challenger')) as is_challenger,
+                    CAST(ROUND((julianday(d.scheduled_for) - julianday('now')) * 86400) AS INTEGER) as seconds_until,
+                    c.linked_roblox_username as challenger_username, o.linked_roblox_username as opponent_username
+             FROM duels d
+             JOIN users c ON d.challenger_id = c.id
+             LEFT JOIN users o ON d.opponent_id = o.id
+             WHERE d.scheduled_for IS NOT NULL AND d.status IN ('pending', 'accepted')
+               AND (d.challenger_id = ? OR d.opponent_id = ? OR d.id IN (SELECT duel_id FROM duel_participants WHERE user_id = ? AND status != 'declined'))
+             ORDER BY d.scheduled_for ASC`,
+            [userId, userId, userId, userId, userId]
+        );
+        res.status(200).json(duels.map(duel => ({
+            ...duel,
+            is_challenger: !!duel.is_challenger,
+            map_name: GAME_DATA.maps.find(m => m.id === duel.map)?.name || duel.map
+        })));
+    } catch (err) {
+        console.error("Get Upcoming Duels Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
 // [MODIFIED] Updated to check the new 'status' column instead of 'is_banned'.
 router.post('/challenge', authenticateToken,
-    body('opponent_id').notEmpty(), body('wager').isInt({ gt: 0 }), body('map').trim().escape().notEmpty(),
+    body('opponent_id').notEmpty(), body('wager').isInt({ gt: 0 }).toInt(),
+    body('map').if((value, { req }) => !req.body.map_veto).trim().escape().notEmpty(),
+    body('map_veto').optional().isBoolean().toBoolean(),
     body('banned_weapons').isArray(), body('region').isIn(['Oceania', 'Europe', 'North America']),
+    body('best_of').optional().isIn([1, 3, 5]).withMessage('A series must be best-of 1, 3 or 5.').toInt(),
+    body('team_size').optional().isIn([1, 2, 3]).withMessage('Teams must have 1, 2 or 3 players.').toInt(),
+    body('teammates').optional().isArray(), body('opponent_teammates').optional().isArray(),
+    body('scheduled_for').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('The scheduled time is not a valid date.'),
     handleValidationErrors,
     async (req, res) => {
         try {
             const challenger_id = req.user.userId;
-            // Query the new 'status' column
-            const challenger = await db.get('SELECT status, ban_expires_at, ban_reason, gems FROM users WHERE id = ?', [challenger_id]);
-
-            if (challenger?.status === 'banned') {
-                const now = new Date();
-                const expires = challenger.ban_expires_at ? new Date(challenger.ban_expires_at) : null;
-                if (expires && now > expires) {
-                    await db.run('UPDATE users SET status = \'active\', ban_reason = NULL, ban_expires_at = NULL, ban_applied_at = NULL WHERE id = ?', [challenger_id]);
-                } else {
-                    return res.status(403).json({ message: `You are currently banned for: ${challenger.ban_reason}` });
-                }
+            const banMessage = await getActiveBanMessage(challenger_id);
+            if (banMessage) {
+                return res.status(403).json({ message: banMessage });
             }
             
-            const { opponent_id, wager, banned_weapons, map, region } = req.body;
-            if (challenger.gems < wager) {
-                return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+            const { opponent_id, wager, banned_weapons, map, region, best_of, team_size = 1 } = req.body;
+
+            // [NEW] A team duel names the challenger's teammates and the opposing captain's teammates by Roblox username.
+            let teammates = null;
+            if (team_size > 1) {
+                const teammateResult = await resolveTeammates(req.body.teammates, req.body.opponent_teammates, team_size, [challenger_id, opponent_id]);
+                if (teammateResult.error) {
+                    return res.status(400).json({ message: teammateResult.error });
+                }
+                teammates = teammateResult.teammates;
+            }
+
+            // [NEW] A challenge can name a future start time instead of being played as soon as it is accepted.
+            // [NEW] Instead of setting the map and weapons, the challenger can ask for a veto once the duel is accepted.
+            if (req.body.map_veto) {
+                if (team_size > 1) {
+                    return res.status(400).json({ message: 'A map veto is only available for one-on-one duels.' });
+                }
+                if (wager < VETO_MIN_WAGER) {
+                    return res.status(400).json({ message: `A map veto is only available for wagers of ${VETO_MIN_WAGER} gems or more.` });
+                }
+            } else {
+                const termsError = validateDuelTerms(map, banned_weapons);
+                if (termsError) {
+                    return res.status(400).json({ message: termsError });
+                }
             }
 
-            const bannedWeaponsStr = JSON.stringify(banned_weapons || []);
-            await db.run('INSERT INTO duels (challenger_id, opponent_id, wager, banned_weapons, map, region) VALUES (?, ?, ?, ?, ?, ?)', [challenger_id, opponent_id, wager, bannedWeaponsStr, map, region]);
-            res.status(201).json({ message: 'Challenge sent!' });
+            let scheduledFor = null;
+            if (req.body.scheduled_for) {
+                const scheduleResult = parseScheduledFor(req.body.scheduled_for);
+                if (scheduleResult.error) {
+                    return res.status(400).json({ message: scheduleResult.error });
+                }
+                scheduledFor = scheduleResult.scheduledFor;
+            }
+
+            // [MODIFIED] The wager is now reserved from the challenger's balance as soon as the challenge is sent.
+            await db.run('BEGIN TRANSACTION');
+            const duelId = await createDuel({ challengerId: challenger_id, opponentId: opponent_id, wager, map, bannedWeapons: banned_weapons, region, bestOf: best_of, teammates, scheduledFor, veto: !!req.body.map_veto });
+            if (!duelId) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+            }
+            await db.run('COMMIT');
+            notifyDuelPlayers(duelId, 'challenge_received', {}, challenger_id);
+            res.status(201).json({ message: team_size > 1
+                ? 'Team challenge sent! Your wager is held until every player has answered their invite.'
+                : 'Challenge sent! Your wager is held until the challenge is answered.' });
         } catch(err) {
+            await db.run('ROLLBACK').catch(console.error);
             console.error("Challenge Error:", err.message);
             res.status(500).json({ message: 'An internal server error occurred.' });
         }
     }
 );
 
-router.post('/:id/start', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+// --- [NEW] Open Challenge Board ---
+
+// Lists open challenges that nobody has claimed yet, optionally filtered by region and wager range.
+router.get('/open', authenticateToken,
+    query('region').optional().isIn(['Oceania', 'Europe', 'North America']),
+    query('min_wager').optional().isInt({ gt: 0 }).toInt(), query('max_wager').optional().isInt({ gt: 0 }).toInt(),
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { region, min_wager, max_wager } = req.query;
+            let sql = `
+                SELECT d.id, d.wager, d.map, d.region, d.banned_weapons, d.best_of, d.challenger_id, d.created_at,
+                       c.linked_roblox_username as challenger_username, c.avatar_url as challenger_avatar
+                FROM duels d JOIN users c ON d.challenger_id = c.id
+                WHERE d.is_open = TRUE AND d.opponent_id IS NULL AND d.status = 'pending'
+            `;
+            const params = [];
+            if (region) { sql += ' AND d.region = ?'; params.push(region); }
+            if (min_wager) { sql += ' AND d.wager >= ?'; params.push(min_wager); }
+            if (max_wager) { sql += ' AND d.wager <= ?'; params.push(max_wager); }
+            sql += ' ORDER BY d.created_at DESC LIMIT 50';
+
+            const challenges = await db.all(sql, params);
+            res.status(200).json(challenges.map(challenge => ({
+                ...challenge,
+                map_name: GAME_DATA.maps.find(m => m.id === challenge.map)?.name || challenge.map,
+                banned_weapons: JSON.parse(challenge.banned_weapons || '[]').map(id => GAME_DATA.weapons.find(w => w.id === id)?.name || id),
+                is_own: challenge.challenger_id === req.user.userId
+            })));
+        } catch (err) {
+            console.error("Get Open Challenges Error:", err.message);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
+router.post('/open', authenticateToken,
+    body('wager').isInt({ gt: 0 }).toInt(), body('map').trim().escape().notEmpty(),
+    body('banned_weapons').isArray(), body('region').isIn(['Oceania', 'Europe', 'North America']),
+    body('best_of').optional().isIn([1, 3, 5]).withMessage('A series must be best-of 1, 3 or 5.').toInt(),
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const challengerId = req.user.userId;
+            const banMessage = await getActiveBanMessage(challengerId);
+            if (banMessage) {
+                return res.status(403).json({ message: banMessage });
+            }
+
+            const { wager, banned_weapons, map, region, best_of } = req.body;
+            const termsError = validateDuelTerms(map, banned_weapons);
+            if (termsError) {
+                return res.status(400).json({ message: termsError });
+            }
+            await db.run('BEGIN TRANSACTION');
+            const duelId = await createDuel({ challengerId, opponentId: null, wager, map, bannedWeapons: banned_weapons, region, bestOf: best_of });
+            if (!duelId) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+            }
+            await db.run('COMMIT');
+            res.status(201).json({ message: 'Open challenge posted! Your wager is held until someone accepts it.' });
+        } catch (err) {
+            await db.run('ROLLBACK').catch(console.error);
+            console.error("Open Challenge Error:", err.message);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
+// Claims an open challenge for the current user and accepts it on its posted terms.
+router.post('/open/:id/accept', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
     const duelId = req.params.id;
     const userId = req.user.userId;
     try {
-        const duel = await db.get('SELECT * FROM duels WHERE id = ? AND (challenger_id = ? OR opponent_id = ?)', [duelId, userId, userId]);
+        const claimant = await db.get('SELECT status, linked_roblox_username FROM users WHERE id = ?', [userId]);
+        if (!claimant || claimant.status === 'banned') { return res.status(403).json({ message: 'You cannot accept duels while your account is banned.' }); }
+        if (!claimant.linked_roblox_username) { return res.status(403).json({ message: 'You must link your Roblox account before accepting duels.' }); }
+
+        await db.run('BEGIN TRANSACTION');
+        // The opponent_id IS NULL guard makes the claim atomic: only the first player to get here gets the duel.
+        await db.run(
+            "UPDATE duels SET opponent_id = ? WHERE id = ? AND is_open = TRUE AND opponent_id IS NULL AND status = 'pending' AND challenger_id != ?",
+            [userId, duelId, userId]
+        );
+        const duel = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
+        if (!duel || !duel.is_open) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Open challenge not found.' }); }
+        if (duel.challenger_id === userId) { await db.run('ROLLBACK'); return res.status(403).json({ message: 'You cannot accept your own open challenge.' }); }
+        if (duel.opponent_id !== userId) { await db.run('ROLLBACK'); return res.status(409).json({ message: 'This challenge has already been taken.' }); }
+
+        const acceptError = await acceptDuel(duel, userId);
+        if (acceptError) { await db.run('ROLLBACK'); return res.status(400).json({ message: acceptError }); }
+        await db.run('COMMIT');
+        notifyDuelPlayers(duel.id, 'duel_accepted', {}, userId);
+        res.status(200).json({ message: 'Challenge accepted! The bot has been notified.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Accept Open Challenge Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// --- [NEW] Challenge Templates ---
+
+const MAX_TEMPLATES = 20;
+
+const templateValidators = [
+    body('name').trim().notEmpty().withMessage('Give the template a name.').isLength({ max: 40 }).withMessage('Template names can be at most 40 characters.'),
+    body('wager').isInt({ gt: 0 }).toInt(), body('map').trim().notEmpty(),
+    body('banned_weapons').isArray(), body('region').isIn(['Oceania', 'Europe', 'North America']),
+    body('best_of').optional().isIn([1, 3, 5]).withMessage('A series must be best-of 1, 3 or 5.').toInt(),
+];
+
+const formatTemplate = (template) => ({
+    ...template,
+    banned_weapons: JSON.parse(template.banned_weapons || '[]'),
+    map_name: GAME_DATA.maps.find(m => m.id === template.map)?.name || template.map
+});
+
+// Lists the current user's saved challenge templates.
+router.get('/templates', authenticateToken, async (req, res) => {
+    try {
+        const templates = await db.all('SELECT id, name, wager, map, region, banned_weapons, best_of, updated_at FROM challenge_templates WHERE user_id = ? ORDER BY name ASC', [req.user.userId]);
+        res.status(200).json(templates.map(formatTemplate));
+    } catch (err) {
+        console.error("Get Templates Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/templates', authenticateToken, ...templateValidators, handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    const { name, wager, map, banned_weapons, region, best_of = 1 } = req.body;
+    try {
+        const termsError = validateDuelTerms(map, banned_weapons);
+        if (termsError) { return res.status(400).json({ message: termsError }); }
+        const { count } = await db.get('SELECT COUNT(*) as count FROM challenge_templates WHERE user_id = ?', [userId]);
+        if (count >= MAX_TEMPLATES) { return res.status(400).json({ message: `You can save at most ${MAX_TEMPLATES} templates.` }); }
+        const existing = await db.get('SELECT id FROM challenge_templates WHERE user_id = ? AND name = ?', [userId, name]);
+        if (existing) { return res.status(409).json({ message: 'You already have a template with this name.' }); }
+
+        await db.run(
+            'INSERT INTO challenge_templates (user_id, name, wager, map, region, banned_weapons, best_of) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, name, wager, map, region, JSON.stringify(banned_weapons), best_of]
+        );
+        res.status(201).json({ message: `Template "${name}" saved.` });
+    } catch (err) {
+        console.error("Create Template Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.put('/templates/:id', authenticateToken, param('id').isInt(), ...templateValidators, handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    const { name, wager, map, banned_weapons, region, best_of = 1 } = req.body;
+    try {
+        const template = await db.get('SELECT id FROM challenge_templates WHERE id = ? AND user_id = ?', [req.params.id, userId]);
+        if (!template) { return res.status(404).json({ message: 'Template not found.' }); }
+        const termsError = validateDuelTerms(map, banned_weapons);
+        if (termsError) { return res.status(400).json({ message: termsError }); }
+        const existing = await db.get('SELECT id FROM challenge_templates WHERE user_id = ? AND name = ? AND id != ?', [userId, name, template.id]);
+        if (existing) { return res.status(409).json({ message: 'You already have a template with this name.' }); }
+
+        await db.run(
+            'UPDATE challenge_templates SET name = ?, wager = ?, map = ?, region = ?, banned_weapons = ?, best_of = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, wager, map, region, JSON.stringify(banned_weapons), best_of, template.id]
+        );
+        res.status(200).json({ message: `Template "${name}" updated.` });
+    } catch (err) {
+        console.error("Update Template Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.delete('/templates/:id', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const template = await db.get('SELECT id FROM challenge_templates WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+        if (!template) { return res.status(404).json({ message: 'Template not found.' }); }
+        await db.run('DELETE FROM challenge_templates WHERE id = ?', [template.id]);
+        res.status(200).json({ message: 'Template deleted.' });
+    } catch (err) {
+        console.error("Delete Template Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// [NEW] Challenges the other side of a finished duel again on the same terms. Whoever asks for the rematch
+// becomes the challenger, and a team duel re-invites the same players on the same sides.
+router.post('/:id/rematch', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const duelId = req.params.id;
+    const userId = req.user.userId;
+    try {
+        const banMessage = await getActiveBanMessage(userId);
+        if (banMessage) {
+            return res.status(403).json({ message: banMessage });
+        }
+
+        const duel = await db.get("SELECT * FROM duels WHERE id = ? AND status IN ('completed', 'completed_unseen', 'draw', 'no_contest')", [duelId]);
+        if (!duel) { return res.status(404).json({ message: 'Duel not found or it has not finished yet.' }); }
+        if (duel.tournament_id) { return res.status(400).json({ message: 'Tournament matches cannot be rematched.' }); }
+        const myCaptainId = await getCaptainFor(duel, userId);
+        if (!myCaptainId) { return res.status(403).json({ message: 'You were not a participant in this duel.' }); }
+
+        const bannedWeapons = JSON.parse(duel.banned_weapons || '[]');
+        const termsError = validateDuelTerms(duel.map, bannedWeapons);
+        if (termsError) { return res.status(400).json({ message: `${termsError} Send a new challenge instead.` }); }
+
+        const mySide = myCaptainId === duel.challenger_id ? 'challenger' : 'opponent';
+        const otherSide = mySide === 'challenger' ? 'opponent' : 'challenger';
+        const opponentId = duel[`${otherSide}_id`];
+        const teams = await getDuelTeams(duel);
+        const players = [...teams[mySide], ...teams[otherSide]].filter(id => id !== userId);
+        for (const playerId of players) {
+            const player = await db.get('SELECT status, linked_roblox_username FROM users WHERE id = ?', [playerId]);
+            if (!player || player.status !== 'active') {
+                return res.status(400).json({ message: `${player?.linked_roblox_username || 'A player'} cannot take part in duels right now.` });
+            }
+        }
+        const teammates = duel.team_size > 1
+            ? { challenger: teams[mySide].filter(id => id !== userId), opponent: teams[otherSide].filter(id => id !== opponentId) }
+            : null;
+
+        await db.run('BEGIN TRANSACTION');
+        const existing = await db.get("SELECT id FROM duels WHERE rematch_of = ? AND status = 'pending'", [duel.id]);
+        if (existing) { await db.run('ROLLBACK'); return res.status(409).json({ message: 'A rematch for this duel is already waiting for an answer.' }); }
+        const rematchId = await createDuel({
+            challengerId: userId, opponentId, wager: duel.wager, map: duel.map, bannedWeapons, region: duel.region,
+            bestOf: duel.best_of, teammates, rematchOf: duel.id
+        });
+        if (!rematchId) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+        }
+        await db.run('COMMIT');
+        notifyDuelPlayers(rematchId, 'challenge_received', {}, userId);
+        res.status(201).json({ message: 'Rematch sent! Your wager is held until the challenge is answered.', duelId: rematchId });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Rematch Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// [NEW] Duel chat. Every player in the duel can read the thread; reading it marks it as seen for the inbox.
+router.get('/:id/chat', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const duel = await db.get(`SELECT id FROM duels WHERE id = ? AND ${PARTICIPANT_CLAUSE}`, [req.params.id, userId, userId, userId]);
         if (!duel) { return res.status(404).json({ message: 'Duel not found or you are not a participant.' }); }
-        if (duel.status !== 'accepted') { return res.status(400).json({ message: 'This duel cannot be started.' }); }
-        await db.run("UPDATE duels SET status = 'started', started_at = CURRENT_TIMESTAMP WHERE id = ?", [duelId]);
-        res.status(200).json({ message: 'Duel countdown started!', serverLink: duel.server_invite_link });
+        const messages = await getDuelMessages(duel.id);
+        await markDuelChatRead(duel.id, userId);
+        res.status(200).json(messages);
+    } catch (err) {
+        console.error(`[CHAT] Error fetching the chat of duel ${req.params.id}:`, err);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/:id/chat', authenticateToken, param('id').isInt(),
+    body('message').trim().notEmpty().withMessage('Message cannot be empty.').isLength({ max: MAX_MESSAGE_LENGTH }).withMessage(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`),
+    handleValidationErrors,
+    async (req, res) => {
+        const userId = req.user.userId;
+        try {
+            const duel = await db.get(`SELECT id, status FROM duels WHERE id = ? AND ${PARTICIPANT_CLAUSE}`, [req.params.id, userId, userId, userId]);
+            if (!duel) { return res.status(404).json({ message: 'Duel not found or you are not a participant.' }); }
+            const result = await postDuelMessage(duel, userId, req.body.message);
+            if (result.error) { return res.status(result.status).json({ message: result.error }); }
+            res.status(201).json(result.message);
+        } catch (err) {
+            console.error(`[CHAT] Error posting to the chat of duel ${req.params.id}:`, err);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
+// [NEW] Map and weapon veto. Either captain can see where it stands; only the captain on turn can ban.
+router.get('/:id/veto', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const duel = await db.get(`SELECT * FROM duels WHERE id = ? AND ${PARTICIPANT_CLAUSE}`, [req.params.id, userId, userId, userId]);
+        if (!duel) { return res.status(404).json({ message: 'Duel not found or you are not a participant.' }); }
+        if (!duel.veto_phase) { return res.status(400).json({ message: 'This duel has no veto.' }); }
+        res.status(200).json(await getVetoState(duel));
+    } catch (err) {
+        console.error(`[VETO] Error fetching the veto of duel ${req.params.id}:`, err);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/:id/veto', authenticateToken, param('id').isInt(), body('choice').trim().notEmpty().withMessage('Choose a map or weapon to ban.'), handleValidationErrors, async (req, res) => {
+    const duelId = req.params.id;
+    const userId = req.user.userId;
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const duel = await db.get('SELECT * FROM duels WHERE id = ? AND (challenger_id = ? OR opponent_id = ?)', [duelId, userId, userId]);
+        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found or you are not a captain in it.' }); }
+        const vetoError = await submitVetoBan(duel, userId, req.body.choice);
+        if (vetoError) { await db.run('ROLLBACK'); return res.status(400).json({ message: vetoError }); }
+        await db.run('COMMIT');
+        const updated = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
+        res.status(200).json({
+            message: updated.veto_phase === 'done' ? 'The veto is done. Ready up when you are set to play.' : 'Ban recorded.',
+            veto: await getVetoState(updated)
+        });
     } catch (err) {
-        console.error(`[DUEL START] Error starting duel ${duelId}:`, err);
-        res.status(500).json({ message: 'An internal server error occurred while starting the duel.' });
+        await db.run('ROLLBACK').catch(console.error);
+        console.error(`[VETO] Error recording a ban for duel ${duelId}:`, err);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// [MODIFIED] Starting a duel is now a ready check. The duel only starts, and the server link is only
+// handed out, once both sides are ready or the other side lets the ready check time out.
+router.post('/:id/ready', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const duelId = req.params.id;
+    const userId = req.user.userId;
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const duel = await db.get(`SELECT * FROM duels WHERE id = ? AND ${PARTICIPANT_CLAUSE}`, [duelId, userId, userId, userId]);
+        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found or you are not a participant.' }); }
+        if (duel.status !== 'accepted') { await db.run('ROLLBACK'); return res.status(400).json({ message: 'This duel is not waiting for a ready check.' }); }
+        if (duel.veto_phase === 'maps' || duel.veto_phase === 'weapons') {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ message: 'Finish the map and weapon veto before readying up.' });
+        }
+        if (!duel.referee_queued_at) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ message: `This duel is scheduled for ${duel.scheduled_for} UTC. You can ready up ${SCHEDULED_DUEL_LEAD_MINUTES} minutes before it starts.` });
+        }
+        const started = await markDuelReady(duel, userId);
+        await db.run('COMMIT');
+        if (started) {
+            return res.status(200).json({ message: 'Both sides are ready. The duel has started!', started, serverLink: duel.server_invite_link });
+        }
+        res.status(200).json({ message: `You are ready. Your opponent has ${READY_CHECK_TIMEOUT_MINUTES} minutes to ready up.`, started });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error(`[DUEL READY] Error marking duel ${duelId} ready:`, err);
+        res.status(500).json({ message: 'An internal server error occurred while marking you ready.' });
     }
 });
 
@@ -173,12 +657,12 @@ router.post('/:id/forfeit', authenticateToken, param('id').isInt(), handleValida
         const duel = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
         if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found.' }); }
         if (duel.status !== 'started') { await db.run('ROLLBACK'); return res.status(400).json({ message: 'You can only forfeit a started duel.' }); }
-        if (duel.challenger_id !== forfeitingUserId && duel.opponent_id !== forfeitingUserId) { await db.run('ROLLBACK'); return res.status(403).json({ message: 'You are not a participant in this duel.' }); }
-        const winnerId = (duel.challenger_id === forfeitingUserId) ? duel.opponent_id : duel.challenger_id;
-        const loserId = forfeitingUserId;
-        await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [duel.pot, winnerId]);
-        await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [loserId]);
-        await db.run("UPDATE duels SET status = 'completed', winner_id = ? WHERE id = ?", [winnerId, duel.id]);
+        // A forfeit by any player in a team duel forfeits for their whole team.
+        const forfeitingCaptainId = await getCaptainFor(duel, forfeitingUserId);
+        if (!forfeitingCaptainId) { await db.run('ROLLBACK'); return res.status(403).json({ message: 'You are not a participant in this duel.' }); }
+        const winnerId = (duel.challenger_id === forfeitingCaptainId) ? duel.opponent_id : duel.challenger_id;
+        // A tournament match has no pot and is unrated; forfeiting it knocks the player on in the bracket instead.
+        await transitionDuel(duel, 'forfeit', { actor: 'player', actorId: forfeitingUserId, changes: { winner_id: winnerId }, description: `Won duel #${duel.id} by forfeit` });
         await db.run('COMMIT');
         res.status(200).json({ message: 'You have forfeited the duel.' });
     } catch (err) {
@@ -198,15 +682,15 @@ router.get('/history', authenticateToken, async(req, res) => {
         const sql = `
             SELECT d.id, d.wager, d.status, d.winner_id, d.challenger_id, c.linked_roblox_username as challenger_name, o.linked_roblox_username as opponent_name
             FROM duels d LEFT JOIN users c ON d.challenger_id = c.id LEFT JOIN users o ON d.opponent_id = o.id
-            WHERE (d.challenger_id = ? OR d.opponent_id = ?) AND d.status IN ('completed', 'under_review', 'declined', 'canceled', 'cheater_forfeit')
+            WHERE (d.challenger_id = ? OR d.opponent_id = ?) AND d.status IN ('completed', 'under_review', 'draw', 'no_contest', 'declined', 'canceled', 'expired')
             ORDER BY d.created_at DESC LIMIT 25
         `;
         const userId = req.user.userId;
         const duels = await db.all(sql, [userId, userId]);
         const history = duels.map(duel => ({
             id: duel.id, wager: duel.wager,
-            opponent_name: duel.challenger_id === userId ? duel.opponent_name : duel.challenger_name || 'Unknown',
-            outcome: duel.winner_id === userId ? 'win' : (duel.status === 'declined' || duel.status === 'canceled' ? 'declined' : 'loss'),
+            opponent_name: duel.challenger_id === userId ? (duel.opponent_name || 'Open Challenge') : duel.challenger_name || 'Unknown',
+            outcome: duel.winner_id === userId ? 'win' : (['expired', 'draw', 'no_contest'].includes(duel.status) ? duel.status : (duel.status === 'declined' || duel.status === 'canceled' ? 'declined' : 'loss')),
             status: duel.status
         }));
         res.status(200).json(history);
@@ -217,59 +701,82 @@ router.get('/history', authenticateToken, async(req, res) => {
 });
 
 // [MODIFIED] Added a check to prevent banned users from accepting duels.
-router.post('/respond', authenticateToken, body('duel_id').isInt(), body('response').isIn(['accept', 'decline']), handleValidationErrors, async (req, res) => {
+// [MODIFIED] Added a 'counter' response. Whoever the duel is awaiting can accept, decline or propose new terms,
+// which hands the decision back to the other player.
+router.post('/respond', authenticateToken, body('duel_id').isInt(), body('response').isIn(['accept', 'decline', 'counter']), body('wager').optional().isInt({ gt: 0 }).toInt(), body('map').optional().trim().escape().notEmpty(), body('banned_weapons').optional().isArray(), handleValidationErrors, async (req, res) => {
     const { duel_id, response } = req.body;
-    const opponentId = req.user.userId;
+    const responderId = req.user.userId;
     try {
         await db.run('BEGIN TRANSACTION');
-        const duel = await db.get('SELECT * FROM duels WHERE id = ? AND opponent_id = ? AND status = "pending"', [duel_id, opponentId]);
-        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found, is not pending, or you are not the opponent.' }); }
+        const duel = await db.get("SELECT * FROM duels WHERE id = ? AND awaiting_response_from = ? AND status = 'pending'", [duel_id, responderId]);
+        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found, is not pending, or it is not your turn to respond.' }); }
 
         if (response === 'decline') {
-            await db.run('UPDATE duels SET status = ? WHERE id = ?', ['declined', duel_id]);
+            await transitionDuel(duel, 'decline', { actor: 'player', actorId: responderId, description: `Challenge #${duel.id} was declined` });
             await db.run('COMMIT');
             return res.status(200).json({ message: 'Duel declined.' });
         } 
         
-        // [NEW] Check if the opponent accepting the duel is banned.
-        const opponent = await db.get('SELECT gems, status FROM users WHERE id = ?', [opponentId]);
-        if (opponent.status === 'banned') {
+        // [NEW] Check if the player accepting or countering the duel is banned.
+        const responder = await db.get('SELECT status FROM users WHERE id = ?', [responderId]);
+        if (responder.status === 'banned') {
             await db.run('ROLLBACK');
             return res.status(403).json({ message: 'You cannot accept duels while your account is banned.' });
         }
 
-        const challenger = await db.get('SELECT gems FROM users WHERE id = ?', [duel.challenger_id]);
-        if (!opponent || opponent.gems < duel.wager) { await db.run('ROLLBACK'); return res.status(400).json({ message: 'You do not have enough gems.' }); }
-        if (!challenger || challenger.gems < duel.wager) { await db.run('ROLLBACK'); return res.status(400).json({ message: 'The challenger no longer has enough gems.' }); }
+        if (response === 'counter') {
+            if (duel.veto_phase && (req.body.map !== undefined || req.body.banned_weapons !== undefined)) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ message: 'The map and weapons of this duel are decided by the veto. Only the wager can be countered.' });
+            }
+            const terms = {
+                wager: req.body.wager ?? duel.wager,
+                map: req.body.map ?? duel.map,
+                banned_weapons: req.body.banned_weapons ? JSON.stringify(req.body.banned_weapons) : duel.banned_weapons
+            };
+            if (terms.wager === duel.wager && terms.map === duel.map && terms.banned_weapons === duel.banned_weapons) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ message: 'A counter-offer must change the wager, the map or the banned weapons.' });
+            }
+            if (req.body.map !== undefined || req.body.banned_weapons !== undefined) {
+                const termsError = validateDuelTerms(terms.map, JSON.parse(terms.banned_weapons || '[]'));
+                if (termsError) {
+                    await db.run('ROLLBACK');
+                    return res.status(400).json({ message: termsError });
+                }
+            }
 
-        await db.run('UPDATE users SET gems = gems - ? WHERE id = ?', [duel.wager, opponentId]);
-        await db.run('UPDATE users SET gems = gems - ? WHERE id = ?', [duel.wager, duel.challenger_id]);
-        const servers = await db.all('SELECT server_link FROM region_servers WHERE region = ? AND is_active = TRUE', [duel.region]);
-        if (!servers || servers.length === 0) { await db.run('ROLLBACK'); return res.status(400).json({ message: `No available servers for the selected region (${duel.region}).` }); }
-        
-        const selectedServer = servers[Math.floor(Math.random() * servers.length)];
-        const serverLink = selectedServer.server_link;
-        const totalPot = duel.wager * 2;
-        let taxCollected = 0;
-        if (totalPot > 100) { taxCollected = Math.ceil(totalPot * 0.01); }
-        const finalPot = totalPot - taxCollected;
-        
-        await db.run('UPDATE duels SET status = ?, server_invite_link = ?, accepted_at = CURRENT_TIMESTAMP, pot = ?, tax_collected = ? WHERE id = ?', ['accepted', serverLink, finalPot, taxCollected, duel_id]);
-        
-        const challengerInfo = await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [duel.challenger_id]);
-        const opponentInfo = await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [duel.opponent_id]);
-        const mapInfo = GAME_DATA.maps.find(m => m.id === duel.map);
-        
-        const taskPayload = {
-            websiteDuelId: duel.id, serverLink: serverLink,
-            challenger: challengerInfo.linked_roblox_username, opponent: opponentInfo.linked_roblox_username,
-            map: mapInfo ? mapInfo.name : duel.map,
-            bannedWeapons: JSON.parse(duel.banned_weapons || '[]').map(id => GAME_DATA.weapons.find(w => w.id === id)?.name || id),
-            wager: duel.wager,
-        };
-        await db.run('INSERT INTO tasks (task_type, payload) VALUES (?, ?)', ['REFEREE_DUEL', JSON.stringify(taskPayload)]);
+            // Whoever proposes a wager must be able to cover it. The challenger's side is reserved right away.
+            if (responderId === duel.challenger_id) {
+                if (!(await adjustChallengerHold(duel, terms.wager))) {
+                    await db.run('ROLLBACK');
+                    return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+                }
+            } else {
+                const { gems } = await db.get('SELECT gems FROM users WHERE id = ?', [responderId]);
+                if (gems < terms.wager) {
+                    await db.run('ROLLBACK');
+                    return res.status(400).json({ message: 'You do not have enough gems for this wager.' });
+                }
+            }
+
+            const nextResponder = responderId === duel.challenger_id ? duel.opponent_id : duel.challenger_id;
+            await db.run(
+                'UPDATE duels SET wager = ?, map = ?, banned_weapons = ?, awaiting_response_from = ? WHERE id = ?',
+                [terms.wager, terms.map, terms.banned_weapons, nextResponder, duel.id]
+            );
+            await recordDuelRevision(duel.id, responderId, terms);
+            await db.run('COMMIT');
+            publishEvent(nextResponder, 'challenge_received', { duelId: duel.id, counterOffer: true });
+            notifyDuelPlayers(duel.id, 'challenge_received', { counterOffer: true }, responderId);
+            return res.status(200).json({ message: 'Counter-offer sent!' });
+        }
+
+        const acceptError = await acceptDuel(duel, responderId);
+        if (acceptError) { await db.run('ROLLBACK'); return res.status(400).json({ message: acceptError }); }
         await db.run('COMMIT');
-        res.status(200).json({ message: 'Duel accepted! The bot has been notified.' });
+        notifyDuelPlayers(duel.id, 'duel_accepted', {}, responderId);
+        res.status(200).json({ message: duel.veto_phase ? 'Duel accepted! Veto the map and weapons from your inbox.' : 'Duel accepted! The bot has been notified.' });
     } catch(err) {
         await db.run('ROLLBACK').catch(console.error);
         console.error("Respond to Duel Error:", err.message);
@@ -277,16 +784,57 @@ router.post('/respond', authenticateToken, body('duel_id').isInt(), body('respon
     }
 });
 
+// [NEW] Accepts or declines an invite to a team duel. Accepting reserves the player's share of the wager;
+// declining cancels the duel for everyone.
+router.post('/:id/team-invite', authenticateToken, param('id').isInt(), body('response').isIn(['accept', 'decline']), handleValidationErrors, async (req, res) => {
+    const duelId = req.params.id;
+    const userId = req.user.userId;
+    const { response } = req.body;
+    try {
+        if (response === 'accept') {
+            const player = await db.get('SELECT status, linked_roblox_username FROM users WHERE id = ?', [userId]);
+            if (!player || player.status === 'banned') { return res.status(403).json({ message: 'You cannot accept duels while your account is banned.' }); }
+            if (!player.linked_roblox_username) { return res.status(403).json({ message: 'You must link your Roblox account before accepting duels.' }); }
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const duel = await db.get("SELECT * FROM duels WHERE id = ? AND team_size > 1 AND status = 'pending'", [duelId]);
+        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Team duel not found or it is no longer pending.' }); }
+        const inviteError = await respondToTeamInvite(duel, userId, response);
+        if (inviteError) { await db.run('ROLLBACK'); return res.status(400).json({ message: inviteError }); }
+        await db.run('COMMIT');
+
+        if (response === 'decline') {
+            return res.status(200).json({ message: 'Invite declined. The team duel has been called off.' });
+        }
+        const { status } = await db.get('SELECT status FROM duels WHERE id = ?', [duelId]);
+        if (status === 'accepted') {
+            notifyDuelPlayers(duel.id, 'duel_accepted', {}, userId);
+        }
+        res.status(200).json({ message: status === 'accepted'
+            ? 'Everyone is in! The bot has been notified.'
+            : 'You have joined the team duel. Waiting for the remaining players.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Team Invite Response Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// [MODIFIED] Canceling now marks the duel as canceled (instead of deleting it) so the released hold stays traceable in the ledger.
 router.delete('/cancel/:id', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
     try {
         const duelId = req.params.id;
         const challengerId = req.user.userId;
-        const duel = await db.get('SELECT status FROM duels WHERE id = ? AND challenger_id = ?', [duelId, challengerId]);
-        if (!duel) { return res.status(404).json({ message: 'Duel not found or you are not the challenger.' }); }
-        if (duel.status !== 'pending') { return res.status(403).json({ message: 'Cannot cancel a duel that has been accepted.' }); }
-        await db.run('DELETE FROM duels WHERE id = ?', [duelId]);
-        res.status(200).json({ message: 'Duel canceled successfully.' });
+        await db.run('BEGIN TRANSACTION');
+        const duel = await db.get('SELECT * FROM duels WHERE id = ? AND challenger_id = ?', [duelId, challengerId]);
+        if (!duel) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Duel not found or you are not the challenger.' }); }
+        if (duel.status !== 'pending') { await db.run('ROLLBACK'); return res.status(403).json({ message: 'Cannot cancel a duel that has been accepted.' }); }
+        await transitionDuel(duel, 'cancel', { actor: 'player', actorId: challengerId, description: `Challenge #${duel.id} was canceled` });
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'Duel canceled successfully. Your wager has been returned.' });
     } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
         console.error("Cancel Duel Error:", err.message);
         res.status(500).json({ message: 'An internal server error occurred.' });
     }
@@ -296,7 +844,7 @@ router.get('/transcript/:id', authenticateToken, param('id').isInt(), handleVali
     try {
         const duelId = req.params.id;
         const userId = req.user.userId;
-        const duel = await db.get('SELECT transcript, challenger_id, opponent_id FROM duels WHERE id = ? AND (challenger_id = ? OR opponent_id = ?)', [duelId, userId, userId]);
+        const duel = await db.get(`SELECT transcript, challenger_id, opponent_id FROM duels WHERE id = ? AND ${PARTICIPANT_CLAUSE}`, [duelId, userId, userId, userId]);
         if (!duel) { return res.status(404).json({ message: 'Duel not found or you were not a participant.' }); }
         res.status(200).json(JSON.parse(duel.transcript || '[]'));
     } catch (err) {
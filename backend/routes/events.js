@@ -0,0 +1,22 @@
+// backend/routes/events.js
+// This file handles the live event stream the dashboard listens on.
+
+const express = require('express');
+const { authenticateToken, authenticateEventStream } = require('../middleware/auth');
+const { issueStreamTicket, openEventStream } = require('../services/eventStreamService');
+
+const router = express.Router();
+
+// --- ROUTES ---
+
+// Issues the single-use ticket the client needs to open its next stream.
+router.post('/ticket', authenticateToken, (req, res) => {
+    res.status(200).json({ ticket: issueStreamTicket(req.user.userId) });
+});
+
+// Opens a Server-Sent Events stream for the signed-in player. The connection stays open until the tab closes.
+router.get('/', authenticateEventStream, (req, res) => {
+    openEventStream(req.user.userId, req, res);
+});
+
+module.exports = router;
@@ -17,12 +17,14 @@ router.get('/', authenticateToken, async (req, res) => {
                 id,
                 type,
                 amount_gems,
+                balance_after,
                 description,
+                reference_type,
                 reference_id,
                 created_at
             FROM transaction_history
             WHERE user_id = ?
-            ORDER BY created_at DESC
+            ORDER BY created_at DESC, id DESC
             LIMIT 100; -- Limit to the last 100 transactions for performance
         `;
 
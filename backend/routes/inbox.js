@@ -1,10 +1,13 @@
 // backend/routes/inbox.js
-// This new file provides a unified endpoint for all user-facing notifications.
+// This new file provides a unified endpoint for all user-facing notifications, and the user's notification history.
 
 const express = require('express');
+const { param, query } = require('express-validator');
 const db = require('../database/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, handleValidationErrors } = require('../middleware/auth');
 const GAME_DATA = require('../game-data-store');
+const { READY_CHECK_TIMEOUT_MINUTES } = require('../services/duelService');
+const { getVetoTurn } = require('../services/vetoService');
 
 const router = express.Router();
 
@@ -18,21 +21,84 @@ router.get('/', authenticateToken, async (req, res) => {
         const duelSql = `
             SELECT 
                 d.id, d.wager, d.map, d.status, d.banned_weapons, d.challenger_id, d.opponent_id, d.server_invite_link, d.created_at,
+                d.awaiting_response_from, d.challenger_hold, d.is_open, d.best_of, d.challenger_score, d.opponent_score, d.team_size,
+                d.challenger_ready_at, d.opponent_ready_at, d.scheduled_for, d.referee_queued_at, d.veto_phase,
+                (SELECT COUNT(*) FROM duel_vetoes v WHERE v.duel_id = d.id AND v.phase = d.veto_phase) as veto_bans,
+                (SELECT COUNT(*) FROM duel_messages m WHERE m.duel_id = d.id AND m.user_id != ?
+                    AND m.id > COALESCE((SELECT r.last_read_message_id FROM duel_chat_reads r WHERE r.duel_id = d.id AND r.user_id = ?), 0)) as unread_messages,
+                (SELECT m.message FROM duel_messages m WHERE m.duel_id = d.id ORDER BY m.id DESC LIMIT 1) as last_message,
+                CAST(ROUND((julianday(COALESCE(d.challenger_ready_at, d.opponent_ready_at)) + ? / 1440.0 - julianday('now')) * 86400) AS INTEGER) as ready_seconds_left,
                 challenger.linked_roblox_username as challenger_username,
                 opponent.linked_roblox_username as opponent_username
             FROM duels d
             JOIN users challenger ON d.challenger_id = challenger.id
-            JOIN users opponent ON d.opponent_id = opponent.id
-            WHERE (d.opponent_id = ? OR d.challenger_id = ?) AND d.status IN ('pending', 'accepted', 'started', 'under_review')
+            LEFT JOIN users opponent ON d.opponent_id = opponent.id
+            WHERE (d.opponent_id = ? OR d.challenger_id = ? OR d.id IN (SELECT duel_id FROM duel_participants WHERE user_id = ?))
+                AND d.status IN ('pending', 'accepted', 'started', 'under_review')
         `;
-        const activeDuels = await db.all(duelSql, [userId, userId]);
+        const activeDuels = await db.all(duelSql, [userId, userId, READY_CHECK_TIMEOUT_MINUTES, userId, userId, userId]);
+
+        // [NEW] Team duels list every player, their side and whether they have answered their invite.
+        const teamIds = activeDuels.filter(duel => duel.team_size > 1).map(duel => duel.id);
+        const participants = teamIds.length > 0
+            ? await db.all(
+                `SELECT p.duel_id, p.user_id, p.team, p.status, u.linked_roblox_username as username
+                 FROM duel_participants p JOIN users u ON p.user_id = u.id
+                 WHERE p.duel_id IN (${teamIds.map(() => '?').join(', ')}) ORDER BY p.id ASC`,
+                teamIds
+            )
+            : [];
+
+        // [NEW] Attach the negotiation history of pending duels so both players can see every revision.
+        const pendingIds = activeDuels.filter(duel => duel.status === 'pending').map(duel => duel.id);
+        const revisions = pendingIds.length > 0
+            ? await db.all(
+                `SELECT r.duel_id, r.revision_number, r.proposed_by, r.wager, r.map, r.banned_weapons, r.created_at, u.linked_roblox_username as proposed_by_username
+                 FROM duel_revisions r JOIN users u ON r.proposed_by = u.id
+                 WHERE r.duel_id IN (${pendingIds.map(() => '?').join(', ')}) ORDER BY r.revision_number ASC`,
+                pendingIds
+            )
+            : [];
+
+        const mapName = (mapId) => GAME_DATA.maps.find(m => m.id === mapId)?.name || mapId;
+        const weaponNames = (bannedWeapons) => JSON.parse(bannedWeapons || '[]').map(id => GAME_DATA.weapons.find(w => w.id === id)?.name || id);
         
         activeDuels.forEach(duel => {
+            const latestActivity = revisions.filter(r => r.duel_id === duel.id).pop()?.created_at || duel.created_at;
+            const duelParticipants = participants.filter(p => p.duel_id === duel.id);
+            const me = duelParticipants.find(p => p.user_id === userId);
+            // A team duel is incoming while this player still has to answer their invite, and afterwards for the opposing team.
+            const teamType = me && (me.status === 'invited' || (duel.status !== 'pending' && me.team === 'opponent')) ? 'incoming' : 'outgoing';
+            const isChallenger = me ? me.team === 'challenger' : duel.challenger_id === userId;
             allNotifications.push({
                 id: `duel-${duel.id}`,
                 type: 'duel',
-                timestamp: duel.created_at,
-                data: duel 
+                timestamp: latestActivity,
+                data: {
+                    ...duel,
+                    // [NEW] The server link is only revealed once the ready check has passed.
+                    server_invite_link: duel.status === 'started' ? duel.server_invite_link : null,
+                    my_side_ready: !!(isChallenger ? duel.challenger_ready_at : duel.opponent_ready_at),
+                    other_side_ready: !!(isChallenger ? duel.opponent_ready_at : duel.challenger_ready_at),
+                    // 'incoming' means it is this user's turn to answer the current terms. Once a duel
+                    // is no longer pending nobody is awaited and it stays incoming for the opponent.
+                    type: me ? teamType : (duel.opponent_id && (duel.awaiting_response_from ?? duel.opponent_id) === userId ? 'incoming' : 'outgoing'),
+                    is_challenger: isChallenger,
+                    is_captain: duel.challenger_id === userId || duel.opponent_id === userId,
+                    // [NEW] Whether this player has to make the next ban of the duel's veto.
+                    is_my_veto_turn: duel.status === 'accepted' && (duel.veto_phase === 'maps' || duel.veto_phase === 'weapons')
+                        && getVetoTurn(duel, duel.veto_phase, duel.veto_bans) === userId,
+                    my_invite_status: me ? me.status : null,
+                    participants: duelParticipants.map(({ user_id, username, team, status }) => ({ user_id, username, team, status })),
+                    map_name: mapName(duel.map),
+                    banned_weapon_ids: JSON.parse(duel.banned_weapons || '[]'),
+                    banned_weapons: weaponNames(duel.banned_weapons),
+                    revisions: revisions.filter(r => r.duel_id === duel.id).map(r => ({
+                        ...r,
+                        map_name: mapName(r.map),
+                        banned_weapons: weaponNames(r.banned_weapons)
+                    }))
+                }
             });
         });
 
@@ -53,24 +119,7 @@ router.get('/', authenticateToken, async (req, res) => {
             });
         });
 
-        // 3. Fetch static messages (like declined withdrawal notifications)
-        const messageSql = `
-            SELECT id, title, message, reference_id, created_at 
-            FROM inbox_messages 
-            WHERE user_id = ? AND is_read = FALSE
-        `;
-        const messages = await db.all(messageSql, [userId]);
-        
-        messages.forEach(message => {
-            allNotifications.push({
-                id: `message-${message.id}`,
-                type: 'admin_message',
-                timestamp: message.created_at,
-                data: message
-            });
-        });
-
-        // 4. Sort all notifications by timestamp, newest first
+        // 3. Sort all notifications by timestamp, newest first
         allNotifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
         res.status(200).json(allNotifications);
@@ -81,4 +130,77 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
+// --- [NEW] NOTIFICATION HISTORY ---
+
+const NOTIFICATION_PAGE_SIZE = 20;
+
+// GET a page of the user's notification history, newest first. Pass the returned nextCursor as `cursor` for the next page.
+router.get('/notifications', authenticateToken, [
+    query('cursor').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    const limit = req.query.limit || NOTIFICATION_PAGE_SIZE;
+    try {
+        // One extra row tells us whether there is another page.
+        const rows = await db.all(
+            `SELECT id, event, type, title, message, reference_id, is_read, created_at FROM notifications
+             WHERE user_id = ? AND id < ? ORDER BY id DESC LIMIT ?`,
+            [req.user.userId, req.query.cursor || Number.MAX_SAFE_INTEGER, limit + 1]
+        );
+        const notifications = rows.slice(0, limit).map(row => ({ ...row, is_read: !!row.is_read }));
+        res.status(200).json({
+            notifications,
+            nextCursor: rows.length > limit ? notifications[notifications.length - 1].id : null
+        });
+    } catch (err) {
+        console.error("Notification History Fetch Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred while fetching notifications.' });
+    }
+});
+
+// GET the number of unread notifications, for the inbox badge.
+router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const { count } = await db.get('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE', [req.user.userId]);
+        res.status(200).json({ count });
+    } catch (err) {
+        console.error("Unread Notification Count Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        await db.run('UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE', [req.user.userId]);
+        res.status(200).json({ message: 'All notifications marked as read.' });
+    } catch (err) {
+        console.error("Mark All Notifications Read Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/notifications/:id/read', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const notification = await db.get('SELECT id FROM notifications WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+        if (!notification) { return res.status(404).json({ message: 'Notification not found.' }); }
+        await db.run('UPDATE notifications SET is_read = TRUE WHERE id = ?', [notification.id]);
+        res.status(200).json({ message: 'Notification marked as read.' });
+    } catch (err) {
+        console.error("Mark Notification Read Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.delete('/notifications/:id', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const notification = await db.get('SELECT id FROM notifications WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+        if (!notification) { return res.status(404).json({ message: 'Notification not found.' }); }
+        await db.run('DELETE FROM notifications WHERE id = ?', [notification.id]);
+        res.status(200).json({ message: 'Notification deleted.' });
+    } catch (err) {
+        console.error("Delete Notification Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -15,6 +15,10 @@ const inboxRoutes = require('./inbox.js');
 const historyRoutes = require('./history.js');
 // [NEW] Import the new duel history router.
 const duelHistoryRoutes = require('./duelHistory.js');
+const matchmakingRoutes = require('./matchmaking.js');
+const leaderboardRoutes = require('./leaderboard.js');
+const tournamentRoutes = require('./tournaments.js');
+const eventRoutes = require('./events.js');
 
 const router = express.Router();
 
@@ -33,6 +37,10 @@ router.use('/inbox', inboxRoutes);
 router.use('/history', historyRoutes);
 // [NEW] Register the duel history router.
 router.use('/duel-history', duelHistoryRoutes);
+router.use('/matchmaking', matchmakingRoutes);
+router.use('/leaderboard', leaderboardRoutes);
+router.use('/tournaments', tournamentRoutes);
+router.use('/events', eventRoutes);
 
 // The most general route ('/') should come LAST
 router.use('/', userRoutes);
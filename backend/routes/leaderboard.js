@@ -9,7 +9,8 @@ const router = express.Router();
 
 // --- ROUTES ---
 
-// Get the top 10 players for the leaderboard, ordered by wins
+// [MODIFIED] Get the top 10 players for the leaderboard, ordered by skill rating rather than raw wins.
+// Players who have not finished a rated duel yet only have the starting rating, so they are left off.
 router.get('/', authenticateToken, async (req, res) => {
     try {
         const sql = `
@@ -17,11 +18,14 @@ router.get('/', authenticateToken, async (req, res) => {
                 linked_roblox_username, 
                 wins, 
                 losses, 
+                draws,
                 gems,
+                ROUND(rating) as rating,
+                ROUND(rating_deviation) as rating_deviation,
                 linked_roblox_id
             FROM users
-            WHERE linked_roblox_username IS NOT NULL
-            ORDER BY wins DESC, gems DESC
+            WHERE linked_roblox_username IS NOT NULL AND status = 'active' AND (wins + losses + draws) > 0
+            ORDER BY rating DESC, wins DESC
             LIMIT 10;
         `;
         const leaderboard = await db.all(sql);
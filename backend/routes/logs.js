@@ -1,10 +1,25 @@
 // backend/routes/logs.js
 // This file handles receiving and storing duel event logs from the Roblox bot.
+//
+// The bot posts batches of { duelId, eventType, data } events, where duelId is the bot's own id for the duel.
+// Every event is appended to the duel's transcript; these ones also move the duel along:
+//   DUEL_STARTED            { websiteDuelId }            Links the bot's duel to the website duel. Always sent first.
+//   PLAYER_JOINED_DUEL      { playerName }               A player joined the server. Every player must join before a result counts.
+//   PARSED_ROUND_ENDED      { round_number, winner_username }  A round of a series was won. Rounds are numbered from 1.
+//   PARSED_DUEL_ENDED       { winner_username, finalScores? }  The duel has a winner. Sent once, as the last event.
+//   PARSED_DUEL_DRAW        { reason?, finalScores? }    The duel ended level, e.g. a tie on time. The pot is returned minus tax.
+//   PARSED_DUEL_NO_CONTEST  { reason? }                  The duel could not be decided, e.g. the server crashed or both
+//                                                         players disconnected. Every wager is returned in full.
 
 const express = require('express');
 const db = require('../database/database');
 const { body, validationResult } = require('express-validator');
 const util = require('util'); // Import util for promisify
+const { recordRoundResult, getCaptainFor } = require('../services/duelService');
+const { canTransition, transitionDuel } = require('../services/duelLifecycle');
+const { reportDuelResult } = require('../services/resultValidationService');
+const { publishDuelEvent } = require('../services/eventStreamService');
+const { notifyDuelPlayers } = require('../services/notificationService');
 
 // Promisify db methods for async/await usage
 db.get = util.promisify(db.get);
@@ -13,6 +28,21 @@ db.all = util.promisify(db.all);
 
 const router = express.Router();
 
+// The statuses a bot event can leave a duel in once it has been decided one way or another.
+const DECIDED_STATUSES = ['completed_unseen', 'completed', 'draw', 'no_contest', 'under_review', 'canceled'];
+
+// Records a winner reported by the bot, or puts the duel under review if the result does not check out.
+async function reportResult(duel, winnerId, winnerUsername) {
+    const problems = await reportDuelResult(duel, winnerId, winnerUsername);
+    if (problems.length > 0) {
+        console.warn(`Result for duel ${duel.id} (winner '${winnerUsername}') failed validation and is under review: ${problems.join(' ')}`);
+    } else if (duel.tournament_id) {
+        console.log(`Tournament duel ${duel.id} won by ${winnerUsername}. Bracket advanced.`);
+    } else {
+        console.log(`Duel ${duel.id} result recorded. Winner: ${winnerUsername}. Status set to completed_unseen.`);
+    }
+}
+
 // Middleware to protect the logging endpoint with the bot's API key
 const authenticateBot = (req, res, next) => {
     const apiKey = req.headers['x-api-key'];
@@ -39,6 +69,12 @@ router.post('/',
         }
 
         const events = req.body;
+        // [NEW] Events that arrived but could not be applied are sent back to the bot rather than silently dropped.
+        const rejected = [];
+        const reject = (event, reason) => {
+            console.warn(`Rejected ${event.eventType} for bot_duel_id ${event.duelId}: ${reason}`);
+            rejected.push({ duelId: event.duelId, eventType: event.eventType, reason });
+        };
 
         try {
             for (const event of events) {
@@ -49,8 +85,8 @@ router.post('/',
 
                 await db.run('BEGIN TRANSACTION');
 
+                let duel = null;
                 try {
-                    let duel = null;
                     let websiteDuelIdFromEvent = event.data ? event.data.websiteDuelId : null;
 
                     if (event.eventType === 'DUEL_STARTED' && websiteDuelIdFromEvent) {
@@ -68,36 +104,99 @@ router.post('/',
                         transcript.push(event);
                         await db.run('UPDATE duels SET transcript = ? WHERE id = ?', [JSON.stringify(transcript), duel.id]);
 
+                        // [NEW] Let the players see who has made it onto the server.
+                        if (event.eventType === 'PLAYER_JOINED_DUEL' && event.data && event.data.playerName) {
+                            await publishDuelEvent(duel, 'player_joined', { playerName: event.data.playerName });
+                        }
+
+                        // --- [NEW] Series Round Logic ---
+                        // The bot may referee a duel before both sides have finished the ready check, so rounds count
+                        // for as long as a result could still be reported.
+                        if (event.eventType === 'PARSED_ROUND_ENDED' && !canTransition(duel, 'report_result')) {
+                            reject(event, `Duel ${duel.id} is ${duel.status} and no longer being played.`);
+                        } else if (event.eventType === 'PARSED_ROUND_ENDED') {
+                            const { round_number, winner_username } = event.data || {};
+                            // Rounds must arrive in order, one at a time, and a series has no more rounds than its best_of.
+                            const { count: roundsPlayed } = await db.get('SELECT COUNT(*) as count FROM duel_rounds WHERE duel_id = ?', [duel.id]);
+                            const roundWinner = winner_username ? await db.get('SELECT id FROM users WHERE linked_roblox_username = ?', [winner_username]) : null;
+                            // In a team duel the round goes to the captain of the winning player's team.
+                            const roundWinnerCaptainId = roundWinner ? await getCaptainFor(duel, roundWinner.id) : null;
+                            if (!Number.isInteger(round_number) || round_number !== roundsPlayed + 1 || round_number > (duel.best_of || 1)) {
+                                reject(event, `Expected round ${roundsPlayed + 1} of at most ${duel.best_of || 1} for duel ${duel.id}, got ${round_number === undefined ? 'no round number' : `round ${round_number}`}.`);
+                            } else if (roundWinnerCaptainId) {
+                                const seriesWinnerId = await recordRoundResult(duel, round_number, roundWinnerCaptainId);
+                                console.log(`Duel ${duel.id} round ${round_number} won by ${winner_username}.${seriesWinnerId ? ' Series clinched.' : ''}`);
+                                if (seriesWinnerId) {
+                                    await reportResult(duel, seriesWinnerId, winner_username);
+                                }
+                            } else {
+                                reject(event, `Round winner '${winner_username}' is not a participant in duel ${duel.id}.`);
+                            }
+                        }
+
+                        // --- [NEW] Draws and No-Contests ---
+                        if (event.eventType === 'PARSED_DUEL_DRAW' || event.eventType === 'PARSED_DUEL_NO_CONTEST') {
+                            const outcome = event.eventType === 'PARSED_DUEL_DRAW' ? 'draw' : 'no_contest';
+                            const reason = (event.data && event.data.reason) || null;
+                            if (!canTransition(duel, outcome)) {
+                                reject(event, `Duel ${duel.id} is ${duel.status} and cannot end as ${outcome === 'draw' ? 'a draw' : 'a no-contest'}.`);
+                            } else {
+                                await transitionDuel(duel, outcome, { actor: 'bot', note: reason });
+                                console.log(`Duel ${duel.id} ended as ${outcome === 'draw' ? 'a draw' : 'a no-contest'}${reason ? ` (${reason})` : ''}.${duel.tournament_id ? ' Match will be replayed.' : ' Stakes refunded.'}`);
+                            }
+                        }
+
                         // --- [REWORKED] Duel Conclusion Logic ---
-                        if (event.eventType === 'PARSED_DUEL_ENDED') {
-                            const { winner_username } = event.data;
-                            if (winner_username) {
+                        // A series that was already clinched round by round has nothing left to settle.
+                        // Before then, the bot's verdict (e.g. a player leaving mid-series) decides it as before.
+                        const seriesDecided = duel.best_of > 1 && !canTransition(duel, 'report_result');
+                        if (event.eventType === 'PARSED_DUEL_ENDED' && !seriesDecided) {
+                            const { winner_username } = event.data || {};
+                            if (!canTransition(duel, 'report_result')) {
+                                // [NEW] A result for a duel that is no longer being played, e.g. a repeated event, is rejected.
+                                reject(event, `Duel ${duel.id} is ${duel.status} and no longer being played.`);
+                            } else if (winner_username) {
+                                // [MODIFIED] The result is validated before it is recorded. Gems stay in the pot either way:
+                                // a valid result waits for the players to confirm it, an invalid one for an admin.
                                 const winnerUser = await db.get('SELECT id FROM users WHERE linked_roblox_username = ?', [winner_username]);
-                                if (winnerUser) {
-                                    // [FIX] Instead of paying out, set status to 'completed_unseen'
-                                    // This triggers the frontend modal. Gems remain in the pot.
-                                    await db.run("UPDATE duels SET status = 'completed_unseen', winner_id = ? WHERE id = ?", [winnerUser.id, duel.id]);
-                                    console.log(`Duel ${duel.id} result recorded. Winner: ${winner_username}. Status set to completed_unseen.`);
-                                } else {
-                                    console.warn(`Winner username '${winner_username}' not found for duel ${duel.id}. Canceling duel.`);
-                                    await db.run("UPDATE duels SET status = 'canceled' WHERE id = ?", [duel.id]);
-                                }
+                                await reportResult(duel, winnerUser ? winnerUser.id : null, winner_username);
                             } else {
                                 console.warn(`Could not determine winner for duel ${duel.id}. Canceling duel.`);
-                                await db.run("UPDATE duels SET status = 'canceled' WHERE id = ?", [duel.id]);
+                                await transitionDuel(duel, 'void', { actor: 'bot', description: `Refund for canceled duel #${duel.id}`, note: 'No winner reported' });
                             }
                         }
                         
                     } else {
-                        console.warn(`Received log for an unknown bot_duel_id: ${event.duelId}.`);
+                        reject(event, 'Unknown bot_duel_id.');
                     }
                     await db.run('COMMIT');
+
+                    // [NEW] Tell the players once this event has decided their duel.
+                    if (duel) {
+                        const { status } = await db.get('SELECT status FROM duels WHERE id = ?', [duel.id]);
+                        if (status !== duel.status && DECIDED_STATUSES.includes(status)) {
+                            notifyDuelPlayers(duel.id, 'duel_result');
+                        }
+                    }
                 } catch (innerErr) {
                     await db.run('ROLLBACK');
                     console.error(`Error processing log event for bot_duel_id ${event.duelId}:`, innerErr.message);
+                    reject(event, `The event could not be processed: ${innerErr.message}`);
+                    // The event still belongs in the duel's transcript, even though nothing else it did was kept.
+                    if (duel) {
+                        try {
+                            const { transcript } = await db.get('SELECT transcript FROM duels WHERE id = ?', [duel.id]);
+                            await db.run('UPDATE duels SET transcript = ? WHERE id = ?', [JSON.stringify([...(transcript ? JSON.parse(transcript) : []), event]), duel.id]);
+                        } catch (transcriptErr) {
+                            console.error(`Could not add the event to the transcript of duel ${duel.id}:`, transcriptErr.message);
+                        }
+                    }
                 }
             }
-            res.status(200).json({ message: 'Log batch received and processed successfully.' });
+            res.status(200).json({
+                message: rejected.length > 0 ? `Log batch processed. ${rejected.length} event(s) were rejected.` : 'Log batch received and processed successfully.',
+                rejected
+            });
         } catch (err) {
             console.error("Log batch processing error:", err.message);
             res.status(500).json({ message: 'Failed to process logs batch.' });
@@ -0,0 +1,82 @@
+// backend/routes/matchmaking.js
+// This file handles joining, leaving and checking the ranked matchmaking queue.
+
+const express = require('express');
+const { body } = require('express-validator');
+const db = require('../database/database');
+const { authenticateToken, handleValidationErrors } = require('../middleware/auth');
+const { WAGER_TIERS, getSearchRange } = require('../services/matchmakingService');
+
+const router = express.Router();
+
+// --- ROUTES ---
+
+// Get the current user's queue status, along with the wager tiers they can queue for.
+router.get('/queue', authenticateToken, async (req, res) => {
+    try {
+        const entry = await db.get(`
+            SELECT region, wager, rating, joined_at,
+                   CAST(strftime('%s', 'now') - strftime('%s', joined_at) AS INTEGER) as wait_seconds
+            FROM matchmaking_queue WHERE user_id = ?
+        `, [req.user.userId]);
+
+        if (!entry) {
+            return res.status(200).json({ queued: false, tiers: WAGER_TIERS });
+        }
+        const { count } = await db.get('SELECT COUNT(*) as count FROM matchmaking_queue WHERE region = ? AND wager = ?', [entry.region, entry.wager]);
+        res.status(200).json({
+            queued: true,
+            tiers: WAGER_TIERS,
+            ...entry,
+            search_range: getSearchRange(entry.wait_seconds),
+            players_in_queue: count
+        });
+    } catch (err) {
+        console.error("Get Queue Status Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+router.post('/queue', authenticateToken,
+    body('region').isIn(['Oceania', 'Europe', 'North America']),
+    body('wager').isIn(WAGER_TIERS).withMessage('Please choose one of the available wager tiers.').toInt(),
+    handleValidationErrors,
+    async (req, res) => {
+        const { region, wager } = req.body;
+        try {
+            const user = await db.get('SELECT status, gems, rating, linked_roblox_username FROM users WHERE id = ?', [req.user.userId]);
+            if (!user) { return res.status(404).json({ message: 'User not found.' }); }
+            if (user.status !== 'active') { return res.status(403).json({ message: 'You cannot queue for duels while your account is banned.' }); }
+            if (!user.linked_roblox_username) { return res.status(403).json({ message: 'You must link your Roblox account before queueing for duels.' }); }
+            if (user.gems < wager) { return res.status(400).json({ message: 'You do not have enough gems for this wager tier.' }); }
+
+            await db.run(
+                'INSERT INTO matchmaking_queue (user_id, region, wager, rating) VALUES (?, ?, ?, ?)',
+                [req.user.userId, region, wager, Math.round(user.rating)]
+            );
+            res.status(201).json({ message: `Searching for a ${wager} gem opponent in ${region}...` });
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ message: 'You are already in the matchmaking queue.' });
+            }
+            console.error("Join Queue Error:", err.message);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
+router.delete('/queue', authenticateToken, async (req, res) => {
+    try {
+        const entry = await db.get('SELECT id FROM matchmaking_queue WHERE user_id = ?', [req.user.userId]);
+        if (!entry) {
+            return res.status(404).json({ message: 'You are not in the matchmaking queue.' });
+        }
+        await db.run('DELETE FROM matchmaking_queue WHERE id = ?', [entry.id]);
+        res.status(200).json({ message: 'You have left the matchmaking queue.' });
+    } catch (err) {
+        console.error("Leave Queue Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+module.exports = router;
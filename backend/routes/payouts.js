@@ -8,6 +8,8 @@ const { authenticateToken, handleValidationErrors } = require('../middleware/aut
 // [REMOVED] The stripe constant is no longer needed in this file for withdrawals.
 const crypto = require('crypto');
 const { sendCryptoPayout } = require('../services/cryptoPayoutService');
+const { recordTransaction } = require('../services/ledgerService');
+const { publishEvent } = require('../services/eventStreamService');
 
 const router = express.Router();
 
@@ -25,7 +27,7 @@ const MINIMUM_GEM_WITHDRAWAL = 11;
 router.post('/request-crypto',
     authenticateToken,
     [
-        body('gemAmount').isInt({ gt: 0 }).withMessage('A valid gem amount is required.'),
+        body('gemAmount').isInt({ gt: 0 }).withMessage('A valid gem amount is required.').toInt(),
         body('recipientAddress').isEthereumAddress().withMessage('A valid recipient wallet address is required.'),
         body('tokenType').isIn(['USDC', 'USDT']).withMessage('A valid token type (USDC or USDT) is required.')
     ],
@@ -52,14 +54,18 @@ router.post('/request-crypto',
 
             await db.run('BEGIN TRANSACTION');
 
-            await db.run('UPDATE users SET gems = gems - ? WHERE id = ?', [gemAmount, userId]);
-            
             await db.run(
                 `INSERT INTO payout_requests (id, user_id, type, provider, amount_gems, amount_usd, fee_usd, destination_address, status)
                  VALUES (?, ?, 'crypto', 'direct_node', ?, ?, ?, ?, 'awaiting_approval')`,
                 [payoutRequestId, userId, gemAmount, amountUsd, 0, recipientAddress]
             );
 
+            await recordTransaction({
+                userId, type: 'withdrawal', amount: -gemAmount,
+                description: `Withdrawal of ${gemAmount} gems to ${tokenType}`,
+                referenceType: 'payout', referenceId: payoutRequestId
+            });
+
             await db.run('COMMIT');
 
             res.status(200).json({ message: 'Withdrawal request submitted! It is now pending admin review.' });
@@ -90,11 +96,12 @@ router.post('/cancel-request/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Pending withdrawal request not found or cannot be canceled.' });
         }
 
-        await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [request.amount_gems, userId]);
+        await recordTransaction({ userId, type: 'withdrawal_refund', amount: request.amount_gems, description: 'Refund for canceled withdrawal', referenceType: 'payout', referenceId: requestId });
         
         await db.run("UPDATE payout_requests SET status = 'canceled_by_user' WHERE id = ?", [requestId]);
 
         await db.run('COMMIT');
+        publishEvent(userId, 'payout_status_changed', { payoutId: request.id, status: 'canceled_by_user' });
         res.status(200).json({ message: 'Withdrawal request canceled and gems refunded.' });
 
     } catch (error) {
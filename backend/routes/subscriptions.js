@@ -9,8 +9,10 @@ const { authenticateToken, handleValidationErrors } = require('../middleware/aut
 const router = express.Router();
 
 // Save a push subscription to the database
+// [MODIFIED] Each browser has its own subscription. Saving one a different account had on this browser moves it to this account.
 router.post('/save', authenticateToken,
     body('subscription').isObject().withMessage('Subscription object is required.'),
+    body('subscription.endpoint').isURL({ protocols: ['https'] }).withMessage('Subscription endpoint is invalid.'),
     handleValidationErrors,
     async (req, res) => {
         const { subscription } = req.body;
@@ -18,9 +20,9 @@ router.post('/save', authenticateToken,
 
         try {
             const subscriptionJson = JSON.stringify(subscription);
-            // Use INSERT OR REPLACE to handle new subscriptions or update existing ones for the user
-            const sql = 'INSERT OR REPLACE INTO push_subscriptions (user_id, subscription) VALUES (?, ?)';
-            await db.run(sql, [userId, subscriptionJson]);
+            const sql = `INSERT INTO push_subscriptions (user_id, endpoint, subscription) VALUES (?, ?, ?)
+                         ON CONFLICT(endpoint) DO UPDATE SET user_id = excluded.user_id, subscription = excluded.subscription`;
+            await db.run(sql, [userId, subscription.endpoint, subscriptionJson]);
             res.status(201).json({ message: 'Subscription saved successfully.' });
         } catch (err) {
             console.error("Save Subscription Error:", err.message);
@@ -29,6 +31,21 @@ router.post('/save', authenticateToken,
     }
 );
 
+// [NEW] Remove this browser's subscription, e.g. when the player turns push off on this device.
+router.post('/remove', authenticateToken,
+    body('endpoint').notEmpty().withMessage('Subscription endpoint is required.'),
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            await db.run('DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?', [req.body.endpoint, req.user.userId]);
+            res.status(200).json({ message: 'Subscription removed.' });
+        } catch (err) {
+            console.error("Remove Subscription Error:", err.message);
+            res.status(500).json({ message: 'Failed to remove subscription.' });
+        }
+    }
+);
+
 // Endpoint to get the VAPID public key from the frontend
 router.get('/vapid-public-key', (req, res) => {
     if (!process.env.VAPID_PUBLIC_KEY) {
@@ -0,0 +1,139 @@
+// backend/routes/tournaments.js
+// This file handles listing tournaments, viewing a bracket and registering for a tournament.
+// Creating, seeding, starting and canceling tournaments are admin routes in admin.js.
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const db = require('../database/database');
+const { authenticateToken, handleValidationErrors } = require('../middleware/auth');
+const GAME_DATA = require('../game-data-store');
+const { recordTransaction } = require('../services/ledgerService');
+
+const router = express.Router();
+
+const mapNames = (mapPool) => JSON.parse(mapPool || '[]').map(id => GAME_DATA.maps.find(m => m.id === id)?.name || id);
+
+// List tournaments, newest first, with how many players have registered.
+router.get('/', authenticateToken,
+    query('status').optional().isIn(['registration', 'in_progress', 'completed', 'canceled']),
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            let sql = `
+                SELECT t.id, t.name, t.region, t.format, t.size, t.entry_fee, t.prize_pool, t.status, t.starts_at, t.created_at, t.map_pool,
+                       (SELECT COUNT(*) FROM tournament_participants p WHERE p.tournament_id = t.id AND p.status != 'disqualified') as player_count,
+                       EXISTS (SELECT 1 FROM tournament_participants p WHERE p.tournament_id = t.id AND p.user_id = ?) as is_registered
+                FROM tournaments t
+            `;
+            const params = [req.user.userId];
+            if (req.query.status) { sql += ' WHERE t.status = ?'; params.push(req.query.status); }
+            sql += ' ORDER BY t.created_at DESC, t.id DESC LIMIT 50';
+
+            const tournaments = await db.all(sql, params);
+            res.status(200).json(tournaments.map(({ map_pool, ...tournament }) => ({
+                ...tournament,
+                is_registered: !!tournament.is_registered,
+                map_names: mapNames(map_pool)
+            })));
+        } catch (err) {
+            console.error("Get Tournaments Error:", err.message);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
+// Get a tournament with its players and full bracket.
+router.get('/:id', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    try {
+        const tournament = await db.get('SELECT * FROM tournaments WHERE id = ?', [req.params.id]);
+        if (!tournament) { return res.status(404).json({ message: 'Tournament not found.' }); }
+
+        const participants = await db.all(`
+            SELECT p.user_id, p.seed, p.status, p.placement, p.prize, u.linked_roblox_username as username, u.avatar_url, ROUND(u.rating) as rating
+            FROM tournament_participants p JOIN users u ON p.user_id = u.id
+            WHERE p.tournament_id = ?
+            ORDER BY p.placement IS NULL, p.placement ASC, p.seed IS NULL, p.seed ASC, p.registered_at ASC
+        `, [tournament.id]);
+        const matches = await db.all(`
+            SELECT m.id, m.bracket, m.round, m.match_number, m.status, m.player1_id, m.player2_id, m.winner_id, m.duel_id,
+                   p1.linked_roblox_username as player1_username, p2.linked_roblox_username as player2_username
+            FROM tournament_matches m
+            LEFT JOIN users p1 ON m.player1_id = p1.id
+            LEFT JOIN users p2 ON m.player2_id = p2.id
+            WHERE m.tournament_id = ?
+            ORDER BY m.bracket, m.round, m.match_number
+        `, [tournament.id]);
+
+        res.status(200).json({
+            ...tournament,
+            map_pool: JSON.parse(tournament.map_pool),
+            map_names: mapNames(tournament.map_pool),
+            payout_split: JSON.parse(tournament.payout_split),
+            is_registered: participants.some(p => p.user_id === req.user.userId),
+            participants,
+            matches
+        });
+    } catch (err) {
+        console.error("Get Tournament Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// Register for a tournament. The entry fee is held in the prize pool until the tournament ends.
+router.post('/:id/register', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        const user = await db.get('SELECT status, linked_roblox_username FROM users WHERE id = ?', [userId]);
+        if (!user || user.status !== 'active') { return res.status(403).json({ message: 'You cannot enter tournaments while your account is banned.' }); }
+        if (!user.linked_roblox_username) { return res.status(403).json({ message: 'You must link your Roblox account before entering tournaments.' }); }
+
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status = 'registration'", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or registration has closed.' }); }
+        const existing = await db.get('SELECT id FROM tournament_participants WHERE tournament_id = ? AND user_id = ?', [tournament.id, userId]);
+        if (existing) { await db.run('ROLLBACK'); return res.status(409).json({ message: 'You are already registered for this tournament.' }); }
+        const { count } = await db.get('SELECT COUNT(*) as count FROM tournament_participants WHERE tournament_id = ?', [tournament.id]);
+        if (count >= tournament.size) { await db.run('ROLLBACK'); return res.status(409).json({ message: 'This tournament is full.' }); }
+        // The balance is read inside the transaction so a spend made since the checks above cannot be missed.
+        const { gems } = await db.get('SELECT gems FROM users WHERE id = ?', [userId]);
+        if (gems < tournament.entry_fee) { await db.run('ROLLBACK'); return res.status(400).json({ message: 'You do not have enough gems for the entry fee.' }); }
+
+        if (tournament.entry_fee > 0) {
+            await recordTransaction({ userId, type: 'tournament_entry', amount: -tournament.entry_fee, description: `Entry fee for ${tournament.name}`, referenceType: 'tournament', referenceId: tournament.id });
+        }
+        await db.run('INSERT INTO tournament_participants (tournament_id, user_id, entry_fee_paid) VALUES (?, ?, ?)', [tournament.id, userId, tournament.entry_fee]);
+        await db.run('UPDATE tournaments SET prize_pool = prize_pool + ? WHERE id = ?', [tournament.entry_fee, tournament.id]);
+        await db.run('COMMIT');
+        res.status(201).json({ message: `You are registered for ${tournament.name}!` });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Tournament Registration Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// Withdraw from a tournament before it starts and get the entry fee back.
+router.delete('/:id/register', authenticateToken, param('id').isInt(), handleValidationErrors, async (req, res) => {
+    const userId = req.user.userId;
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const tournament = await db.get("SELECT * FROM tournaments WHERE id = ? AND status = 'registration'", [req.params.id]);
+        if (!tournament) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'Tournament not found or it has already started.' }); }
+        const participant = await db.get("SELECT * FROM tournament_participants WHERE tournament_id = ? AND user_id = ? AND status = 'registered'", [tournament.id, userId]);
+        if (!participant) { await db.run('ROLLBACK'); return res.status(404).json({ message: 'You are not registered for this tournament.' }); }
+
+        if (participant.entry_fee_paid > 0) {
+            await recordTransaction({ userId, type: 'tournament_refund', amount: participant.entry_fee_paid, description: `Withdrew from ${tournament.name}`, referenceType: 'tournament', referenceId: tournament.id });
+        }
+        await db.run('DELETE FROM tournament_participants WHERE id = ?', [participant.id]);
+        await db.run('UPDATE tournaments SET prize_pool = prize_pool - ? WHERE id = ?', [participant.entry_fee_paid, tournament.id]);
+        await db.run('COMMIT');
+        res.status(200).json({ message: 'You have withdrawn from the tournament and your entry fee has been returned.' });
+    } catch (err) {
+        await db.run('ROLLBACK').catch(console.error);
+        console.error("Tournament Withdrawal Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+module.exports = router;
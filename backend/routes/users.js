@@ -10,6 +10,9 @@ const fetch = require('node-fetch');
 const { body } = require('express-validator');
 const db = require('../database/database');
 const { authenticateToken, handleValidationErrors, validatePassword } = require('../middleware/auth');
+const { recordTransaction, getHeldGems } = require('../services/ledgerService');
+const { transitionDuel } = require('../services/duelLifecycle');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, getNotificationPreferences, updateNotificationPreferences } = require('../services/notificationPreferenceService');
 
 const router = express.Router();
 
@@ -51,7 +54,7 @@ router.get('/user-data', authenticateToken, async (req, res) => {
     try {
         const sql = `
             SELECT 
-                id, email, google_id, gems, wins, losses, is_admin, 
+                id, email, google_id, gems, wins, losses, draws, rating, rating_deviation, is_admin, 
                 linked_roblox_id, linked_roblox_username, verification_phrase,
                 created_at, password_last_updated, push_notifications_enabled,
                 status, ban_reason, ban_applied_at, ban_expires_at
@@ -68,6 +71,9 @@ router.get('/user-data', authenticateToken, async (req, res) => {
             await db.run('UPDATE users SET verification_phrase = ? WHERE id = ?', [newPhrase, user.id]);
             user.verification_phrase = newPhrase;
         }
+
+        // `gems` is the spendable balance; wagers reserved by challenges and duels are reported separately.
+        user.held_gems = await getHeldGems(user.id);
         
         await sendUserResponse(user, res);
     } catch(err) {
@@ -96,6 +102,36 @@ router.put('/user/notification-preference', authenticateToken,
 );
 
 
+// [NEW] Get the player's notification preferences: for each kind of event, whether it reaches their inbox, web push and email.
+router.get('/user/notification-preferences', authenticateToken, async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user.userId);
+        res.status(200).json({ events: NOTIFICATION_EVENTS, channels: NOTIFICATION_CHANNELS, preferences });
+    } catch (err) {
+        console.error("Get Notification Preferences Error:", err.message);
+        res.status(500).json({ message: 'An internal server error occurred.' });
+    }
+});
+
+// [NEW] Update some or all of the player's notification preferences, e.g. { preferences: { duel_result: { email: true } } }.
+router.put('/user/notification-preferences', authenticateToken,
+    body('preferences').isObject().withMessage('Preferences must be an object keyed by event.'),
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const error = await updateNotificationPreferences(req.user.userId, req.body.preferences);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            const preferences = await getNotificationPreferences(req.user.userId);
+            res.status(200).json({ message: 'Notification preferences updated.', preferences });
+        } catch (err) {
+            console.error("Update Notification Preferences Error:", err.message);
+            res.status(500).json({ message: 'An internal server error occurred.' });
+        }
+    }
+);
+
 // Update Email
 router.put('/user/email', authenticateToken,
     body('email').isEmail().withMessage('A valid email is required.').normalizeEmail(),
@@ -196,8 +232,16 @@ router.post('/roblox/verify', authenticateToken,
             const bio = infoData.description || "";
 
             if (bio.includes(expectedPhrase)) {
-                const updateSql = `UPDATE users SET linked_roblox_id = ?, linked_roblox_username = ?, gems = gems + 100, verification_phrase = NULL WHERE id = ?`;
-                await db.run(updateSql, [robloxId, robloxUsername, userId]);
+                await db.run('BEGIN TRANSACTION');
+                try {
+                    const updateSql = `UPDATE users SET linked_roblox_id = ?, linked_roblox_username = ?, verification_phrase = NULL WHERE id = ?`;
+                    await db.run(updateSql, [robloxId, robloxUsername, userId]);
+                    await recordTransaction({ userId, type: 'account_bonus', amount: 100, description: 'Bonus for linking a Roblox account' });
+                    await db.run('COMMIT');
+                } catch (txError) {
+                    await db.run('ROLLBACK').catch(console.error);
+                    throw txError;
+                }
                 
                 const payload = { userId: userId, username: robloxUsername };
                 const token = jwt.sign(payload, jwtSecret, { expiresIn: '48h' });
@@ -237,7 +281,22 @@ router.delete('/user/delete/account', authenticateToken,
             if (!user) { return res.status(404).json({ message: 'User not found.' }); }
 
             const deleteUser = async () => {
+                await db.run('BEGIN TRANSACTION');
+                // Deleting the account cascades to its duels, so return the wagers of anyone still waiting on a reply first.
+                // A pending team duel is called off for everyone as soon as one of its players leaves.
+                const incomingChallenges = await db.all(
+                    "SELECT * FROM duels WHERE (opponent_id = ? OR (team_size > 1 AND id IN (SELECT duel_id FROM duel_participants WHERE user_id = ?))) AND status = 'pending'",
+                    [req.user.userId, req.user.userId]
+                );
+                for (const duel of incomingChallenges) {
+                    await transitionDuel(duel, 'cancel', {
+                        actor: 'player',
+                        actorId: req.user.userId,
+                        description: `Challenge #${duel.id} was canceled (a player deleted their account)`
+                    });
+                }
                 await db.run('DELETE FROM users WHERE id = ?', [req.user.userId]);
+                await db.run('COMMIT');
                 res.clearCookie('authToken');
                 res.status(200).json({ message: 'Account deleted successfully.' });
             };
@@ -257,6 +316,7 @@ router.delete('/user/delete/account', authenticateToken,
 
             await deleteUser();
         } catch(err) {
+            await db.run('ROLLBACK').catch(console.error);
             console.error("Delete Account Error:", err.message);
             res.status(500).json({ message: 'An internal server error occurred.' });
         }
@@ -13,11 +13,19 @@ const util = require('util');
 const crypto = require('crypto');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { botLogger } = require('./middleware/botLogger');
+const { recordTransaction } = require('./services/ledgerService');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 // Import the new services for crypto deposits
 const { startTransactionListener } = require('./services/transactionListenerService');
 const { startConfirmationService } = require('./services/transactionConfirmationService');
+const { startReconciliationService } = require('./services/reconciliationService');
+const { startMatchmakingService } = require('./services/matchmakingService');
+const { startEmailService } = require('./services/emailService');
+const { startTournamentService } = require('./services/tournamentService');
+const { READY_CHECK_TIMEOUT_MINUTES, SCHEDULED_DUEL_LEAD_MINUTES, SCHEDULED_DUEL_GRACE_MINUTES, getDuelTeams, queueRefereeTask } = require('./services/duelService');
+const { sendInboxMessage, notifyUsers } = require('./services/notificationService');
+const { transitionDuel } = require('./services/duelLifecycle');
 
 
 db.get = util.promisify(db.get);
@@ -78,19 +86,18 @@ app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), asy
 
             await db.run('BEGIN TRANSACTION');
             
-            await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [gemAmountInt, userId]);
-            
             // [MODIFIED] Inserting into the new 'gem_purchases' table
             await db.run(
                 'INSERT INTO gem_purchases (user_id, stripe_session_id, gem_amount, amount_paid, currency, status) VALUES (?, ?, ?, ?, ?, ?)',
                 [userId, sessionId, gemAmountInt, amountPaid, currency, 'completed']
             );
 
-            // [NEW] Create a record in the unified transaction_history
-            await db.run(
-                'INSERT INTO transaction_history (user_id, type, amount_gems, description) VALUES (?, ?, ?, ?)',
-                [userId, 'deposit_stripe', gemAmountInt, `${gemAmountInt} Gems purchased via Card`]
-            );
+            // The ledger credits the gems and writes the unified transaction_history entry.
+            await recordTransaction({
+                userId, type: 'deposit_stripe', amount: gemAmountInt,
+                description: `${gemAmountInt} Gems purchased via Card`,
+                referenceType: 'deposit', referenceId: sessionId
+            });
 
             await db.run('COMMIT');
             console.log(`Gems awarded successfully for session ${sessionId}. User: ${userId}, Gems: ${gemAmount}`);
@@ -142,26 +149,84 @@ passport.use(new GoogleStrategy({
 const DUEL_EXPIRATION_HOURS = 1;
 const DUEL_FORFEIT_MINUTES = 10;
 const CHECK_INTERVAL_MINUTES = 1;
+// [NEW] How long a challenge may sit unanswered before it expires.
+const PENDING_DUEL_EXPIRATION_HOURS = parseInt(process.env.PENDING_DUEL_EXPIRATION_HOURS, 10) || 24;
+// [NEW] How long before a scheduled duel both sides get a reminder.
+const SCHEDULED_DUEL_REMINDER_MINUTES = 15;
 
 async function runScheduledTasks() {
     console.log(`[CRON] Running scheduled tasks at ${new Date().toISOString()}`);
+
+    // Task 0: Expire 'pending' challenges that were never answered, or whose scheduled start time has passed,
+    // and return the reserved wager
+    try {
+        const pendingSql = `
+            SELECT d.id, d.challenger_id, d.opponent_id, d.wager, d.challenger_hold, d.team_size, d.scheduled_for,
+                   c.linked_roblox_username as challenger_username, o.linked_roblox_username as opponent_username
+            FROM duels d
+            JOIN users c ON d.challenger_id = c.id
+            LEFT JOIN users o ON d.opponent_id = o.id
+            WHERE d.status = 'pending'
+              AND (COALESCE((SELECT MAX(r.created_at) FROM duel_revisions r WHERE r.duel_id = d.id), d.created_at) <= datetime('now', '-${PENDING_DUEL_EXPIRATION_HOURS} hour')
+                OR d.scheduled_for <= datetime('now', '-${SCHEDULED_DUEL_GRACE_MINUTES} minute'))
+        `;
+        const expiredPendingDuels = await db.all(pendingSql);
+        for (const duel of expiredPendingDuels) {
+            // A scheduled challenge that was still unanswered at its start time expires for that reason.
+            const reason = duel.scheduled_for && new Date(`${duel.scheduled_for}Z`) <= new Date()
+                ? `was not accepted before its start time of ${duel.scheduled_for} UTC`
+                : `got no response within ${PENDING_DUEL_EXPIRATION_HOURS} hours`;
+            await db.run('BEGIN TRANSACTION');
+            try {
+                // Everyone who still has a say in the challenge, with the wager they have in it. In a team duel each player
+                // who joined has their own contribution; the rest were still invited. Read before the expiry refunds them.
+                const players = (duel.team_size || 1) > 1
+                    ? await db.all("SELECT user_id, contribution FROM duel_participants WHERE duel_id = ? AND status != 'declined'", [duel.id])
+                    : [{ user_id: duel.challenger_id, contribution: duel.challenger_hold }, ...(duel.opponent_id ? [{ user_id: duel.opponent_id, contribution: 0 }] : [])];
+                await transitionDuel(duel, 'expire', { actor: 'cron', description: `Challenge #${duel.id} expired` });
+                for (const player of players) {
+                    const challenge = player.user_id === duel.challenger_id
+                        // Open challenges that nobody claimed have no opponent to name.
+                        ? `Your ${duel.opponent_id ? `challenge to ${duel.opponent_username}` : 'open challenge'} ${reason}.`
+                        : `The ${duel.wager} gem challenge from ${duel.challenger_username} ${reason} and has expired.`;
+                    await sendInboxMessage(player.user_id, 'challenge_received', {
+                        type: 'duel_update', title: 'Challenge Expired',
+                        message: player.contribution > 0 ? `${challenge} Your ${player.contribution} gem wager has been returned.` : challenge,
+                        referenceId: duel.id
+                    });
+                }
+                await db.run('COMMIT');
+                const returned = players.reduce((sum, player) => sum + player.contribution, 0);
+                console.log(`[CRON] Expired pending duel ID ${duel.id}. ${returned} gems returned to ${players.filter(player => player.contribution > 0).length} player(s).`);
+            } catch (err) {
+                await db.run('ROLLBACK');
+                console.error(`[CRON] Error expiring pending duel ID ${duel.id}:`, err);
+            }
+        }
+    } catch (error) {
+        console.error('[CRON] Error expiring pending duels:', error);
+    }
     
-    // Task 1: Cancel old 'accepted' duels that were never started
+    // Task 1: Cancel old 'accepted' duels that were never started. A scheduled duel is measured from its start time.
+    // Tournament duels are skipped here and in Task 2; a missing player is disqualified by a tournament admin instead.
     try {
         const acceptedSql = `
-            SELECT id, challenger_id, opponent_id, pot 
+            SELECT id, challenger_id, opponent_id, pot, team_size 
             FROM duels 
-            WHERE status = 'accepted' AND accepted_at <= datetime('now', '-${DUEL_EXPIRATION_HOURS} hour')
+            WHERE status = 'accepted' AND tournament_id IS NULL
+              AND COALESCE(scheduled_for, accepted_at) <= datetime('now', '-${DUEL_EXPIRATION_HOURS} hour')
         `;
         const expiredAcceptedDuels = await db.all(acceptedSql);
         for (const duel of expiredAcceptedDuels) {
             await db.run('BEGIN TRANSACTION');
-            const refundAmount = duel.pot / 2;
-            await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.challenger_id]);
-            await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.opponent_id]);
-            await db.run("UPDATE duels SET status = 'canceled' WHERE id = ?", [duel.id]);
-            await db.run('COMMIT');
-            console.log(`[CRON] Canceled expired 'accepted' duel ID ${duel.id}. Pot of ${duel.pot} refunded.`);
+            try {
+                await transitionDuel(duel, 'void', { actor: 'cron', description: `Refund for expired duel #${duel.id}`, note: 'Never started' });
+                await db.run('COMMIT');
+                console.log(`[CRON] Canceled expired 'accepted' duel ID ${duel.id}. Pot of ${duel.pot} refunded.`);
+            } catch (err) {
+                await db.run('ROLLBACK');
+                console.error(`[CRON] Error canceling expired 'accepted' duel ID ${duel.id}:`, err);
+            }
         }
     } catch (error) {
         console.error('[CRON] Error canceling old accepted duels:', error);
@@ -170,9 +235,9 @@ async function runScheduledTasks() {
     // Task 2: Handle 'started' duels that were not played/completed within the time limit (forfeit logic)
     try {
         const startedSql = `
-            SELECT id, challenger_id, opponent_id, pot, transcript 
+            SELECT id, challenger_id, opponent_id, pot, transcript, team_size 
             FROM duels 
-            WHERE status = 'started' AND started_at <= datetime('now', '-${DUEL_FORFEIT_MINUTES} minute')
+            WHERE status = 'started' AND tournament_id IS NULL AND started_at <= datetime('now', '-${DUEL_FORFEIT_MINUTES} minute')
         `;
         const expiredStartedDuels = await db.all(startedSql);
 
@@ -195,26 +260,29 @@ async function runScheduledTasks() {
                         .map(event => event.data.playerName)
                 );
 
-                const challengerJoined = joinedPlayers.has(challenger.linked_roblox_username);
-                const opponentJoined = joinedPlayers.has(opponent.linked_roblox_username);
+                // [MODIFIED] A side only counts as present once every one of its players has joined, so a team
+                // duel with a missing player is forfeited by that player's team.
+                const teams = await getDuelTeams(duel);
+                const teamJoined = async (userIds) => {
+                    for (const userId of userIds) {
+                        const player = await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [userId]);
+                        if (!player || !joinedPlayers.has(player.linked_roblox_username)) return false;
+                    }
+                    return true;
+                };
+                const challengerJoined = await teamJoined(teams.challenger);
+                const opponentJoined = await teamJoined(teams.opponent);
 
                 if (!challengerJoined && !opponentJoined) {
-                    const refundAmount = duel.pot / 2;
-                    await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.challenger_id]);
-                    await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [refundAmount, duel.opponent_id]);
-                    await db.run("UPDATE duels SET status = 'canceled', winner_id = NULL WHERE id = ?", [duel.id]);
+                    await transitionDuel(duel, 'void', { actor: 'cron', description: `Refund for duel #${duel.id} (no-show from both players)`, note: 'No-show from both sides' });
                     console.log(`[CRON] Duel ID ${duel.id} canceled (no-show from both). Pot of ${duel.pot} refunded.`);
                 } 
                 else if (challengerJoined && !opponentJoined) {
-                    await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [duel.pot, duel.challenger_id]);
-                    await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [duel.opponent_id]);
-                    await db.run("UPDATE duels SET status = 'completed', winner_id = ? WHERE id = ?", [duel.challenger_id, duel.id]);
+                    await transitionDuel(duel, 'forfeit', { actor: 'cron', changes: { winner_id: duel.challenger_id }, description: `Won duel #${duel.id} by forfeit`, note: 'Opponent did not join' });
                     console.log(`[CRON] Duel ID ${duel.id} forfeited by ${opponent.linked_roblox_username}. Winner ${challenger.linked_roblox_username} receives pot of ${duel.pot}.`);
                 } 
                 else if (!challengerJoined && opponentJoined) {
-                    await db.run('UPDATE users SET gems = gems + ?, wins = wins + 1 WHERE id = ?', [duel.pot, duel.opponent_id]);
-                    await db.run('UPDATE users SET losses = losses + 1 WHERE id = ?', [duel.challenger_id]);
-                    await db.run("UPDATE duels SET status = 'completed', winner_id = ? WHERE id = ?", [duel.opponent_id, duel.id]);
+                    await transitionDuel(duel, 'forfeit', { actor: 'cron', changes: { winner_id: duel.opponent_id }, description: `Won duel #${duel.id} by forfeit`, note: 'Challenger did not join' });
                     console.log(`[CRON] Duel ID ${duel.id} forfeited by ${challenger.linked_roblox_username}. Winner ${opponent.linked_roblox_username} receives pot of ${duel.pot}.`);
                 }
                 else {
@@ -230,6 +298,85 @@ async function runScheduledTasks() {
     } catch (error) {
         console.error('[CRON] Error fetching or processing no-show forfeits:', error);
     }
+
+    // Task 3: Pay out reported results whose dispute window lapsed without both players confirming
+    try {
+        const unconfirmedDuels = await db.all(
+            "SELECT id, winner_id, pot FROM duels WHERE status = 'completed_unseen' AND result_deadline_at <= datetime('now')"
+        );
+        for (const duel of unconfirmedDuels) {
+            await db.run('BEGIN TRANSACTION');
+            try {
+                await transitionDuel(duel, 'finalize', { actor: 'cron', description: `Won duel #${duel.id}`, note: 'Dispute window lapsed' });
+                await db.run('COMMIT');
+                console.log(`[CRON] Finalized unconfirmed duel ID ${duel.id}. Pot of ${duel.pot} paid out to winner ${duel.winner_id}.`);
+            } catch (err) {
+                await db.run('ROLLBACK');
+                console.error(`[CRON] Error finalizing duel ID ${duel.id}:`, err);
+            }
+        }
+    } catch (error) {
+        console.error('[CRON] Error finalizing unconfirmed duel results:', error);
+    }
+
+    // Task 4: Start duels where one side readied up and the other let the ready check run out
+    try {
+        const timedOutReadyChecks = await db.all(
+            `SELECT id FROM duels WHERE status = 'accepted'
+             AND (challenger_ready_at IS NULL) != (opponent_ready_at IS NULL)
+             AND COALESCE(challenger_ready_at, opponent_ready_at) <= datetime('now', ?)`,
+            [`-${READY_CHECK_TIMEOUT_MINUTES} minutes`]
+        );
+        for (const duel of timedOutReadyChecks) {
+            await db.run('BEGIN TRANSACTION');
+            try {
+                await transitionDuel(duel, 'start', { actor: 'cron', note: 'Ready check timed out' });
+                await db.run('COMMIT');
+                console.log(`[CRON] Started duel ID ${duel.id} after its ready check timed out.`);
+            } catch (err) {
+                await db.run('ROLLBACK');
+                console.error(`[CRON] Error starting duel ID ${duel.id} after its ready check:`, err);
+            }
+        }
+    } catch (error) {
+        console.error('[CRON] Error starting duels with a timed out ready check:', error);
+    }
+
+    // Task 5: Remind both sides of a scheduled duel ahead of time, then hand it to the referee bot shortly before it starts
+    try {
+        const remindDuels = await db.all(
+            `SELECT d.*, c.linked_roblox_username as challenger_username, o.linked_roblox_username as opponent_username
+             FROM duels d JOIN users c ON d.challenger_id = c.id JOIN users o ON d.opponent_id = o.id
+             WHERE d.status = 'accepted' AND d.reminder_sent_at IS NULL AND d.scheduled_for <= datetime('now', ?)`,
+            [`+${SCHEDULED_DUEL_REMINDER_MINUTES} minutes`]
+        );
+        for (const duel of remindDuels) {
+            const teams = await getDuelTeams(duel);
+            const players = [...teams.challenger, ...teams.opponent];
+            const message = `Your scheduled duel #${duel.id} (${duel.challenger_username} vs ${duel.opponent_username}) starts at ${duel.scheduled_for} UTC. Ready up from ${SCHEDULED_DUEL_LEAD_MINUTES} minutes before.`;
+            await db.run('UPDATE duels SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = ?', [duel.id]);
+            await notifyUsers(players, 'duel_reminder', { message, referenceId: duel.id });
+            console.log(`[CRON] Sent reminders for scheduled duel ID ${duel.id}.`);
+        }
+
+        const dueDuels = await db.all(
+            "SELECT * FROM duels WHERE status = 'accepted' AND referee_queued_at IS NULL AND COALESCE(veto_phase, 'done') = 'done' AND scheduled_for <= datetime('now', ?)",
+            [`+${SCHEDULED_DUEL_LEAD_MINUTES} minutes`]
+        );
+        for (const duel of dueDuels) {
+            await db.run('BEGIN TRANSACTION');
+            try {
+                await queueRefereeTask(duel);
+                await db.run('COMMIT');
+                console.log(`[CRON] Queued the referee task for scheduled duel ID ${duel.id}.`);
+            } catch (err) {
+                await db.run('ROLLBACK');
+                console.error(`[CRON] Error queueing the referee task for scheduled duel ID ${duel.id}:`, err);
+            }
+        }
+    } catch (error) {
+        console.error('[CRON] Error processing scheduled duels:', error);
+    }
 }
 
 
@@ -252,4 +399,16 @@ app.listen(PORT, () => {
     // Start the crypto deposit monitoring services
     startTransactionListener();
     startConfirmationService();
+
+    // Start the ledger reconciliation job
+    startReconciliationService();
+
+    // Start the ranked matchmaking queue
+    startMatchmakingService();
+
+    // Start sending queued emails
+    startEmailService();
+
+    // Start retrying tournament matches that are waiting for a free server
+    startTournamentService();
 });
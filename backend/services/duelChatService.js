@@ -0,0 +1,107 @@
+// backend/services/duelChatService.js
+// This service holds the chat between the players of a duel. Players can talk from the moment a challenge
+// is sent until the duel is settled; the thread stays readable afterwards, and admins can read it when
+// the duel is disputed. Messages are rate limited per player and pass through a profanity filter.
+
+const db = require('../database/database');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// How many messages a player may send across all their duels within the window.
+const CHAT_RATE_LIMIT_MESSAGES = 5;
+const CHAT_RATE_LIMIT_SECONDS = 10;
+
+// A duel accepts new messages while it is in one of these statuses.
+const CHAT_OPEN_STATUSES = ['pending', 'accepted', 'started', 'completed_unseen', 'under_review'];
+
+// Words that are masked, along with anything that starts with them (e.g. plurals).
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dickhead', 'retard', 'faggot', 'nigger', 'nigga', 'whore', 'slut'];
+
+// Common letter swaps used to slip past a word list.
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+const blockedPattern = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\w*`, 'gi');
+
+/**
+ * Masks blocked words with asterisks, keeping the message's length and the rest of its text.
+ * @param {string} message
+ * @returns {string}
+ */
+function filterProfanity(message) {
+    const normalized = message.replace(/[013457@$!]/g, char => LOOKALIKES[char]);
+    let filtered = message;
+    for (const match of normalized.matchAll(blockedPattern)) {
+        filtered = filtered.slice(0, match.index) + '*'.repeat(match[0].length) + filtered.slice(match.index + match[0].length);
+    }
+    return filtered;
+}
+
+/**
+ * Returns a duel's chat, oldest first.
+ * @param {number} duelId
+ * @returns {Promise<object[]>}
+ */
+async function getDuelMessages(duelId) {
+    return db.all(
+        `SELECT m.id, m.user_id, m.message, m.created_at, u.linked_roblox_username as username
+         FROM duel_messages m JOIN users u ON m.user_id = u.id
+         WHERE m.duel_id = ? ORDER BY m.id ASC`,
+        [duelId]
+    );
+}
+
+/**
+ * Records that a player has seen every message of a duel's chat so far.
+ * @param {number} duelId
+ * @param {string} userId
+ */
+async function markDuelChatRead(duelId, userId) {
+    const latest = await db.get('SELECT MAX(id) as id FROM duel_messages WHERE duel_id = ?', [duelId]);
+    if (!latest || !latest.id) {
+        return;
+    }
+    await db.run(
+        `INSERT INTO duel_chat_reads (duel_id, user_id, last_read_message_id) VALUES (?, ?, ?)
+         ON CONFLICT(duel_id, user_id) DO UPDATE SET last_read_message_id = excluded.last_read_message_id`,
+        [duelId, userId, latest.id]
+    );
+}
+
+/**
+ * Posts a message to a duel's chat after checking the duel is still open for chat and the
+ * player is not over the rate limit.
+ * @param {object} duel The duel row.
+ * @param {string} userId The player sending the message. The caller checks they are in the duel.
+ * @param {string} message The trimmed message text.
+ * @returns {Promise<{ error?: string, status?: number, message?: object }>} The stored message, or an error with its HTTP status.
+ */
+async function postDuelMessage(duel, userId, message) {
+    if (!CHAT_OPEN_STATUSES.includes(duel.status)) {
+        return { status: 400, error: 'This duel is over; its chat is read-only.' };
+    }
+    const { recent } = await db.get(
+        'SELECT COUNT(*) as recent FROM duel_messages WHERE user_id = ? AND created_at > datetime(\'now\', ?)',
+        [userId, `-${CHAT_RATE_LIMIT_SECONDS} seconds`]
+    );
+    if (recent >= CHAT_RATE_LIMIT_MESSAGES) {
+        return { status: 429, error: 'You are sending messages too quickly. Please wait a few seconds.' };
+    }
+
+    await db.run('INSERT INTO duel_messages (duel_id, user_id, message) VALUES (?, ?, ?)', [duel.id, userId, filterProfanity(message)]);
+    const stored = await db.get(
+        `SELECT m.id, m.user_id, m.message, m.created_at, u.linked_roblox_username as username
+         FROM duel_messages m JOIN users u ON m.user_id = u.id
+         WHERE m.duel_id = ? AND m.user_id = ? ORDER BY m.id DESC LIMIT 1`,
+        [duel.id, userId]
+    );
+    await markDuelChatRead(duel.id, userId);
+    return { message: stored };
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    filterProfanity,
+    getDuelMessages,
+    markDuelChatRead,
+    postDuelMessage
+};
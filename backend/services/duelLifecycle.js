@@ -0,0 +1,214 @@
+// backend/services/duelLifecycle.js
+// This module is the only place where a duel changes status. It defines every status a duel can be in,
+// the transitions between them, who may trigger each one and what each one does besides changing the status.
+// Every transition is written to the duel_events table so support can trace how a duel got where it is.
+
+const db = require('../database/database');
+const { releaseChallengeHold } = require('./ledgerService');
+const { publishDuelEvent } = require('./eventStreamService');
+
+const DUEL_STATUSES = ['pending', 'accepted', 'started', 'completed_unseen', 'under_review', 'completed', 'draw', 'no_contest', 'declined', 'canceled', 'expired'];
+
+// Who triggered a transition. 'system' is the server acting on its own outside the cron jobs,
+// for example the matchmaker accepting a duel it paired up or a tournament launching a match.
+const DUEL_ACTORS = ['player', 'bot', 'cron', 'admin', 'system'];
+
+// How long the players have to confirm or dispute a reported result before it is paid out regardless.
+const RESULT_DISPUTE_WINDOW_MINUTES = parseInt(process.env.RESULT_DISPUTE_WINDOW_MINUTES, 10) || 10;
+
+// Whether a draw also returns the tax taken from the pot. A no-contest always does.
+const DRAW_REFUNDS_TAX = process.env.DRAW_REFUNDS_TAX === 'true';
+
+// The settlement helpers live in services that themselves depend on this module,
+// so they are loaded the first time a transition needs them.
+const settlement = () => ({
+    ...require('./duelService'),
+    ...require('./ratingService'),
+    ...require('./tournamentService')
+});
+
+// --- Side-effects ---
+
+// Returns whatever is still held for a challenge that never got played.
+async function releaseHold(duel, context) {
+    await releaseChallengeHold(duel, context.description || `Challenge #${duel.id} was ${duel.status}`);
+}
+
+// Pays the pot to the winning side and updates ratings, or advances the bracket for a tournament match.
+async function settleResult(duel, context) {
+    const { payoutDuelWinner, recordDuelResult, recordMatchResult } = settlement();
+    if (duel.tournament_id) {
+        await recordMatchResult(duel, duel.winner_id);
+        return;
+    }
+    await payoutDuelWinner(duel, duel.winner_id, context.description || `Won duel #${duel.id}`);
+    await recordDuelResult(duel, duel.winner_id);
+}
+
+// Returns the pot of a duel that was called off after it was locked in. A tournament match is put back
+// in line for a new duel unless the bracket has already moved on without it.
+async function voidDuel(duel, context) {
+    const { refundDuelPot, replayMatch } = settlement();
+    if (context.refund !== false && duel.pot > 0) {
+        await refundDuelPot(duel, context.description || `Refund for canceled duel #${duel.id}`);
+    }
+    if (duel.tournament_id) {
+        await replayMatch(duel);
+    }
+}
+
+// Returns each side's stake after a draw and rates it as a draw. A tournament match is replayed instead.
+async function settleDraw(duel, context) {
+    const { refundDuelPot, recordDuelDraw, replayMatch } = settlement();
+    if (duel.tournament_id) {
+        await replayMatch(duel);
+        return;
+    }
+    await refundDuelPot(duel, context.description || `Refund for drawn duel #${duel.id}`, DRAW_REFUNDS_TAX ? duel.pot + duel.tax_collected : duel.pot);
+    if (DRAW_REFUNDS_TAX) {
+        await db.run('UPDATE duels SET tax_collected = 0 WHERE id = ?', [duel.id]);
+    }
+    await recordDuelDraw(duel);
+}
+
+// Returns every wager in full, tax included, for a duel that could not be decided. A tournament match is replayed instead.
+async function refundNoContest(duel, context) {
+    const { refundDuelPot, replayMatch } = settlement();
+    if (duel.tournament_id) {
+        await replayMatch(duel);
+        return;
+    }
+    await refundDuelPot(duel, context.description || `Refund for duel #${duel.id} (no contest)`, duel.pot + duel.tax_collected);
+    await db.run('UPDATE duels SET tax_collected = 0 WHERE id = ?', [duel.id]);
+}
+
+// --- Transitions ---
+
+// Each transition lists the statuses it may start from, the status it ends in, the actors allowed to trigger it,
+// the timestamp columns it stamps, the deadline columns it sets (in minutes from now), any other columns
+// it always sets, its side-effect and the live event the players are sent (duel_updated if none is given).
+const TRANSITIONS = {
+    // A pending challenge is taken up, turned down, called off or left to run out.
+    accept: { from: ['pending'], to: 'accepted', actors: ['player', 'system'], stamps: ['accepted_at'], changes: { awaiting_response_from: null }, event: 'challenge_accepted' },
+    decline: { from: ['pending'], to: 'declined', actors: ['player'], changes: { awaiting_response_from: null }, effect: releaseHold, event: 'challenge_declined' },
+    cancel: { from: ['pending'], to: 'canceled', actors: ['player', 'admin'], changes: { awaiting_response_from: null }, effect: releaseHold },
+    expire: { from: ['pending'], to: 'expired', actors: ['cron'], changes: { awaiting_response_from: null }, effect: releaseHold },
+
+    // An accepted duel is played out on the server. A reported result that fails validation is held for an admin.
+    start: { from: ['accepted'], to: 'started', actors: ['player', 'cron'], stamps: ['started_at'], event: 'duel_started' },
+    report_result: { from: ['accepted', 'started'], to: 'completed_unseen', actors: ['bot'], deadlines: { result_deadline_at: RESULT_DISPUTE_WINDOW_MINUTES }, event: 'result_ready' },
+    advance: { from: ['accepted', 'started'], to: 'completed', actors: ['bot'], effect: settleResult },
+    forfeit: { from: ['started'], to: 'completed', actors: ['player', 'cron'], effect: settleResult },
+    flag_result: { from: ['accepted', 'started'], to: 'under_review', actors: ['bot'] },
+    draw: { from: ['accepted', 'started'], to: 'draw', actors: ['bot'], changes: { winner_id: null }, effect: settleDraw },
+    no_contest: { from: ['accepted', 'started'], to: 'no_contest', actors: ['bot'], changes: { winner_id: null }, effect: refundNoContest },
+    void: { from: ['accepted', 'started', 'under_review'], to: 'canceled', actors: ['bot', 'cron', 'admin', 'system'], changes: { winner_id: null }, effect: voidDuel },
+
+    // A reported result is confirmed by both sides, finalized once its dispute window lapses or taken to an admin.
+    confirm: { from: ['completed_unseen'], to: 'completed', actors: ['player'], effect: settleResult },
+    finalize: { from: ['completed_unseen'], to: 'completed', actors: ['cron'], effect: settleResult },
+    dispute: { from: ['completed_unseen'], to: 'under_review', actors: ['player'] },
+    resolve_dispute: { from: ['under_review'], to: 'completed', actors: ['admin'] }
+};
+
+/**
+ * Checks whether a duel in its current status can take a transition.
+ * @param {object} duel The duel row.
+ * @param {string} name The transition name.
+ * @returns {boolean}
+ */
+function canTransition(duel, name) {
+    return !!TRANSITIONS[name] && TRANSITIONS[name].from.includes(duel.status);
+}
+
+async function recordDuelEvent(duelId, transition, fromStatus, toStatus, context) {
+    await db.run(
+        'INSERT INTO duel_events (duel_id, transition, from_status, to_status, actor_type, actor_id, note) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [duelId, transition, fromStatus, toStatus, context.actor, context.actorId || null, context.note || null]
+    );
+}
+
+/**
+ * Records that a duel was created. New duels always start out pending.
+ * Must be called inside a transaction.
+ * @param {number} duelId
+ * @param {{ actor: string, actorId?: string, note?: string }} context
+ */
+async function recordDuelCreated(duelId, context) {
+    await recordDuelEvent(duelId, 'create', null, 'pending', context);
+}
+
+/**
+ * Moves a duel along one transition: checks that the transition is allowed from the duel's current status
+ * and for this actor, updates the duel, writes the audit event, runs the transition's side-effect and tells the players.
+ * Throws if the transition is not allowed. Must be called inside a transaction.
+ * @param {object} duel The duel, at least its id. The current row is read back from the database.
+ * @param {string} name The transition name, one of the keys of TRANSITIONS.
+ * @param {object} context
+ * @param {string} context.actor Who triggered the transition, one of DUEL_ACTORS.
+ * @param {string} [context.actorId] The user behind a player or admin transition.
+ * @param {object} [context.changes] Other duel columns to set along with the status, e.g. winner_id.
+ * @param {string} [context.description] The ledger description for any gems the side-effect moves.
+ * @param {boolean} [context.refund] Set to false when voiding a duel whose stakes the caller settles itself.
+ * @param {string} [context.note] Saved with the audit event.
+ * @returns {Promise<object>} The duel row after the transition.
+ */
+async function transitionDuel(duel, name, context) {
+    const transition = TRANSITIONS[name];
+    if (!transition) {
+        throw new Error(`Unknown duel transition: ${name}`);
+    }
+    if (!DUEL_ACTORS.includes(context.actor) || !transition.actors.includes(context.actor)) {
+        throw new Error(`Actor '${context.actor}' may not ${name} a duel.`);
+    }
+    const current = await db.get('SELECT * FROM duels WHERE id = ?', [duel.id]);
+    if (!current) {
+        throw new Error(`Cannot ${name} unknown duel ${duel.id}.`);
+    }
+    if (!transition.from.includes(current.status)) {
+        throw new Error(`Cannot ${name} duel ${duel.id} while it is ${current.status}.`);
+    }
+
+    const changes = { ...transition.changes, ...context.changes, status: transition.to };
+    const assignments = [
+        ...Object.keys(changes).map(column => `${column} = ?`),
+        ...(transition.stamps || []).map(column => `${column} = CURRENT_TIMESTAMP`),
+        ...Object.entries(transition.deadlines || {}).map(([column, minutes]) => `${column} = datetime('now', '+${minutes} minutes')`)
+    ];
+    await db.run(`UPDATE duels SET ${assignments.join(', ')} WHERE id = ?`, [...Object.values(changes), duel.id]);
+    await recordDuelEvent(duel.id, name, current.status, transition.to, context);
+
+    const updated = await db.get('SELECT * FROM duels WHERE id = ?', [duel.id]);
+    if (transition.effect) {
+        await transition.effect(updated, context);
+    }
+    await publishDuelEvent(updated, transition.event || 'duel_updated', { status: updated.status });
+    return updated;
+}
+
+/**
+ * Returns a duel's audit trail, oldest first.
+ * @param {number} duelId
+ * @returns {Promise<object[]>}
+ */
+async function getDuelEvents(duelId) {
+    return db.all(
+        `SELECT e.id, e.transition, e.from_status, e.to_status, e.actor_type, e.actor_id, e.note, e.created_at,
+                u.linked_roblox_username as actor_username
+         FROM duel_events e LEFT JOIN users u ON e.actor_id = u.id
+         WHERE e.duel_id = ? ORDER BY e.id ASC`,
+        [duelId]
+    );
+}
+
+module.exports = {
+    DUEL_STATUSES,
+    DUEL_ACTORS,
+    RESULT_DISPUTE_WINDOW_MINUTES,
+    DRAW_REFUNDS_TAX,
+    TRANSITIONS,
+    canTransition,
+    recordDuelCreated,
+    transitionDuel,
+    getDuelEvents
+};
@@ -0,0 +1,454 @@
+// backend/services/duelService.js
+// This service holds the duel logic shared by more than one route: creating challenges,
+// recording the terms proposed during a negotiation, locking a duel in once those terms are accepted,
+// queueing it for the referee bot (straight away, or shortly before a scheduled duel's start time),
+// the ready check before it starts, scoring the rounds of a series and paying out or refunding the pot,
+// including for team duels.
+
+const db = require('../database/database');
+const GAME_DATA = require('../game-data-store');
+const { recordTransaction, splitPot } = require('./ledgerService');
+const { transitionDuel, recordDuelCreated } = require('./duelLifecycle');
+const { publishDuelEvent } = require('./eventStreamService');
+
+// How long a side has to ready up once the other side is ready, before the duel starts without them.
+const READY_CHECK_TIMEOUT_MINUTES = parseInt(process.env.READY_CHECK_TIMEOUT_MINUTES, 10) || 5;
+
+// How long before a scheduled duel's start time the referee task is queued and the players may ready up.
+const SCHEDULED_DUEL_LEAD_MINUTES = parseInt(process.env.SCHEDULED_DUEL_LEAD_MINUTES, 10) || 5;
+
+// How long after its start time a scheduled challenge can still be accepted. After that it expires.
+const SCHEDULED_DUEL_GRACE_MINUTES = parseInt(process.env.SCHEDULED_DUEL_GRACE_MINUTES, 10) || 15;
+
+// Inserts a duel and resolves with its id. The promisified db.run does not return the new row,
+// so the id is read from the statement itself.
+const insertDuel = (sql, params) => new Promise((resolve, reject) => {
+    db.instance.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve(this.lastID);
+    });
+});
+
+/**
+ * Stores a set of proposed terms as the next revision of a duel.
+ * @param {number} duelId The duel being negotiated.
+ * @param {string} proposedBy The user who proposed these terms.
+ * @param {{ wager: number, map: string, banned_weapons: string }} terms The terms, with banned_weapons as a JSON string.
+ * @returns {Promise<number>} The new revision number.
+ */
+async function recordDuelRevision(duelId, proposedBy, terms) {
+    const latest = await db.get('SELECT MAX(revision_number) as number FROM duel_revisions WHERE duel_id = ?', [duelId]);
+    const revisionNumber = (latest?.number || 0) + 1;
+    await db.run(
+        'INSERT INTO duel_revisions (duel_id, revision_number, proposed_by, wager, map, banned_weapons) VALUES (?, ?, ?, ?, ?, ?)',
+        [duelId, revisionNumber, proposedBy, terms.wager, terms.map, terms.banned_weapons]
+    );
+    return revisionNumber;
+}
+
+/**
+ * Creates a pending duel, reserves the challenger's wager and records the opening terms as revision 1.
+ * An open challenge has no opponent until someone claims it from the board. A team duel also
+ * invites every other player; it is not negotiated, so nobody is awaited on the terms.
+ * Must be called inside a transaction.
+ * @param {object} challenge
+ * @param {string} challenge.challengerId The user sending the challenge.
+ * @param {string|null} challenge.opponentId The challenged user, or null for an open challenge.
+ * @param {number} challenge.wager The wager in gems, per player for a team duel.
+ * @param {string} challenge.map The map id.
+ * @param {string[]} challenge.bannedWeapons The banned weapon ids.
+ * @param {string} challenge.region The server region.
+ * @param {number} [challenge.bestOf=1] The series format: 1, 3 or 5 rounds.
+ * @param {{ challenger: string[], opponent: string[] }} [challenge.teammates] For a team duel, the other
+ *        players on each side, not counting the two captains.
+ * @param {number} [challenge.rematchOf] The finished duel this challenge is a rematch of.
+ * @param {string} [challenge.scheduledFor] When the players agreed to play, as an SQLite UTC datetime.
+ * @param {boolean} [challenge.veto=false] Whether the captains veto the map and weapons once the duel is accepted.
+ *        The map and banned weapons passed in are then ignored.
+ * @param {string} [challenge.actor='player'] Who is creating the duel, for the audit trail.
+ * @returns {Promise<number|null>} The new duel id, or null if the challenger cannot cover the wager.
+ */
+async function createDuel({ challengerId, opponentId, wager, map, bannedWeapons, region, bestOf = 1, teammates = null, rematchOf = null, scheduledFor = null, veto = false, actor = 'player' }) {
+    const challenger = await db.get('SELECT gems FROM users WHERE id = ?', [challengerId]);
+    if (!challenger || challenger.gems < wager) {
+        return null;
+    }
+
+    const teamSize = teammates ? teammates.challenger.length + 1 : 1;
+    // With a veto the map and weapons are decided after the duel is accepted.
+    const duelMap = veto ? null : map;
+    const bannedWeaponsStr = veto ? '[]' : JSON.stringify(bannedWeapons || []);
+    const duelId = await insertDuel(
+        'INSERT INTO duels (challenger_id, opponent_id, is_open, wager, banned_weapons, map, region, awaiting_response_from, challenger_hold, best_of, team_size, rematch_of, scheduled_for, veto_phase) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [challengerId, opponentId, opponentId === null, wager, bannedWeaponsStr, duelMap, region, teamSize > 1 ? null : opponentId, teamSize > 1 ? 0 : wager, bestOf, teamSize, rematchOf, scheduledFor, veto ? 'maps' : null]
+    );
+    await recordDuelCreated(duelId, { actor, actorId: challengerId, note: rematchOf ? `Rematch of duel #${rematchOf}` : null });
+    await recordTransaction({ userId: challengerId, type: 'duel_wager', amount: -wager, description: `Wager reserved for challenge #${duelId}`, referenceType: 'duel', referenceId: duelId });
+    if (teamSize > 1) {
+        const insertParticipantSql = 'INSERT INTO duel_participants (duel_id, user_id, team, status, contribution, responded_at) VALUES (?, ?, ?, ?, ?, ?)';
+        await db.run(insertParticipantSql, [duelId, challengerId, 'challenger', 'joined', wager, new Date().toISOString()]);
+        for (const userId of teammates.challenger) {
+            await db.run(insertParticipantSql, [duelId, userId, 'challenger', 'invited', 0, null]);
+        }
+        for (const userId of [opponentId, ...teammates.opponent]) {
+            await db.run(insertParticipantSql, [duelId, userId, 'opponent', 'invited', 0, null]);
+        }
+    }
+    await recordDuelRevision(duelId, challengerId, { wager, map: duelMap, banned_weapons: bannedWeaponsStr });
+    await publishDuelEvent({ id: duelId, challenger_id: challengerId, opponent_id: opponentId }, 'challenge_received', {}, challengerId);
+    return duelId;
+}
+
+/**
+ * Moves the challenger's reserved gems up or down so they match a new amount.
+ * @param {object} duel The pending duel row.
+ * @param {number} newHold The amount that should be reserved afterwards.
+ * @returns {Promise<boolean>} False if the challenger cannot cover the increase.
+ */
+async function adjustChallengerHold(duel, newHold) {
+    const difference = newHold - duel.challenger_hold;
+    if (difference === 0) {
+        return true;
+    }
+    if (difference > 0) {
+        const challenger = await db.get('SELECT gems FROM users WHERE id = ?', [duel.challenger_id]);
+        if (!challenger || challenger.gems < difference) {
+            return false;
+        }
+        await recordTransaction({ userId: duel.challenger_id, type: 'duel_wager', amount: -difference, description: `Wager raised for challenge #${duel.id}`, referenceType: 'duel', referenceId: duel.id });
+    } else {
+        await recordTransaction({ userId: duel.challenger_id, type: 'duel_refund', amount: -difference, description: `Wager lowered for challenge #${duel.id}`, referenceType: 'duel', referenceId: duel.id });
+    }
+    await db.run('UPDATE duels SET challenger_hold = ? WHERE id = ?', [newHold, duel.id]);
+    duel.challenger_hold = newHold;
+    return true;
+}
+
+/**
+ * Returns the players on each side of a duel. For a one-on-one duel these are just the two players.
+ * @param {object} duel The duel row.
+ * @returns {Promise<{ challenger: string[], opponent: string[] }>} User ids, captains first.
+ */
+async function getDuelTeams(duel) {
+    if (!(duel.team_size > 1)) {
+        return { challenger: [duel.challenger_id], opponent: [duel.opponent_id] };
+    }
+    const participants = await db.all("SELECT user_id, team FROM duel_participants WHERE duel_id = ? AND status != 'declined' ORDER BY id ASC", [duel.id]);
+    return {
+        challenger: participants.filter(p => p.team === 'challenger').map(p => p.user_id),
+        opponent: participants.filter(p => p.team === 'opponent').map(p => p.user_id)
+    };
+}
+
+/**
+ * Finds the captain of the side a player is on. Results are recorded against captains.
+ * @param {object} duel The duel row.
+ * @param {string} userId Any player in the duel.
+ * @returns {Promise<string|null>} The captain's id, or null if the user is not in the duel.
+ */
+async function getCaptainFor(duel, userId) {
+    const teams = await getDuelTeams(duel);
+    if (teams.challenger.includes(userId)) return duel.challenger_id;
+    if (teams.opponent.includes(userId)) return duel.opponent_id;
+    return null;
+}
+
+/**
+ * Picks a server, computes the pot and tax, marks the duel accepted and queues the REFEREE_DUEL task.
+ * A duel scheduled for later is left for the cron to queue shortly before its start time, and a duel with
+ * a veto is queued once the veto is done. Every player's wager must already have been debited.
+ * @param {object} duel The pending duel row.
+ * @param {string} serverLink
+ * @param {{ actor: string, actorId?: string }} context Who accepted the duel, for the audit trail.
+ */
+async function lockInDuel(duel, serverLink, context) {
+    const teamSize = duel.team_size || 1;
+    const totalPot = duel.wager * 2 * teamSize;
+    let taxCollected = 0;
+    if (totalPot > 100) { taxCollected = Math.ceil(totalPot * 0.01); }
+    const finalPot = totalPot - taxCollected;
+
+    const accepted = await transitionDuel(duel, 'accept', { ...context, changes: { server_invite_link: serverLink, pot: finalPot, tax_collected: taxCollected } });
+    await queueRefereeTaskWhenDue(accepted);
+}
+
+/**
+ * Queues the REFEREE_DUEL task for an accepted duel unless its veto is still running or it is scheduled
+ * for later than SCHEDULED_DUEL_LEAD_MINUTES from now. Must be called inside a transaction.
+ * @param {object} duel The accepted duel row.
+ * @returns {Promise<boolean>} Whether the task was queued.
+ */
+async function queueRefereeTaskWhenDue(duel) {
+    if (duel.veto_phase === 'maps' || duel.veto_phase === 'weapons') {
+        return false;
+    }
+    const { isLater } = await db.get(
+        "SELECT COALESCE(scheduled_for > datetime('now', ?), 0) as isLater FROM duels WHERE id = ?",
+        [`+${SCHEDULED_DUEL_LEAD_MINUTES} minutes`, duel.id]
+    );
+    if (isLater) {
+        return false;
+    }
+    await queueRefereeTask(duel);
+    return true;
+}
+
+/**
+ * Whether a scheduled challenge's start time is more than SCHEDULED_DUEL_GRACE_MINUTES in the past.
+ * @param {object} duel The duel row.
+ * @returns {Promise<boolean>}
+ */
+async function isPastStartTime(duel) {
+    const { isPast } = await db.get(
+        "SELECT COALESCE(scheduled_for <= datetime('now', ?), 0) as isPast FROM duels WHERE id = ?",
+        [`-${SCHEDULED_DUEL_GRACE_MINUTES} minutes`, duel.id]
+    );
+    return !!isPast;
+}
+
+/**
+ * Hands an accepted duel to the referee bot by queueing its REFEREE_DUEL task.
+ * Must be called inside a transaction.
+ * @param {object} duel The accepted duel row.
+ */
+async function queueRefereeTask(duel) {
+    const teamSize = duel.team_size || 1;
+    const serverLink = duel.server_invite_link;
+    const teams = await getDuelTeams(duel);
+    const usernameOf = async (userId) => (await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [userId])).linked_roblox_username;
+    const challengerNames = [];
+    for (const userId of teams.challenger) challengerNames.push(await usernameOf(userId));
+    const opponentNames = [];
+    for (const userId of teams.opponent) opponentNames.push(await usernameOf(userId));
+    const mapInfo = GAME_DATA.maps.find(m => m.id === duel.map);
+
+    const taskPayload = {
+        websiteDuelId: duel.id, serverLink: serverLink,
+        challenger: challengerNames[0], opponent: opponentNames[0],
+        map: mapInfo ? mapInfo.name : duel.map,
+        bannedWeapons: JSON.parse(duel.banned_weapons || '[]').map(id => GAME_DATA.weapons.find(w => w.id === id)?.name || id),
+        wager: duel.wager,
+        bestOf: duel.best_of,
+        teamSize,
+        teams: { challenger: challengerNames, opponent: opponentNames },
+        players: [...challengerNames, ...opponentNames],
+        ...(duel.tournament_id ? { tournamentId: duel.tournament_id } : {}),
+    };
+    await db.run('INSERT INTO tasks (task_type, payload) VALUES (?, ?)', ['REFEREE_DUEL', JSON.stringify(taskPayload)]);
+    await db.run('UPDATE duels SET referee_queued_at = CURRENT_TIMESTAMP WHERE id = ?', [duel.id]);
+}
+
+async function pickServer(region) {
+    const servers = await db.all('SELECT server_link FROM region_servers WHERE region = ? AND is_active = TRUE', [region]);
+    if (!servers || servers.length === 0) {
+        return null;
+    }
+    return servers[Math.floor(Math.random() * servers.length)].server_link;
+}
+
+/**
+ * Accepts a pending duel on its current terms: settles the challenger's hold, debits the
+ * opponent, picks a server, computes the pot and tax and queues the REFEREE_DUEL task.
+ * Must be called inside a transaction; the caller rolls back if an error message is returned.
+ * @param {object} duel The pending duel row.
+ * @param {string} acceptingUserId The participant accepting the current terms.
+ * @param {string} [actor='player'] 'system' when the server accepts on the player's behalf, e.g. the matchmaker.
+ * @returns {Promise<string|null>} A user-facing error message, or null if the duel was accepted.
+ */
+async function acceptDuel(duel, acceptingUserId, actor = 'player') {
+    if (await isPastStartTime(duel)) {
+        return `This challenge was scheduled for ${duel.scheduled_for} UTC and can no longer be accepted.`;
+    }
+    const lacksGemsMessage = (userId) => userId === acceptingUserId
+        ? 'You do not have enough gems.'
+        : (userId === duel.challenger_id ? 'The challenger no longer has enough gems.' : 'Your opponent no longer has enough gems.');
+
+    const serverLink = await pickServer(duel.region);
+    if (!serverLink) {
+        return `No available servers for the selected region (${duel.region}).`;
+    }
+
+    if (!(await adjustChallengerHold(duel, duel.wager))) {
+        return lacksGemsMessage(duel.challenger_id);
+    }
+    const opponent = await db.get('SELECT gems FROM users WHERE id = ?', [duel.opponent_id]);
+    if (!opponent || opponent.gems < duel.wager) {
+        return lacksGemsMessage(duel.opponent_id);
+    }
+    await recordTransaction({ userId: duel.opponent_id, type: 'duel_wager', amount: -duel.wager, description: `Wager for duel #${duel.id}`, referenceType: 'duel', referenceId: duel.id });
+
+    await lockInDuel(duel, serverLink, { actor, actorId: acceptingUserId });
+    return null;
+}
+
+/**
+ * Creates the duel for a tournament match and hands it straight to the referee bot.
+ * Tournament duels carry no wager; the entry fees are held by the tournament instead.
+ * Must be called inside a transaction.
+ * @param {object} match
+ * @param {number} match.tournamentId
+ * @param {string} match.player1Id Plays as the challenger.
+ * @param {string} match.player2Id Plays as the opponent.
+ * @param {string} match.map The map id.
+ * @param {string} match.region The server region.
+ * @returns {Promise<number|null>} The new duel id, or null if no server is available in the region.
+ */
+async function createTournamentDuel({ tournamentId, player1Id, player2Id, map, region }) {
+    const serverLink = await pickServer(region);
+    if (!serverLink) {
+        return null;
+    }
+    const duelId = await insertDuel(
+        'INSERT INTO duels (challenger_id, opponent_id, wager, banned_weapons, map, region, tournament_id) VALUES (?, ?, 0, ?, ?, ?, ?)',
+        [player1Id, player2Id, '[]', map, region, tournamentId]
+    );
+    const duel = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
+    await recordDuelCreated(duel.id, { actor: 'system', note: `Tournament #${tournamentId}` });
+    await lockInDuel(duel, serverLink, { actor: 'system' });
+    return duel.id;
+}
+
+/**
+ * Answers a team duel invite. Joining debits the player's contribution; once every invited
+ * player has joined the duel is locked in. Declining cancels the whole duel and returns
+ * every contribution. Must be called inside a transaction; the caller rolls back if an error
+ * message is returned.
+ * @param {object} duel The pending team duel row.
+ * @param {string} userId The invited player.
+ * @param {'accept'|'decline'} response
+ * @returns {Promise<string|null>} A user-facing error message, or null on success.
+ */
+async function respondToTeamInvite(duel, userId, response) {
+    const participant = await db.get("SELECT * FROM duel_participants WHERE duel_id = ? AND user_id = ? AND status = 'invited'", [duel.id, userId]);
+    if (!participant) {
+        return 'You have no open invite for this duel.';
+    }
+
+    if (response === 'decline') {
+        await db.run("UPDATE duel_participants SET status = 'declined', responded_at = CURRENT_TIMESTAMP WHERE id = ?", [participant.id]);
+        await transitionDuel(duel, 'decline', { actor: 'player', actorId: userId, description: `Team duel #${duel.id} was declined` });
+        return null;
+    }
+
+    if (await isPastStartTime(duel)) {
+        return `This challenge was scheduled for ${duel.scheduled_for} UTC and can no longer be accepted.`;
+    }
+    const user = await db.get('SELECT gems FROM users WHERE id = ?', [userId]);
+    if (!user || user.gems < duel.wager) {
+        return 'You do not have enough gems.';
+    }
+    await recordTransaction({ userId, type: 'duel_wager', amount: -duel.wager, description: `Wager for team duel #${duel.id}`, referenceType: 'duel', referenceId: duel.id });
+    await db.run("UPDATE duel_participants SET status = 'joined', contribution = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?", [duel.wager, participant.id]);
+
+    const { waiting } = await db.get("SELECT COUNT(*) as waiting FROM duel_participants WHERE duel_id = ? AND status = 'invited'", [duel.id]);
+    if (waiting > 0) {
+        await publishDuelEvent(duel, 'duel_updated', {}, userId);
+        return null;
+    }
+    const serverLink = await pickServer(duel.region);
+    if (!serverLink) {
+        return `No available servers for the selected region (${duel.region}).`;
+    }
+    await lockInDuel(duel, serverLink, { actor: 'player', actorId: userId });
+    return null;
+}
+
+/**
+ * Pays a decided duel's pot to the winning side. A team's pot is shared equally,
+ * with any remainder going to the captain.
+ * @param {object} duel The duel row.
+ * @param {string} winnerId The winning player (the captain for a team duel).
+ * @param {string} description Human readable description shown in each winner's history.
+ */
+async function payoutDuelWinner(duel, winnerId, description) {
+    const teams = await getDuelTeams(duel);
+    const winners = teams.challenger.includes(winnerId) ? teams.challenger : teams.opponent;
+    const share = Math.floor(duel.pot / winners.length);
+    for (const [index, userId] of winners.entries()) {
+        const amount = index === 0 ? duel.pot - share * (winners.length - 1) : share;
+        await recordTransaction({ userId, type: 'duel_win', amount, description, referenceType: 'duel', referenceId: duel.id });
+    }
+}
+
+/**
+ * Returns a voided duel's pot to everyone who played in it.
+ * @param {object} duel The duel row.
+ * @param {string} description Human readable description shown in each player's history.
+ * @param {number} [amount] How much to return in total. Defaults to the pot; a no-contest also returns the tax.
+ */
+async function refundDuelPot(duel, description, amount = duel.pot) {
+    if (!(duel.team_size > 1)) {
+        const { challengerShare, opponentShare } = splitPot(amount);
+        await recordTransaction({ userId: duel.challenger_id, type: 'duel_refund', amount: challengerShare, description, referenceType: 'duel', referenceId: duel.id });
+        await recordTransaction({ userId: duel.opponent_id, type: 'duel_refund', amount: opponentShare, description, referenceType: 'duel', referenceId: duel.id });
+        return;
+    }
+    const teams = await getDuelTeams(duel);
+    const players = [...teams.challenger, ...teams.opponent];
+    const share = Math.floor(amount / players.length);
+    for (const [index, userId] of players.entries()) {
+        const refund = index === 0 ? amount - share * (players.length - 1) : share;
+        await recordTransaction({ userId, type: 'duel_refund', amount: refund, description, referenceType: 'duel', referenceId: duel.id });
+    }
+}
+
+/**
+ * Marks a player's side of an accepted duel as ready. In a team duel any player can ready their side.
+ * Once both sides are ready the duel starts. Must be called inside a transaction.
+ * @param {object} duel The accepted duel row.
+ * @param {string} userId The player marking ready.
+ * @returns {Promise<boolean>} True if this started the duel.
+ */
+async function markDuelReady(duel, userId) {
+    const captainId = await getCaptainFor(duel, userId);
+    const column = captainId === duel.challenger_id ? 'challenger_ready_at' : 'opponent_ready_at';
+    await db.run(`UPDATE duels SET ${column} = COALESCE(${column}, CURRENT_TIMESTAMP) WHERE id = ?`, [duel.id]);
+    const { challenger_ready_at, opponent_ready_at } = await db.get('SELECT challenger_ready_at, opponent_ready_at FROM duels WHERE id = ?', [duel.id]);
+    if (!challenger_ready_at || !opponent_ready_at) {
+        await publishDuelEvent(duel, 'duel_updated', {}, userId);
+        return false;
+    }
+    await transitionDuel(duel, 'start', { actor: 'player', actorId: userId, note: 'Both sides ready' });
+    return true;
+}
+
+/**
+ * Records the winner of one round of a started duel and updates the series score.
+ * Once a player reaches a majority of the rounds the caller reports the series winner
+ * exactly like a single-round result, so the pot is only settled once the series is clinched.
+ * Must be called inside a transaction.
+ * @param {object} duel The started duel row.
+ * @param {number} roundNumber The round number reported by the bot.
+ * @param {string} winnerId The player who won the round, or their captain in a team duel.
+ * @returns {Promise<string|null>} The series winner if this round clinched it, otherwise null.
+ */
+async function recordRoundResult(duel, roundNumber, winnerId) {
+    await db.run('INSERT INTO duel_rounds (duel_id, round_number, winner_id) VALUES (?, ?, ?)', [duel.id, roundNumber, winnerId]);
+    // In a team duel winnerId is the captain of the side that took the round.
+    const scoreColumn = winnerId === duel.challenger_id ? 'challenger_score' : 'opponent_score';
+    await db.run(`UPDATE duels SET ${scoreColumn} = ${scoreColumn} + 1 WHERE id = ?`, [duel.id]);
+
+    const { challenger_score, opponent_score } = await db.get('SELECT challenger_score, opponent_score FROM duels WHERE id = ?', [duel.id]);
+    const roundsToWin = Math.floor((duel.best_of || 1) / 2) + 1;
+    return Math.max(challenger_score, opponent_score) >= roundsToWin ? winnerId : null;
+}
+
+module.exports = {
+    READY_CHECK_TIMEOUT_MINUTES,
+    SCHEDULED_DUEL_LEAD_MINUTES,
+    SCHEDULED_DUEL_GRACE_MINUTES,
+    recordDuelRevision,
+    createDuel,
+    adjustChallengerHold,
+    acceptDuel,
+    queueRefereeTask,
+    queueRefereeTaskWhenDue,
+    respondToTeamInvite,
+    createTournamentDuel,
+    getDuelTeams,
+    getCaptainFor,
+    payoutDuelWinner,
+    refundDuelPot,
+    markDuelReady,
+    recordRoundResult
+};
@@ -0,0 +1,167 @@
+// backend/services/emailService.js
+// This service queues emails and sends them in the background. Nothing sends an email inline: callers queue it,
+// and a worker picks up due emails, hands them to the configured transport and retries failures with a growing delay.
+//
+// EMAIL_TRANSPORT picks how emails leave the server:
+//   smtp   - through the SMTP server in SMTP_HOST, SMTP_PORT, SMTP_USER and SMTP_PASS. Used in production.
+//   outbox - written as .eml files to EMAIL_OUTBOX_DIR, which any mail client can open. Used in development.
+// If it is not set, SMTP is used whenever SMTP_HOST is, and the outbox otherwise. In production the outbox has to be
+// asked for explicitly: without SMTP_HOST, emails are queued but not sent until SMTP is configured.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const db = require('../database/database');
+const { isNotificationEnabled } = require('./notificationPreferenceService');
+const { EMAIL_TEMPLATES, renderEmail } = require('./emailTemplates');
+
+// --- Configuration ---
+const EMAIL_QUEUE_INTERVAL_SECONDS = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS, 10) || 30;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Blox Battles <no-reply@bloxbattles.local>';
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'email-outbox');
+// How long to wait before each retry. An email that still fails after the last one is marked as failed.
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const EMAILS_PER_RUN = 20;
+
+const toMailOptions = (email) => ({
+    from: EMAIL_FROM,
+    to: email.to_address,
+    subject: email.subject,
+    html: email.html_body,
+    text: email.text_body
+});
+
+// Each transport sends one row of the email queue and throws if it could not.
+const TRANSPORTS = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return (email) => transporter.sendMail(toMailOptions(email));
+    },
+    outbox: () => {
+        // Builds the full message without sending it anywhere.
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return async (email) => {
+            const info = await transporter.sendMail(toMailOptions(email));
+            await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+            await fs.promises.writeFile(path.join(EMAIL_OUTBOX_DIR, `${email.id}-${email.template}.eml`), info.message);
+        };
+    }
+};
+
+const transportName = process.env.EMAIL_TRANSPORT
+    || (process.env.SMTP_HOST ? 'smtp' : (process.env.NODE_ENV === 'production' ? null : 'outbox'));
+let sendEmail = null;
+let isProcessing = false;
+
+// Created on first use, so a misconfigured transport is reported by the worker rather than at require time.
+function getTransport() {
+    if (!sendEmail) {
+        if (!transportName) {
+            throw new Error('No email transport is configured. Set SMTP_HOST or EMAIL_TRANSPORT.');
+        }
+        if (!TRANSPORTS[transportName]) {
+            throw new Error(`Unknown email transport: ${transportName}`);
+        }
+        sendEmail = TRANSPORTS[transportName]();
+    }
+    return sendEmail;
+}
+
+/**
+ * Renders an email for a player and queues it, unless they turned off emails for this kind of event.
+ * This is part of the caller's transaction if there is one, so errors are thrown as usual.
+ * @param {string} userId
+ * @param {string} template One of the keys of EMAIL_TEMPLATES.
+ * @param {object} [data] Whatever the template needs.
+ * @returns {Promise<boolean>} True if the email was queued.
+ */
+async function queueEmail(userId, template, data = {}) {
+    const emailTemplate = EMAIL_TEMPLATES[template];
+    if (!emailTemplate) {
+        throw new Error(`Unknown email template: ${template}`);
+    }
+    if (!await isNotificationEnabled(userId, emailTemplate.event, 'email')) {
+        return false;
+    }
+    const user = await db.get('SELECT email, linked_roblox_username FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        return false;
+    }
+    const { subject, html, text } = renderEmail(template, data, user.linked_roblox_username || 'there');
+    await db.run(
+        'INSERT INTO email_queue (user_id, to_address, template, subject, html_body, text_body) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, user.email, template, subject, html, text]
+    );
+    return true;
+}
+
+/**
+ * Sends the emails that are due. A failed email is retried after the next delay in RETRY_DELAYS_MINUTES,
+ * and marked as failed once those run out.
+ * @returns {Promise<number>} How many emails were sent.
+ */
+async function processEmailQueue() {
+    const dueEmails = await db.all(
+        "SELECT * FROM email_queue WHERE status = 'pending' AND next_attempt_at <= datetime('now') ORDER BY id ASC LIMIT ?",
+        [EMAILS_PER_RUN]
+    );
+    let sent = 0;
+    for (const email of dueEmails) {
+        const attempts = email.attempts + 1;
+        try {
+            await getTransport()(email);
+            await db.run("UPDATE email_queue SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?", [attempts, email.id]);
+            sent++;
+        } catch (err) {
+            if (attempts > RETRY_DELAYS_MINUTES.length) {
+                await db.run("UPDATE email_queue SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?", [attempts, err.message, email.id]);
+                console.error(`[Email] Gave up on email ${email.id} to ${email.to_address} after ${attempts} attempts:`, err.message);
+            } else {
+                const delay = RETRY_DELAYS_MINUTES[attempts - 1];
+                await db.run(
+                    "UPDATE email_queue SET attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?",
+                    [attempts, err.message, `+${delay} minutes`, email.id]
+                );
+                console.warn(`[Email] Failed to send email ${email.id} to ${email.to_address}, retrying in ${delay} minutes:`, err.message);
+            }
+        }
+    }
+    return sent;
+}
+
+/**
+ * Starts the worker that sends queued emails at a regular interval.
+ */
+function startEmailService() {
+    if (!transportName) {
+        console.error('[Email] SMTP_HOST is not set, so no emails will be sent. They stay queued until SMTP_HOST or EMAIL_TRANSPORT is configured.');
+        return;
+    }
+    console.log(`[Email] Starting email service with the ${transportName} transport. Interval: ${EMAIL_QUEUE_INTERVAL_SECONDS} seconds.`);
+    if (transportName === 'outbox') {
+        console.log(`[Email] Emails will be written to ${EMAIL_OUTBOX_DIR}.`);
+    }
+    setInterval(async () => {
+        // Sending can take longer than the interval; never work through the queue twice at once.
+        if (isProcessing) return;
+        isProcessing = true;
+        try {
+            await processEmailQueue();
+        } catch (error) {
+            console.error('[Email] Email queue run failed:', error);
+        } finally {
+            isProcessing = false;
+        }
+    }, EMAIL_QUEUE_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = {
+    queueEmail,
+    processEmailQueue,
+    startEmailService
+};
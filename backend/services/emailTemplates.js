@@ -0,0 +1,135 @@
+// backend/services/emailTemplates.js
+// This file holds the emails the platform sends. Every template is rendered twice, as HTML and as plain
+// text, from the same heading, paragraphs and optional button, so the two versions never drift apart.
+
+const APP_URL = process.env.SERVER_URL || 'http://localhost:3000';
+
+// Each template names the notification preference it falls under and builds its content from the data
+// passed to queueEmail.
+const EMAIL_TEMPLATES = {
+    challenge_received: {
+        event: 'challenge_received',
+        build: ({ from, wager, duelId, counterOffer }) => counterOffer
+            ? {
+                subject: `${from} sent you a counter-offer`,
+                heading: 'New terms for your duel',
+                paragraphs: [`${from} proposed new terms for duel #${duelId}: ${wager} gems.`, 'Accept, decline or counter from your inbox.'],
+                action: { label: 'Review the Offer', path: '/dashboard' }
+            }
+            : {
+                subject: `${from} challenged you to a duel`,
+                heading: 'You have a new challenge',
+                paragraphs: [`${from} challenged you to a duel for ${wager} gems.`, 'Accept, decline or counter from your inbox.'],
+                action: { label: 'View the Challenge', path: '/dashboard' }
+            }
+    },
+    payout_approved: {
+        event: 'payout_update',
+        build: ({ amountGems }) => ({
+            subject: 'Your withdrawal was approved',
+            heading: 'Withdrawal approved',
+            paragraphs: [`Your request to withdraw ${amountGems} gems has been approved.`, 'Confirm the payout from your inbox to receive it.'],
+            action: { label: 'Confirm the Payout', path: '/dashboard' }
+        })
+    },
+    payout_declined: {
+        event: 'payout_update',
+        build: ({ amountGems, reason }) => ({
+            subject: 'Your withdrawal was declined',
+            heading: 'Withdrawal declined',
+            paragraphs: [`Your request to withdraw ${amountGems} gems was declined.`, `Reason: ${reason}`, 'The gems have been returned to your balance.']
+        })
+    },
+    account_banned: {
+        event: 'admin_message',
+        build: ({ reason, expiresAt }) => ({
+            subject: 'Your Blox Battles account has been banned',
+            heading: 'Your account has been banned',
+            paragraphs: [
+                `Reason: ${reason}`,
+                expiresAt ? `The ban ends on ${new Date(expiresAt).toUTCString()}.` : 'This ban does not expire.',
+                'Your pending withdrawals and challenges were canceled, and wagers in accepted duels were refunded to the other players. You can appeal by signing in.'
+            ],
+            action: { label: 'Sign In', path: '/signin' }
+        })
+    },
+    dispute_opened: {
+        event: 'duel_result',
+        build: ({ reporter, duelId }) => ({
+            subject: `The result of duel #${duelId} was disputed`,
+            heading: 'A result you are part of was disputed',
+            paragraphs: [`${reporter} disputed the result of duel #${duelId}.`, 'An admin will review the duel and you will be told the outcome.']
+        })
+    },
+    dispute_resolved: {
+        event: 'duel_result',
+        build: ({ duelId, outcome }) => ({
+            subject: `The dispute on duel #${duelId} was resolved`,
+            heading: 'Dispute resolved',
+            paragraphs: [`An admin reviewed duel #${duelId}.`, outcome],
+            action: { label: 'Open Your Dashboard', path: '/dashboard' }
+        })
+    }
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function renderHtml({ heading, paragraphs, action }, username) {
+    const button = action
+        ? `<p style="margin:24px 0;"><a href="${escapeHtml(APP_URL + action.path)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>`
+        : '';
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#111827;font-family:Arial,Helvetica,sans-serif;color:#e5e7eb;">
+  <div style="max-width:560px;margin:0 auto;background:#1f2937;border-radius:8px;padding:32px;">
+    <h1 style="margin-top:0;font-size:22px;color:#ffffff;">${escapeHtml(heading)}</h1>
+    <p>Hi ${escapeHtml(username)},</p>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${button}
+    <p style="font-size:12px;color:#9ca3af;margin-top:32px;">You are receiving this because of your notification settings on Blox Battles. You can change which emails you get on your settings page.</p>
+  </div>
+</body>
+</html>`;
+}
+
+function renderText({ heading, paragraphs, action }, username) {
+    return [
+        heading,
+        '',
+        `Hi ${username},`,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...(action ? [`${action.label}: ${APP_URL}${action.path}`, ''] : []),
+        'You are receiving this because of your notification settings on Blox Battles. You can change which emails you get on your settings page.'
+    ].join('\n');
+}
+
+/**
+ * Renders one email.
+ * @param {string} template One of the keys of EMAIL_TEMPLATES.
+ * @param {object} data Whatever the template's builder needs.
+ * @param {string} username How the recipient is greeted.
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderEmail(template, data, username) {
+    const emailTemplate = EMAIL_TEMPLATES[template];
+    if (!emailTemplate) {
+        throw new Error(`Unknown email template: ${template}`);
+    }
+    const content = emailTemplate.build(data);
+    return {
+        subject: content.subject,
+        html: renderHtml(content, username),
+        text: renderText(content, username)
+    };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    renderEmail
+};
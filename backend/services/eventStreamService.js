@@ -0,0 +1,145 @@
+// backend/services/eventStreamService.js
+// This service pushes live events to signed-in players over Server-Sent Events, so the dashboard can
+// refresh the moment something changes instead of polling. Each player may have several streams open
+// (one per tab). Events only say what changed; the client fetches the details through the usual endpoints.
+// The browser's EventSource cannot send an Authorization header, and a login token in the URL would end up in
+// request logs, so each stream is opened with a short-lived ticket that can only be used once.
+
+const crypto = require('crypto');
+const db = require('../database/database');
+
+const EVENT_TYPES = [
+    'challenge_received',
+    'challenge_accepted',
+    'challenge_declined',
+    'duel_started',
+    'duel_updated',
+    'player_joined',
+    'result_ready',
+    'payout_status_changed',
+    'balance_changed',
+    'notification_created'
+];
+
+// Proxies close connections that stay quiet, so each stream gets a comment line this often.
+const HEARTBEAT_SECONDS = 25;
+
+// How long a stream ticket stays valid. The client asks for one right before it connects.
+const TICKET_TTL_SECONDS = 30;
+
+// userId -> Set of open responses
+const streams = new Map();
+
+// ticket -> { userId, expiresAt }
+const tickets = new Map();
+
+/**
+ * Issues a single-use ticket that opens one event stream for a player.
+ * @param {string} userId
+ * @returns {string}
+ */
+function issueStreamTicket(userId) {
+    const now = Date.now();
+    for (const [ticket, entry] of tickets) {
+        if (entry.expiresAt <= now) {
+            tickets.delete(ticket);
+        }
+    }
+    const ticket = crypto.randomBytes(24).toString('hex');
+    tickets.set(ticket, { userId, expiresAt: now + TICKET_TTL_SECONDS * 1000 });
+    return ticket;
+}
+
+/**
+ * Uses up a stream ticket.
+ * @param {string} ticket
+ * @returns {string|null} The player it was issued to, or null if it is unknown, used or expired.
+ */
+function redeemStreamTicket(ticket) {
+    const entry = tickets.get(ticket);
+    if (!entry) {
+        return null;
+    }
+    tickets.delete(ticket);
+    return entry.expiresAt > Date.now() ? entry.userId : null;
+}
+
+/**
+ * Opens an event stream on a response and keeps it open until the client goes away.
+ * @param {string} userId The signed-in player.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function openEventStream(userId, req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!streams.has(userId)) {
+        streams.set(userId, new Set());
+    }
+    streams.get(userId).add(res);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const userStreams = streams.get(userId);
+        if (userStreams) {
+            userStreams.delete(res);
+            if (userStreams.size === 0) {
+                streams.delete(userId);
+            }
+        }
+    });
+}
+
+/**
+ * Sends an event to every open stream of the given players. Players without an open stream are skipped;
+ * they pick up the change the next time the dashboard loads.
+ * @param {string|string[]} userIds
+ * @param {string} type One of EVENT_TYPES.
+ * @param {object} [data] A small payload, e.g. the duel id.
+ */
+function publishEvent(userIds, type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${type}`);
+    }
+    const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const userId of new Set([].concat(userIds))) {
+        for (const res of streams.get(userId) || []) {
+            res.write(payload);
+        }
+    }
+}
+
+/**
+ * Sends an event to every player in a duel, including the invited players of a team duel.
+ * Failures are logged rather than thrown, since this is called in the middle of the duel's own transaction.
+ * @param {object} duel The duel row, at least its id, challenger_id and opponent_id.
+ * @param {string} type One of EVENT_TYPES.
+ * @param {object} [data] Extra payload; the duel id is always included.
+ * @param {string} [exceptUserId] A player who should not be told, usually the one who caused the event.
+ */
+async function publishDuelEvent(duel, type, data = {}, exceptUserId = null) {
+    try {
+        const participants = await db.all("SELECT user_id FROM duel_participants WHERE duel_id = ? AND status != 'declined'", [duel.id]);
+        const userIds = [duel.challenger_id, duel.opponent_id, ...participants.map(p => p.user_id)]
+            .filter(userId => userId && userId !== exceptUserId);
+        publishEvent(userIds, type, { duelId: duel.id, ...data });
+    } catch (err) {
+        console.error(`Failed to publish ${type} for duel ${duel.id}:`, err);
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    issueStreamTicket,
+    redeemStreamTicket,
+    openEventStream,
+    publishEvent,
+    publishDuelEvent
+};
@@ -0,0 +1,136 @@
+// backend/services/ledgerService.js
+// This service is the single entry point for every change to a user's gem balance.
+// Each call adjusts `users.gems` and writes a matching row to `transaction_history`,
+// so a player's history always adds up to their current balance.
+
+const db = require('../database/database');
+const { publishEvent } = require('./eventStreamService');
+
+// --- Ledger Entry Types ---
+// These must stay in sync with the CHECK constraint on transaction_history.type.
+const LEDGER_TYPES = [
+    'deposit_stripe',
+    'deposit_crypto',
+    'withdrawal',
+    'withdrawal_refund',
+    'duel_wager',
+    'duel_win',
+    'duel_refund',
+    'admin_adjustment',
+    'account_bonus',
+    'tournament_entry',
+    'tournament_prize',
+    'tournament_refund'
+];
+
+// What a ledger entry's reference_id points at.
+const REFERENCE_TYPES = ['duel', 'payout', 'deposit', 'tournament'];
+
+// --- Duel Escrow ---
+// A challenger's wager is debited when the challenge is sent, so while a duel is in one of
+// HOLD_DUEL_STATUSES only the challenger has gems in it (tracked in duels.challenger_hold, which
+// can differ from the wager while a counter-offer is on the table). Once accepted, both wagers sit in the pot.
+const HOLD_DUEL_STATUSES = ['pending'];
+const ESCROW_DUEL_STATUSES = ['accepted', 'started', 'completed_unseen', 'under_review'];
+
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+/**
+ * Applies a signed gem amount to a user's balance and records it in the ledger.
+ * This function does not open its own transaction; callers that move gems between
+ * several users are expected to wrap their calls in BEGIN/COMMIT as usual.
+ * @param {object} entry
+ * @param {string} entry.userId The user whose balance changes.
+ * @param {string} entry.type One of LEDGER_TYPES.
+ * @param {number} entry.amount Signed integer amount (negative for debits).
+ * @param {string} [entry.description] Human readable description shown in the user's history.
+ * @param {string} [entry.referenceType] One of REFERENCE_TYPES.
+ * @param {string|number} [entry.referenceId] The id of the duel, payout request or deposit.
+ * @returns {Promise<number>} The user's balance after the entry was applied.
+ */
+async function recordTransaction({ userId, type, amount, description = null, referenceType = null, referenceId = null }) {
+    if (!LEDGER_TYPES.includes(type)) {
+        throw new Error(`Unknown ledger entry type: ${type}`);
+    }
+    if (referenceType !== null && !REFERENCE_TYPES.includes(referenceType)) {
+        throw new Error(`Unknown ledger reference type: ${referenceType}`);
+    }
+    if (!Number.isInteger(amount)) {
+        throw new Error(`Ledger amounts must be whole gems. Received: ${amount}`);
+    }
+
+    await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [amount, userId]);
+    const user = await db.get('SELECT gems FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        throw new Error(`Cannot record ledger entry for unknown user ${userId}.`);
+    }
+
+    await db.run(
+        `INSERT INTO transaction_history (user_id, type, amount_gems, balance_after, description, reference_type, reference_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, type, amount, user.gems, description, referenceType, referenceId !== null ? String(referenceId) : null]
+    );
+    publishEvent(userId, 'balance_changed', { gems: user.gems });
+
+    return user.gems;
+}
+
+/**
+ * Splits a duel pot into two whole-gem refunds. Any odd gem goes to the challenger.
+ * @param {number} pot The pot to split.
+ * @returns {{ challengerShare: number, opponentShare: number }}
+ */
+function splitPot(pot) {
+    const opponentShare = Math.floor(pot / 2);
+    return { challengerShare: pot - opponentShare, opponentShare };
+}
+
+/**
+ * Returns the reserved wagers for a challenge that never became a duel. For a team duel
+ * this is every player who has already joined; otherwise it is the challenger's hold.
+ * @param {object} duel The duel row. Must still be in one of HOLD_DUEL_STATUSES.
+ * @param {string} description Human readable description shown in each player's history.
+ */
+async function releaseChallengeHold(duel, description) {
+    if (duel.team_size > 1) {
+        const contributors = await db.all('SELECT id, user_id, contribution FROM duel_participants WHERE duel_id = ? AND contribution > 0', [duel.id]);
+        for (const participant of contributors) {
+            await recordTransaction({ userId: participant.user_id, type: 'duel_refund', amount: participant.contribution, description, referenceType: 'duel', referenceId: duel.id });
+            await db.run('UPDATE duel_participants SET contribution = 0 WHERE id = ?', [participant.id]);
+        }
+        return;
+    }
+    await recordTransaction({ userId: duel.challenger_id, type: 'duel_refund', amount: duel.challenger_hold, description, referenceType: 'duel', referenceId: duel.id });
+}
+
+/**
+ * Sums the gems a user currently has locked in duels: wagers reserved by their own
+ * pending challenges plus their stake in every duel that has not been settled yet.
+ * Team duels track each player's stake on their duel_participants row instead.
+ * @param {string} userId The user to check.
+ * @returns {Promise<number>} The number of held gems.
+ */
+async function getHeldGems(userId) {
+    const row = await db.get(
+        `SELECT COALESCE(SUM(CASE WHEN status IN (${placeholders(HOLD_DUEL_STATUSES)}) THEN challenger_hold ELSE wager END), 0) as total FROM duels
+         WHERE team_size = 1 AND ((challenger_id = ? AND status IN (${placeholders(HOLD_DUEL_STATUSES)}))
+            OR ((challenger_id = ? OR opponent_id = ?) AND status IN (${placeholders(ESCROW_DUEL_STATUSES)})))`,
+        [...HOLD_DUEL_STATUSES, userId, ...HOLD_DUEL_STATUSES, userId, userId, ...ESCROW_DUEL_STATUSES]
+    );
+    const teamRow = await db.get(
+        `SELECT COALESCE(SUM(p.contribution), 0) as total FROM duel_participants p JOIN duels d ON p.duel_id = d.id
+         WHERE p.user_id = ? AND d.status IN (${placeholders([...HOLD_DUEL_STATUSES, ...ESCROW_DUEL_STATUSES])})`,
+        [userId, ...HOLD_DUEL_STATUSES, ...ESCROW_DUEL_STATUSES]
+    );
+    return row.total + teamRow.total;
+}
+
+module.exports = {
+    LEDGER_TYPES,
+    HOLD_DUEL_STATUSES,
+    ESCROW_DUEL_STATUSES,
+    recordTransaction,
+    splitPot,
+    releaseChallengeHold,
+    getHeldGems
+};
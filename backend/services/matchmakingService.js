@@ -0,0 +1,119 @@
+// backend/services/matchmakingService.js
+// This service runs the ranked matchmaking queue. Players wait in a queue for a region and wager tier,
+// and a background matcher pairs players of similar skill, widening each player's search range the
+// longer they wait. A pair is turned straight into an accepted duel; once the two players have vetoed
+// the map and weapons it is handed to the referee bot.
+
+const db = require('../database/database');
+const { createDuel, acceptDuel } = require('./duelService');
+const { notifyDuelPlayers } = require('./notificationService');
+
+// --- Configuration ---
+const MATCHMAKING_INTERVAL_SECONDS = parseInt(process.env.MATCHMAKING_INTERVAL_SECONDS, 10) || 10;
+// How far apart two ratings may be when a player first joins, and how fast and how far that range grows.
+const BASE_SEARCH_RANGE = 100;
+const SEARCH_RANGE_GROWTH_PER_MINUTE = 50;
+const MAX_SEARCH_RANGE = 600;
+
+// The wagers a player can queue for. Only players in the same tier are paired.
+const WAGER_TIERS = [50, 100, 250, 500, 1000];
+
+/**
+ * How far from their own rating a player will accept an opponent after waiting for a while.
+ * @param {number} waitSeconds
+ * @returns {number}
+ */
+function getSearchRange(waitSeconds) {
+    return Math.min(MAX_SEARCH_RANGE, BASE_SEARCH_RANGE + Math.floor(waitSeconds / 60 * SEARCH_RANGE_GROWTH_PER_MINUTE));
+}
+
+/**
+ * Turns a matched pair into an accepted duel. The two players then veto the map and weapons.
+ * The player who has waited longest becomes the challenger. Must be called inside a transaction.
+ * @returns {Promise<number|null>} The duel id, or null if the duel could not be set up.
+ */
+async function createMatchedDuel(first, second) {
+    const duelId = await createDuel({ challengerId: first.user_id, opponentId: second.user_id, wager: first.wager, map: null, bannedWeapons: [], region: first.region, veto: true, actor: 'system' });
+    if (!duelId) {
+        return null;
+    }
+    const duel = await db.get('SELECT * FROM duels WHERE id = ?', [duelId]);
+    const acceptError = await acceptDuel(duel, second.user_id, 'system');
+    return acceptError ? null : duelId;
+}
+
+/**
+ * Runs one matchmaking pass over every region and wager tier.
+ * Players who can no longer cover their wager are dropped from the queue.
+ * @returns {Promise<number>} The number of duels created.
+ */
+async function runMatchmaking() {
+    const entries = await db.all(`
+        SELECT q.*, u.gems, u.linked_roblox_username,
+               CAST(strftime('%s', 'now') - strftime('%s', q.joined_at) AS INTEGER) as wait_seconds
+        FROM matchmaking_queue q JOIN users u ON q.user_id = u.id
+        WHERE u.status = 'active'
+        ORDER BY q.joined_at ASC, q.id ASC
+    `);
+
+    const matched = new Set();
+    let duelsCreated = 0;
+    for (const entry of entries) {
+        if (matched.has(entry.user_id)) continue;
+        if (entry.gems < entry.wager || !entry.linked_roblox_username) {
+            await db.run('DELETE FROM matchmaking_queue WHERE id = ?', [entry.id]);
+            matched.add(entry.user_id);
+            continue;
+        }
+
+        const range = getSearchRange(entry.wait_seconds);
+        const candidates = entries.filter(other =>
+            other.user_id !== entry.user_id && !matched.has(other.user_id) &&
+            other.region === entry.region && other.wager === entry.wager &&
+            other.gems >= other.wager && other.linked_roblox_username &&
+            Math.abs(other.rating - entry.rating) <= range
+        );
+        if (candidates.length === 0) continue;
+        const opponent = candidates.reduce((best, other) =>
+            Math.abs(other.rating - entry.rating) < Math.abs(best.rating - entry.rating) ? other : best
+        );
+
+        await db.run('BEGIN TRANSACTION');
+        try {
+            const duelId = await createMatchedDuel(entry, opponent);
+            if (!duelId) {
+                // Usually no server is active in this region; leave both players queued and try again later.
+                await db.run('ROLLBACK');
+                continue;
+            }
+            await db.run('DELETE FROM matchmaking_queue WHERE user_id IN (?, ?)', [entry.user_id, opponent.user_id]);
+            await db.run('COMMIT');
+            notifyDuelPlayers(duelId, 'duel_accepted', { matchmade: true });
+            matched.add(entry.user_id);
+            matched.add(opponent.user_id);
+            duelsCreated++;
+            console.log(`[Matchmaking] Paired ${entry.linked_roblox_username} and ${opponent.linked_roblox_username} into duel #${duelId}.`);
+        } catch (error) {
+            await db.run('ROLLBACK').catch(console.error);
+            console.error(`[Matchmaking] Failed to pair queue entries ${entry.id} and ${opponent.id}:`, error);
+        }
+    }
+    return duelsCreated;
+}
+
+/**
+ * Starts the matcher to run at a regular interval.
+ */
+function startMatchmakingService() {
+    console.log(`[Matchmaking] Starting matchmaking service. Interval: ${MATCHMAKING_INTERVAL_SECONDS} seconds.`);
+    setInterval(() => {
+        runMatchmaking().catch(error => console.error('[Matchmaking] Matchmaking run failed:', error));
+    }, MATCHMAKING_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = {
+    WAGER_TIERS,
+    getSearchRange,
+    runMatchmaking,
+    startMatchmakingService
+};
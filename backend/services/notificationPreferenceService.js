@@ -0,0 +1,92 @@
+// backend/services/notificationPreferenceService.js
+// This service holds each player's notification preferences: for every kind of event, whether they want
+// to hear about it in their inbox, by web push and by email. Only the choices a player has changed are
+// stored; everything else falls back to DEFAULT_PREFERENCES. Every code path that notifies a player
+// checks here first.
+
+const db = require('../database/database');
+
+// The kinds of event a player can be notified about, in the order the settings page lists them.
+const NOTIFICATION_EVENTS = ['challenge_received', 'duel_accepted', 'duel_result', 'payout_update', 'admin_message', 'tournament'];
+
+const NOTIFICATION_CHANNELS = ['inbox', 'push', 'email'];
+
+// Inbox and push are on for everything. Email is kept for things a player should not miss: withdrawals,
+// disputes (the only duel results that are emailed) and messages from admins.
+const DEFAULT_PREFERENCES = Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, {
+    inbox: true,
+    push: true,
+    email: ['duel_result', 'payout_update', 'admin_message'].includes(event)
+}]));
+
+/**
+ * Returns a player's full preference matrix, with defaults filled in.
+ * @param {string} userId
+ * @returns {Promise<Object<string, { inbox: boolean, push: boolean, email: boolean }>>} Keyed by event.
+ */
+async function getNotificationPreferences(userId) {
+    const rows = await db.all('SELECT event, channel, enabled FROM notification_preferences WHERE user_id = ?', [userId]);
+    const preferences = JSON.parse(JSON.stringify(DEFAULT_PREFERENCES));
+    for (const row of rows) {
+        if (preferences[row.event] && row.channel in preferences[row.event]) {
+            preferences[row.event][row.channel] = !!row.enabled;
+        }
+    }
+    return preferences;
+}
+
+/**
+ * Checks whether a player wants to be told about an event on a channel.
+ * @param {string} userId
+ * @param {string} event One of NOTIFICATION_EVENTS.
+ * @param {string} channel One of NOTIFICATION_CHANNELS.
+ * @returns {Promise<boolean>}
+ */
+async function isNotificationEnabled(userId, event, channel) {
+    if (!DEFAULT_PREFERENCES[event] || !NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification preference: ${event}/${channel}`);
+    }
+    const row = await db.get('SELECT enabled FROM notification_preferences WHERE user_id = ? AND event = ? AND channel = ?', [userId, event, channel]);
+    return row ? !!row.enabled : DEFAULT_PREFERENCES[event][channel];
+}
+
+/**
+ * Saves some or all of a player's preferences. Cells that are left out keep their current value.
+ * @param {string} userId
+ * @param {Object<string, Object<string, boolean>>} changes Keyed by event, then channel.
+ * @returns {Promise<string|null>} A user-facing error message, or null if the preferences were saved.
+ */
+async function updateNotificationPreferences(userId, changes) {
+    const cells = [];
+    for (const [event, channels] of Object.entries(changes)) {
+        if (!NOTIFICATION_EVENTS.includes(event) || typeof channels !== 'object' || channels === null) {
+            return `Unknown notification type: ${event}.`;
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!NOTIFICATION_CHANNELS.includes(channel)) {
+                return `Unknown notification channel: ${channel}.`;
+            }
+            if (typeof enabled !== 'boolean') {
+                return 'Each preference must be true or false.';
+            }
+            cells.push([userId, event, channel, enabled]);
+        }
+    }
+    for (const cell of cells) {
+        await db.run(
+            `INSERT INTO notification_preferences (user_id, event, channel, enabled) VALUES (?, ?, ?, ?)
+             ON CONFLICT(user_id, event, channel) DO UPDATE SET enabled = excluded.enabled`,
+            cell
+        );
+    }
+    return null;
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_CHANNELS,
+    DEFAULT_PREFERENCES,
+    getNotificationPreferences,
+    isNotificationEnabled,
+    updateNotificationPreferences
+};
@@ -0,0 +1,219 @@
+// backend/services/notificationService.js
+// This service notifies players through their inbox, by web push and by email, in each case only if the player's
+// notification preferences allow it for that kind of event. Inbox notifications are kept in the notifications
+// table as the player's notification history; emails are queued for emailService's worker to send.
+// Push goes to every browser a player has subscribed, as long as they left push notifications enabled;
+// subscriptions the push service reports as gone are removed. Push is best-effort: a failure is logged,
+// never thrown, so callers can send after committing without having to guard the call.
+
+const webpush = require('web-push');
+const db = require('../database/database');
+const { isNotificationEnabled } = require('./notificationPreferenceService');
+const { publishEvent } = require('./eventStreamService');
+const { queueEmail } = require('./emailService');
+
+const insertNotificationSql = 'INSERT INTO notifications (user_id, event, type, title, message, reference_id) VALUES (?, ?, ?, ?, ?, ?)';
+
+// What each kind of notification says, which preference it falls under and how the inbox shows it. Each builder
+// gets the details passed by the caller (for duel notifications, the duel row with both captains' usernames and
+// the winning side) and the player it is for. Notifications that are also emailed name the template and its data.
+const NOTIFICATIONS = {
+    challenge_received: { event: 'challenge_received', type: 'duel_update', build: ({ duel, counterOffer }, userId) => {
+        const otherUsername = userId === duel.challenger_id ? duel.opponent_username : duel.challenger_username;
+        if (counterOffer) {
+            return { title: 'Counter-Offer Received', body: `${otherUsername} proposed new terms for duel #${duel.id}: ${duel.wager} gems.` };
+        }
+        if (duel.team_size > 1) {
+            return { title: 'Team Duel Invite', body: `${duel.challenger_username} invited you to a ${duel.team_size}v${duel.team_size} duel for ${duel.wager} gems each.` };
+        }
+        return duel.rematch_of
+            ? { title: 'Rematch Requested', body: `${duel.challenger_username} wants a rematch for ${duel.wager} gems.` }
+            : { title: 'New Challenge', body: `${duel.challenger_username} challenged you to a duel for ${duel.wager} gems.` };
+    }, email: ({ duel, counterOffer }, userId) => ({
+        template: 'challenge_received',
+        data: { from: counterOffer && userId === duel.challenger_id ? duel.opponent_username : duel.challenger_username, wager: duel.wager, duelId: duel.id, counterOffer: !!counterOffer }
+    }) },
+    duel_accepted: { event: 'duel_accepted', type: 'duel_update', build: ({ duel, matchmade }, userId) => {
+        if (matchmade) {
+            return { title: 'Match Found', body: `You were matched against ${userId === duel.challenger_id ? duel.opponent_username : duel.challenger_username}. Your duel is in your inbox.` };
+        }
+        if (duel.team_size > 1) {
+            return { title: 'Team Duel Accepted', body: `Every player has joined team duel #${duel.id}.` };
+        }
+        return { title: 'Duel Accepted', body: `${userId === duel.challenger_id ? duel.opponent_username : duel.challenger_username} accepted your duel for ${duel.wager} gems.` };
+    } },
+    duel_result: { event: 'duel_result', type: 'duel_update', build: ({ duel, winners }, userId) => {
+        const won = winners.includes(userId);
+        switch (duel.status) {
+            case 'completed_unseen':
+                return { title: won ? 'You Won!' : 'Duel Lost', body: `The result of duel #${duel.id} is in. Confirm or dispute it from your dashboard.` };
+            case 'completed':
+                return { title: won ? 'You Won!' : 'Duel Lost', body: won ? `You won duel #${duel.id}.` : `You lost duel #${duel.id}.` };
+            case 'draw':
+                return { title: 'Duel Drawn', body: `Duel #${duel.id} ended in a draw.${duel.tournament_id ? ' The match will be replayed.' : ' Your stake has been returned.'}` };
+            case 'no_contest':
+                return { title: 'No Contest', body: `Duel #${duel.id} could not be decided.${duel.tournament_id ? ' The match will be replayed.' : ' Your wager has been refunded in full.'}` };
+            case 'under_review':
+                return { title: 'Result Under Review', body: `The result of duel #${duel.id} could not be verified automatically. An admin will review it before it is settled.` };
+            case 'canceled':
+                return { title: 'Duel Voided', body: `Duel #${duel.id} was voided.${duel.pot > 0 ? ' Your wager has been refunded.' : ''}` };
+            default:
+                return null;
+        }
+    } },
+    payout_decision: { event: 'payout_update', type: 'withdrawal_update', build: ({ approved, amountGems, reason }) => approved
+        ? { title: 'Withdrawal Approved', body: `Your withdrawal of ${amountGems} gems was approved. Confirm the payout from your inbox.` }
+        : { title: 'Withdrawal Declined', body: `Your withdrawal of ${amountGems} gems was declined: ${reason}. The gems are back in your balance.` },
+    email: ({ approved, amountGems, reason }) => approved
+        ? { template: 'payout_approved', data: { amountGems } }
+        : { template: 'payout_declined', data: { amountGems, reason } } },
+    // A reminder is about a duel the player already accepted, so it follows that preference.
+    duel_reminder: { event: 'duel_accepted', type: 'duel_update', build: ({ message }) => ({ title: 'Duel Starting Soon', body: message }) },
+    dispute_opened: { event: 'duel_result', type: 'duel_update', build: ({ duel, reporter }) => (
+        { title: 'Result Disputed', body: `${reporter} disputed the result of duel #${duel.id}. An admin will review it.` }
+    ), email: ({ duel, reporter }) => ({ template: 'dispute_opened', data: { reporter, duelId: duel.id } }) },
+    // Tells each player how the duel ended for them once an admin has decided it.
+    dispute_resolved: { event: 'duel_result', type: 'duel_update', build: (details, userId) => {
+        const outcome = NOTIFICATIONS.duel_result.build(details, userId);
+        return outcome && { title: 'Dispute Resolved', body: `An admin reviewed duel #${details.duel.id}. ${outcome.body}` };
+    }, email: (details, userId) => {
+        const outcome = NOTIFICATIONS.duel_result.build(details, userId);
+        return outcome && { template: 'dispute_resolved', data: { duelId: details.duel.id, outcome: outcome.body } };
+    } },
+    account_banned: { event: 'admin_message', type: 'admin_message', build: ({ reason, expiresAt }) => (
+        { title: 'Account Banned', body: `Your account was banned: ${reason}. ${expiresAt ? `The ban ends on ${new Date(expiresAt).toUTCString()}.` : 'The ban does not expire.'}` }
+    ), email: ({ reason, expiresAt }) => ({ template: 'account_banned', data: { reason, expiresAt } }) }
+};
+
+/**
+ * Puts a notification in a player's inbox, unless they turned off inbox messages for this kind of event.
+ * Unlike push, this is part of the caller's transaction if there is one, so errors are thrown as usual.
+ * @param {string} userId
+ * @param {string} event The preference it falls under, one of NOTIFICATION_EVENTS.
+ * @param {object} message
+ * @param {'duel_update'|'withdrawal_update'|'admin_message'} message.type How the inbox shows it.
+ * @param {string} message.title
+ * @param {string} message.message
+ * @param {string|number} [message.referenceId] The duel or payout request it is about.
+ * @returns {Promise<boolean>} True if the message was delivered.
+ */
+async function sendInboxMessage(userId, event, { type, title, message, referenceId = null }) {
+    if (!await isNotificationEnabled(userId, event, 'inbox')) {
+        return false;
+    }
+    await db.run(insertNotificationSql, [userId, event, type, title, message, referenceId]);
+    publishEvent(userId, 'notification_created');
+    return true;
+}
+
+/**
+ * Sends a push notification to every browser a player has subscribed.
+ * Does nothing if push is not configured on the server, the player turned it off or has no subscription.
+ * @param {string} userId
+ * @param {{ title: string, body: string, url?: string }} notification
+ */
+async function sendPushNotification(userId, notification) {
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+        return;
+    }
+    try {
+        const subscriptions = await db.all(
+            `SELECT s.id, s.subscription FROM push_subscriptions s JOIN users u ON s.user_id = u.id
+             WHERE s.user_id = ? AND u.push_notifications_enabled = TRUE`,
+            [userId]
+        );
+        for (const { id, subscription } of subscriptions) {
+            try {
+                await webpush.sendNotification(JSON.parse(subscription), JSON.stringify(notification));
+            } catch (err) {
+                // The browser unsubscribed or the subscription expired; it will never work again.
+                if (err.statusCode === 404 || err.statusCode === 410) {
+                    await db.run('DELETE FROM push_subscriptions WHERE id = ?', [id]);
+                    console.log(`[Push] Removed expired subscription ${id} of user ${userId}.`);
+                } else {
+                    console.error(`[Push] Failed to notify user ${userId} on subscription ${id}:`, err.message);
+                }
+            }
+        }
+    } catch (err) {
+        console.error(`[Push] Failed to notify user ${userId}:`, err.message);
+    }
+}
+
+/**
+ * Sends one kind of notification to each of the given players, in their inbox, by push and by email as their preferences allow.
+ * Never throws, so it can be left to run in the background.
+ * @param {string[]} userIds
+ * @param {string} type One of the keys of NOTIFICATIONS.
+ * @param {object} [details] Whatever the notification's builder needs, plus the referenceId of the payout request
+ *     it is about. Duel notifications refer to their duel.
+ */
+async function notifyUsers(userIds, type, details = {}) {
+    const notificationType = NOTIFICATIONS[type];
+    if (!notificationType) {
+        console.error(`[Notifications] Unknown notification type: ${type}`);
+        return;
+    }
+    for (const userId of new Set(userIds)) {
+        try {
+            const notification = notificationType.build(details, userId);
+            if (!notification) {
+                continue;
+            }
+            await sendInboxMessage(userId, notificationType.event, {
+                type: notificationType.type,
+                title: notification.title,
+                message: notification.body,
+                referenceId: details.referenceId ?? details.duel?.id ?? null
+            });
+            if (await isNotificationEnabled(userId, notificationType.event, 'push')) {
+                await sendPushNotification(userId, { ...notification, url: notification.url || '/dashboard' });
+            }
+            const email = notificationType.email && notificationType.email(details, userId);
+            if (email) {
+                await queueEmail(userId, email.template, email.data);
+            }
+        } catch (err) {
+            console.error(`[Notifications] Failed to send ${type} to user ${userId}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Sends one kind of notification to every player in a duel, including the invited players of a team duel.
+ * Call it after committing, since it reads the duel as it now stands.
+ * @param {number} duelId
+ * @param {string} type One of the keys of NOTIFICATIONS.
+ * @param {object} [details] Anything the builder needs besides the duel.
+ * @param {string} [exceptUserId] A player who should not be notified, usually the one who caused it.
+ */
+async function notifyDuelPlayers(duelId, type, details = {}, exceptUserId = null) {
+    try {
+        const duel = await db.get(
+            `SELECT d.*, c.linked_roblox_username as challenger_username, o.linked_roblox_username as opponent_username
+             FROM duels d JOIN users c ON d.challenger_id = c.id LEFT JOIN users o ON d.opponent_id = o.id
+             WHERE d.id = ?`,
+            [duelId]
+        );
+        if (!duel) {
+            return;
+        }
+        const participants = await db.all("SELECT user_id, team FROM duel_participants WHERE duel_id = ? AND status != 'declined'", [duelId]);
+        const players = [duel.challenger_id, duel.opponent_id, ...participants.map(p => p.user_id)].filter(Boolean);
+        let winners = duel.winner_id ? [duel.winner_id] : [];
+        if (duel.winner_id && participants.length > 0) {
+            const winningTeam = duel.winner_id === duel.challenger_id ? 'challenger' : 'opponent';
+            winners = participants.filter(p => p.team === winningTeam).map(p => p.user_id);
+        }
+        await notifyUsers(players.filter(userId => userId !== exceptUserId), type, { ...details, duel, winners });
+    } catch (err) {
+        console.error(`[Notifications] Failed to send ${type} for duel ${duelId}:`, err.message);
+    }
+}
+
+module.exports = {
+    sendInboxMessage,
+    sendPushNotification,
+    notifyUsers,
+    notifyDuelPlayers
+};
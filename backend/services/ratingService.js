@@ -0,0 +1,160 @@
+// backend/services/ratingService.js
+// This service keeps each player's Glicko skill rating. Every decided duel goes through
+// recordDuelResult, which also keeps the raw win/loss counters in step, and every change
+// is written to rating_history so that it can be reversed if a result is later overturned or voided.
+
+const db = require('../database/database');
+const { getDuelTeams } = require('./duelService');
+
+// --- Configuration ---
+const INITIAL_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+// How much uncertainty a player regains per day without a rated duel, so a year away brings them back to 350.
+const DEVIATION_GROWTH_PER_DAY = Math.sqrt((INITIAL_DEVIATION ** 2 - 50 ** 2) / 365);
+
+const Q = Math.log(10) / 400;
+
+// The users column counting each kind of result.
+const RESULT_COUNTERS = { win: 'wins', loss: 'losses', draw: 'draws' };
+
+const g = (deviation) => 1 / Math.sqrt(1 + 3 * Q ** 2 * deviation ** 2 / Math.PI ** 2);
+
+/**
+ * Grows a player's rating deviation for the time since their last rated duel.
+ * @param {number} deviation
+ * @param {string|null} lastRatedAt SQLite timestamp of the player's last rated duel.
+ * @returns {number}
+ */
+function inflateDeviation(deviation, lastRatedAt) {
+    if (!lastRatedAt) {
+        return deviation;
+    }
+    const days = Math.max(0, (Date.now() - new Date(lastRatedAt.replace(' ', 'T') + 'Z').getTime()) / 86400000);
+    return Math.min(INITIAL_DEVIATION, Math.sqrt(deviation ** 2 + DEVIATION_GROWTH_PER_DAY ** 2 * days));
+}
+
+/**
+ * Computes a player's new rating and deviation after a single game.
+ * @param {{ rating: number, deviation: number }} player
+ * @param {{ rating: number, deviation: number }} opponent
+ * @param {number} score 1 for a win, 0.5 for a draw, 0 for a loss.
+ * @returns {{ rating: number, deviation: number }}
+ */
+function computeGlickoUpdate(player, opponent, score) {
+    const gOpponent = g(opponent.deviation);
+    const expected = 1 / (1 + Math.pow(10, -gOpponent * (player.rating - opponent.rating) / 400));
+    const dSquared = 1 / (Q ** 2 * gOpponent ** 2 * expected * (1 - expected));
+    const denominator = 1 / player.deviation ** 2 + 1 / dSquared;
+    return {
+        rating: player.rating + (Q / denominator) * gOpponent * (score - expected),
+        deviation: Math.max(MIN_DEVIATION, Math.sqrt(1 / denominator))
+    };
+}
+
+async function getRatingState(userId) {
+    const user = await db.get('SELECT id, rating, rating_deviation FROM users WHERE id = ?', [userId]);
+    const last = await db.get("SELECT MAX(created_at) as last_rated_at FROM rating_history WHERE user_id = ? AND result != 'reversed'", [userId]);
+    return { id: user.id, rating: user.rating, deviation: inflateDeviation(user.rating_deviation, last?.last_rated_at) };
+}
+
+/**
+ * Combines a team into a single opponent for the other side to be rated against:
+ * the average rating and the root-mean-square deviation of its players.
+ * @param {{ rating: number, deviation: number }[]} team
+ * @returns {{ rating: number, deviation: number }}
+ */
+function averageTeam(team) {
+    return {
+        rating: team.reduce((sum, player) => sum + player.rating, 0) / team.length,
+        deviation: Math.sqrt(team.reduce((sum, player) => sum + player.deviation ** 2, 0) / team.length)
+    };
+}
+
+/**
+ * Records the outcome of a decided duel: updates every player's rating and win/loss counters
+ * and writes the change to rating_history. In a team duel each player is rated against the
+ * opposing team as a whole. Must be called inside a transaction.
+ * @param {object} duel The duel row.
+ * @param {string} winnerId The winning player, or the winning captain in a team duel.
+ */
+async function recordDuelResult(duel, winnerId) {
+    const teams = await getDuelTeams(duel);
+    const [winnerIds, loserIds] = teams.challenger.includes(winnerId) ? [teams.challenger, teams.opponent] : [teams.opponent, teams.challenger];
+    const winners = [];
+    for (const userId of winnerIds) winners.push(await getRatingState(userId));
+    const losers = [];
+    for (const userId of loserIds) losers.push(await getRatingState(userId));
+    const winningTeam = averageTeam(winners);
+    const losingTeam = averageTeam(losers);
+    const updates = [
+        ...winners.map(player => [player, computeGlickoUpdate(player, losingTeam, 1), 'win']),
+        ...losers.map(player => [player, computeGlickoUpdate(player, winningTeam, 0), 'loss'])
+    ];
+
+    await applyRatingUpdates(duel, updates);
+}
+
+/**
+ * Records a duel the referee bot called a draw: every player is rated on half a point against
+ * the other side and their draw counter goes up. Must be called inside a transaction.
+ * @param {object} duel The duel row.
+ */
+async function recordDuelDraw(duel) {
+    const teams = await getDuelTeams(duel);
+    const challengers = [];
+    for (const userId of teams.challenger) challengers.push(await getRatingState(userId));
+    const opponents = [];
+    for (const userId of teams.opponent) opponents.push(await getRatingState(userId));
+    const challengerTeam = averageTeam(challengers);
+    const opponentTeam = averageTeam(opponents);
+    await applyRatingUpdates(duel, [
+        ...challengers.map(player => [player, computeGlickoUpdate(player, opponentTeam, 0.5), 'draw']),
+        ...opponents.map(player => [player, computeGlickoUpdate(player, challengerTeam, 0.5), 'draw'])
+    ]);
+}
+
+async function applyRatingUpdates(duel, updates) {
+    for (const [player, updated, result] of updates) {
+        const counter = RESULT_COUNTERS[result];
+        await db.run(`UPDATE users SET rating = ?, rating_deviation = ?, ${counter} = ${counter} + 1 WHERE id = ?`, [updated.rating, updated.deviation, player.id]);
+        await db.run(
+            'INSERT INTO rating_history (user_id, duel_id, result, rating_before, rating_after, deviation_before, deviation_after) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [player.id, duel.id, result, player.rating, updated.rating, player.deviation, updated.deviation]
+        );
+    }
+}
+
+/**
+ * Undoes the rating change and win/loss counters a duel applied, if any. The reversal is
+ * recorded as its own rating_history entry. Must be called inside a transaction.
+ * @param {object} duel The duel row.
+ * @returns {Promise<boolean>} True if a result had been recorded and was reversed.
+ */
+async function reverseDuelResult(duel) {
+    const entries = await db.all(`
+        SELECT h.* FROM rating_history h
+        WHERE h.duel_id = ? AND h.id = (SELECT MAX(id) FROM rating_history WHERE duel_id = h.duel_id AND user_id = h.user_id)
+    `, [duel.id]);
+    const applied = entries.filter(entry => entry.result !== 'reversed');
+
+    for (const entry of applied) {
+        const counter = RESULT_COUNTERS[entry.result];
+        const user = await db.get('SELECT rating, rating_deviation FROM users WHERE id = ?', [entry.user_id]);
+        const ratingAfter = user.rating - (entry.rating_after - entry.rating_before);
+        // The deviation can only be restored if the player has not played a rated duel since; otherwise it stays as it is.
+        const latest = await db.get('SELECT MAX(id) as id FROM rating_history WHERE user_id = ?', [entry.user_id]);
+        const deviationAfter = latest.id === entry.id ? entry.deviation_before : user.rating_deviation;
+        await db.run(`UPDATE users SET rating = ?, rating_deviation = ?, ${counter} = MAX(${counter} - 1, 0) WHERE id = ?`, [ratingAfter, deviationAfter, entry.user_id]);
+        await db.run(
+            "INSERT INTO rating_history (user_id, duel_id, result, rating_before, rating_after, deviation_before, deviation_after) VALUES (?, ?, 'reversed', ?, ?, ?, ?)",
+            [entry.user_id, duel.id, user.rating, ratingAfter, user.rating_deviation, deviationAfter]
+        );
+    }
+    return applied.length > 0;
+}
+
+module.exports = {
+    recordDuelResult,
+    recordDuelDraw,
+    reverseDuelResult
+};
@@ -0,0 +1,196 @@
+// backend/services/reconciliationService.js
+// This service periodically proves that every user's stored gem balance matches the ledger.
+// It recomputes each balance from transaction_history and cross-checks the gems that are
+// currently escrowed in duel pots, tournament prize pools or held by pending withdrawals against their ledger debits.
+
+const db = require('../database/database');
+const { HOLD_DUEL_STATUSES, ESCROW_DUEL_STATUSES, getHeldGems } = require('./ledgerService');
+
+// --- Configuration ---
+const RECONCILIATION_INTERVAL_MINUTES = parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES, 10) || 60;
+
+// Every duel status in which at least one wager has been debited but not paid out or refunded.
+const OPEN_DUEL_STATUSES = [...HOLD_DUEL_STATUSES, ...ESCROW_DUEL_STATUSES];
+// Tournament statuses in which entry fees sit in the prize pool.
+const OPEN_TOURNAMENT_STATUSES = ['registration', 'in_progress'];
+// Payout statuses in which the requested gems have been debited but not yet sent or refunded.
+const HELD_PAYOUT_STATUSES = ['awaiting_approval', 'approved', 'processing'];
+
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+/**
+ * Computes the reconciliation figures for a single user.
+ * @param {string} userId The user to check.
+ * @returns {Promise<object|null>} The computed figures, or null if the user does not exist.
+ */
+async function computeUserBalance(userId) {
+    const user = await db.get('SELECT id, gems FROM users WHERE id = ?', [userId]);
+    if (!user) {
+        return null;
+    }
+
+    const ledger = await db.get('SELECT COALESCE(SUM(amount_gems), 0) as total FROM transaction_history WHERE user_id = ?', [userId]);
+
+    // Gems this user has reserved in pending challenges or staked in duels that are still in escrow.
+    const escrowedGems = await getHeldGems(userId);
+    // What the ledger says was debited (and not yet returned) for those same duels.
+    const escrowLedger = await db.get(
+        `SELECT COALESCE(SUM(th.amount_gems), 0) as total FROM transaction_history th
+         JOIN duels d ON th.reference_type = 'duel' AND th.reference_id = CAST(d.id AS TEXT)
+         WHERE th.user_id = ? AND d.status IN (${placeholders(OPEN_DUEL_STATUSES)})`,
+        [userId, ...OPEN_DUEL_STATUSES]
+    );
+
+    // Entry fees held in the prize pools of tournaments that have not finished, against their ledger debits.
+    const tournamentFees = await db.get(
+        `SELECT COALESCE(SUM(p.entry_fee_paid), 0) as total FROM tournament_participants p JOIN tournaments t ON p.tournament_id = t.id
+         WHERE p.user_id = ? AND t.status IN (${placeholders(OPEN_TOURNAMENT_STATUSES)})`,
+        [userId, ...OPEN_TOURNAMENT_STATUSES]
+    );
+    const tournamentLedger = await db.get(
+        `SELECT COALESCE(SUM(th.amount_gems), 0) as total FROM transaction_history th
+         JOIN tournaments t ON th.reference_type = 'tournament' AND th.reference_id = CAST(t.id AS TEXT)
+         WHERE th.user_id = ? AND t.status IN (${placeholders(OPEN_TOURNAMENT_STATUSES)})`,
+        [userId, ...OPEN_TOURNAMENT_STATUSES]
+    );
+
+    const held = await db.get(
+        `SELECT COALESCE(SUM(amount_gems), 0) as total FROM payout_requests
+         WHERE user_id = ? AND status IN (${placeholders(HELD_PAYOUT_STATUSES)})`,
+        [userId, ...HELD_PAYOUT_STATUSES]
+    );
+    const heldLedger = await db.get(
+        `SELECT COALESCE(SUM(th.amount_gems), 0) as total FROM transaction_history th
+         JOIN payout_requests pr ON th.reference_type = 'payout' AND th.reference_id = pr.id
+         WHERE th.user_id = ? AND pr.status IN (${placeholders(HELD_PAYOUT_STATUSES)})`,
+        [userId, ...HELD_PAYOUT_STATUSES]
+    );
+
+    const escrowDrift = escrowedGems + escrowLedger.total + tournamentFees.total + tournamentLedger.total;
+    const heldDrift = held.total + heldLedger.total;
+
+    return {
+        userId: user.id,
+        storedGems: user.gems,
+        ledgerGems: ledger.total,
+        escrowedGems: escrowedGems + tournamentFees.total,
+        heldGems: held.total,
+        // Positive drift means the user has more gems than the ledger can account for.
+        balanceDrift: user.gems - ledger.total,
+        escrowDrift,
+        heldDrift,
+        isFlagged: user.gems !== ledger.total || escrowDrift !== 0 || heldDrift !== 0
+    };
+}
+
+/**
+ * Runs a full reconciliation pass over every user and stores the flagged results.
+ * @returns {Promise<number>} The id of the reconciliation run.
+ */
+async function runReconciliation() {
+    console.log(`[Reconciler] Starting ledger reconciliation at ${new Date().toISOString()}`);
+
+    // The promisified db.run does not return the new row, so the id is read from the statement itself.
+    const runId = await new Promise((resolve, reject) => {
+        db.instance.run('INSERT INTO reconciliation_runs (started_at) VALUES (CURRENT_TIMESTAMP)', function (err) {
+            if (err) return reject(err);
+            resolve(this.lastID);
+        });
+    });
+
+    const users = await db.all('SELECT id FROM users');
+    let flaggedCount = 0;
+
+    for (const { id } of users) {
+        try {
+            let result = await computeUserBalance(id);
+            // Recheck flagged users once, so a balance caught halfway through a transaction is not reported.
+            if (result && result.isFlagged) {
+                result = await computeUserBalance(id);
+            }
+            if (!result || !result.isFlagged) {
+                continue;
+            }
+
+            flaggedCount++;
+            await db.run(
+                `INSERT INTO reconciliation_flags (run_id, user_id, stored_gems, ledger_gems, escrowed_gems, held_gems, balance_drift, escrow_drift, held_drift)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [runId, id, result.storedGems, result.ledgerGems, result.escrowedGems, result.heldGems, result.balanceDrift, result.escrowDrift, result.heldDrift]
+            );
+            console.warn(`[Reconciler] Drift detected for user ${id}: stored ${result.storedGems}, ledger ${result.ledgerGems}, escrow drift ${result.escrowDrift}, held drift ${result.heldDrift}.`);
+        } catch (error) {
+            console.error(`[Reconciler] Error reconciling user ${id}:`, error);
+        }
+    }
+
+    await db.run(
+        'UPDATE reconciliation_runs SET completed_at = CURRENT_TIMESTAMP, users_checked = ?, users_flagged = ? WHERE id = ?',
+        [users.length, flaggedCount, runId]
+    );
+    console.log(`[Reconciler] Reconciliation run ${runId} finished. ${users.length} users checked, ${flaggedCount} flagged.`);
+    return runId;
+}
+
+/**
+ * Gathers the ledger entries, escrowed duels and held payouts behind a user's figures.
+ * @param {string} userId The user to drill into.
+ * @returns {Promise<object|null>} The breakdown, or null if the user does not exist.
+ */
+async function getUserBreakdown(userId) {
+    const summary = await computeUserBalance(userId);
+    if (!summary) {
+        return null;
+    }
+
+    const entries = await db.all(
+        `SELECT id, type, amount_gems, balance_after, description, reference_type, reference_id, created_at
+         FROM transaction_history WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+        [userId]
+    );
+    const escrowedDuels = await db.all(
+        `SELECT id, status, wager, challenger_hold, team_size, pot, tax_collected, challenger_id, opponent_id, created_at FROM duels
+         WHERE (challenger_id = ? AND status IN (${placeholders(HOLD_DUEL_STATUSES)}))
+            OR ((challenger_id = ? OR opponent_id = ?) AND status IN (${placeholders(ESCROW_DUEL_STATUSES)}))
+            OR (id IN (SELECT duel_id FROM duel_participants WHERE user_id = ?) AND status IN (${placeholders(OPEN_DUEL_STATUSES)}))
+         ORDER BY created_at DESC`,
+        [userId, ...HOLD_DUEL_STATUSES, userId, userId, ...ESCROW_DUEL_STATUSES, userId, ...OPEN_DUEL_STATUSES]
+    );
+    const heldPayouts = await db.all(
+        `SELECT id, status, amount_gems, created_at FROM payout_requests
+         WHERE user_id = ? AND status IN (${placeholders(HELD_PAYOUT_STATUSES)})
+         ORDER BY created_at DESC`,
+        [userId, ...HELD_PAYOUT_STATUSES]
+    );
+
+    return { summary, entries, escrowedDuels, heldPayouts };
+}
+
+/**
+ * Starts the reconciliation job to run at a regular interval.
+ * Balances from before the ledger existed are only explained by the opening entries that migrate_schema.js
+ * writes when it adds the ledger columns, so the job does not start on a database that has not been migrated.
+ */
+async function startReconciliationService() {
+    try {
+        const ledgerColumns = await db.all('PRAGMA table_info(transaction_history)');
+        if (!ledgerColumns.some(column => column.name === 'balance_after')) {
+            console.error('[Reconciler] The ledger has no opening balances yet. Run backend/migrate_schema.js; reconciliation is off until then.');
+            return;
+        }
+    } catch (error) {
+        console.error('[Reconciler] Could not check the ledger:', error);
+        return;
+    }
+    console.log(`[Reconciler] Starting reconciliation service. Interval: ${RECONCILIATION_INTERVAL_MINUTES} minutes.`);
+    runReconciliation().catch(error => console.error('[Reconciler] Reconciliation run failed:', error));
+    setInterval(() => {
+        runReconciliation().catch(error => console.error('[Reconciler] Reconciliation run failed:', error));
+    }, RECONCILIATION_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+    runReconciliation,
+    getUserBreakdown,
+    startReconciliationService
+};
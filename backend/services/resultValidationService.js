@@ -0,0 +1,133 @@
+// backend/services/resultValidationService.js
+// This service checks a result reported by the bot against what the duel's transcript says happened
+// before it lets the result through. A result that fails any check is not paid out; the duel goes to
+// 'under_review' with an automatic dispute so an admin can decide it.
+
+const db = require('../database/database');
+const { getDuelTeams, getCaptainFor } = require('./duelService');
+const { transitionDuel } = require('./duelLifecycle');
+
+// How long each round of a duel may take, counted from when the duel was started (or accepted, if it never was).
+const RESULT_WINDOW_MINUTES_PER_ROUND = 20;
+
+// --- Checks ---
+
+// The winner must be one of the players, or the result cannot be recorded against either side.
+async function checkWinner(duel, winnerId, reportedWinner) {
+    if (!winnerId || !(await getCaptainFor(duel, winnerId))) {
+        return [`Reported winner '${reportedWinner}' is not a participant in this duel.`];
+    }
+    return [];
+}
+
+// Every player on both sides must have been seen joining the server before anything was decided.
+async function checkJoins(duel, transcript) {
+    const firstDecision = transcript.findIndex(event => event.eventType === 'PARSED_ROUND_ENDED' || event.eventType === 'PARSED_DUEL_ENDED');
+    const joined = new Set(
+        transcript
+            .slice(0, firstDecision === -1 ? transcript.length : firstDecision)
+            .filter(event => event.eventType === 'PLAYER_JOINED_DUEL' && event.data && event.data.playerName)
+            .map(event => event.data.playerName)
+    );
+    const teams = await getDuelTeams(duel);
+    const problems = [];
+    for (const userId of [...teams.challenger, ...teams.opponent]) {
+        const player = await db.get('SELECT linked_roblox_username FROM users WHERE id = ?', [userId]);
+        if (!player || !joined.has(player.linked_roblox_username)) {
+            problems.push(`No join was recorded for ${player ? player.linked_roblox_username : userId} before the duel was decided.`);
+        }
+    }
+    return problems;
+}
+
+// The result must arrive while the duel could still plausibly be in progress. A scheduled duel may be accepted
+// hours before it is played, so until it is started it is measured from its start time. An unscheduled duel the
+// bot referees before the ready check is done is measured from when it was accepted, which is when the bot was called.
+function checkTimeWindow(duel) {
+    const startedAt = duel.started_at || duel.scheduled_for || duel.accepted_at;
+    if (!startedAt) {
+        return ['The result arrived before the duel was accepted.'];
+    }
+    const windowMinutes = RESULT_WINDOW_MINUTES_PER_ROUND * (duel.best_of || 1);
+    const elapsedMinutes = (Date.now() - new Date(startedAt.replace(' ', 'T') + 'Z').getTime()) / 60000;
+    if (elapsedMinutes > windowMinutes) {
+        return [`The result arrived ${Math.round(elapsedMinutes)} minutes after the duel started, outside its ${windowMinutes} minute window.`];
+    }
+    return [];
+}
+
+// The bot must have announced the duel first, numbered the rounds in order and reported a single result at the end.
+function checkSequence(transcript) {
+    const problems = [];
+    const starts = transcript.filter(event => event.eventType === 'DUEL_STARTED');
+    if (starts.length !== 1 || transcript[0].eventType !== 'DUEL_STARTED') {
+        problems.push('The transcript does not open with a single DUEL_STARTED event.');
+    }
+
+    const roundNumbers = transcript
+        .filter(event => event.eventType === 'PARSED_ROUND_ENDED')
+        .map(event => event.data && event.data.round_number);
+    if (roundNumbers.some((roundNumber, index) => roundNumber !== index + 1)) {
+        problems.push(`Rounds were reported out of order (${roundNumbers.join(', ')}).`);
+    }
+
+    const results = transcript.filter(event => event.eventType === 'PARSED_DUEL_ENDED');
+    if (results.length > 1 || (results.length === 1 && transcript[transcript.length - 1] !== results[0])) {
+        problems.push('Events were reported after the duel had already ended.');
+    }
+    return problems;
+}
+
+/**
+ * Runs every check against a reported result.
+ * @param {object} duel The current duel row, including its transcript.
+ * @param {string|null} winnerId The linked user the bot named as the winner, or null if no user matched.
+ * @param {string} reportedWinner The winner's name as the bot reported it.
+ * @returns {Promise<string[]>} A description of each failed check; empty if the result is valid.
+ */
+async function validateDuelResult(duel, winnerId, reportedWinner) {
+    const transcript = duel.transcript ? JSON.parse(duel.transcript) : [];
+    return [
+        ...(await checkWinner(duel, winnerId, reportedWinner)),
+        ...(await checkJoins(duel, transcript)),
+        ...checkTimeWindow(duel),
+        ...checkSequence(transcript)
+    ];
+}
+
+/**
+ * Validates a result reported by the bot and records it. A valid result moves the duel to 'completed_unseen',
+ * or straight on in the bracket for a tournament duel. An invalid one puts the duel under review with an
+ * automatic dispute and tells both captains. Must be called inside a transaction.
+ * @param {object} duel The duel, at least its id.
+ * @param {string|null} winnerId The linked user the bot named as the winner, or null if no user matched.
+ * @param {string} reportedWinner The winner's name as the bot reported it.
+ * @returns {Promise<string[]>} The failed checks; empty if the result was accepted.
+ */
+async function reportDuelResult(duel, winnerId, reportedWinner) {
+    const current = await db.get('SELECT * FROM duels WHERE id = ?', [duel.id]);
+    const captainId = winnerId ? await getCaptainFor(current, winnerId) : null;
+    const note = current.best_of > 1
+        ? `Series won ${Math.max(current.challenger_score, current.opponent_score)}-${Math.min(current.challenger_score, current.opponent_score)}`
+        : null;
+
+    const problems = await validateDuelResult(current, winnerId, reportedWinner);
+    if (problems.length === 0) {
+        // Tournament duels have no pot to confirm; the winner moves straight on in the bracket.
+        await transitionDuel(current, current.tournament_id ? 'advance' : 'report_result', { actor: 'bot', changes: { winner_id: captainId }, note });
+        return problems;
+    }
+
+    const reason = `Automatic review of the reported result: ${problems.join(' ')}`;
+    await transitionDuel(current, 'flag_result', { actor: 'bot', changes: { winner_id: captainId }, note: reason });
+    await db.run(
+        'INSERT INTO disputes (duel_id, reporter_id, reported_id, reason, has_video_evidence) VALUES (?, NULL, ?, ?, FALSE)',
+        [current.id, captainId, reason]
+    );
+    return problems;
+}
+
+module.exports = {
+    validateDuelResult,
+    reportDuelResult
+};
@@ -0,0 +1,426 @@
+// backend/services/tournamentService.js
+// This service runs tournaments: it generates single or double elimination brackets, turns each
+// match into a REFEREE_DUEL as soon as both of its players are known, advances winners (and, in a
+// double elimination bracket, losers) as results come in, and pays out or refunds the prize pool.
+
+const db = require('../database/database');
+const { recordTransaction } = require('./ledgerService');
+const { createTournamentDuel } = require('./duelService');
+const { transitionDuel } = require('./duelLifecycle');
+const { sendInboxMessage } = require('./notificationService');
+
+// --- Configuration ---
+// How often matches that are waiting for a free server are retried.
+const TOURNAMENT_INTERVAL_SECONDS = parseInt(process.env.TOURNAMENT_INTERVAL_SECONDS, 10) || 30;
+
+const TOURNAMENT_SIZES = [4, 8, 16, 32];
+const TOURNAMENT_FORMATS = ['single_elimination', 'double_elimination'];
+
+/**
+ * Orders bracket positions so the top seeds meet as late as possible: [1, 4, 2, 3] for four players,
+ * [1, 8, 4, 5, 2, 7, 3, 6] for eight, and so on. Consecutive pairs play each other in round 1.
+ * @param {number} size A power of two.
+ * @returns {number[]} Seed numbers in bracket order.
+ */
+function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, next - seed]);
+    }
+    return order;
+}
+
+/**
+ * Gives every registered player a seed by skill rating, unless an admin has already seeded them all.
+ * @param {number} tournamentId
+ */
+async function ensureSeeds(tournamentId) {
+    const unseeded = await db.get("SELECT COUNT(*) as count FROM tournament_participants WHERE tournament_id = ? AND status = 'registered' AND seed IS NULL", [tournamentId]);
+    if (unseeded.count === 0) {
+        return;
+    }
+    const players = await db.all(
+        `SELECT p.id FROM tournament_participants p JOIN users u ON p.user_id = u.id
+         WHERE p.tournament_id = ? AND p.status = 'registered' ORDER BY u.rating DESC, p.registered_at ASC`,
+        [tournamentId]
+    );
+    for (const [index, player] of players.entries()) {
+        await db.run('UPDATE tournament_participants SET seed = ? WHERE id = ?', [index + 1, player.id]);
+    }
+}
+
+/**
+ * Seeds a tournament's registered players, either in the order an admin chose or by skill rating.
+ * Must be called inside a transaction.
+ * @param {number} tournamentId
+ * @param {string[]|null} userIds Every registered player, top seed first, or null to seed by rating.
+ */
+async function seedTournament(tournamentId, userIds) {
+    await db.run('UPDATE tournament_participants SET seed = NULL WHERE tournament_id = ?', [tournamentId]);
+    if (!userIds) {
+        await ensureSeeds(tournamentId);
+        return;
+    }
+    for (const [index, userId] of userIds.entries()) {
+        await db.run("UPDATE tournament_participants SET seed = ? WHERE tournament_id = ? AND user_id = ? AND status = 'registered'", [index + 1, tournamentId, userId]);
+    }
+}
+
+/**
+ * Builds the list of matches for a bracket, including where each winner and loser goes next.
+ * Double elimination uses the standard losers bracket of 2 * (rounds - 1) rounds and a single
+ * grand final; there is no bracket reset.
+ * @returns {object[]} Match descriptors keyed by `key`, with links referring to other keys.
+ */
+function buildBracket(size, format) {
+    const rounds = Math.log2(size);
+    const key = (bracket, round, number) => `${bracket}:${round}:${number}`;
+    const slotFor = (number) => (number % 2 === 1 ? 1 : 2);
+    const matches = [];
+    const isDouble = format === 'double_elimination';
+    const losersRounds = 2 * (rounds - 1);
+
+    for (let round = 1; round <= rounds; round++) {
+        const count = size / 2 ** round;
+        for (let number = 1; number <= count; number++) {
+            const match = { key: key('winners', round, number), bracket: 'winners', round, number };
+            if (round < rounds) {
+                match.next = [key('winners', round + 1, Math.ceil(number / 2)), slotFor(number)];
+            } else if (isDouble) {
+                match.next = [key('grand_final', 1, 1), 1];
+            }
+            if (!isDouble) {
+                match.eliminationStage = round;
+            } else if (round === 1) {
+                match.loserNext = [key('losers', 1, Math.ceil(number / 2)), slotFor(number)];
+            } else {
+                // Dropped players meet the losers bracket in reverse order to delay rematches.
+                match.loserNext = [key('losers', 2 * (round - 1), count - number + 1), 2];
+            }
+            matches.push(match);
+        }
+    }
+
+    if (isDouble) {
+        for (let round = 1; round <= losersRounds; round++) {
+            const count = size / 2 ** (Math.ceil(round / 2) + 1);
+            for (let number = 1; number <= count; number++) {
+                const match = { key: key('losers', round, number), bracket: 'losers', round, number, eliminationStage: round };
+                if (round === losersRounds) {
+                    match.next = [key('grand_final', 1, 1), 2];
+                } else if (round % 2 === 1) {
+                    match.next = [key('losers', round + 1, number), 1];
+                } else {
+                    match.next = [key('losers', round + 1, Math.ceil(number / 2)), slotFor(number)];
+                }
+                matches.push(match);
+            }
+        }
+        matches.push({ key: key('grand_final', 1, 1), bracket: 'grand_final', round: 1, number: 1, eliminationStage: losersRounds + 1 });
+    }
+    return matches;
+}
+
+/**
+ * Generates the bracket for a tournament and starts it. Must be called inside a transaction.
+ * @param {object} tournament The tournament row, still in registration.
+ */
+async function startTournament(tournament) {
+    await ensureSeeds(tournament.id);
+    const seeded = await db.all("SELECT user_id, seed FROM tournament_participants WHERE tournament_id = ? AND status = 'registered'", [tournament.id]);
+    const playerBySeed = new Map(seeded.map(p => [p.seed, p.user_id]));
+    const seedOrder = getSeedOrder(tournament.size);
+
+    const matches = buildBracket(tournament.size, tournament.format);
+    for (const match of matches) {
+        const isOpeningRound = match.bracket === 'winners' && match.round === 1;
+        const player1 = isOpeningRound ? playerBySeed.get(seedOrder[(match.number - 1) * 2]) || null : null;
+        const player2 = isOpeningRound ? playerBySeed.get(seedOrder[(match.number - 1) * 2 + 1]) || null : null;
+        await db.run(
+            'INSERT INTO tournament_matches (tournament_id, bracket, round, match_number, player1_id, player2_id, feeds_received, elimination_stage) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [tournament.id, match.bracket, match.round, match.number, player1, player2, isOpeningRound ? 2 : 0, match.eliminationStage ?? null]
+        );
+    }
+
+    const rows = await db.all('SELECT id, bracket, round, match_number FROM tournament_matches WHERE tournament_id = ?', [tournament.id]);
+    const idByKey = new Map(rows.map(row => [`${row.bracket}:${row.round}:${row.match_number}`, row.id]));
+    for (const match of matches) {
+        await db.run(
+            'UPDATE tournament_matches SET next_match_id = ?, next_match_slot = ?, loser_next_match_id = ?, loser_next_match_slot = ? WHERE id = ?',
+            [
+                match.next ? idByKey.get(match.next[0]) : null, match.next ? match.next[1] : null,
+                match.loserNext ? idByKey.get(match.loserNext[0]) : null, match.loserNext ? match.loserNext[1] : null,
+                idByKey.get(match.key)
+            ]
+        );
+    }
+
+    await db.run("UPDATE tournaments SET status = 'in_progress', started_at = CURRENT_TIMESTAMP WHERE id = ?", [tournament.id]);
+    const openingMatches = await db.all("SELECT * FROM tournament_matches WHERE tournament_id = ? AND bracket = 'winners' AND round = 1 ORDER BY match_number ASC", [tournament.id]);
+    for (const match of openingMatches) {
+        await resolveMatch(match.id);
+    }
+}
+
+/**
+ * Decides what happens to a match once both of its slots are known: a match between two players
+ * is handed to the bot, a player without an opponent (a bye, or an opponent who was disqualified)
+ * advances straight away, and a match with nobody in it is skipped.
+ * @param {number} matchId
+ */
+async function resolveMatch(matchId) {
+    const match = await db.get('SELECT * FROM tournament_matches WHERE id = ?', [matchId]);
+    if (match.status !== 'waiting' || match.feeds_received < 2) {
+        return;
+    }
+    const disqualified = await db.all(
+        "SELECT user_id FROM tournament_participants WHERE tournament_id = ? AND status = 'disqualified'",
+        [match.tournament_id]
+    );
+    const isOut = (userId) => !userId || disqualified.some(p => p.user_id === userId);
+    const players = [match.player1_id, match.player2_id].filter(userId => !isOut(userId));
+
+    if (players.length === 2) {
+        await db.run("UPDATE tournament_matches SET status = 'ready' WHERE id = ?", [match.id]);
+        await launchMatch(match.id);
+        return;
+    }
+    await completeMatch(match, players[0] || null, null);
+}
+
+/**
+ * Creates the duel for a ready match and lets both players know. If no server is free the match
+ * stays ready and is retried by the background service.
+ * @param {number} matchId
+ * @returns {Promise<boolean>} True if the duel was created.
+ */
+async function launchMatch(matchId) {
+    const match = await db.get('SELECT * FROM tournament_matches WHERE id = ?', [matchId]);
+    const tournament = await db.get('SELECT * FROM tournaments WHERE id = ?', [match.tournament_id]);
+    const mapPool = JSON.parse(tournament.map_pool);
+    const map = mapPool[Math.floor(Math.random() * mapPool.length)];
+
+    const duelId = await createTournamentDuel({ tournamentId: tournament.id, player1Id: match.player1_id, player2Id: match.player2_id, map, region: tournament.region });
+    if (!duelId) {
+        return false;
+    }
+    await db.run("UPDATE tournament_matches SET status = 'in_progress', duel_id = ? WHERE id = ?", [duelId, match.id]);
+    for (const userId of [match.player1_id, match.player2_id]) {
+        await sendInboxMessage(userId, 'tournament', { type: 'duel_update', title: 'Tournament Match Ready', message: `Your next match in ${tournament.name} is ready. Start the duel from your inbox.`, referenceId: duelId });
+    }
+    return true;
+}
+
+/**
+ * Places a player into one slot of a later match and resolves that match if it is now complete.
+ */
+async function feedMatch(matchId, slot, userId) {
+    const column = slot === 1 ? 'player1_id' : 'player2_id';
+    await db.run(`UPDATE tournament_matches SET ${column} = ?, feeds_received = feeds_received + 1 WHERE id = ?`, [userId, matchId]);
+    await resolveMatch(matchId);
+}
+
+/**
+ * Records the outcome of a match and moves both players on. The final match of the bracket
+ * finishes the tournament.
+ * @param {object} match The match row.
+ * @param {string|null} winnerId
+ * @param {string|null} loserId Null for a bye.
+ */
+async function completeMatch(match, winnerId, loserId) {
+    await db.run(
+        "UPDATE tournament_matches SET status = 'completed', winner_id = ?, loser_id = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [winnerId, loserId, match.id]
+    );
+    if (loserId && match.elimination_stage !== null) {
+        await db.run(
+            "UPDATE tournament_participants SET status = 'eliminated', eliminated_stage = ? WHERE tournament_id = ? AND user_id = ? AND status = 'registered'",
+            [match.elimination_stage, match.tournament_id, loserId]
+        );
+    }
+
+    if (match.next_match_id) {
+        await feedMatch(match.next_match_id, match.next_match_slot, winnerId);
+    } else {
+        await finishTournament(match.tournament_id, winnerId);
+    }
+    if (match.loser_next_match_id) {
+        await feedMatch(match.loser_next_match_id, match.loser_next_match_slot, loserId);
+    }
+}
+
+/**
+ * Advances the bracket after a tournament duel has been decided, whether by the bot or by a forfeit.
+ * Must be called inside a transaction.
+ * @param {object} duel The tournament duel row.
+ * @param {string} winnerId
+ */
+async function recordMatchResult(duel, winnerId) {
+    const match = await db.get("SELECT * FROM tournament_matches WHERE duel_id = ? AND status = 'in_progress'", [duel.id]);
+    if (!match) {
+        return;
+    }
+    const loserId = winnerId === match.player1_id ? match.player2_id : match.player1_id;
+    await completeMatch(match, winnerId, loserId);
+}
+
+/**
+ * Puts a match whose duel was called off without a result back in line for a new duel.
+ * Must be called inside a transaction.
+ * @param {object} duel The canceled tournament duel row.
+ */
+async function replayMatch(duel) {
+    await db.run("UPDATE tournament_matches SET status = 'ready', duel_id = NULL WHERE duel_id = ? AND status = 'in_progress'", [duel.id]);
+}
+
+/**
+ * Splits the prize pool by placement and pays it out. Players knocked out at the same stage
+ * share a placement and split the percentages of the places they cover; any gems left over
+ * from rounding go to the champion.
+ */
+async function finishTournament(tournamentId, championId) {
+    const tournament = await db.get('SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+    await db.run("UPDATE tournament_participants SET status = 'champion', placement = 1 WHERE tournament_id = ? AND user_id = ?", [tournamentId, championId]);
+
+    const eliminated = await db.all(
+        "SELECT id, user_id, eliminated_stage FROM tournament_participants WHERE tournament_id = ? AND status = 'eliminated' ORDER BY eliminated_stage DESC",
+        [tournamentId]
+    );
+    const split = JSON.parse(tournament.payout_split);
+    const prizes = [{ userId: championId, placement: 1, share: split[0] || 0 }];
+    let placement = 2;
+    const stages = [...new Set(eliminated.map(p => p.eliminated_stage))];
+    for (const stage of stages) {
+        const tied = eliminated.filter(p => p.eliminated_stage === stage);
+        const percent = split.slice(placement - 1, placement - 1 + tied.length).reduce((sum, value) => sum + value, 0);
+        for (const player of tied) {
+            prizes.push({ userId: player.user_id, placement, share: percent / tied.length });
+        }
+        placement += tied.length;
+    }
+
+    const amounts = prizes.map(prize => Math.floor(tournament.prize_pool * prize.share / 100));
+    amounts[0] += tournament.prize_pool - amounts.reduce((sum, amount) => sum + amount, 0);
+
+    for (const [index, prize] of prizes.entries()) {
+        await db.run('UPDATE tournament_participants SET placement = ?, prize = ? WHERE tournament_id = ? AND user_id = ?', [prize.placement, amounts[index], tournamentId, prize.userId]);
+        if (amounts[index] > 0) {
+            await recordTransaction({ userId: prize.userId, type: 'tournament_prize', amount: amounts[index], description: `Placed #${prize.placement} in ${tournament.name}`, referenceType: 'tournament', referenceId: tournamentId });
+        }
+    }
+    // The pool has been paid out, so nothing is held for any entrant any more.
+    await db.run('UPDATE tournament_participants SET entry_fee_paid = 0 WHERE tournament_id = ?', [tournamentId]);
+    await db.run("UPDATE tournaments SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?", [tournamentId]);
+
+    const everyone = await db.all('SELECT user_id, placement, prize FROM tournament_participants WHERE tournament_id = ?', [tournamentId]);
+    for (const player of everyone) {
+        const result = player.placement ? `You placed #${player.placement}${player.prize > 0 ? ` and won ${player.prize} gems` : ''}.` : 'Thanks for taking part.';
+        await sendInboxMessage(player.user_id, 'tournament', { type: 'duel_update', title: 'Tournament Finished', message: `${tournament.name} has finished. ${result}` });
+    }
+    console.log(`[Tournaments] Tournament ${tournamentId} completed. Champion: ${championId}. Prize pool: ${tournament.prize_pool}.`);
+}
+
+// Calls off a tournament duel the bracket no longer needs. A result still waiting on review is closed with it.
+async function voidTournamentDuel(duel, adminId, note) {
+    await transitionDuel(duel, 'void', { actor: 'admin', actorId: adminId, note });
+    await db.run(
+        "UPDATE disputes SET status = 'resolved', resolution = ?, resolved_at = CURRENT_TIMESTAMP, admin_resolver_id = ? WHERE duel_id = ? AND status = 'pending'",
+        [note, adminId, duel.id]
+    );
+}
+
+/**
+ * Removes a player from a running tournament. Their entry fee stays in the prize pool. If they are
+ * in a match right now, their opponent wins it; any later match they would have reached is
+ * treated as a bye. Must be called inside a transaction.
+ * @param {object} tournament The tournament row.
+ * @param {string} userId
+ * @param {string} adminId The admin disqualifying the player.
+ */
+async function disqualifyPlayer(tournament, userId, adminId) {
+    await db.run("UPDATE tournament_participants SET status = 'disqualified' WHERE tournament_id = ? AND user_id = ?", [tournament.id, userId]);
+    if (tournament.status !== 'in_progress') {
+        return;
+    }
+    const activeMatches = await db.all(
+        "SELECT * FROM tournament_matches WHERE tournament_id = ? AND status IN ('ready', 'in_progress') AND (player1_id = ? OR player2_id = ?)",
+        [tournament.id, userId, userId]
+    );
+    for (const match of activeMatches) {
+        // The bracket moves on first, so calling off the duel does not put the match back in line.
+        const winnerId = match.player1_id === userId ? match.player2_id : match.player1_id;
+        await completeMatch(match, winnerId, userId);
+        const duel = match.duel_id ? await db.get("SELECT * FROM duels WHERE id = ? AND status IN ('accepted', 'started', 'under_review')", [match.duel_id]) : null;
+        if (duel) {
+            await voidTournamentDuel(duel, adminId, `Player ${userId} disqualified from tournament #${tournament.id}`);
+        }
+    }
+}
+
+/**
+ * Cancels a tournament and refunds every entry fee still held in the prize pool.
+ * Must be called inside a transaction.
+ * @param {object} tournament The tournament row.
+ * @param {string} adminId The admin canceling the tournament.
+ */
+async function cancelTournament(tournament, adminId) {
+    const entrants = await db.all('SELECT id, user_id, entry_fee_paid FROM tournament_participants WHERE tournament_id = ? AND entry_fee_paid > 0', [tournament.id]);
+    for (const entrant of entrants) {
+        await recordTransaction({ userId: entrant.user_id, type: 'tournament_refund', amount: entrant.entry_fee_paid, description: `Refund for canceled tournament ${tournament.name}`, referenceType: 'tournament', referenceId: tournament.id });
+        await db.run('UPDATE tournament_participants SET entry_fee_paid = 0 WHERE id = ?', [entrant.id]);
+        await sendInboxMessage(entrant.user_id, 'tournament', { type: 'duel_update', title: 'Tournament Canceled', message: `${tournament.name} was canceled and your ${entrant.entry_fee_paid} gem entry fee has been refunded.` });
+    }
+    await db.run("UPDATE tournaments SET status = 'canceled', prize_pool = 0 WHERE id = ?", [tournament.id]);
+    const liveDuels = await db.all("SELECT * FROM duels WHERE tournament_id = ? AND status IN ('accepted', 'started', 'under_review')", [tournament.id]);
+    for (const duel of liveDuels) {
+        await voidTournamentDuel(duel, adminId, `Tournament #${tournament.id} canceled`);
+    }
+}
+
+/**
+ * Retries every match that is waiting for a server.
+ * @returns {Promise<number>} The number of matches launched.
+ */
+async function launchReadyMatches() {
+    const readyMatches = await db.all(
+        "SELECT m.id FROM tournament_matches m JOIN tournaments t ON m.tournament_id = t.id WHERE m.status = 'ready' AND t.status = 'in_progress'"
+    );
+    let launched = 0;
+    for (const { id } of readyMatches) {
+        await db.run('BEGIN TRANSACTION');
+        try {
+            if (await launchMatch(id)) {
+                launched++;
+            }
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK').catch(console.error);
+            console.error(`[Tournaments] Failed to launch match ${id}:`, error);
+        }
+    }
+    return launched;
+}
+
+/**
+ * Starts the background retry of matches that could not get a server.
+ */
+function startTournamentService() {
+    console.log(`[Tournaments] Starting tournament service. Interval: ${TOURNAMENT_INTERVAL_SECONDS} seconds.`);
+    setInterval(() => {
+        launchReadyMatches().catch(error => console.error('[Tournaments] Launching ready matches failed:', error));
+    }, TOURNAMENT_INTERVAL_SECONDS * 1000);
+}
+
+module.exports = {
+    TOURNAMENT_SIZES,
+    TOURNAMENT_FORMATS,
+    seedTournament,
+    startTournament,
+    recordMatchResult,
+    replayMatch,
+    disqualifyPlayer,
+    cancelTournament,
+    launchReadyMatches,
+    startTournamentService
+};
@@ -6,6 +6,7 @@ const { Alchemy, Network } = require("alchemy-sdk");
 const db = require('../database/database');
 // [NEW] Import the price feed service to get real-time crypto prices.
 const { getLatestPrice } = require('./priceFeedService');
+const { recordTransaction } = require('./ledgerService');
 
 // --- Configuration ---
 const CONFIRMATION_CHECK_INTERVAL = 60 * 1000; // Check every 60 seconds
@@ -86,8 +87,12 @@ async function processPendingDeposits() {
                     const usdValue = deposit.amount_crypto * currentPrice;
                     const gemsToCredit = Math.floor(usdValue * GEM_PER_DOLLAR);
 
-                    // 1. Add gems to the user's account
-                    await db.run('UPDATE users SET gems = gems + ? WHERE id = ?', [gemsToCredit, deposit.user_id]);
+                    // 1. Add gems to the user's account through the ledger
+                    await recordTransaction({
+                        userId: deposit.user_id, type: 'deposit_crypto', amount: gemsToCredit,
+                        description: `${gemsToCredit} Gems purchased via ${deposit.token_type}`,
+                        referenceType: 'deposit', referenceId: deposit.id
+                    });
                     
                     // 2. Mark the deposit as credited and update the gem amount
                     await db.run(
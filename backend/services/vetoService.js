@@ -0,0 +1,107 @@
+// backend/services/vetoService.js
+// This service runs the map and weapon veto of ranked and high-wager duels. Once such a duel is accepted,
+// the two captains take turns banning maps from the veto pool in game-data-store.js until one is left,
+// then take turns banning weapons. The result becomes the duel's map and banned weapons, and the duel
+// is handed to the referee bot like any other.
+
+const db = require('../database/database');
+const GAME_DATA = require('../game-data-store');
+const { queueRefereeTaskWhenDue } = require('./duelService');
+const { publishDuelEvent } = require('./eventStreamService');
+
+const VETO_MIN_WAGER = GAME_DATA.veto.minWager;
+const WEAPON_BAN_COUNT = GAME_DATA.veto.weaponBansPerPlayer * 2;
+
+/**
+ * Works out whose turn it is to ban. The challenger bans the first map and the opponent the first weapon,
+ * so neither side goes first twice.
+ * @param {object} duel The duel row.
+ * @param {'maps'|'weapons'} phase
+ * @param {number} bansSoFar How many bans have been made in this phase.
+ * @returns {string} The captain on turn.
+ */
+function getVetoTurn(duel, phase, bansSoFar) {
+    const challengerFirst = phase === 'maps';
+    return (bansSoFar % 2 === 0) === challengerFirst ? duel.challenger_id : duel.opponent_id;
+}
+
+/**
+ * Describes where a duel's veto stands.
+ * @param {object} duel The duel row.
+ * @returns {Promise<object>} The phase, whose turn it is, the maps and weapons still available and every ban so far.
+ */
+async function getVetoState(duel) {
+    const bans = await db.all(
+        `SELECT v.phase, v.choice, v.user_id, v.created_at, u.linked_roblox_username as username
+         FROM duel_vetoes v JOIN users u ON v.user_id = u.id
+         WHERE v.duel_id = ? ORDER BY v.id ASC`,
+        [duel.id]
+    );
+    const bannedMaps = bans.filter(ban => ban.phase === 'maps').map(ban => ban.choice);
+    const bannedWeapons = bans.filter(ban => ban.phase === 'weapons').map(ban => ban.choice);
+    const phaseBans = duel.veto_phase === 'maps' ? bannedMaps.length : bannedWeapons.length;
+
+    return {
+        phase: duel.veto_phase,
+        turn_user_id: duel.veto_phase === 'maps' || duel.veto_phase === 'weapons' ? getVetoTurn(duel, duel.veto_phase, phaseBans) : null,
+        maps: GAME_DATA.veto.mapPool
+            .filter(mapId => !bannedMaps.includes(mapId))
+            .map(mapId => ({ id: mapId, name: GAME_DATA.maps.find(m => m.id === mapId)?.name || mapId })),
+        weapons: GAME_DATA.weapons.filter(weapon => !bannedWeapons.includes(weapon.id)),
+        weapon_bans_left: duel.veto_phase === 'weapons' ? WEAPON_BAN_COUNT - bannedWeapons.length : (duel.veto_phase === 'maps' ? WEAPON_BAN_COUNT : 0),
+        bans: bans.map(ban => ({
+            ...ban,
+            name: ban.phase === 'maps'
+                ? GAME_DATA.maps.find(m => m.id === ban.choice)?.name || ban.choice
+                : GAME_DATA.weapons.find(w => w.id === ban.choice)?.name || ban.choice
+        }))
+    };
+}
+
+/**
+ * Bans a map or weapon for the captain whose turn it is. Banning the second-to-last map settles the map and
+ * moves on to weapons; the last weapon ban settles the banned weapons and queues the referee task if the duel is due.
+ * Must be called inside a transaction; the caller rolls back if an error message is returned.
+ * @param {object} duel The accepted duel row.
+ * @param {string} userId The captain making the ban.
+ * @param {string} choice The map or weapon id to ban.
+ * @returns {Promise<string|null>} A user-facing error message, or null if the ban was recorded.
+ */
+async function submitVetoBan(duel, userId, choice) {
+    if (duel.status !== 'accepted' || (duel.veto_phase !== 'maps' && duel.veto_phase !== 'weapons')) {
+        return 'This duel has no veto in progress.';
+    }
+    const state = await getVetoState(duel);
+    if (state.turn_user_id !== userId) {
+        return 'It is not your turn to ban.';
+    }
+    const options = duel.veto_phase === 'maps' ? state.maps : state.weapons;
+    if (!options.some(option => option.id === choice)) {
+        return `${choice} cannot be banned.`;
+    }
+
+    await db.run('INSERT INTO duel_vetoes (duel_id, user_id, phase, choice) VALUES (?, ?, ?, ?)', [duel.id, userId, duel.veto_phase, choice]);
+    await publishDuelEvent(duel, 'duel_updated', {}, userId);
+
+    if (duel.veto_phase === 'maps') {
+        const remaining = state.maps.filter(map => map.id !== choice);
+        if (remaining.length === 1) {
+            await db.run("UPDATE duels SET map = ?, veto_phase = 'weapons' WHERE id = ?", [remaining[0].id, duel.id]);
+        }
+        return null;
+    }
+
+    const bannedWeapons = [...state.bans.filter(ban => ban.phase === 'weapons').map(ban => ban.choice), choice];
+    if (bannedWeapons.length === WEAPON_BAN_COUNT) {
+        await db.run("UPDATE duels SET banned_weapons = ?, veto_phase = 'done' WHERE id = ?", [JSON.stringify(bannedWeapons), duel.id]);
+        await queueRefereeTaskWhenDue(await db.get('SELECT * FROM duels WHERE id = ?', [duel.id]));
+    }
+    return null;
+}
+
+module.exports = {
+    VETO_MIN_WAGER,
+    getVetoTurn,
+    getVetoState,
+    submitVetoBan
+};
@@ -0,0 +1,29 @@
+// public/sw.js
+// The service worker that shows Blox Battles push notifications, and brings the site to the front when one is clicked.
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+    const { title, body, url } = event.data.json();
+    event.waitUntil(
+        self.registration.showNotification(title, {
+            body,
+            icon: '/assets/gem_icon.png',
+            data: { url: url || '/dashboard' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data.url;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+            if (open) {
+                open.navigate(url);
+                return open.focus();
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
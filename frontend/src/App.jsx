@@ -18,6 +18,8 @@ const TransactionHistoryPage = lazy(() => import('./pages/TransactionHistoryPage
 const BanNotice = lazy(() => import('./pages/BanNotice.jsx'));
 // [NEW] Lazily load the new DuelHistoryPage.
 const DuelHistoryPage = lazy(() => import('./pages/DuelHistoryPage.jsx'));
+const TournamentsPage = lazy(() => import('./pages/TournamentsPage.jsx'));
+const TournamentPage = lazy(() => import('./pages/TournamentPage.jsx'));
 
 // --- UI COMPONENTS ---
 const Loader = ({ fullScreen = false }) => (
@@ -127,6 +129,32 @@ const App = () => {
                         </ProtectedRoute>
                     } 
                 />
+
+                {/* Tournament list and bracket pages */}
+                <Route 
+                    path="/tournaments" 
+                    element={
+                        <ProtectedRoute>
+                            <ErrorBoundary>
+                                <Suspense fallback={<Loader fullScreen />}>
+                                    <TournamentsPage />
+                                </Suspense>
+                            </ErrorBoundary>
+                        </ProtectedRoute>
+                    } 
+                />
+                <Route 
+                    path="/tournaments/:id" 
+                    element={
+                        <ProtectedRoute>
+                            <ErrorBoundary>
+                                <Suspense fallback={<Loader fullScreen />}>
+                                    <TournamentPage />
+                                </Suspense>
+                            </ErrorBoundary>
+                        </ProtectedRoute>
+                    } 
+                />
                 
                 {/* --- Admin Route --- */}
                 <Route 
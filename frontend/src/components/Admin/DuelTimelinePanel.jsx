@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import * as api from '../../services/api';
+
+const actorLabel = (event) => {
+    if (event.actor_type === 'player' || event.actor_type === 'admin') {
+        return `${event.actor_type} ${event.actor_username || event.actor_id || ''}`.trim();
+    }
+    return event.actor_type;
+};
+
+const DuelTimelinePanel = ({ token, onMessage }) => {
+    const [duelId, setDuelId] = useState('');
+    const [timeline, setTimeline] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleLookup = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        try {
+            setTimeline(await api.getDuelEvents(duelId, token));
+        } catch (error) {
+            setTimeline(null);
+            onMessage(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="widget">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="widget-title !mb-0">Duel Timeline</h2>
+                <form onSubmit={handleLookup} className="flex gap-2">
+                    <input type="number" min="1" value={duelId} onChange={(e) => setDuelId(e.target.value)} placeholder="Duel ID" required className="form-input !w-40" />
+                    <button type="submit" className="btn btn-primary !mt-0" disabled={isLoading}>{isLoading ? 'Loading...' : 'Look Up'}</button>
+                </form>
+            </div>
+            {timeline ? (
+                <>
+                    <p className="text-sm text-gray-400 mb-4">
+                        Duel #{timeline.duel.id} is <span className="font-bold text-white">{timeline.duel.status.replace(/_/g, ' ')}</span> | Wager {timeline.duel.wager} | Pot {timeline.duel.pot}
+                    </p>
+                    <table className="w-full text-sm">
+                        <thead><tr className="text-left text-xs text-gray-400 uppercase border-b border-gray-700"><th className="p-2">Date</th><th className="p-2">Transition</th><th className="p-2">Status</th><th className="p-2">Triggered By</th><th className="p-2">Note</th></tr></thead>
+                        <tbody>{timeline.events.map(event => (
+                            <tr key={event.id} className="border-b border-gray-800">
+                                <td className="p-2 text-gray-400">{new Date(event.created_at).toLocaleString()}</td>
+                                <td className="p-2 uppercase">{event.transition.replace(/_/g, ' ')}</td>
+                                <td className="p-2">{event.from_status ? `${event.from_status} → ${event.to_status}` : event.to_status}</td>
+                                <td className="p-2 capitalize">{actorLabel(event)}</td>
+                                <td className="p-2 text-gray-300">{event.note || '-'}</td>
+                            </tr>
+                        ))}</tbody>
+                    </table>
+                </>
+            ) : (
+                <p className="p-8 text-center text-gray-500">Enter a duel ID to see every status change it went through.</p>
+            )}
+        </div>
+    );
+};
+
+export default DuelTimelinePanel;
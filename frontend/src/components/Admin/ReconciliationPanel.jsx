@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import * as api from '../../services/api';
+
+const DriftValue = ({ value }) => (
+    <span className={`font-mono font-bold ${value === 0 ? 'text-gray-500' : value > 0 ? 'text-yellow-400' : 'text-red-400'}`}>
+        {value > 0 ? '+' : ''}{value.toLocaleString()}
+    </span>
+);
+
+const BreakdownModal = ({ breakdown, onClose }) => {
+    if (!breakdown) return null;
+    const { summary, entries, escrowedDuels, heldPayouts } = breakdown;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 p-4">
+            <div className="widget w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <header className="p-4 border-b border-gray-700 flex justify-between items-center"><h2 className="text-xl font-bold">Ledger Breakdown</h2><button onClick={onClose} className="text-gray-400 hover:text-white">&times;</button></header>
+                <div className="p-6 overflow-y-auto space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <div className="p-3 bg-gray-900/50 rounded-lg"><div className="text-xs text-gray-400">Stored Balance</div><div className="text-xl font-bold">{summary.storedGems.toLocaleString()}</div></div>
+                        <div className="p-3 bg-gray-900/50 rounded-lg"><div className="text-xs text-gray-400">Ledger Balance</div><div className="text-xl font-bold">{summary.ledgerGems.toLocaleString()}</div></div>
+                        <div className="p-3 bg-gray-900/50 rounded-lg"><div className="text-xs text-gray-400">In Escrow</div><div className="text-xl font-bold">{summary.escrowedGems.toLocaleString()}</div></div>
+                        <div className="p-3 bg-gray-900/50 rounded-lg"><div className="text-xs text-gray-400">Held by Withdrawals</div><div className="text-xl font-bold">{summary.heldGems.toLocaleString()}</div></div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <h4 className="font-bold text-lg mb-2">Escrowed Duels</h4>
+                            {escrowedDuels.length > 0 ? escrowedDuels.map(d => (
+                                <div key={d.id} className="flex justify-between text-sm p-2 border-b border-gray-800"><span>Duel #{d.id} ({d.status})</span><span>{d.status === 'pending' ? `Hold ${d.challenger_hold} / Wager ${d.wager}` : `Wager ${d.wager} / Pot ${d.pot}`}</span></div>
+                            )) : <p className="text-sm text-gray-500">No duels in escrow.</p>}
+                        </div>
+                        <div>
+                            <h4 className="font-bold text-lg mb-2">Held Withdrawals</h4>
+                            {heldPayouts.length > 0 ? heldPayouts.map(p => (
+                                <div key={p.id} className="flex justify-between text-sm p-2 border-b border-gray-800"><span className="truncate w-48" title={p.id}>{p.id}</span><span>{p.amount_gems} Gems ({p.status})</span></div>
+                            )) : <p className="text-sm text-gray-500">No withdrawals on hold.</p>}
+                        </div>
+                    </div>
+                    <div>
+                        <h4 className="font-bold text-lg mb-2">Ledger Entries</h4>
+                        <table className="w-full text-sm">
+                            <thead><tr className="text-left text-xs text-gray-400 uppercase"><th className="p-2">Date</th><th className="p-2">Type</th><th className="p-2">Reference</th><th className="p-2">Description</th><th className="p-2 text-right">Amount</th><th className="p-2 text-right">Balance</th></tr></thead>
+                            <tbody>{entries.map(e => (
+                                <tr key={e.id} className="border-b border-gray-800">
+                                    <td className="p-2 text-gray-400">{new Date(e.created_at).toLocaleString()}</td>
+                                    <td className="p-2 uppercase">{e.type.replace(/_/g, ' ')}</td>
+                                    <td className="p-2 text-gray-400">{e.reference_type ? `${e.reference_type} ${e.reference_id}` : '-'}</td>
+                                    <td className="p-2">{e.description}</td>
+                                    <td className={`p-2 text-right font-mono ${e.amount_gems > 0 ? 'text-green-400' : 'text-red-400'}`}>{e.amount_gems > 0 ? '+' : ''}{e.amount_gems}</td>
+                                    <td className="p-2 text-right font-mono text-gray-400">{e.balance_after}</td>
+                                </tr>
+                            ))}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ReconciliationPanel = ({ token, onMessage }) => {
+    const [report, setReport] = useState({ run: null, flags: [] });
+    const [breakdown, setBreakdown] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRunning, setIsRunning] = useState(false);
+
+    const fetchReport = useCallback(async () => {
+        try {
+            const data = await api.getReconciliationReport(token);
+            setReport(data);
+        } catch (error) {
+            onMessage(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [token, onMessage]);
+
+    useEffect(() => { fetchReport(); }, [fetchReport]);
+
+    const handleRun = async () => {
+        setIsRunning(true);
+        try {
+            const r = await api.runReconciliation(token);
+            onMessage(r.message, 'success');
+            await fetchReport();
+        } catch (error) {
+            onMessage(error.message, 'error');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const handleDrillDown = async (userId) => {
+        try {
+            const data = await api.getReconciliationBreakdown(userId, token);
+            setBreakdown(data);
+        } catch (error) {
+            onMessage(error.message, 'error');
+        }
+    };
+
+    const { run, flags } = report;
+
+    return (
+        <div className="widget">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h2 className="widget-title !mb-0 !pb-0 !border-none">Ledger Drift Report</h2>
+                    <p className="text-sm text-gray-400">
+                        {run ? `Run #${run.id} finished ${new Date(run.completed_at).toLocaleString()}: ${run.users_checked} users checked, ${run.users_flagged} flagged.` : 'No reconciliation run has completed yet.'}
+                    </p>
+                </div>
+                <button onClick={handleRun} className="btn btn-primary !mt-0" disabled={isRunning}>{isRunning ? 'Running...' : 'Run Now'}</button>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead><tr className="text-left text-xs text-gray-400 uppercase border-b border-gray-700"><th className="p-3">User</th><th className="p-3 text-right">Stored</th><th className="p-3 text-right">Ledger</th><th className="p-3 text-right">In Escrow</th><th className="p-3 text-right">Held</th><th className="p-3 text-right">Balance Drift</th><th className="p-3 text-right">Escrow Drift</th><th className="p-3 text-right">Held Drift</th><th className="p-3"></th></tr></thead>
+                    <tbody>
+                        {isLoading ? (<tr><td colSpan="9" className="p-8 text-center">Loading...</td></tr>)
+                        : flags.length > 0 ? (flags.map(f => (
+                            <tr key={f.id} className="border-b border-gray-700 hover:bg-gray-800/50">
+                                <td className="p-3"><div className="font-semibold text-white">{f.linked_roblox_username || 'N/A'}</div><div className="text-xs text-gray-400">{f.email}</div></td>
+                                <td className="p-3 text-right font-mono">{f.stored_gems.toLocaleString()}</td>
+                                <td className="p-3 text-right font-mono">{f.ledger_gems.toLocaleString()}</td>
+                                <td className="p-3 text-right font-mono">{f.escrowed_gems.toLocaleString()}</td>
+                                <td className="p-3 text-right font-mono">{f.held_gems.toLocaleString()}</td>
+                                <td className="p-3 text-right"><DriftValue value={f.balance_drift} /></td>
+                                <td className="p-3 text-right"><DriftValue value={f.escrow_drift} /></td>
+                                <td className="p-3 text-right"><DriftValue value={f.held_drift} /></td>
+                                <td className="p-3 text-right"><button onClick={() => handleDrillDown(f.user_id)} className="btn btn-secondary !mt-0 !py-1 !px-3">Entries</button></td>
+                            </tr>
+                        ))) : (<tr><td colSpan="9" className="p-8 text-center text-gray-500">No drift detected. Every balance matches the ledger.</td></tr>)}
+                    </tbody>
+                </table>
+            </div>
+            <BreakdownModal breakdown={breakdown} onClose={() => setBreakdown(null)} />
+        </div>
+    );
+};
+
+export default ReconciliationPanel;
@@ -1,11 +1,20 @@
 import React, { useState } from 'react';
 import * as api from '../../services/api';
 
-const ChallengePlayer = ({ token, onChallenge, onError, isBanned }) => {
+const ChallengePlayer = ({ token, templates = [], onChallenge, onDeleteTemplate, onError, isBanned }) => {
     const [username, setUsername] = useState('');
+    const [templateId, setTemplateId] = useState('');
     const [searchResult, setSearchResult] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
 
+    // [NEW] A saved template pre-fills the challenge form with its terms.
+    const selectedTemplate = templates.find(t => String(t.id) === templateId) || null;
+
+    const handleDeleteTemplate = async () => {
+        await onDeleteTemplate(selectedTemplate);
+        setTemplateId('');
+    };
+
     const handleFindPlayer = async (e) => {
         e.preventDefault();
         setIsLoading(true);
@@ -15,7 +24,7 @@ const ChallengePlayer = ({ token, onChallenge, onError, isBanned }) => {
             setSearchResult(
                 <div className="flex justify-between items-center">
                     <p>Found player: <strong>{foundPlayer.linked_roblox_username}</strong></p>
-                    <button onClick={() => onChallenge(foundPlayer)} className="btn-primary !mt-0 !w-auto !py-1 !px-3 !text-sm">Challenge</button>
+                    <button onClick={() => onChallenge(foundPlayer, selectedTemplate)} className="btn-primary !mt-0 !w-auto !py-1 !px-3 !text-sm">Challenge</button>
                 </div>
             );
         } catch (error) {
@@ -42,6 +51,22 @@ const ChallengePlayer = ({ token, onChallenge, onError, isBanned }) => {
                         disabled={isBanned} // Disable input if banned
                     />
                 </div>
+                {templates.length > 0 && (
+                    <div className="form-group mb-4">
+                        <label htmlFor="template-select" className="block text-sm font-medium text-gray-400 mb-1">Challenge Template</label>
+                        <div className="flex gap-2">
+                            <select id="template-select" value={templateId} onChange={e => setTemplateId(e.target.value)} className="form-input" disabled={isBanned}>
+                                <option value="">No template</option>
+                                {templates.map(t => (
+                                    <option key={t.id} value={t.id}>{t.name} ({t.map_name}, {t.region}, {t.wager} gems)</option>
+                                ))}
+                            </select>
+                            {selectedTemplate && (
+                                <button type="button" onClick={handleDeleteTemplate} className="btn btn-secondary !mt-0 !w-auto !py-1 !px-3 !text-sm">Delete</button>
+                            )}
+                        </div>
+                    </div>
+                )}
                 <button type="submit" className="btn btn-primary w-full" disabled={isLoading || isBanned}>
                     {isBanned ? 'Cannot Challenge (Banned)' : isLoading ? 'Searching...' : 'Find Player'}
                 </button>
@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import * as api from '../../services/api';
+
+// Chat stays readable after a duel is over, but new messages are only accepted until it is settled.
+const OPEN_STATUSES = ['pending', 'accepted', 'started', 'completed_unseen', 'under_review'];
+
+// --- [NEW] The chat thread between the players of a duel ---
+const DuelChat = ({ duel, currentUser, token, onError }) => {
+    const [messages, setMessages] = useState([]);
+    const [draft, setDraft] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const bottomRef = useRef(null);
+
+    const fetchMessages = useCallback(async () => {
+        try {
+            setMessages(await api.getDuelChat(duel.id, token));
+        } catch (error) {
+            console.error("Failed to fetch duel chat:", error);
+        }
+    }, [duel.id, token]);
+
+    useEffect(() => {
+        fetchMessages();
+        const interval = setInterval(fetchMessages, 5000);
+        return () => clearInterval(interval);
+    }, [fetchMessages]);
+
+    useEffect(() => {
+        bottomRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [messages.length]);
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        setIsSending(true);
+        try {
+            const message = await api.sendDuelChatMessage(duel.id, draft.trim(), token);
+            setMessages(prev => [...prev, message]);
+            setDraft('');
+        } catch (error) {
+            onError(error.message, 'error');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="mt-6 border-t border-gray-700 pt-4">
+            <strong>Chat</strong>
+            <div className="mt-2 space-y-2 max-h-48 overflow-y-auto bg-gray-900 rounded-md p-3">
+                {messages.length > 0 ? messages.map(message => (
+                    <div key={message.id} className={message.user_id === currentUser.id ? 'text-right' : ''}>
+                        <p className="text-xs text-gray-500">{message.username}</p>
+                        <p className="text-sm text-gray-200 break-words">{message.message}</p>
+                    </div>
+                )) : <p className="text-sm text-gray-500 text-center">No messages yet. Say hi!</p>}
+                <div ref={bottomRef} />
+            </div>
+            {OPEN_STATUSES.includes(duel.status) && (
+                <form onSubmit={handleSend} className="flex gap-2 mt-2">
+                    <input type="text" value={draft} onChange={e => setDraft(e.target.value)} maxLength={500} placeholder="Message your opponent" className="form-input flex-grow" />
+                    <button type="submit" className="btn btn-primary !mt-0" disabled={isSending || !draft.trim()}>Send</button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default DuelChat;
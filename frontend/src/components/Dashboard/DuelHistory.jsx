@@ -1,5 +1,8 @@
 import React from 'react';
 
+// Outcomes where the wager came back instead of being won or lost.
+const refundedOutcomes = { expired: 'Expired', draw: 'Draw', no_contest: 'No Contest' };
+
 const DuelHistory = ({ history, onViewTranscript }) => {
     return (
         <div className="widget">
@@ -12,11 +15,11 @@ const DuelHistory = ({ history, onViewTranscript }) => {
                             duel.outcome === 'loss' || duel.outcome === 'forfeit' ? 'text-[var(--loss-color)]' : 
                             'text-[var(--text-muted)]'
                         }`}>
-                            {duel.outcome === 'win' ? `+${duel.wager}` : `-${duel.wager}`}
+                            {duel.outcome === 'win' ? `+${duel.wager}` : refundedOutcomes[duel.outcome] ? '0' : `-${duel.wager}`}
                         </div>
                         <div className="flex-grow">
                             <p className="font-semibold">vs {duel.opponent_name}</p>
-                            <p className="text-sm text-gray-400">Wager: {duel.wager} Gems</p>
+                            <p className="text-sm text-gray-400">Wager: {duel.wager} Gems{refundedOutcomes[duel.outcome] && ` | ${refundedOutcomes[duel.outcome]}`}</p>
                         </div>
                         <button onClick={() => onViewTranscript(duel.id)} className="btn-view-transcript">Transcript</button>
                     </div>
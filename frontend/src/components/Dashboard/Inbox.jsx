@@ -1,19 +1,72 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import NotificationHistory from './NotificationHistory';
+
+// --- [NEW] Lists both sides of a team duel, marking players who have not answered their invite yet ---
+const TeamRoster = ({ duel }) => {
+    const side = (team) => duel.participants.filter(p => p.team === team).map(p => (
+        <span key={p.user_id} className={p.status === 'joined' ? 'text-gray-300' : 'text-gray-500 italic'} title={p.status}>{p.username}</span>
+    )).reduce((list, name, i) => (i === 0 ? [name] : [...list, ', ', name]), []);
+    return (
+        <p className="text-sm">{side('challenger')} <span className="text-gray-500">vs</span> {side('opponent')}</p>
+    );
+};
+
+// Scheduled times are stored in UTC and shown in the player's own time zone.
+export const formatScheduledTime = (scheduledFor) => new Date(scheduledFor.replace(' ', 'T') + 'Z').toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+// --- [NEW] Counts down the ready check once one side has readied up ---
+const ReadyCountdown = ({ seconds }) => {
+    const [remaining, setRemaining] = useState(Math.max(seconds, 0));
+    useEffect(() => {
+        setRemaining(Math.max(seconds, 0));
+        const timer = setInterval(() => setRemaining(prev => Math.max(prev - 1, 0)), 1000);
+        return () => clearInterval(timer);
+    }, [seconds]);
+    return <>{Math.floor(remaining / 60)}:{(remaining % 60).toString().padStart(2, '0')}</>;
+};
 
 // --- Sub-component for standard Duel notifications ---
-const DuelNotification = ({ duel, onStartDuel, onViewDuel, onCancelDuel, onForfeitDuel }) => {
+const DuelNotification = ({ duel, onReadyDuel, onViewDuel, onCancelDuel, onForfeitDuel, onTeamInvite }) => {
+    const otherUsername = duel.is_challenger ? duel.opponent_username : duel.challenger_username;
+    const isTeamDuel = duel.team_size > 1;
+    // Only the captain who sent a team challenge can call it off.
+    const canCancel = duel.is_challenger && (!isTeamDuel || duel.is_captain);
+    const isCounterOffer = duel.status === 'pending' && duel.revisions?.length > 1;
+    // A scheduled duel cannot be readied until shortly before its start time, when it is handed to the referee.
+    const isVetoing = duel.status === 'accepted' && (duel.veto_phase === 'maps' || duel.veto_phase === 'weapons');
+    const isWaitingForSchedule = duel.status === 'accepted' && !isVetoing && !duel.referee_queued_at;
     return (
         <div className="duel-item">
             <div className="flex-grow">
-                <p className="font-semibold">{duel.type === 'incoming' ? `From: ${duel.challenger_username}` : `To: ${duel.opponent_username}`}</p>
-                <p className="text-sm text-gray-400">Wager: {duel.wager} Gems | Map: {duel.map_name}</p>
-                {duel.status === 'accepted' && <p className="text-sm text-yellow-400">Status: Accepted - Ready to Start</p>}
+                {isTeamDuel ? (
+                    <>
+                        <p className="font-semibold">{duel.team_size}v{duel.team_size} Team Duel</p>
+                        <TeamRoster duel={duel} />
+                    </>
+                ) : (
+                    <p className="font-semibold">{duel.type === 'incoming' ? `From: ${otherUsername}` : (otherUsername ? `To: ${otherUsername}` : 'Open challenge')}</p>
+                )}
+                <p className="text-sm text-gray-400">Wager: {duel.wager} Gems{isTeamDuel ? ' each' : ''} | Map: {duel.map_name || 'Veto'}{duel.best_of > 1 ? ` | Best of ${duel.best_of}` : ''}</p>
+                {isCounterOffer && <p className="text-sm text-blue-400">{duel.type === 'incoming' ? 'Counter-offer received' : 'Counter-offer sent'}</p>}
+                {duel.unread_messages > 0 && <p className="text-sm text-blue-400 truncate">💬 {duel.unread_messages} new: {duel.last_message}</p>}
+                {duel.scheduled_for && <p className="text-sm text-blue-400">Scheduled for {formatScheduledTime(duel.scheduled_for)}</p>}
+                {isVetoing && <p className="text-sm text-yellow-400">{duel.is_my_veto_turn ? 'Veto - Your turn to ban' : `Veto - Waiting for ${otherUsername} to ban`}</p>}
+                {isWaitingForSchedule && <p className="text-sm text-yellow-400">Status: Accepted - Ready check opens shortly before the start</p>}
+                {duel.status === 'accepted' && !isVetoing && !isWaitingForSchedule && !duel.my_side_ready && !duel.other_side_ready && <p className="text-sm text-yellow-400">Status: Accepted - Ready Up to Start</p>}
+                {duel.status === 'accepted' && duel.my_side_ready && <p className="text-sm text-yellow-400">Waiting for {otherUsername || 'your opponent'} to ready up (<ReadyCountdown seconds={duel.ready_seconds_left} />)</p>}
+                {duel.status === 'accepted' && !duel.my_side_ready && duel.other_side_ready && <p className="text-sm text-yellow-400">{otherUsername || 'Your opponent'} is ready! Starts in <ReadyCountdown seconds={duel.ready_seconds_left} /></p>}
                 {duel.status === 'started' && <p className="text-sm text-green-400">Status: Started - Join Now!</p>}
+                {duel.status === 'started' && duel.best_of > 1 && (
+                    <p className="text-sm text-gray-400">Series: {duel.is_challenger ? duel.challenger_score : duel.opponent_score} - {duel.is_challenger ? duel.opponent_score : duel.challenger_score}</p>
+                )}
             </div>
             
             <div className="flex items-center gap-2">
-                {duel.status === 'accepted' && (
-                    <button onClick={() => onStartDuel(duel)} className="btn btn-primary">Start</button>
+                {isVetoing && (
+                    <button onClick={() => onViewDuel(duel)} className={`btn ${duel.is_my_veto_turn ? 'btn-primary' : 'btn-secondary'}`}>Veto</button>
+                )}
+                {duel.status === 'accepted' && !isVetoing && !isWaitingForSchedule && !duel.my_side_ready && (
+                    <button onClick={() => onReadyDuel(duel)} className="btn btn-primary">Ready</button>
                 )}
                 {duel.status === 'started' && (
                     <>
@@ -25,20 +78,32 @@ const DuelNotification = ({ duel, onStartDuel, onViewDuel, onCancelDuel, onForfe
                         </button>
                     </>
                 )}
-                {duel.status === 'pending' && duel.type === 'incoming' && (
+                {duel.status === 'pending' && isTeamDuel && duel.my_invite_status === 'invited' && (
+                    <>
+                        <button onClick={() => onTeamInvite(duel, 'accept')} className="btn btn-primary">Join</button>
+                        <button onClick={() => onTeamInvite(duel, 'decline')} className="btn btn-secondary">Decline</button>
+                    </>
+                )}
+                {duel.status === 'pending' && !isTeamDuel && duel.type === 'incoming' && (
                     <button onClick={() => onViewDuel(duel)} className="btn btn-secondary">View</button>
                 )}
-                {duel.status === 'pending' && duel.type === 'outgoing' && (
+                {!(duel.status === 'pending' && !isTeamDuel && duel.type === 'incoming') && !isVetoing && (
+                    <button onClick={() => onViewDuel(duel)} className="btn btn-secondary">Chat{duel.unread_messages > 0 ? ` (${duel.unread_messages})` : ''}</button>
+                )}
+                {duel.status === 'pending' && duel.type === 'outgoing' && canCancel && (
                     <button onClick={() => onCancelDuel(duel)} className="btn btn-secondary">Cancel</button>
                 )}
+                {duel.status === 'pending' && duel.type === 'outgoing' && !canCancel && (
+                    <span className="text-sm text-gray-400">Awaiting response</span>
+                )}
             </div>
         </div>
     );
 };
 
 // --- Sub-component for "Under Review" notifications ---
-const DuelUnderReviewNotification = ({ duel }) => {
-    const opponent_username = duel.challenger_id === duel.userId ? duel.opponent_username : duel.challenger_username;
+const DuelUnderReviewNotification = ({ duel, onViewDuel }) => {
+    const opponent_username = duel.is_challenger ? duel.opponent_username : duel.challenger_username;
     return (
         <div className="duel-item bg-gray-800/50 border-l-4 border-yellow-500">
             <div className="flex-grow flex items-center gap-3">
@@ -48,6 +113,7 @@ const DuelUnderReviewNotification = ({ duel }) => {
                     <p className="text-sm text-gray-400">Your duel with {opponent_username} is being reviewed by an admin.</p>
                 </div>
             </div>
+            <button onClick={() => onViewDuel(duel)} className="btn btn-secondary">Chat{duel.unread_messages > 0 ? ` (${duel.unread_messages})` : ''}</button>
         </div>
     );
 };
@@ -84,31 +150,17 @@ const WithdrawalNotification = ({ request, onCancelWithdrawal }) => {
     );
 };
 
-// --- [NEW] Sub-component for Admin Messages (e.g., declined withdrawal) ---
-const AdminMessageNotification = ({ message }) => {
-    return (
-        <div className="duel-item bg-red-900/30 border-l-4 border-red-500">
-             <div className="flex-grow flex items-center gap-3">
-                <span className="text-red-400 text-xl">❗</span>
-                <div>
-                    <p className="font-semibold text-red-400">{message.title}</p>
-                    <p className="text-sm text-gray-300">{message.message}</p>
-                </div>
-            </div>
-             {/* Add a dismiss button later if needed */}
-        </div>
-    );
-};
-
 // --- Main Inbox Component (Dispatcher) ---
-const Inbox = ({ notifications, onViewDuel, onCancelDuel, onStartDuel, onForfeitDuel, onCancelWithdrawal }) => {
-    
+const Inbox = ({ notifications, unreadCount, onViewDuel, onCancelDuel, onReadyDuel, onForfeitDuel, onTeamInvite, onCancelWithdrawal, onNotificationsChanged, onNotificationError }) => {
+    // [NEW] 'active' lists what needs attention now, 'history' every notification the player has been sent.
+    const [view, setView] = useState('active');
+
     const renderNotification = (notification) => {
         switch (notification.type) {
             case 'duel':
                 // [MODIFIED] Handle 'under_review' status within the 'duel' type
                 if (notification.data.status === 'under_review') {
-                    return <DuelUnderReviewNotification key={notification.id} duel={notification.data} />;
+                    return <DuelUnderReviewNotification key={notification.id} duel={notification.data} onViewDuel={onViewDuel} />;
                 }
                 return (
                     <DuelNotification 
@@ -116,8 +168,9 @@ const Inbox = ({ notifications, onViewDuel, onCancelDuel, onStartDuel, onForfeit
                         duel={notification.data}
                         onViewDuel={onViewDuel}
                         onCancelDuel={onCancelDuel}
-                        onStartDuel={onStartDuel}
+                        onReadyDuel={onReadyDuel}
                         onForfeitDuel={onForfeitDuel}
+                        onTeamInvite={onTeamInvite}
                     />
                 );
             case 'withdrawal_request':
@@ -128,29 +181,51 @@ const Inbox = ({ notifications, onViewDuel, onCancelDuel, onStartDuel, onForfeit
                         onCancelWithdrawal={onCancelWithdrawal}
                     />
                 );
-            case 'admin_message':
-                 return (
-                    <AdminMessageNotification
-                        key={notification.id}
-                        message={notification.data}
-                    />
-                );
             default:
                 console.warn("Unknown notification type:", notification.type);
                 return null;
         }
     };
 
+    // [NEW] Scheduled duels that are not due yet are listed apart from everything that needs attention now.
+    const isUpcoming = (notification) => notification.type === 'duel' && notification.data.scheduled_for
+        && (notification.data.status === 'pending' || (notification.data.status === 'accepted' && !notification.data.referee_queued_at));
+    const upcoming = notifications.filter(isUpcoming);
+    const current = notifications.filter(notification => !isUpcoming(notification));
+
     return (
         <div className="widget">
-            <h2 className="widget-title">Inbox</h2>
-            <div className="space-y-3">
-                {notifications.length > 0 ? (
-                    notifications.map(renderNotification)
-                ) : (
-                    <p className="text-gray-500 text-center py-4">Your inbox is empty.</p>
-                )}
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="widget-title mb-0">Inbox</h2>
+                <div className="flex gap-2">
+                    <button onClick={() => setView('active')} className={`btn ${view === 'active' ? 'btn-primary' : 'btn-secondary'}`}>Active</button>
+                    <button onClick={() => setView('history')} className={`btn ${view === 'history' ? 'btn-primary' : 'btn-secondary'} relative`}>
+                        History
+                        {unreadCount > 0 && (
+                            <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                        )}
+                    </button>
+                </div>
             </div>
+            {view === 'history' ? (
+                <NotificationHistory onChange={onNotificationsChanged} onError={onNotificationError} />
+            ) : (
+                <>
+                    <div className="space-y-3">
+                        {current.length > 0 ? (
+                            current.map(renderNotification)
+                        ) : (
+                            <p className="text-gray-500 text-center py-4">Your inbox is empty.</p>
+                        )}
+                    </div>
+                    {upcoming.length > 0 && (
+                        <>
+                            <h3 className="text-sm font-semibold text-gray-400 uppercase mt-6 mb-3">Upcoming Duels</h3>
+                            <div className="space-y-3">{upcoming.map(renderNotification)}</div>
+                        </>
+                    )}
+                </>
+            )}
         </div>
     );
 };
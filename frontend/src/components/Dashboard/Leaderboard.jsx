@@ -16,11 +16,11 @@ const Leaderboard = ({ leaderboard }) => {
                         <div className="leaderboard-info">
                             <p className="name">{player.linked_roblox_username}</p>
                             <p className="stats">
-                                <span className="win">{player.wins}W</span> / <span className="loss">{player.losses}L</span>
+                                <span className="win">{player.wins}W</span> / {player.draws}D / <span className="loss">{player.losses}L</span>
                             </p>
                         </div>
-                        <div className="stat-item gems !bg-transparent !p-0 !min-w-0 !border-none">
-                            <span className="stat-value !text-base">{player.gems}</span>
+                        <div className="stat-item rating !bg-transparent !p-0 !min-w-0 !border-none" title={`Rating deviation: ±${player.rating_deviation}`}>
+                            <span className="stat-value !text-base">{player.rating}</span>
                         </div>
                     </div>
                 )) : <p className="text-gray-500 text-center py-4">Leaderboard is empty.</p>}
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import * as api from '../../services/api';
+
+const formatWait = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const MatchmakingQueue = ({ token, onMatched, onError, isBanned }) => {
+    const [queueStatus, setQueueStatus] = useState({ queued: false, tiers: [] });
+    const [region, setRegion] = useState('North America');
+    const [wager, setWager] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const wasQueued = useRef(false);
+
+    const fetchStatus = useCallback(async () => {
+        try {
+            const status = await api.getQueueStatus(token);
+            // Leaving the queue without asking for it means the matcher paired us.
+            if (wasQueued.current && !status.queued) {
+                onMatched();
+            }
+            wasQueued.current = status.queued;
+            setQueueStatus(status);
+        } catch (error) {
+            console.error("Failed to fetch queue status:", error);
+        }
+    }, [token, onMatched]);
+
+    useEffect(() => {
+        fetchStatus();
+        const interval = setInterval(fetchStatus, 5000);
+        return () => clearInterval(interval);
+    }, [fetchStatus]);
+
+    const handleJoin = async () => {
+        if (!wager) { onError("Please select a wager tier.", "error"); return; }
+        setIsLoading(true);
+        try {
+            const r = await api.joinQueue(region, wager, token);
+            onError(r.message, 'success');
+            await fetchStatus();
+        } catch (error) {
+            onError(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleLeave = async () => {
+        setIsLoading(true);
+        try {
+            const r = await api.leaveQueue(token);
+            onError(r.message, 'success');
+            wasQueued.current = false;
+            setQueueStatus(prev => ({ ...prev, queued: false }));
+        } catch (error) {
+            onError(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (queueStatus.queued) {
+        return (
+            <div className="widget">
+                <h2 className="widget-title">Ranked Matchmaking</h2>
+                <div className="text-center space-y-2">
+                    <p className="font-semibold">Searching for an opponent...</p>
+                    <p className="text-sm text-gray-400">{queueStatus.wager} Gems | {queueStatus.region}</p>
+                    <p className="text-sm text-gray-400">Time in queue: {formatWait(queueStatus.wait_seconds)} | Players in this tier: {queueStatus.players_in_queue}</p>
+                    <p className="text-xs text-gray-500">Accepting opponents within ±{queueStatus.search_range} rating of {queueStatus.rating}</p>
+                </div>
+                <button onClick={handleLeave} className="btn btn-secondary w-full mt-4" disabled={isLoading}>Leave Queue</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="widget">
+            <h2 className="widget-title">Ranked Matchmaking</h2>
+            <div className="form-group mb-4">
+                <label className="block text-sm font-medium text-gray-400 mb-1">Region</label>
+                <select value={region} onChange={e => setRegion(e.target.value)} className="form-input" disabled={isBanned}>
+                    <option>North America</option>
+                    <option>Europe</option>
+                    <option>Oceania</option>
+                </select>
+            </div>
+            <div className="form-group mb-4">
+                <label className="block text-sm font-medium text-gray-400 mb-1">Wager Tier</label>
+                <div className="flex items-center gap-2">
+                    {queueStatus.tiers.map(tier => (
+                        <button
+                            key={tier}
+                            type="button"
+                            onClick={() => setWager(tier)}
+                            className={`flex-1 p-2 rounded-md border-2 font-semibold transition-all ${wager === tier ? 'border-blue-500 bg-blue-500/20' : 'border-transparent bg-gray-700/50 hover:bg-gray-600/50'}`}
+                            disabled={isBanned}
+                        >
+                            {tier}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <button onClick={handleJoin} className="btn btn-primary w-full" disabled={isLoading || isBanned}>
+                {isBanned ? 'Cannot Queue (Banned)' : isLoading ? 'Joining...' : 'Find Match'}
+            </button>
+        </div>
+    );
+};
+
+export default MatchmakingQueue;
@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import * as api from '../../services/api'; // Import the api service
+import VetoStep from './VetoStep';
+import DuelChat from './DuelChat';
 
 // --- Base Modal Component ---
 const CloseIcon = () => <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>;
@@ -21,36 +23,43 @@ const Modal = ({ children, isOpen, onClose, title }) => {
 
 
 // --- Post Duel Result & Dispute Modal ---
-export const PostDuelModal = ({ isOpen, result, currentUser, onConfirm, onDispute }) => {
+export const PostDuelModal = ({ isOpen, result, currentUser, onConfirm, onDispute, onRematch, onDeadline }) => {
     const [view, setView] = useState('result');
     const [reason, setReason] = useState('');
     const [hasVideo, setHasVideo] = useState(false);
-    const [countdown, setCountdown] = useState(120);
+    const [countdown, setCountdown] = useState(0);
 
     const isWinner = result?.winner_id === currentUser?.id;
     const opponentUsername = isWinner ? result?.loser_username : result?.winner_username;
 
+    // The server finalizes the result once its deadline passes, so the modal only counts down to it.
+    const deadline = useMemo(() => result && Date.now() + Math.max(result.seconds_to_deadline, 0) * 1000, [result]);
+
     useEffect(() => {
         if (isOpen) {
             setView('result');
             setReason('');
             setHasVideo(false);
-            setCountdown(120);
+        }
+    }, [isOpen, result]);
+
+    useEffect(() => {
+        if (isOpen && deadline) {
+            const tick = () => Math.max(Math.ceil((deadline - Date.now()) / 1000), 0);
+            setCountdown(tick());
 
             const timer = setInterval(() => {
-                setCountdown(prev => {
-                    if (prev <= 1) {
-                        clearInterval(timer);
-                        onConfirm(result.id);
-                        return 0;
-                    }
-                    return prev - 1;
-                });
+                const remaining = tick();
+                setCountdown(remaining);
+                if (remaining === 0) {
+                    clearInterval(timer);
+                    onDeadline(result.id);
+                }
             }, 1000);
 
             return () => clearInterval(timer);
         }
-    }, [isOpen, result, onConfirm]);
+    }, [isOpen, result, deadline, onDeadline]);
 
     if (!isOpen || !result) return null;
 
@@ -74,12 +83,15 @@ export const PostDuelModal = ({ isOpen, result, currentUser, onConfirm, onDisput
                     </p>
                     <div className="mt-6 p-3 bg-yellow-900/50 border border-yellow-700 rounded-lg">
                         <p className="text-yellow-300 font-bold">This is your only chance to dispute the outcome.</p>
-                        <p className="text-yellow-400 text-sm">Result will be auto-confirmed in: {Math.floor(countdown / 60)}:{(countdown % 60).toString().padStart(2, '0')}</p>
+                        <p className="text-yellow-400 text-sm">Result will be finalized in: {Math.floor(countdown / 60)}:{(countdown % 60).toString().padStart(2, '0')}</p>
                     </div>
                     <div className="modal-actions mt-6">
                         <button onClick={() => setView('dispute')} className="btn btn-secondary">Dispute Outcome</button>
                         <button onClick={() => onConfirm(result.id)} className="btn btn-primary">Confirm Result</button>
                     </div>
+                    {onRematch && (
+                        <button onClick={() => onRematch(result.id)} className="btn btn-secondary w-full mt-3">Confirm &amp; Rematch</button>
+                    )}
                 </div>
             )}
 
@@ -122,11 +134,19 @@ export const PostDuelModal = ({ isOpen, result, currentUser, onConfirm, onDisput
 
 // --- Existing Modals ---
 
-export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameData, onChallengeSubmit, onError, token }) => {
+// An open challenge has no opponent; it is posted to the board for anyone to accept.
+export const ChallengeModal = ({ isOpen, onClose, opponent, isOpenChallenge = false, template = null, currentUser, gameData, onChallengeSubmit, onSaveTemplate, onError, token }) => {
     const [wager, setWager] = useState(100);
     const [selectedMap, setSelectedMap] = useState('');
     const [bannedWeapons, setBannedWeapons] = useState([]);
     const [selectedRegion, setSelectedRegion] = useState('North America');
+    const [bestOf, setBestOf] = useState(1);
+    const [teamSize, setTeamSize] = useState(1);
+    const [teammates, setTeammates] = useState([]);
+    const [opponentTeammates, setOpponentTeammates] = useState([]);
+    const [templateName, setTemplateName] = useState('');
+    const [scheduledFor, setScheduledFor] = useState('');
+    const [mapVeto, setMapVeto] = useState(false);
     const [botStatuses, setBotStatuses] = useState([]); // [NEW] State for bot statuses
 
     // [NEW] Fetch bot statuses when the modal opens and poll for updates
@@ -150,14 +170,22 @@ export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameDat
 
     useEffect(() => {
         if (isOpen) {
-            setWager(100);
-            setSelectedMap('');
-            setBannedWeapons([]);
-            setSelectedRegion('North America');
+            // [MODIFIED] Start from the chosen template's terms, if there is one.
+            setWager(template?.wager ?? 100);
+            setSelectedMap(template?.map ?? '');
+            setBannedWeapons(template?.banned_weapons ?? []);
+            setSelectedRegion(template?.region ?? 'North America');
+            setBestOf(template?.best_of ?? 1);
+            setTeamSize(1);
+            setTeammates([]);
+            setOpponentTeammates([]);
+            setTemplateName('');
+            setScheduledFor('');
+            setMapVeto(false);
         }
-    }, [isOpen]);
+    }, [isOpen, template]);
 
-    if (!opponent || !currentUser) return null;
+    if ((!opponent && !isOpenChallenge) || !currentUser) return null;
 
     const handleWeaponToggle = (weaponId) => {
         setBannedWeapons(prev => 
@@ -165,22 +193,52 @@ export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameDat
         );
     };
 
+    // [NEW] Each side of a team duel names the rest of its players by Roblox username.
+    const handleTeamSizeChange = (size) => {
+        setTeamSize(size);
+        if (size > 1) setMapVeto(false);
+        setTeammates(prev => Array.from({ length: size - 1 }, (_, i) => prev[i] || ''));
+        setOpponentTeammates(prev => Array.from({ length: size - 1 }, (_, i) => prev[i] || ''));
+    };
+
+    const updateName = (setter, index, value) => {
+        setter(prev => prev.map((name, i) => (i === index ? value : name)));
+    };
+
+    // [NEW] Saves the current terms under a name so they can be reused for later challenges.
+    const handleSaveTemplate = () => {
+        if (!templateName.trim()) { onError("Please name the template.", "error"); return; }
+        if (!selectedMap) { onError("Please select a map.", "error"); return; }
+        onSaveTemplate({
+            name: templateName.trim(),
+            wager: parseInt(wager, 10),
+            map: selectedMap,
+            banned_weapons: bannedWeapons,
+            region: selectedRegion,
+            best_of: bestOf,
+        });
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (!selectedMap) { onError("Please select a map.", "error"); return; }
+        if (!mapVeto && !selectedMap) { onError("Please select a map.", "error"); return; }
+        if (mapVeto && wager < gameData.veto.minWager) { onError(`A map veto needs a wager of at least ${gameData.veto.minWager} gems.`, "error"); return; }
+        if (teamSize > 1 && [...teammates, ...opponentTeammates].some(name => !name.trim())) { onError("Please enter every player's Roblox username.", "error"); return; }
         if (wager > currentUser.gems) { onError("You do not have enough gems for this wager.", "error"); return; }
         
         onChallengeSubmit({
-            opponent_id: opponent.id, 
+            ...(isOpenChallenge ? {} : { opponent_id: opponent.id }),
             wager: parseInt(wager, 10), 
-            map: selectedMap, 
-            banned_weapons: bannedWeapons,
+            ...(mapVeto ? { map_veto: true, banned_weapons: [] } : { map: selectedMap, banned_weapons: bannedWeapons }),
             region: selectedRegion,
+            best_of: bestOf,
+            ...(teamSize > 1 ? { team_size: teamSize, teammates: teammates.map(n => n.trim()), opponent_teammates: opponentTeammates.map(n => n.trim()) } : {}),
+            ...(scheduledFor ? { scheduled_for: new Date(scheduledFor).toISOString() } : {}),
         });
     };
 
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title="Create a Duel">
+        <Modal isOpen={isOpen} onClose={onClose} title={isOpenChallenge ? "Post an Open Challenge" : "Create a Duel"}>
             <form onSubmit={handleSubmit} className="space-y-6">
                 <div className="vs-card">
                     <div className="player-display self">
@@ -189,8 +247,8 @@ export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameDat
                     </div>
                     <div className="vs-text">VS</div>
                     <div className="player-display opponent">
-                         <img src={opponent?.avatar_url || 'https://placehold.co/70x70/161b22/7d8590?text=R'} alt={opponent?.linked_roblox_username} />
-                        <h4>{opponent?.linked_roblox_username}</h4>
+                         <img src={opponent?.avatar_url || 'https://placehold.co/70x70/161b22/7d8590?text=R'} alt={opponent?.linked_roblox_username || 'Anyone'} />
+                        <h4>{isOpenChallenge ? 'Anyone' : opponent?.linked_roblox_username}</h4>
                     </div>
                 </div>
                 
@@ -219,29 +277,114 @@ export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameDat
                 </div>
 
                 <div className="form-group">
-                    <label>Select a Map</label>
-                    <div id="map-selector" className="max-h-36 overflow-y-auto">
-                        {gameData.maps.map(map => (
-                            <button key={map.id} type="button" onClick={() => setSelectedMap(map.id)} className={`map-card ${selectedMap === map.id ? 'selected' : ''}`}>
-                                <span className="map-name">{map.name}</span>
+                    <label>Series Format</label>
+                    <div className="flex items-center gap-2">
+                        {[1, 3, 5].map(rounds => (
+                            <button
+                                key={rounds}
+                                type="button"
+                                onClick={() => setBestOf(rounds)}
+                                className={`flex-1 p-3 rounded-md border-2 font-semibold transition-all ${bestOf === rounds ? 'border-blue-500 bg-blue-500/20' : 'border-transparent bg-gray-700/50 hover:bg-gray-600/50'}`}
+                            >
+                                {rounds === 1 ? 'Single Round' : `Best of ${rounds}`}
                             </button>
                         ))}
                     </div>
                 </div>
 
-                <div className="form-group">
-                    <label>Ban Weapons (Optional)</label>
-                    <div id="weapon-ban-selector" className="max-h-48 overflow-y-auto">
-                        {gameData.weapons.map(weapon => (
-                            <div key={weapon.id} className="weapon-toggle">
-                                <label>
-                                    <input type="checkbox" value={weapon.id} onChange={() => handleWeaponToggle(weapon.id)} checked={bannedWeapons.includes(weapon.id)} />
-                                    {weapon.name}
-                                </label>
+                {!isOpenChallenge && (
+                    <div className="form-group">
+                        <label>Team Size</label>
+                        <div className="flex items-center gap-2">
+                            {[1, 2, 3].map(size => (
+                                <button
+                                    key={size}
+                                    type="button"
+                                    onClick={() => handleTeamSizeChange(size)}
+                                    className={`flex-1 p-3 rounded-md border-2 font-semibold transition-all ${teamSize === size ? 'border-blue-500 bg-blue-500/20' : 'border-transparent bg-gray-700/50 hover:bg-gray-600/50'}`}
+                                >
+                                    {`${size}v${size}`}
+                                </button>
+                            ))}
+                        </div>
+                        {teamSize > 1 && (
+                            <div className="grid grid-cols-2 gap-4 mt-3">
+                                <div className="space-y-2">
+                                    <p className="text-sm text-gray-400">Your teammates</p>
+                                    {teammates.map((name, i) => (
+                                        <input key={i} type="text" value={name} onChange={e => updateName(setTeammates, i, e.target.value)} placeholder="Roblox username" className="form-input" />
+                                    ))}
+                                </div>
+                                <div className="space-y-2">
+                                    <p className="text-sm text-gray-400">{opponent?.linked_roblox_username}'s teammates</p>
+                                    {opponentTeammates.map((name, i) => (
+                                        <input key={i} type="text" value={name} onChange={e => updateName(setOpponentTeammates, i, e.target.value)} placeholder="Roblox username" className="form-input" />
+                                    ))}
+                                </div>
                             </div>
-                        ))}
+                        )}
+                        {teamSize > 1 && <p className="text-xs text-gray-500 mt-2">Every player wagers the amount below. The duel starts once all invited players have joined.</p>}
                     </div>
-                </div>
+                )}
+
+                {/* [NEW] Challenges can be scheduled for a later time, shown here in the player's own time zone. */}
+                {!isOpenChallenge && (
+                    <div className="form-group">
+                        <label>Schedule for Later (Optional)</label>
+                        <input type="datetime-local" value={scheduledFor} onChange={e => setScheduledFor(e.target.value)} className="form-input" />
+                        <p className="text-xs text-gray-500 mt-2">Leave empty to play as soon as the challenge is accepted. Both sides get a reminder 15 minutes before.</p>
+                    </div>
+                )}
+
+                {/* [NEW] Ranked-style veto: the map and weapons are banned in turn once the duel is accepted. */}
+                {!isOpenChallenge && teamSize === 1 && gameData.veto && (
+                    <div className="form-group">
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={mapVeto} onChange={e => setMapVeto(e.target.checked)} />
+                            Decide the map and weapons by veto
+                        </label>
+                        <p className="text-xs text-gray-500 mt-2">Once the duel is accepted you take turns banning maps until one is left, then ban {gameData.veto.weaponBansPerPlayer} weapons each. Available for wagers of {gameData.veto.minWager} gems or more.</p>
+                    </div>
+                )}
+
+                {!mapVeto && (
+                    <>
+                        <div className="form-group">
+                            <label>Select a Map</label>
+                            <div id="map-selector" className="max-h-36 overflow-y-auto">
+                                {gameData.maps.map(map => (
+                                    <button key={map.id} type="button" onClick={() => setSelectedMap(map.id)} className={`map-card ${selectedMap === map.id ? 'selected' : ''}`}>
+                                        <span className="map-name">{map.name}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="form-group">
+                            <label>Ban Weapons (Optional)</label>
+                            <div id="weapon-ban-selector" className="max-h-48 overflow-y-auto">
+                                {gameData.weapons.map(weapon => (
+                                    <div key={weapon.id} className="weapon-toggle">
+                                        <label>
+                                            <input type="checkbox" value={weapon.id} onChange={() => handleWeaponToggle(weapon.id)} checked={bannedWeapons.includes(weapon.id)} />
+                                            {weapon.name}
+                                        </label>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </>
+                )}
+
+                {onSaveTemplate && (
+                    <div className="form-group">
+                        <label htmlFor="template-name-input">Save These Terms (Optional)</label>
+                        <div className="flex gap-2">
+                            <input id="template-name-input" type="text" value={templateName} onChange={e => setTemplateName(e.target.value)} placeholder="e.g. No snipers, Crossroads, EU" maxLength={40} className="form-input" />
+                            <button type="button" onClick={handleSaveTemplate} className="btn btn-secondary !mt-0 whitespace-nowrap">Save Template</button>
+                        </div>
+                    </div>
+                )}
 
                 <div className="modal-actions">
                      <div className="form-group !mb-0 flex-grow max-w-[150px]">
@@ -255,27 +398,136 @@ export const ChallengeModal = ({ isOpen, onClose, opponent, currentUser, gameDat
     );
 };
 
-export const DuelDetailsModal = ({ isOpen, onClose, duel, onRespond }) => {
+// [MODIFIED] Whoever the duel is waiting on can now propose new terms instead of only accepting or declining.
+export const DuelDetailsModal = ({ isOpen, onClose, duel, currentUser, gameData, token, onRespond, onVetoChange, onError }) => {
+    const [isCountering, setIsCountering] = useState(false);
+    const [wager, setWager] = useState(0);
+    const [selectedMap, setSelectedMap] = useState('');
+    const [bannedWeapons, setBannedWeapons] = useState([]);
+
+    useEffect(() => {
+        if (isOpen && duel) {
+            setIsCountering(false);
+            setWager(duel.wager);
+            setSelectedMap(duel.map);
+            setBannedWeapons(duel.banned_weapon_ids || []);
+        }
+    }, [isOpen, duel]);
+
     if (!duel) return null;
+
+    // [NEW] Once a duel with a veto is accepted, this modal is where the captains ban maps and weapons.
+    if (duel.status === 'accepted' && duel.veto_phase) {
+        return (
+            <Modal isOpen={isOpen} onClose={onClose} title="Map & Weapon Veto">
+                <VetoStep duel={duel} currentUser={currentUser} token={token} onChange={onVetoChange} onError={onError} />
+                <DuelChat duel={duel} currentUser={currentUser} token={token} onError={onError} />
+            </Modal>
+        );
+    }
+
+    const otherUsername = duel.is_challenger ? duel.opponent_username : duel.challenger_username;
+    const isCounterOffer = duel.revisions?.length > 1;
+    // [NEW] The modal is also opened for the chat of duels this player cannot answer, which get no response actions.
+    const canRespond = duel.status === 'pending' && duel.type === 'incoming' && !(duel.team_size > 1);
+    const title = !canRespond ? `Duel #${duel.id}` : (isCounterOffer ? 'Counter-Offer Received' : 'Incoming Challenge!');
+
+    const handleWeaponToggle = (weaponId) => {
+        setBannedWeapons(prev => 
+            prev.includes(weaponId) ? prev.filter(id => id !== weaponId) : [...prev, weaponId]
+        );
+    };
+
+    const handleCounterSubmit = (e) => {
+        e.preventDefault();
+        // The gems a challenger already has on hold count toward their new wager.
+        const available = currentUser.gems + (duel.is_challenger ? duel.challenger_hold : 0);
+        if (wager > available) { onError("You do not have enough gems for this wager.", "error"); return; }
+        onRespond(duel.id, 'counter', duel.veto_phase
+            ? { wager: parseInt(wager, 10) }
+            : { wager: parseInt(wager, 10), map: selectedMap, banned_weapons: bannedWeapons });
+    };
+
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title="Incoming Challenge!">
-            <div id="duel-details-content" className="space-y-2">
-                <p><strong>Challenger:</strong> {duel.challenger_username}</p>
-                <p><strong>Wager:</strong> <span className="font-bold text-[var(--accent-color)]">{duel.wager} Gems</span></p>
-                <p><strong>Map:</strong> {duel.map_name}</p>
-                <div className="banned-weapons-section">
-                    <strong>Banned Weapons:</strong>
-                    <ul className="banned-weapons-list">
-                        {duel.banned_weapons && duel.banned_weapons.length > 0 ? (
-                            duel.banned_weapons.map(w => <li key={w}>{w}</li>)
-                        ) : <li>None</li>}
-                    </ul>
-                </div>
-            </div>
-            <div className="modal-actions">
-                <button onClick={() => onRespond(duel.id, 'decline')} className="btn btn-danger">Decline</button>
-                <button onClick={() => onRespond(duel.id, 'accept')} className="btn btn-accept">Accept</button>
-            </div>
+        <Modal isOpen={isOpen} onClose={onClose} title={title}>
+            {!isCountering ? (
+                <>
+                    <div id="duel-details-content" className="space-y-2">
+                        <p><strong>{duel.is_challenger ? 'Opponent' : 'Challenger'}:</strong> {otherUsername}</p>
+                        <p><strong>Wager:</strong> <span className="font-bold text-[var(--accent-color)]">{duel.wager} Gems</span></p>
+                        <p><strong>Map:</strong> {duel.veto_phase ? 'Decided by veto after accepting' : duel.map_name}</p>
+                        <p><strong>Format:</strong> {duel.best_of > 1 ? `Best of ${duel.best_of}` : 'Single Round'}</p>
+                        <div className="banned-weapons-section">
+                            <strong>Banned Weapons:</strong>
+                            <ul className="banned-weapons-list">
+                                {duel.banned_weapons && duel.banned_weapons.length > 0 ? (
+                                    duel.banned_weapons.map(w => <li key={w}>{w}</li>)
+                                ) : <li>None</li>}
+                            </ul>
+                        </div>
+                        {isCounterOffer && (
+                            <div className="mt-4">
+                                <strong>Negotiation History:</strong>
+                                <ul className="mt-2 space-y-1 text-sm text-gray-400">
+                                    {duel.revisions.map(r => (
+                                        <li key={r.revision_number}>
+                                            #{r.revision_number} by {r.proposed_by_username}: {r.wager} Gems on {r.map_name}{r.banned_weapons.length > 0 ? `, banning ${r.banned_weapons.join(', ')}` : ''}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                    <DuelChat duel={duel} currentUser={currentUser} token={token} onError={onError} />
+                    {canRespond && (
+                        <div className="modal-actions">
+                            <button onClick={() => onRespond(duel.id, 'decline')} className="btn btn-danger">Decline</button>
+                            <button onClick={() => setIsCountering(true)} className="btn btn-secondary">Counter</button>
+                            <button onClick={() => onRespond(duel.id, 'accept')} className="btn btn-accept">Accept</button>
+                        </div>
+                    )}
+                </>
+            ) : (
+                <form onSubmit={handleCounterSubmit} className="space-y-6">
+                    {!duel.veto_phase && (
+                        <>
+                            <div className="form-group">
+                                <label>Select a Map</label>
+                                <div id="map-selector" className="max-h-36 overflow-y-auto">
+                                    {gameData.maps.map(map => (
+                                        <button key={map.id} type="button" onClick={() => setSelectedMap(map.id)} className={`map-card ${selectedMap === map.id ? 'selected' : ''}`}>
+                                            <span className="map-name">{map.name}</span>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Ban Weapons (Optional)</label>
+                                <div id="weapon-ban-selector" className="max-h-48 overflow-y-auto">
+                                    {gameData.weapons.map(weapon => (
+                                        <div key={weapon.id} className="weapon-toggle">
+                                            <label>
+                                                <input type="checkbox" value={weapon.id} onChange={() => handleWeaponToggle(weapon.id)} checked={bannedWeapons.includes(weapon.id)} />
+                                                {weapon.name}
+                                            </label>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="modal-actions">
+                        <div className="form-group !mb-0 flex-grow max-w-[150px]">
+                            <label htmlFor="counter-wager-input">Wager (Gems)</label>
+                            <input id="counter-wager-input" type="number" value={wager} onChange={e => setWager(e.target.value)} min="1" required />
+                        </div>
+                        <button type="button" onClick={() => setIsCountering(false)} className="btn btn-secondary !mt-0">Back</button>
+                        <button type="submit" className="btn btn-primary !mt-0">Send Counter-Offer</button>
+                    </div>
+                </form>
+            )}
         </Modal>
     );
 };
@@ -300,18 +552,43 @@ export const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, text, con
     );
 };
 
-export const TranscriptModal = ({ isOpen, onClose, transcript }) => {
+// [MODIFIED] Admins reviewing a dispute also get the players' chat, shown next to the transcript.
+export const TranscriptModal = ({ isOpen, onClose, transcript, chat }) => {
+    // [NEW] Series duels report each round separately; summarize them above the raw events.
+    const rounds = transcript.filter(event => event.eventType === 'PARSED_ROUND_ENDED');
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title="Duel Transcript">
-            <div className="space-y-2 font-mono text-sm max-h-[60vh] overflow-y-auto bg-black rounded-lg p-3 border border-gray-700">
-                {transcript.length > 0 ? transcript.map((event, index) => (
-                    <pre 
-                        key={index} 
-                        className="p-3 rounded-md bg-gray-900 border border-gray-800 whitespace-pre-wrap break-words text-xs text-white"
-                    >
-                        {JSON.stringify(event, null, 2)}
-                    </pre>
-                )) : <p className="text-center text-gray-500 p-4">Loading transcript or no events recorded.</p>}
+        <Modal isOpen={isOpen} onClose={onClose} title={chat ? 'Duel Transcript & Chat' : 'Duel Transcript'}>
+            {rounds.length > 0 && (
+                <div className="mb-4">
+                    <strong>Rounds:</strong>
+                    <ul className="mt-2 space-y-1 text-sm text-gray-400">
+                        {rounds.map((event, index) => (
+                            <li key={index}>Round {event.data?.round_number ?? index + 1}: won by {event.data?.winner_username || 'Unknown'}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <div className={chat ? 'grid grid-cols-2 gap-4' : ''}>
+                <div className="space-y-2 font-mono text-sm max-h-[60vh] overflow-y-auto bg-black rounded-lg p-3 border border-gray-700">
+                    {transcript.length > 0 ? transcript.map((event, index) => (
+                        <pre 
+                            key={index} 
+                            className="p-3 rounded-md bg-gray-900 border border-gray-800 whitespace-pre-wrap break-words text-xs text-white"
+                        >
+                            {JSON.stringify(event, null, 2)}
+                        </pre>
+                    )) : <p className="text-center text-gray-500 p-4">Loading transcript or no events recorded.</p>}
+                </div>
+                {chat && (
+                    <div className="space-y-2 text-sm max-h-[60vh] overflow-y-auto bg-black rounded-lg p-3 border border-gray-700">
+                        {chat.length > 0 ? chat.map(message => (
+                            <div key={message.id} className="p-2 rounded-md bg-gray-900 border border-gray-800">
+                                <p className="text-xs text-gray-500">{message.username} | {new Date(message.created_at).toLocaleString()}</p>
+                                <p className="text-white break-words">{message.message}</p>
+                            </div>
+                        )) : <p className="text-center text-gray-500 p-4">The players did not chat.</p>}
+                    </div>
+                )}
             </div>
         </Modal>
     );
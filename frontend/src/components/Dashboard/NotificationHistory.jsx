@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useEventStream } from '../../context/EventStreamContext';
+import * as api from '../../services/api';
+
+const formatNotificationTime = (createdAt) => new Date(createdAt.replace(' ', 'T') + 'Z').toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const notificationIcons = { withdrawal_update: '💸', admin_message: '❗', duel_update: '⚔️' };
+
+// Every notification the player has been sent, newest first, loaded a page at a time.
+// onChange is called whenever the read state changes, so the unread badge can be refreshed.
+const NotificationHistory = ({ onChange, onError }) => {
+    const { token } = useAuth();
+    const [notifications, setNotifications] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const loadFirstPage = useCallback(async () => {
+        try {
+            const page = await api.getNotificationHistory(null, token);
+            setNotifications(page.notifications);
+            setNextCursor(page.nextCursor);
+        } catch (error) {
+            onError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [token, onError]);
+
+    useEffect(() => {
+        loadFirstPage();
+    }, [loadFirstPage]);
+
+    useEventStream(['connected', 'notification_created'], loadFirstPage);
+
+    const handleLoadMore = async () => {
+        setIsLoading(true);
+        try {
+            const page = await api.getNotificationHistory(nextCursor, token);
+            setNotifications(current => [...current, ...page.notifications]);
+            setNextCursor(page.nextCursor);
+        } catch (error) {
+            onError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleMarkRead = async (notification) => {
+        try {
+            await api.markNotificationRead(notification.id, token);
+            setNotifications(current => current.map(n => n.id === notification.id ? { ...n, is_read: true } : n));
+            onChange();
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await api.markAllNotificationsRead(token);
+            setNotifications(current => current.map(n => ({ ...n, is_read: true })));
+            onChange();
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    const handleDelete = async (notification) => {
+        try {
+            await api.deleteNotification(notification.id, token);
+            setNotifications(current => current.filter(n => n.id !== notification.id));
+            onChange();
+        } catch (error) {
+            onError(error.message);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            {notifications.some(n => !n.is_read) && (
+                <div className="flex justify-end">
+                    <button onClick={handleMarkAllRead} className="text-sm text-blue-400 hover:underline">Mark all as read</button>
+                </div>
+            )}
+            {notifications.map(notification => (
+                <div key={notification.id} className={`duel-item ${notification.is_read ? 'bg-gray-800/30' : 'bg-gray-800/70 border-l-4 border-blue-500'}`}>
+                    <div className="flex-grow flex items-center gap-3">
+                        <span className="text-xl">{notificationIcons[notification.type]}</span>
+                        <div>
+                            <p className={`font-semibold ${notification.is_read ? 'text-gray-400' : 'text-white'}`}>{notification.title}</p>
+                            <p className="text-sm text-gray-400">{notification.message}</p>
+                            <p className="text-xs text-gray-500 mt-1">{formatNotificationTime(notification.created_at)}</p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        {!notification.is_read && <button onClick={() => handleMarkRead(notification)} className="btn btn-secondary">Mark Read</button>}
+                        <button onClick={() => handleDelete(notification)} className="btn btn-secondary" title="Delete">✕</button>
+                    </div>
+                </div>
+            ))}
+            {!isLoading && notifications.length === 0 && <p className="text-gray-500 text-center py-4">You have no notifications yet.</p>}
+            {nextCursor && (
+                <button onClick={handleLoadMore} disabled={isLoading} className="btn btn-secondary w-full">{isLoading ? 'Loading...' : 'Load More'}</button>
+            )}
+        </div>
+    );
+};
+
+export default NotificationHistory;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import * as api from '../../services/api';
+
+const OpenChallengeBoard = ({ token, onPostChallenge, onAccept, onCancel, onError, isBanned, refreshKey }) => {
+    const [challenges, setChallenges] = useState([]);
+    const [region, setRegion] = useState('');
+    const [minWager, setMinWager] = useState('');
+    const [maxWager, setMaxWager] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    const fetchChallenges = useCallback(async () => {
+        try {
+            const data = await api.getOpenChallenges({ region, minWager, maxWager }, token);
+            setChallenges(data);
+        } catch (error) {
+            onError(error.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [token, region, minWager, maxWager, onError]);
+
+    // The dashboard bumps refreshKey whenever it polls, so the board stays in step with the inbox.
+    useEffect(() => {
+        fetchChallenges();
+    }, [fetchChallenges, refreshKey]);
+
+    return (
+        <div className="widget">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="widget-title !mb-0 !pb-0 !border-none">Open Challenges</h2>
+                <button onClick={onPostChallenge} className="btn btn-primary !mt-0 !w-auto !py-1 !px-3 !text-sm" disabled={isBanned}>Post Open Challenge</button>
+            </div>
+            <div className="flex gap-2 mb-4">
+                <select value={region} onChange={e => setRegion(e.target.value)} className="form-input !w-40">
+                    <option value="">All Regions</option>
+                    <option>North America</option>
+                    <option>Europe</option>
+                    <option>Oceania</option>
+                </select>
+                <input type="number" min="1" value={minWager} onChange={e => setMinWager(e.target.value)} placeholder="Min wager" className="form-input !w-32" />
+                <input type="number" min="1" value={maxWager} onChange={e => setMaxWager(e.target.value)} placeholder="Max wager" className="form-input !w-32" />
+            </div>
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+                {isLoading ? (
+                    <p className="text-gray-500 text-center py-4">Loading...</p>
+                ) : challenges.length > 0 ? challenges.map(challenge => (
+                    <div key={challenge.id} className="duel-item">
+                        <img src={challenge.challenger_avatar || 'https://placehold.co/40x40'} alt={challenge.challenger_username} className="w-10 h-10 rounded-full" />
+                        <div className="flex-grow">
+                            <p className="font-semibold">{challenge.challenger_username}</p>
+                            <p className="text-sm text-gray-400">Wager: {challenge.wager} Gems | Map: {challenge.map_name} | {challenge.region}{challenge.best_of > 1 ? ` | Best of ${challenge.best_of}` : ''}</p>
+                            {challenge.banned_weapons.length > 0 && <p className="text-xs text-gray-500">Banned: {challenge.banned_weapons.join(', ')}</p>}
+                        </div>
+                        {challenge.is_own ? (
+                            <button onClick={() => onCancel(challenge)} className="btn btn-secondary">Cancel</button>
+                        ) : (
+                            <button onClick={() => onAccept(challenge)} className="btn btn-accept" disabled={isBanned}>Accept</button>
+                        )}
+                    </div>
+                )) : (
+                    <p className="text-gray-500 text-center py-4">No open challenges match your filters.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OpenChallengeBoard;
@@ -31,12 +31,26 @@ const PlayerHeader = ({ user, onMenuClick }) => {
                     title="Go to Deposit Page"
                 >
                     <span className="stat-value">{user.gems.toLocaleString()}</span>
-                    <span className="stat-label">Gems</span>
+                    <span className="stat-label">Available Gems</span>
                 </button>
+                {/* [NEW] Gems reserved by pending challenges and duels in progress. */}
+                <div className="stat-item held" title="Gems reserved by your pending challenges and active duels">
+                    <span className="stat-value">{(user.held_gems || 0).toLocaleString()}</span>
+                    <span className="stat-label">Held</span>
+                </div>
+                {/* [NEW] Skill rating; the deviation shows how settled it is. */}
+                <div className="stat-item rating" title={`Rating deviation: ±${Math.round(user.rating_deviation || 0)}`}>
+                    <span className="stat-value">{Math.round(user.rating || 0)}</span>
+                    <span className="stat-label">Rating</span>
+                </div>
                 <div className="stat-item wins">
                     <span className="stat-value">{user.wins}</span>
                     <span className="stat-label">Wins</span>
                 </div>
+                <div className="stat-item draws">
+                    <span className="stat-value">{user.draws || 0}</span>
+                    <span className="stat-label">Draws</span>
+                </div>
                 <div className="stat-item losses">
                     <span className="stat-value">{user.losses}</span>
                     <span className="stat-label">Losses</span>
@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import * as api from '../../services/api';
+import { formatScheduledTime } from './Inbox';
+
+const formatCountdown = (seconds) => {
+    if (seconds <= 0) return 'starting now';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `in ${hours}h ${minutes}m` : `in ${minutes}m`;
+};
+
+// --- [NEW] Lists the player's scheduled duels that have not been played yet ---
+const UpcomingDuels = ({ token, refreshKey }) => {
+    const [duels, setDuels] = useState([]);
+
+    useEffect(() => {
+        if (!token) return;
+        api.getUpcomingDuels(token).then(setDuels).catch(error => console.error("Failed to fetch upcoming duels:", error));
+    }, [token, refreshKey]);
+
+    if (duels.length === 0) return null;
+
+    return (
+        <div className="widget">
+            <h2 className="widget-title">Upcoming Duels</h2>
+            <div className="space-y-3">
+                {duels.map(duel => {
+                    const otherUsername = duel.is_challenger ? duel.opponent_username : duel.challenger_username;
+                    return (
+                        <div key={duel.id} className="duel-item">
+                            <div className="flex-grow">
+                                <p className="font-semibold">{duel.team_size > 1 ? `${duel.team_size}v${duel.team_size} vs ${otherUsername}'s team` : `vs ${otherUsername}`}</p>
+                                <p className="text-sm text-gray-400">Wager: {duel.wager} Gems | Map: {duel.map_name} | {duel.region}</p>
+                                <p className="text-sm text-blue-400">{formatScheduledTime(duel.scheduled_for)} ({formatCountdown(duel.seconds_until)})</p>
+                            </div>
+                            <span className={`text-sm ${duel.status === 'accepted' ? 'text-green-400' : 'text-yellow-400'}`}>{duel.status === 'accepted' ? 'Confirmed' : 'Awaiting response'}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default UpcomingDuels;
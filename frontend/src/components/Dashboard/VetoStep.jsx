@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import * as api from '../../services/api';
+
+// --- [NEW] The map and weapon veto of an accepted duel, shown inside the duel details modal ---
+const VetoStep = ({ duel, currentUser, token, onChange, onError }) => {
+    const [veto, setVeto] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const fetchVeto = useCallback(async () => {
+        try {
+            setVeto(await api.getDuelVeto(duel.id, token));
+        } catch (error) {
+            onError(error.message, 'error');
+        }
+    }, [duel.id, token, onError]);
+
+    // Poll while waiting on the other captain so their bans show up.
+    useEffect(() => {
+        fetchVeto();
+        const interval = setInterval(fetchVeto, 3000);
+        return () => clearInterval(interval);
+    }, [fetchVeto]);
+
+    if (!veto) return <p className="text-gray-400">Loading veto...</p>;
+
+    const otherUsername = duel.is_challenger ? duel.opponent_username : duel.challenger_username;
+    const isMyTurn = veto.turn_user_id === currentUser.id;
+    const options = veto.phase === 'maps' ? veto.maps : veto.weapons;
+
+    const handleBan = async (choice) => {
+        setIsSubmitting(true);
+        try {
+            const r = await api.submitVetoBan(duel.id, choice, token);
+            setVeto(r.veto);
+            if (r.veto.phase === 'done') {
+                onError(r.message, 'success');
+                onChange();
+            }
+        } catch (error) {
+            onError(error.message, 'error');
+            fetchVeto();
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (veto.phase === 'done') {
+        return <p className="text-green-400">The veto is done. Ready up from your inbox.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-400">
+                {veto.phase === 'maps'
+                    ? 'Take turns banning maps until one is left.'
+                    : `Map decided: ${veto.maps[0]?.name}. Take turns banning weapons (${veto.weapon_bans_left} left).`}
+            </p>
+            <p className={isMyTurn ? 'font-semibold text-yellow-400' : 'text-gray-400'}>
+                {isMyTurn ? `Your turn to ban a ${veto.phase === 'maps' ? 'map' : 'weapon'}.` : `Waiting for ${otherUsername} to ban...`}
+            </p>
+            <div className="grid grid-cols-2 gap-2">
+                {options.map(option => (
+                    <button key={option.id} type="button" disabled={!isMyTurn || isSubmitting} onClick={() => handleBan(option.id)} className="btn btn-secondary !mt-0 disabled:opacity-50">
+                        Ban {option.name}
+                    </button>
+                ))}
+            </div>
+            {veto.bans.length > 0 && (
+                <div>
+                    <strong>Bans so far:</strong>
+                    <ul className="mt-2 space-y-1 text-sm text-gray-400">
+                        {veto.bans.map((ban, i) => <li key={i}>{ban.username} banned {ban.name}</li>)}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default VetoStep;
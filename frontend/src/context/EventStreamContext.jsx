@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import { useAuth } from './AuthContext';
+import * as api from '../services/api';
+
+// Must match EVENT_TYPES in backend/services/eventStreamService.js.
+const EVENT_TYPES = [
+    'challenge_received',
+    'challenge_accepted',
+    'challenge_declined',
+    'duel_started',
+    'duel_updated',
+    'player_joined',
+    'result_ready',
+    'payout_status_changed',
+    'balance_changed',
+    'notification_created'
+];
+
+// How long to wait before reconnecting a dropped stream.
+const RECONNECT_DELAY_MS = 5000;
+
+const EventStreamContext = createContext(null);
+
+/**
+ * Calls the handler for every live event of the given types. 'connected' fires each time the stream
+ * (re)connects, so a subscriber can catch up on anything it missed while disconnected.
+ * The handler may change between renders; the latest one is always used.
+ */
+export const useEventStream = (types, handler) => {
+    const { subscribe } = useContext(EventStreamContext);
+    const handlerRef = useRef(handler);
+    handlerRef.current = handler;
+    const typesKey = types.join(',');
+
+    useEffect(() => {
+        return subscribe(typesKey.split(','), (type, data) => handlerRef.current(type, data));
+    }, [subscribe, typesKey]);
+};
+
+export const useEventStreamStatus = () => useContext(EventStreamContext).isConnected;
+
+export const EventStreamProvider = ({ children }) => {
+    const { token } = useAuth();
+    const [isConnected, setIsConnected] = useState(false);
+    const listeners = useRef(new Set());
+
+    const subscribe = useCallback((types, handler) => {
+        const listener = { types, handler };
+        listeners.current.add(listener);
+        return () => listeners.current.delete(listener);
+    }, []);
+
+    useEffect(() => {
+        if (!token) return;
+        const dispatch = (type, data) => {
+            listeners.current.forEach(listener => {
+                if (listener.types.includes(type)) listener.handler(type, data);
+            });
+        };
+
+        let source = null;
+        let retryTimer = null;
+        let isClosed = false;
+
+        // A stream is opened with a single-use ticket rather than the login token, so the login token never
+        // ends up in a URL. That also means the browser cannot reconnect by itself; each attempt gets a new ticket.
+        const connect = async () => {
+            let ticket;
+            try {
+                ({ ticket } = await api.getEventStreamTicket(token));
+            } catch (error) {
+                retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+                return;
+            }
+            if (isClosed) return;
+            source = new EventSource(`/api/events?ticket=${encodeURIComponent(ticket)}`);
+            source.onopen = () => {
+                setIsConnected(true);
+                dispatch('connected', {});
+            };
+            source.onerror = () => {
+                setIsConnected(false);
+                source.close();
+                retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+            };
+            EVENT_TYPES.forEach(type => {
+                source.addEventListener(type, (event) => dispatch(type, JSON.parse(event.data)));
+            });
+        };
+        connect();
+
+        return () => {
+            isClosed = true;
+            clearTimeout(retryTimer);
+            if (source) source.close();
+            setIsConnected(false);
+        };
+    }, [token]);
+
+    const value = { subscribe, isConnected };
+
+    return <EventStreamContext.Provider value={value}>{children}</EventStreamContext.Provider>;
+};
@@ -3,6 +3,8 @@ import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App.jsx';
 import { AuthProvider } from './context/AuthContext.jsx';
+import { EventStreamProvider } from './context/EventStreamContext.jsx';
+import { registerServiceWorker } from './services/pushNotifications';
 
 const style = document.createElement('style');
 // This CSS is a direct copy from your original main.jsx to ensure a perfect style match.
@@ -39,6 +41,8 @@ style.innerHTML = `
     .stat-value { font-size: 1.75rem; font-weight: 700; }
     .stat-label { font-size: 0.8rem; font-weight: 500; color: var(--text-muted); }
     .stat-item.gems .stat-value { color: var(--accent-color); }
+    .stat-item.held .stat-value { color: var(--text-muted); }
+    .stat-item.rating .stat-value { color: #d2a8ff; }
     .stat-item.wins .stat-value { color: var(--win-color); }
     .stat-item.losses .stat-value { color: var(--loss-color); }
     .btn-settings { display: flex; align-items: center; justify-content: center; width: 40px; height: 40px; border: 1px solid var(--input-border); border-radius: 50%; background-color: var(--input-bg); color: var(--text-color); cursor: pointer; transition: all 0.2s; }
@@ -96,11 +100,15 @@ style.innerHTML = `
 `;
 document.head.appendChild(style);
 
+registerServiceWorker();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <App />
+        <EventStreamProvider>
+          <App />
+        </EventStreamProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import * as api from '../services/api';
 import UserActionsModal from '../components/Admin/UserActionsModal';
+import ReconciliationPanel from '../components/Admin/ReconciliationPanel';
+import DuelTimelinePanel from '../components/Admin/DuelTimelinePanel';
 import { ConfirmationModal, TranscriptModal } from '../components/Dashboard/Modals';
 
 // --- Helper Components ---
@@ -16,6 +18,12 @@ const StatCard = ({ title, value, icon }) => (
     </div>
 );
 
+const TabButton = ({ active, onClick, children }) => (
+    <button onClick={onClick} className={`px-4 py-2 font-semibold rounded-t-lg border-b-2 transition-colors ${active ? 'border-cyan-400 text-cyan-400' : 'border-transparent text-gray-400 hover:text-white hover:border-gray-500'}`}>
+        {children}
+    </button>
+);
+
 // [MODIFIED] UserRow now displays the new status and ban info, including the ban application date for permanent bans.
 const UserRow = ({ user, onSelectUser }) => {
     const statusStyles = {
@@ -73,15 +81,15 @@ const DisputeResolutionModal = ({ isOpen, onClose, dispute, onResolve, onViewTra
             <div className="widget w-full max-w-2xl">
                 <header className="p-4 border-b border-gray-700 flex justify-between items-center"><h2 className="text-xl font-bold text-gray-100">Review Dispute #{dispute.id}</h2><button onClick={onClose} className="text-gray-400 hover:text-white">&times;</button></header>
                 <div className="p-6 space-y-4">
-                    <div><strong>Reporter:</strong> {dispute.reporter_username}</div>
-                    <div><strong>Reported Player:</strong> {dispute.reported_username}</div>
+                    <div><strong>Reporter:</strong> {dispute.reporter_username || 'Automatic result check'}</div>
+                    <div><strong>Reported Player:</strong> {dispute.reported_username || 'None (reported winner was not in the duel)'}</div>
                     <div><strong>Reason:</strong> <p className="p-2 bg-gray-900 rounded-md mt-1">{dispute.reason}</p></div>
                     <div><strong>Has Video Evidence:</strong> {dispute.has_video_evidence ? 'Yes' : 'No'}</div>
-                    <button onClick={() => onViewTranscript(dispute.duel_id)} className="btn btn-secondary w-full !mt-4">View Duel Transcript</button>
+                    <button onClick={() => onViewTranscript(dispute.id)} className="btn btn-secondary w-full !mt-4">View Transcript & Chat</button>
                 </div>
                 <footer className="p-4 border-t border-gray-700 space-y-2">
                     <h3 className="font-bold text-center">Resolution Actions</h3>
-                    <div className="grid grid-cols-1 md:grid-cols-3 gap-2"><button onClick={() => onResolve(dispute.id, 'uphold_winner')} className="btn btn-primary">Uphold Original Win</button><button onClick={() => onResolve(dispute.id, 'overturn_to_reporter')} className="btn bg-yellow-600 text-white">Overturn to Reporter</button><button onClick={() => onResolve(dispute.id, 'void_refund')} className="btn btn-secondary">Void & Refund Pot</button></div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-2"><button onClick={() => onResolve(dispute.id, 'uphold_winner')} className="btn btn-primary">Uphold Original Win</button><button onClick={() => onResolve(dispute.id, 'overturn_to_reporter')} className="btn bg-yellow-600 text-white">{dispute.reporter_username ? 'Overturn to Reporter' : 'Award to Other Side'}</button><button onClick={() => onResolve(dispute.id, 'void_refund')} className="btn btn-secondary">Void & Refund Pot</button></div>
                 </footer>
             </div>
         </div>
@@ -139,6 +147,7 @@ const AdminDashboard = () => {
     const [payoutRequests, setPayoutRequests] = useState([]);
     const [stats, setStats] = useState({ totalUsers: 0, gemsInCirculation: 0, pendingPayouts: 0, pendingDisputes: 0, taxCollected: 0 });
     const [transcript, setTranscript] = useState([]);
+    const [chat, setChat] = useState([]);
     
     const [searchQuery, setSearchQuery] = useState('');
     const [statusFilter, setStatusFilter] = useState('');
@@ -151,11 +160,12 @@ const AdminDashboard = () => {
     const [isPayoutDetailModalOpen, setIsPayoutDetailModalOpen] = useState(false);
     const [isDeclineModalOpen, setIsDeclineModalOpen] = useState(false);
     const [message, setMessage] = useState({ text: '', type: '' });
+    const [activeTab, setActiveTab] = useState('overview');
 
     const [newServerRegion, setNewServerRegion] = useState('North America');
     const [newServerLink, setNewServerLink] = useState('');
 
-    const showMessage = (text, type = 'success') => { setMessage({ text, type }); setTimeout(() => setMessage({ text: '', type: '' }), 5000); };
+    const showMessage = useCallback((text, type = 'success') => { setMessage({ text, type }); setTimeout(() => setMessage({ text: '', type: '' }), 5000); }, []);
     
     const fetchData = useCallback(async () => {
         if (!token) return;
@@ -183,7 +193,7 @@ const AdminDashboard = () => {
     const handleAddServer = async (e) => { e.preventDefault(); try { const r = await api.addAdminServer({ region: newServerRegion, server_link: newServerLink }, token); showMessage(r.message, 'success'); setNewServerLink(''); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
     const handleDeleteServer = async (id) => { if (window.confirm('Are you sure?')) { try { const r = await api.deleteAdminServer(id, token); showMessage(r.message, 'success'); fetchData(); } catch (e) { showMessage(e.message, 'error'); } } };
     const handleResolveDispute = async (id, type) => { try { const r = await api.resolveDispute(id, type, token); showMessage(r.message, 'success'); setSelectedDispute(null); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
-    const handleViewTranscript = async (id) => { setTranscript([]); setIsTranscriptModalOpen(true); try { const d = await api.getTranscript(id, token); setTranscript(d); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleViewTranscript = async (disputeId) => { setTranscript([]); setChat([]); setIsTranscriptModalOpen(true); try { const d = await api.getDisputeEvidence(disputeId, token); setTranscript(d.transcript); setChat(d.chat); } catch (e) { showMessage(e.message, 'error'); } };
     const handleReviewPayout = async (request) => { try { const d = await api.getAdminUserDetailsForPayout(request.user_id, request.id, token); setPayoutRequestDetails({ request, ...d }); setIsPayoutDetailModalOpen(true); } catch (e) { showMessage(e.message, 'error'); } };
     const handleApprovePayout = async (id) => { try { const r = await api.approvePayoutRequest(id, token); showMessage(r.message, 'success'); setIsPayoutDetailModalOpen(false); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
     const handleDeclinePayoutClick = (request) => { setSelectedPayoutRequest(request); setIsPayoutDetailModalOpen(false); setIsDeclineModalOpen(true); };
@@ -194,6 +204,16 @@ const AdminDashboard = () => {
             {message.text && <div className={`fixed top-5 right-5 p-4 rounded-lg text-white font-bold shadow-lg z-50 ${message.type === 'success' ? 'bg-green-500' : 'bg-red-500'}`}>{message.text}</div>}
             <header className="flex justify-between items-center mb-8"><h1 className="text-4xl font-bold text-white">Admin Dashboard</h1><button onClick={() => navigate('/dashboard')} className="btn btn-secondary !mt-0">Back to Dashboard</button></header>
             
+            <div className="border-b border-gray-700 mb-6">
+                <TabButton active={activeTab === 'overview'} onClick={() => setActiveTab('overview')}>Overview</TabButton>
+                <TabButton active={activeTab === 'reconciliation'} onClick={() => setActiveTab('reconciliation')}>Ledger Drift</TabButton>
+                <TabButton active={activeTab === 'duels'} onClick={() => setActiveTab('duels')}>Duel Timeline</TabButton>
+            </div>
+
+            {activeTab === 'reconciliation' && <ReconciliationPanel token={token} onMessage={showMessage} />}
+            {activeTab === 'duels' && <DuelTimelinePanel token={token} onMessage={showMessage} />}
+
+            {activeTab === 'overview' && (<>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
                 <StatCard title="Total Users" value={stats.totalUsers} icon="👥" /><StatCard title="Gems in Circulation" value={stats.gemsInCirculation.toLocaleString()} icon="💎" /><StatCard title="Pending Disputes" value={stats.pendingDisputes} icon="⚖️" /><StatCard title="Pending Payouts" value={stats.pendingPayouts} icon="💸" /><StatCard title="Total Tax Collected" value={stats.taxCollected.toLocaleString()} icon="📈" />
             </div>
@@ -227,7 +247,7 @@ const AdminDashboard = () => {
                             {isLoading ? (<tr><td colSpan="6" className="text-center p-8">Loading...</td></tr>) 
                             : disputes.length > 0 ? (disputes.map(d => (
                                 <tr key={d.id} className="border-b border-gray-700 hover:bg-gray-800/50">
-                                    <td className="p-3">#{d.duel_id}</td><td className="p-3 font-semibold text-green-400">{d.reporter_username}</td><td className="p-3 font-semibold text-red-400">{d.reported_username}</td>
+                                    <td className="p-3">#{d.duel_id}</td><td className="p-3 font-semibold text-green-400">{d.reporter_username || 'Automatic'}</td><td className="p-3 font-semibold text-red-400">{d.reported_username || '-'}</td>
                                     <td className="p-3 text-sm text-gray-300 max-w-xs truncate" title={d.reason}>{d.reason}</td><td className="p-3 text-center">{d.has_video_evidence ? '✔️' : '❌'}</td>
                                     <td className="p-3 text-right"><button onClick={() => setSelectedDispute(d)} className="btn btn-primary !mt-0 !py-1 !px-3">Review</button></td>
                                 </tr>
@@ -265,10 +285,11 @@ const AdminDashboard = () => {
                     <div className="mt-6 space-y-2">{servers.map(server => (<div key={server.id} className="flex justify-between items-center bg-gray-900/50 p-2 rounded"><div><div className="font-semibold">{server.region}</div><div className="text-xs text-gray-400 truncate w-48" title={server.server_link}>{server.server_link}</div></div><button onClick={() => handleDeleteServer(server.id)} className="text-red-500 hover:text-red-400 font-bold text-xl">&times;</button></div>))}</div>
                 </div>
             </div>
+            </>)}
 
             <UserActionsModal isOpen={!!selectedUser} onClose={() => setSelectedUser(null)} user={selectedUser} token={token} onActionComplete={handleActionComplete}/>
             <DisputeResolutionModal isOpen={!!selectedDispute} onClose={() => setSelectedDispute(null)} dispute={selectedDispute} onResolve={handleResolveDispute} onViewTranscript={handleViewTranscript} />
-            <TranscriptModal isOpen={isTranscriptModalOpen} onClose={() => setIsTranscriptModalOpen(false)} transcript={transcript} />
+            <TranscriptModal isOpen={isTranscriptModalOpen} onClose={() => setIsTranscriptModalOpen(false)} transcript={transcript} chat={chat} />
             <AdminPayoutDetailModal isOpen={isPayoutDetailModalOpen} onClose={() => setIsPayoutDetailModalOpen(false)} requestDetails={payoutRequestDetails} onApprove={handleApprovePayout} onDecline={handleDeclinePayoutClick} />
             <DeclineModal isOpen={isDeclineModalOpen} onClose={() => setIsDeclineModalOpen(false)} onSubmit={handleConfirmDecline} />
         </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useEventStream, useEventStreamStatus } from '../context/EventStreamContext';
 import * as api from '../services/api';
 import { useNavigate } from 'react-router-dom';
 
@@ -7,6 +8,10 @@ import { useNavigate } from 'react-router-dom';
 import PlayerHeader from '../components/Dashboard/PlayerHeader';
 import ChallengePlayer from '../components/Dashboard/ChallengePlayer';
 import Inbox from '../components/Dashboard/Inbox';
+import OpenChallengeBoard from '../components/Dashboard/OpenChallengeBoard';
+import MatchmakingQueue from '../components/Dashboard/MatchmakingQueue';
+import Leaderboard from '../components/Dashboard/Leaderboard';
+import UpcomingDuels from '../components/Dashboard/UpcomingDuels';
 import { ChallengeModal, DuelDetailsModal, ConfirmationModal, TranscriptModal, PostDuelModal } from '../components/Dashboard/Modals';
 
 // --- Reusable Helper Components ---
@@ -55,6 +60,9 @@ const Sidebar = ({ isOpen, onClose }) => {
                         <button onClick={() => handleNavigate('/duel-history')} className="text-left text-gray-300 hover:bg-gray-700/50 hover:text-white p-3 rounded-lg transition-colors">
                             Duel History
                         </button>
+                        <button onClick={() => handleNavigate('/tournaments')} className="text-left text-gray-300 hover:bg-gray-700/50 hover:text-white p-3 rounded-lg transition-colors">
+                            Tournaments
+                        </button>
                         <button onClick={() => handleNavigate('/deposit')} className="text-left text-gray-300 hover:bg-gray-700/50 hover:text-white p-3 rounded-lg transition-colors">
                             Deposit
                         </button>
@@ -77,14 +85,20 @@ const Dashboard = () => {
     const { user, token, refreshUser, isLoading: isAuthLoading } = useAuth();
     
     const [notifications, setNotifications] = useState([]);
+    const [unreadNotificationCount, setUnreadNotificationCount] = useState(0);
     const [gameData, setGameData] = useState({ maps: [], weapons: [] });
     const [transcript, setTranscript] = useState([]);
+    const [leaderboard, setLeaderboard] = useState([]);
     const [unseenResult, setUnseenResult] = useState(null);
     
     const [isDashboardLoading, setIsDashboardLoading] = useState(true);
     const [message, setMessage] = useState({ text: '', type: '' });
     const [selectedItem, setSelectedItem] = useState(null);
     const [challengeTarget, setChallengeTarget] = useState(null);
+    const [challengeTemplate, setChallengeTemplate] = useState(null);
+    const [templates, setTemplates] = useState([]);
+    const [isOpenChallenge, setIsOpenChallenge] = useState(false);
+    const [boardRefreshKey, setBoardRefreshKey] = useState(0);
     
     const [isSidebarOpen, setIsSidebarOpen] = useState(false);
     
@@ -95,19 +109,22 @@ const Dashboard = () => {
     const [isForfeitModalOpen, setIsForfeitModalOpen] = useState(false);
     const [isCancelWithdrawalModalOpen, setIsCancelWithdrawalModalOpen] = useState(false);
 
-    const showMessage = (text, type = 'success') => {
+    const showMessage = useCallback((text, type = 'success') => {
         setMessage({ text, type });
-    };
+    }, []);
 
     const fetchData = useCallback(async () => {
         if (!token) return;
         try {
-            const [inboxRes, gameDataRes] = await Promise.all([
+            const [inboxRes, gameDataRes, unreadRes] = await Promise.all([
                 api.getInbox(token),
-                api.getGameData(token)
+                api.getGameData(token),
+                api.getUnreadNotificationCount(token)
             ]);
             setNotifications(inboxRes);
+            setUnreadNotificationCount(unreadRes.count);
             setGameData(gameDataRes);
+            setBoardRefreshKey(key => key + 1);
         } catch (error) { 
             showMessage(error.message, 'error'); 
         } finally {
@@ -115,39 +132,95 @@ const Dashboard = () => {
         }
     }, [token]);
 
+    // [NEW] Keeps the inbox's unread badge in step with the notification history.
+    const fetchUnreadCount = useCallback(async () => {
+        if (!token) return;
+        try {
+            const { count } = await api.getUnreadNotificationCount(token);
+            setUnreadNotificationCount(count);
+        } catch (error) {
+            console.error("Error fetching unread notification count:", error);
+        }
+    }, [token]);
+    const showNotificationError = useCallback((text) => setMessage({ text, type: 'error' }), []);
+
+    const checkForResults = useCallback(async () => {
+        if (!token) return;
+        try {
+            const results = await api.getUnseenResults(token);
+            if (results.length > 0) {
+                setUnseenResult(current => current || results[0]);
+            }
+        } catch (error) {
+            console.error("Error checking for unseen results:", error);
+        }
+    }, [token]);
+
     useEffect(() => {
         fetchData();
-        const interval = setInterval(fetchData, 15000);
-        return () => clearInterval(interval);
     }, [fetchData]);
 
+    // Once a result has been dealt with, show the next one the player has not seen yet, if any.
     useEffect(() => {
-        const checkForResults = async () => {
-            if (!token || unseenResult) return;
-            try {
-                const results = await api.getUnseenResults(token);
-                if (results.length > 0) {
-                    setUnseenResult(results[0]);
-                }
-            } catch (error) {
-                console.error("Error checking for unseen results:", error);
-            }
-        };
-        const resultInterval = setInterval(checkForResults, 3000);
-        return () => clearInterval(resultInterval);
+        if (!unseenResult) checkForResults();
+    }, [unseenResult, checkForResults]);
+
+    // [MODIFIED] The inbox is refreshed when the server says something changed rather than on a timer.
+    // Every (re)connect refreshes everything in case events were missed while the stream was down.
+    useEventStream(['connected'], () => { fetchData(); checkForResults(); refreshUser(); });
+    useEventStream(['challenge_received', 'challenge_accepted', 'challenge_declined', 'duel_started', 'duel_updated', 'payout_status_changed'], fetchData);
+    useEventStream(['player_joined'], (type, data) => { showMessage(`${data.playerName} joined the server for duel #${data.duelId}.`, 'success'); });
+    useEventStream(['result_ready'], () => { fetchData(); checkForResults(); });
+    useEventStream(['balance_changed'], refreshUser);
+    useEventStream(['notification_created'], fetchUnreadCount);
+
+    // Fall back to polling while the event stream is down.
+    const isStreamConnected = useEventStreamStatus();
+    useEffect(() => {
+        if (isStreamConnected) return;
+        const interval = setInterval(() => { fetchData(); checkForResults(); }, 15000);
+        return () => clearInterval(interval);
+    }, [isStreamConnected, fetchData, checkForResults]);
+
+    // The leaderboard looks up avatars from Roblox, so it is loaded once rather than on every poll.
+    useEffect(() => {
+        if (!token) return;
+        api.getLeaderboard(token).then(setLeaderboard).catch(error => console.error("Failed to fetch leaderboard:", error));
     }, [token]);
 
-    const handleChallengePlayer = (player) => { setChallengeTarget(player); setChallengeModalOpen(true); };
-    const handleChallengeSubmit = async (challengeData) => { try { const r = await api.sendChallenge(challengeData, token); showMessage(r.message, 'success'); setChallengeModalOpen(false); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
+    const fetchTemplates = useCallback(async () => {
+        if (!token) return;
+        try {
+            setTemplates(await api.getChallengeTemplates(token));
+        } catch (error) {
+            console.error("Failed to fetch challenge templates:", error);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchTemplates();
+    }, [fetchTemplates]);
+
+    const handleChallengePlayer = (player, template = null) => { setChallengeTarget(player); setChallengeTemplate(template); setIsOpenChallenge(false); setChallengeModalOpen(true); };
+    const handlePostOpenChallenge = () => { setChallengeTarget(null); setChallengeTemplate(null); setIsOpenChallenge(true); setChallengeModalOpen(true); };
+    const handleSaveTemplate = async (templateData) => { try { const r = await api.createChallengeTemplate(templateData, token); showMessage(r.message, 'success'); fetchTemplates(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleDeleteTemplate = async (template) => { try { const r = await api.deleteChallengeTemplate(template.id, token); showMessage(r.message, 'success'); fetchTemplates(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleChallengeSubmit = async (challengeData) => { try { const r = isOpenChallenge ? await api.postOpenChallenge(challengeData, token) : await api.sendChallenge(challengeData, token); showMessage(r.message, 'success'); setChallengeModalOpen(false); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleAcceptOpenChallenge = async (challenge) => { try { const r = await api.acceptOpenChallenge(challenge.id, token); showMessage(r.message, 'success'); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); fetchData(); } };
+    const handleMatchFound = useCallback(async () => { showMessage('Match found! Your duel is ready in your inbox.', 'success'); await refreshUser(); fetchData(); }, [refreshUser, fetchData]);
     const handleViewDetails = (duel) => { setSelectedItem(duel); setDetailsModalOpen(true); };
+    const handleVetoDone = () => { setDetailsModalOpen(false); fetchData(); };
+    const handleTeamInvite = async (duel, response) => { try { const r = await api.respondToTeamInvite(duel.id, response, token); showMessage(r.message, 'success'); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); fetchData(); } };
     const handleCancelDuelClick = (duel) => { setSelectedItem(duel); setIsCancelDuelModalOpen(true); };
-    const handleConfirmCancelDuel = async () => { if (!selectedItem) return; try { const r = await api.cancelDuel(selectedItem.id, token); showMessage(r.message, 'success'); setIsCancelDuelModalOpen(false); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
-    const handleRespondToDuel = async (duelId, response) => { try { const r = await api.respondToDuel({ duel_id: duelId, response }, token); showMessage(r.message, 'success'); setDetailsModalOpen(false); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleConfirmCancelDuel = async () => { if (!selectedItem) return; try { const r = await api.cancelDuel(selectedItem.id, token); showMessage(r.message, 'success'); setIsCancelDuelModalOpen(false); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleRespondToDuel = async (duelId, response, terms = {}) => { try { const r = await api.respondToDuel({ duel_id: duelId, response, ...terms }, token); showMessage(r.message, 'success'); setDetailsModalOpen(false); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
     const handleViewTranscript = async (duelId) => { setTranscript([]); setIsTranscriptModalOpen(true); try { const d = await api.getTranscript(duelId, token); setTranscript(d); } catch (e) { showMessage(e.message, 'error'); } };
-    const handleStartDuel = async (duel) => { try { const r = await api.startDuel(duel.id, token); showMessage(r.message, 'success'); if (r.serverLink) { window.open(r.serverLink, '_blank'); } else { showMessage("Server link not found.", "error"); } fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
+    const handleReadyDuel = async (duel) => { try { const r = await api.readyDuel(duel.id, token); showMessage(r.message, 'success'); if (r.started && r.serverLink) { window.open(r.serverLink, '_blank'); } fetchData(); } catch (e) { showMessage(e.message, 'error'); fetchData(); } };
     const handleForfeitClick = (duel) => { setSelectedItem(duel); setIsForfeitModalOpen(true); };
     const handleConfirmForfeit = async () => { if (!selectedItem) return; try { const r = await api.forfeitDuel(selectedItem.id, token); showMessage(r.message, 'success'); setIsForfeitModalOpen(false); fetchData(); } catch (e) { showMessage(e.message, 'error'); setIsForfeitModalOpen(false); } };
     const handleConfirmResult = async (duelId) => { try { await api.confirmDuelResult(duelId, token); setUnseenResult(null); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); setUnseenResult(null); } };
+    const handleResultDeadline = useCallback(async () => { setUnseenResult(null); showMessage('The dispute window has closed and the result is final.', 'success'); await refreshUser(); fetchData(); }, [refreshUser, fetchData]);
+    const handleRematch = async (duelId) => { await handleConfirmResult(duelId); try { const r = await api.rematchDuel(duelId, token); showMessage(r.message, 'success'); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); } };
     const handleFileDispute = async (duelId, disputeData) => { try { const r = await api.fileDispute(duelId, disputeData, token); showMessage(r.message, 'success'); setUnseenResult(null); fetchData(); } catch (e) { showMessage(e.message, 'error'); setUnseenResult(null); } };
     const handleCancelWithdrawalClick = (req) => { setSelectedItem(req); setIsCancelWithdrawalModalOpen(true); };
     const handleConfirmCancelWithdrawal = async () => { if (!selectedItem) return; try { const r = await api.cancelWithdrawalRequest(selectedItem.id, token); showMessage(r.message, 'success'); setIsCancelWithdrawalModalOpen(false); await refreshUser(); fetchData(); } catch (e) { showMessage(e.message, 'error'); setIsCancelWithdrawalModalOpen(false); } };
@@ -168,20 +241,24 @@ const Dashboard = () => {
             
             <div className="dashboard-grid">
                 <main className="main-content space-y-8">
-                    <ChallengePlayer token={token} onChallenge={handleChallengePlayer} onError={showMessage} isBanned={user.status === 'banned'} />
+                    <UpcomingDuels token={token} refreshKey={notifications} />
+                    <ChallengePlayer token={token} templates={templates} onChallenge={handleChallengePlayer} onDeleteTemplate={handleDeleteTemplate} onError={showMessage} isBanned={user.status === 'banned'} />
+                    <MatchmakingQueue token={token} onMatched={handleMatchFound} onError={showMessage} isBanned={user.status === 'banned'} />
+                    <OpenChallengeBoard token={token} onPostChallenge={handlePostOpenChallenge} onAccept={handleAcceptOpenChallenge} onCancel={handleCancelDuelClick} onError={showMessage} isBanned={user.status === 'banned'} refreshKey={boardRefreshKey} />
                 </main>
                 <aside className="sidebar space-y-8">
-                    <Inbox notifications={notifications} onViewDuel={handleViewDetails} onCancelDuel={handleCancelDuelClick} onStartDuel={handleStartDuel} onForfeitDuel={handleForfeitClick} onCancelWithdrawal={handleCancelWithdrawalClick} />
+                    <Inbox notifications={notifications} onViewDuel={handleViewDetails} onCancelDuel={handleCancelDuelClick} onReadyDuel={handleReadyDuel} onForfeitDuel={handleForfeitClick} onTeamInvite={handleTeamInvite} onCancelWithdrawal={handleCancelWithdrawalClick} unreadCount={unreadNotificationCount} onNotificationsChanged={fetchUnreadCount} onNotificationError={showNotificationError} />
+                    <Leaderboard leaderboard={leaderboard} />
                 </aside>
             </div>
 
-            <ChallengeModal isOpen={isChallengeModalOpen} onClose={() => setChallengeModalOpen(false)} opponent={challengeTarget} currentUser={user} gameData={gameData} onChallengeSubmit={handleChallengeSubmit} onError={showMessage} token={token}/>
-            <DuelDetailsModal isOpen={isDetailsModalOpen} onClose={() => setDetailsModalOpen(false)} duel={selectedItem?.data} onRespond={handleRespondToDuel} />
+            <ChallengeModal isOpen={isChallengeModalOpen} onClose={() => setChallengeModalOpen(false)} opponent={challengeTarget} isOpenChallenge={isOpenChallenge} template={challengeTemplate} currentUser={user} gameData={gameData} onChallengeSubmit={handleChallengeSubmit} onSaveTemplate={handleSaveTemplate} onError={showMessage} token={token}/>
+            <DuelDetailsModal isOpen={isDetailsModalOpen} onClose={() => setDetailsModalOpen(false)} duel={selectedItem} currentUser={user} gameData={gameData} token={token} onRespond={handleRespondToDuel} onVetoChange={handleVetoDone} onError={showMessage} />
             <ConfirmationModal isOpen={isCancelDuelModalOpen} onClose={() => setIsCancelDuelModalOpen(false)} onConfirm={handleConfirmCancelDuel} title="Cancel Duel?" text="Are you sure you want to cancel this duel?" confirmText="Yes, Cancel"/>
             <ConfirmationModal isOpen={isForfeitModalOpen} onClose={() => setIsForfeitModalOpen(false)} onConfirm={handleConfirmForfeit} title="Forfeit Duel?" text={`You will lose ${selectedItem?.data?.wager || 0} gems.`} confirmText="Yes, Forfeit"/>
             <ConfirmationModal isOpen={isCancelWithdrawalModalOpen} onClose={() => setIsCancelWithdrawalModalOpen(false)} onConfirm={handleConfirmCancelWithdrawal} title="Cancel Withdrawal?" text={`Your ${selectedItem?.amount_gems || 0} gems will be returned.`} confirmText="Yes, Cancel Request"/>
             <TranscriptModal isOpen={isTranscriptModalOpen} onClose={() => setIsTranscriptModalOpen(false)} transcript={transcript} />
-            <PostDuelModal isOpen={!!unseenResult} result={unseenResult} currentUser={user} onConfirm={handleConfirmResult} onDispute={handleFileDispute}/>
+            <PostDuelModal isOpen={!!unseenResult} result={unseenResult} currentUser={user} onConfirm={handleConfirmResult} onDispute={handleFileDispute} onRematch={handleRematch} onDeadline={handleResultDeadline}/>
         </div>
     );
 };
@@ -12,19 +12,25 @@ const Loader = () => (
     </div>
 );
 
-const DuelRow = ({ duel, currentUser, onViewTranscript }) => {
+const DuelRow = ({ duel, currentUser, onViewTranscript, onRematch }) => {
     const isChallenger = duel.challenger_id === currentUser.id;
     const opponent = {
-        username: isChallenger ? duel.opponent_username : duel.challenger_username,
+        username: isChallenger ? (duel.opponent_username || 'Open Challenge') : duel.challenger_username,
         avatar: isChallenger ? duel.opponent_avatar : duel.challenger_avatar,
     };
 
-    const outcome = duel.winner_id === currentUser.id ? 'win' : 'loss';
-    const amount = outcome === 'win' ? `+${duel.pot}` : `-${duel.wager}`;
-    const amountColor = outcome === 'win' ? 'text-green-400' : 'text-red-400';
+    // An expired challenge was never played, and a draw or no-contest was refunded, so the wager was returned rather than lost.
+    const refundLabels = { expired: 'EXPIRED', draw: 'DRAW', no_contest: 'NO CONTEST' };
+    const outcome = refundLabels[duel.status] ? duel.status : duel.winner_id === currentUser.id ? 'win' : 'loss';
+    const amount = outcome === 'win' ? `+${duel.pot}` : refundLabels[outcome] || `-${duel.wager}`;
+    const amountColor = outcome === 'win' ? 'text-green-400' : refundLabels[outcome] ? 'text-gray-500 !text-base' : 'text-red-400';
 
     // Function to calculate final score from transcript
     const getFinalScore = () => {
+        // [NEW] A series is scored by rounds won, from this player's point of view.
+        if (duel.best_of > 1) {
+            return isChallenger ? `${duel.challenger_score} : ${duel.opponent_score}` : `${duel.opponent_score} : ${duel.challenger_score}`;
+        }
         if (!duel.transcript || duel.transcript.length === 0) {
             return 'N/A';
         }
@@ -41,20 +47,41 @@ const DuelRow = ({ duel, currentUser, onViewTranscript }) => {
             <div className={`w-24 text-center font-black text-2xl ${amountColor}`}>
                 {amount}
             </div>
-            <div className="flex-grow flex items-center gap-3">
-                <img src={currentUser.roblox_avatar_url || 'https://placehold.co/40x40'} alt="You" className="w-10 h-10 rounded-full"/>
-                <span className="text-gray-400">vs</span>
-                <img src={opponent.avatar || 'https://placehold.co/40x40'} alt={opponent.username} className="w-10 h-10 rounded-full"/>
-                <span className="font-semibold text-white">{opponent.username}</span>
+            <div className="flex-grow">
+                <div className="flex items-center gap-3">
+                    <img src={currentUser.roblox_avatar_url || 'https://placehold.co/40x40'} alt="You" className="w-10 h-10 rounded-full"/>
+                    <span className="text-gray-400">vs</span>
+                    <img src={opponent.avatar || 'https://placehold.co/40x40'} alt={opponent.username} className="w-10 h-10 rounded-full"/>
+                    <span className="font-semibold text-white">{opponent.username}</span>
+                </div>
+                {duel.rounds?.length > 0 && (
+                    <div className="flex gap-1 mt-2">
+                        {duel.rounds.map(round => (
+                            <span
+                                key={round.round_number}
+                                title={`Round ${round.round_number}: ${round.winner_username}`}
+                                className={`text-xs font-bold px-2 py-0.5 rounded ${round.winner_id === currentUser.id ? 'bg-green-900/50 text-green-400' : 'bg-red-900/50 text-red-400'}`}
+                            >
+                                R{round.round_number} {round.winner_id === currentUser.id ? 'W' : 'L'}
+                            </span>
+                        ))}
+                    </div>
+                )}
             </div>
             <div className="w-24 text-center">
                 <div className="font-bold text-lg">{getFinalScore()}</div>
-                <div className="text-xs text-gray-500">Score</div>
+                <div className="text-xs text-gray-500">{duel.best_of > 1 ? `Best of ${duel.best_of}` : 'Score'}</div>
             </div>
-            <div className="w-32 text-right">
+            <div className="w-32 text-right space-y-2">
                 <button onClick={() => onViewTranscript(duel.id)} className="btn btn-secondary !mt-0 !py-2 !px-4">
                     Transcript
                 </button>
+                {/* [NEW] Challenge the same opponent again on the same terms. */}
+                {['completed', 'draw', 'no_contest'].includes(duel.status) && !duel.tournament_id && (
+                    <button onClick={() => onRematch(duel.id)} className="btn btn-primary !mt-0 !py-2 !px-4">
+                        Rematch
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -63,11 +90,12 @@ const DuelRow = ({ duel, currentUser, onViewTranscript }) => {
 
 // --- Main Duel History Page Component ---
 const DuelHistoryPage = () => {
-    const { user, token } = useAuth();
+    const { user, token, refreshUser } = useAuth();
     const navigate = useNavigate();
     const [history, setHistory] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
     const [selectedTranscript, setSelectedTranscript] = useState([]);
     const [isTranscriptModalOpen, setIsTranscriptModalOpen] = useState(false);
 
@@ -96,6 +124,18 @@ const DuelHistoryPage = () => {
         }
     };
 
+    const handleRematch = async (duelId) => {
+        setError('');
+        setNotice('');
+        try {
+            const result = await api.rematchDuel(duelId, token);
+            setNotice(result.message);
+            await refreshUser();
+        } catch (err) {
+            setError(err.message || 'Failed to send the rematch.');
+        }
+    };
+
     return (
         <div className="max-w-5xl mx-auto p-4 sm:p-6 lg:p-8">
             <header className="flex justify-between items-center mb-8">
@@ -105,12 +145,13 @@ const DuelHistoryPage = () => {
 
             <div className="widget">
                 {error && <div className="p-4 mb-4 text-center bg-red-900/50 text-red-300 rounded-lg">{error}</div>}
+                {notice && <div className="p-4 mb-4 text-center bg-green-900/50 text-green-300 rounded-lg">{notice}</div>}
                 
                 <div className="space-y-3">
                     {isLoading ? (
                         <Loader />
                     ) : history.length > 0 ? (
-                        history.map(duel => <DuelRow key={duel.id} duel={duel} currentUser={user} onViewTranscript={handleViewTranscript} />)
+                        history.map(duel => <DuelRow key={duel.id} duel={duel} currentUser={user} onViewTranscript={handleViewTranscript} onRematch={handleRematch} />)
                     ) : (
                         <p className="p-8 text-center text-gray-500">No completed duels found.</p>
                     )}
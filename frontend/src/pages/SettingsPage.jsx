@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import * as api from '../services/api';
+import { getPushStatus, subscribeToPush, unsubscribeFromPush } from '../services/pushNotifications';
 import { ConfirmationModal } from '../components/Dashboard/Modals';
 
 // --- Reusable Helper Components for this page ---
@@ -28,6 +29,43 @@ const ToggleSwitch = ({ enabled, onToggle }) => (
     </button>
 );
 
+// [NEW] What each row and column of the notification preference matrix is called.
+const NOTIFICATION_EVENT_LABELS = {
+    challenge_received: 'Challenges',
+    duel_accepted: 'Accepted duels & reminders',
+    duel_result: 'Duel results & disputes',
+    payout_update: 'Withdrawals',
+    admin_message: 'Messages from admins',
+    tournament: 'Tournaments'
+};
+const NOTIFICATION_CHANNEL_LABELS = { inbox: 'Inbox', push: 'Push', email: 'Email' };
+
+const NotificationMatrix = ({ matrix, pushEnabled, onToggle }) => (
+    <div className="overflow-x-auto pt-3 border-t border-gray-700">
+        <table className="w-full text-left">
+            <thead>
+                <tr className="text-sm text-gray-400">
+                    <th className="py-2 font-medium">Notify me about</th>
+                    {matrix.channels.map(channel => <th key={channel} className="py-2 font-medium text-center">{NOTIFICATION_CHANNEL_LABELS[channel] || channel}</th>)}
+                </tr>
+            </thead>
+            <tbody>
+                {matrix.events.map(event => (
+                    <tr key={event} className="border-t border-gray-800">
+                        <td className="py-3 text-gray-300">{NOTIFICATION_EVENT_LABELS[event] || event}</td>
+                        {matrix.channels.map(channel => (
+                            <td key={channel} className={`py-3 text-center ${channel === 'push' && !pushEnabled ? 'opacity-40' : ''}`}>
+                                <ToggleSwitch enabled={matrix.preferences[event][channel]} onToggle={() => onToggle(event, channel)} />
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+        {!pushEnabled && <p className="text-sm text-gray-500 mt-2">Push notifications are turned off above, so the push column has no effect.</p>}
+    </div>
+);
+
 const SettingsCard = ({ title, children }) => (
     <div className="widget">
         <h3 className="widget-title">{title}</h3>
@@ -58,6 +96,9 @@ const SettingsPage = () => {
     const [confirmPassword, setConfirmPassword] = useState('');
     const [deletePassword, setDeletePassword] = useState('');
     const [notificationsEnabled, setNotificationsEnabled] = useState(user?.push_notifications_enabled ?? true);
+    const [pushStatus, setPushStatus] = useState(null);
+    const [notificationMatrix, setNotificationMatrix] = useState(null);
+    const [isPushUpdating, setIsPushUpdating] = useState(false);
 
     const [isUnlinkModalOpen, setUnlinkModalOpen] = useState(false);
     const [isDeleteModalOpen, setDeleteModalOpen] = useState(false);
@@ -66,6 +107,14 @@ const SettingsPage = () => {
         setNotificationsEnabled(user?.push_notifications_enabled ?? true);
     }, [user]);
 
+    useEffect(() => {
+        getPushStatus().then(setPushStatus).catch(() => setPushStatus('unsupported'));
+    }, []);
+
+    useEffect(() => {
+        api.getNotificationPreferences(token).then(setNotificationMatrix).catch(error => console.error("Failed to fetch notification preferences:", error));
+    }, [token]);
+
     const showMessage = (text, type) => {
         setMessage({ text, type });
         setTimeout(() => setMessage({ text: '', type: '' }), 5000);
@@ -101,6 +150,41 @@ const SettingsPage = () => {
         }
     };
 
+    // [NEW] Flips one cell of the preference matrix, putting it back if the save fails.
+    const handleMatrixToggle = async (event, channel) => {
+        const enabled = !notificationMatrix.preferences[event][channel];
+        const setCell = (value) => setNotificationMatrix(current => ({
+            ...current,
+            preferences: { ...current.preferences, [event]: { ...current.preferences[event], [channel]: value } }
+        }));
+        setCell(enabled);
+        try {
+            await api.updateNotificationPreferences({ [event]: { [channel]: enabled } }, token);
+        } catch (error) {
+            showMessage(error.message, 'error');
+            setCell(!enabled);
+        }
+    };
+
+    // [NEW] Subscribes or unsubscribes this browser. The toggle above still switches push off for every device at once.
+    const handleDevicePush = async () => {
+        setIsPushUpdating(true);
+        try {
+            if (pushStatus === 'subscribed') {
+                await unsubscribeFromPush(token);
+                showMessage('Push notifications turned off on this device.', 'success');
+            } else {
+                await subscribeToPush(token);
+                showMessage('Push notifications turned on for this device.', 'success');
+            }
+        } catch (error) {
+            showMessage(error.message, 'error');
+        } finally {
+            setPushStatus(await getPushStatus().catch(() => 'unsupported'));
+            setIsPushUpdating(false);
+        }
+    };
+
     const handleUnlinkRoblox = async () => {
         try {
             await api.unlinkRoblox(token);
@@ -158,6 +242,25 @@ const SettingsPage = () => {
                         <span className="text-gray-400">Enable Push Notifications</span>
                         <ToggleSwitch enabled={notificationsEnabled} onToggle={handleNotificationToggle} />
                     </div>
+                    {pushStatus && (
+                        <div className="flex justify-between items-center py-3 border-t border-gray-700">
+                            <div>
+                                <span className="text-gray-400">This Device</span>
+                                <p className="text-sm text-gray-500">
+                                    {pushStatus === 'subscribed' && 'This browser receives push notifications.'}
+                                    {pushStatus === 'unsubscribed' && 'This browser does not receive push notifications yet.'}
+                                    {pushStatus === 'blocked' && 'Notifications are blocked for this site in your browser settings.'}
+                                    {pushStatus === 'unsupported' && 'This browser does not support push notifications.'}
+                                </p>
+                            </div>
+                            {(pushStatus === 'subscribed' || pushStatus === 'unsubscribed') && (
+                                <button onClick={handleDevicePush} disabled={isPushUpdating || (pushStatus === 'unsubscribed' && !notificationsEnabled)} className="btn btn-secondary !mt-0 disabled:opacity-50">
+                                    {pushStatus === 'subscribed' ? 'Turn Off Here' : 'Turn On Here'}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                    {notificationMatrix && <NotificationMatrix matrix={notificationMatrix} pushEnabled={notificationsEnabled} onToggle={handleMatrixToggle} />}
                 </SettingsCard>
 
                 {!user.google_id && (
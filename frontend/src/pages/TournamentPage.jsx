@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import * as api from '../services/api';
+import { ConfirmationModal } from '../components/Dashboard/Modals';
+
+// --- Reusable Helper Components for this page ---
+
+const Loader = () => (
+    <div className="flex items-center justify-center p-8">
+        <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+    </div>
+);
+
+const bracketTitles = {
+    winners: 'Winners Bracket',
+    losers: 'Losers Bracket',
+    grand_final: 'Grand Final',
+};
+
+const placementLabel = (placement) => {
+    if (placement === 1) return '1st';
+    if (placement === 2) return '2nd';
+    if (placement === 3) return '3rd';
+    return `${placement}th`;
+};
+
+const MatchSlot = ({ userId, username, match, currentUser }) => {
+    const isWinner = match.status === 'completed' && match.winner_id === userId;
+    const isLoser = match.status === 'completed' && userId && match.winner_id !== userId;
+    // An empty slot in a completed match is a bye; otherwise the player has not been decided yet.
+    const label = username || (match.status === 'completed' ? 'BYE' : 'TBD');
+    return (
+        <div className={`flex justify-between px-3 py-1.5 text-sm ${isWinner ? 'text-green-400 font-bold' : isLoser ? 'text-gray-500 line-through' : 'text-gray-300'} ${userId === currentUser.id ? 'bg-blue-900/30' : ''}`}>
+            <span className="truncate">{label}</span>
+            {isWinner && <span>W</span>}
+        </div>
+    );
+};
+
+const MatchCard = ({ match, currentUser }) => (
+    <div className={`w-48 rounded-lg border bg-gray-900/50 divide-y divide-gray-700 ${match.status === 'in_progress' ? 'border-green-600' : 'border-gray-700'}`}>
+        <MatchSlot userId={match.player1_id} username={match.player1_username} match={match} currentUser={currentUser} />
+        <MatchSlot userId={match.player2_id} username={match.player2_username} match={match} currentUser={currentUser} />
+        {match.status === 'in_progress' && <div className="px-3 py-1 text-xs text-green-400 text-center">LIVE</div>}
+    </div>
+);
+
+const Bracket = ({ bracket, matches, currentUser }) => {
+    const rounds = [...new Set(matches.map(m => m.round))].sort((a, b) => a - b);
+    return (
+        <div className="widget mb-6">
+            <h2 className="widget-title">{bracketTitles[bracket]}</h2>
+            <div className="flex gap-6 overflow-x-auto pb-2">
+                {rounds.map(round => (
+                    <div key={round} className="flex flex-col justify-around gap-4 shrink-0">
+                        <div className="text-xs text-gray-500 text-center uppercase">Round {round}</div>
+                        {matches.filter(m => m.round === round).map(match => (
+                            <MatchCard key={match.id} match={match} currentUser={currentUser} />
+                        ))}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+
+// --- Main Tournament Page Component ---
+const TournamentPage = () => {
+    const { id } = useParams();
+    const { user, token, refreshUser } = useAuth();
+    const navigate = useNavigate();
+    const [tournament, setTournament] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [message, setMessage] = useState({ text: '', type: '' });
+    const [confirmation, setConfirmation] = useState(null);
+
+    const fetchTournament = useCallback(async () => {
+        try {
+            setTournament(await api.getTournament(id, token));
+        } catch (err) {
+            setMessage({ text: err.message || 'Failed to fetch tournament.', type: 'error' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [id, token]);
+
+    useEffect(() => {
+        if (token) fetchTournament();
+    }, [token, fetchTournament]);
+
+    const runAction = async (action) => {
+        setConfirmation(null);
+        try {
+            const result = await action();
+            setMessage({ text: result.message, type: 'success' });
+            await refreshUser();
+            fetchTournament();
+        } catch (err) {
+            setMessage({ text: err.message, type: 'error' });
+        }
+    };
+
+    if (isLoading) return <Loader />;
+
+    const brackets = tournament ? ['winners', 'losers', 'grand_final'].filter(b => tournament.matches.some(m => m.bracket === b)) : [];
+    const isOpen = tournament && ['registration', 'in_progress'].includes(tournament.status);
+
+    return (
+        <div className="max-w-5xl mx-auto p-4 sm:p-6 lg:p-8">
+            <header className="flex justify-between items-center mb-8">
+                <div>
+                    <h1 className="text-4xl font-bold text-white">{tournament?.name || 'Tournament'}</h1>
+                    {tournament && (
+                        <p className="text-gray-400">
+                            {tournament.region} | {tournament.format === 'double_elimination' ? 'Double' : 'Single'} Elimination | {tournament.status.replace('_', ' ')} | Maps: {tournament.map_names.join(', ')}
+                        </p>
+                    )}
+                </div>
+                <button onClick={() => navigate('/tournaments')} className="btn btn-secondary !mt-0">Back to Tournaments</button>
+            </header>
+
+            {message.text && (
+                <div className={`p-4 mb-4 text-center rounded-lg ${message.type === 'error' ? 'bg-red-900/50 text-red-300' : 'bg-green-900/50 text-green-300'}`}>{message.text}</div>
+            )}
+
+            {tournament && (
+                <>
+                    {user.is_admin && isOpen && (
+                        <div className="widget mb-6">
+                            <h2 className="widget-title">Admin Controls</h2>
+                            <div className="flex gap-2">
+                                {tournament.status === 'registration' && (
+                                    <>
+                                        <button onClick={() => runAction(() => api.seedTournament(tournament.id, null, token))} className="btn btn-secondary !mt-0">Seed by Rating</button>
+                                        <button onClick={() => runAction(() => api.startTournament(tournament.id, token))} className="btn btn-primary !mt-0">Start Tournament</button>
+                                    </>
+                                )}
+                                <button
+                                    onClick={() => setConfirmation({
+                                        title: 'Cancel Tournament?',
+                                        text: 'Every player will get their entry fee back and any live matches will be canceled.',
+                                        confirmText: 'Cancel Tournament',
+                                        action: () => api.cancelTournament(tournament.id, token),
+                                    })}
+                                    className="btn btn-danger !mt-0"
+                                >
+                                    Cancel Tournament
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                        <div className="widget text-center">
+                            <div className="font-bold text-3xl text-yellow-400">{tournament.prize_pool}</div>
+                            <div className="text-xs text-gray-500">Prize Pool (Gems)</div>
+                        </div>
+                        <div className="widget text-center">
+                            <div className="font-bold text-3xl">{tournament.entry_fee}</div>
+                            <div className="text-xs text-gray-500">Entry Fee</div>
+                        </div>
+                        <div className="widget text-center">
+                            <div className="font-bold text-3xl">{tournament.payout_split.map(share => `${share}%`).join(' / ')}</div>
+                            <div className="text-xs text-gray-500">Payout Split</div>
+                        </div>
+                    </div>
+
+                    {brackets.length > 0 ? (
+                        brackets.map(bracket => (
+                            <Bracket key={bracket} bracket={bracket} matches={tournament.matches.filter(m => m.bracket === bracket)} currentUser={user} />
+                        ))
+                    ) : (
+                        <div className="widget mb-6">
+                            <p className="p-8 text-center text-gray-500">The bracket will be generated when the tournament starts.</p>
+                        </div>
+                    )}
+
+                    <div className="widget">
+                        <h2 className="widget-title">Players</h2>
+                        <div className="space-y-2">
+                            {tournament.participants.length > 0 ? tournament.participants.map(player => (
+                                <div key={player.user_id} className="flex items-center gap-4 p-3 bg-gray-900/50 border border-gray-700 rounded-lg">
+                                    <div className="w-12 text-center text-gray-500">{player.seed ? `#${player.seed}` : '-'}</div>
+                                    <img src={player.avatar_url || 'https://placehold.co/40x40'} alt={player.username} className="w-8 h-8 rounded-full" />
+                                    <div className="flex-grow">
+                                        <span className="font-semibold text-white">{player.username}</span>
+                                        <span className="ml-2 text-xs text-gray-500">{player.rating}</span>
+                                    </div>
+                                    <div className="w-32 text-right text-sm">
+                                        {player.placement ? (
+                                            <span className="text-yellow-400 font-bold">{placementLabel(player.placement)}{player.prize > 0 ? ` (+${player.prize})` : ''}</span>
+                                        ) : (
+                                            <span className={player.status === 'disqualified' ? 'text-red-400' : 'text-gray-400'}>{player.status}</span>
+                                        )}
+                                    </div>
+                                    {user.is_admin && isOpen && player.status === 'registered' && (
+                                        <button
+                                            onClick={() => setConfirmation({
+                                                title: `Disqualify ${player.username}?`,
+                                                text: 'Their current match will be awarded to their opponent and their entry fee stays in the prize pool.',
+                                                confirmText: 'Disqualify',
+                                                action: () => api.disqualifyTournamentPlayer(tournament.id, player.user_id, token),
+                                            })}
+                                            className="btn btn-danger !mt-0 !py-1 !px-3 text-sm"
+                                        >
+                                            Disqualify
+                                        </button>
+                                    )}
+                                </div>
+                            )) : (
+                                <p className="p-4 text-center text-gray-500">No players have registered yet.</p>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+
+            <ConfirmationModal
+                isOpen={!!confirmation}
+                onClose={() => setConfirmation(null)}
+                onConfirm={() => runAction(confirmation.action)}
+                title={confirmation?.title}
+                text={confirmation?.text}
+                confirmText={confirmation?.confirmText}
+            />
+        </div>
+    );
+};
+
+export default TournamentPage;
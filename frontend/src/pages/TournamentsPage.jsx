@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import * as api from '../services/api';
+
+// --- Reusable Helper Components for this page ---
+
+const Loader = () => (
+    <div className="flex items-center justify-center p-8">
+        <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+    </div>
+);
+
+const statusStyles = {
+    registration: 'bg-blue-800 text-blue-200',
+    in_progress: 'bg-green-800 text-green-200',
+    completed: 'bg-gray-700 text-gray-300',
+    canceled: 'bg-red-900 text-red-200',
+};
+
+const formatLabel = (format) => format === 'double_elimination' ? 'Double Elimination' : 'Single Elimination';
+
+const TournamentRow = ({ tournament, onOpen, onRegister, onWithdraw }) => (
+    <div className="flex items-center gap-4 p-4 bg-gray-900/50 border border-gray-700 rounded-lg">
+        <div className="flex-grow cursor-pointer" onClick={() => onOpen(tournament.id)}>
+            <div className="flex items-center gap-3">
+                <span className="font-semibold text-white text-lg">{tournament.name}</span>
+                <span className={`px-2 py-1 text-xs font-semibold rounded-full ${statusStyles[tournament.status]}`}>
+                    {tournament.status.replace('_', ' ').toUpperCase()}
+                </span>
+            </div>
+            <p className="text-sm text-gray-400">
+                {tournament.region} | {formatLabel(tournament.format)} | {tournament.player_count}/{tournament.size} players | Maps: {tournament.map_names.join(', ')}
+            </p>
+            {tournament.starts_at && <p className="text-xs text-gray-500">Starts {new Date(tournament.starts_at).toLocaleString()}</p>}
+        </div>
+        <div className="w-28 text-center">
+            <div className="font-bold text-lg text-yellow-400">{tournament.prize_pool}</div>
+            <div className="text-xs text-gray-500">Prize Pool</div>
+        </div>
+        <div className="w-28 text-center">
+            <div className="font-bold text-lg">{tournament.entry_fee}</div>
+            <div className="text-xs text-gray-500">Entry Fee</div>
+        </div>
+        <div className="w-32 text-right">
+            {tournament.status === 'registration' && (tournament.is_registered ? (
+                <button onClick={() => onWithdraw(tournament)} className="btn btn-secondary !mt-0 !py-2 !px-4">Withdraw</button>
+            ) : (
+                <button onClick={() => onRegister(tournament)} disabled={tournament.player_count >= tournament.size} className="btn btn-primary !mt-0 !py-2 !px-4">Register</button>
+            ))}
+            {tournament.status !== 'registration' && (
+                <button onClick={() => onOpen(tournament.id)} className="btn btn-secondary !mt-0 !py-2 !px-4">Bracket</button>
+            )}
+        </div>
+    </div>
+);
+
+// --- Admin form for creating a tournament ---
+const CreateTournamentForm = ({ gameData, onCreate }) => {
+    const [name, setName] = useState('');
+    const [region, setRegion] = useState('North America');
+    const [format, setFormat] = useState('single_elimination');
+    const [size, setSize] = useState(8);
+    const [entryFee, setEntryFee] = useState(100);
+    const [payoutSplit, setPayoutSplit] = useState('60, 30, 10');
+    const [mapPool, setMapPool] = useState([]);
+    const [startsAt, setStartsAt] = useState('');
+
+    const toggleMap = (mapId) => {
+        setMapPool(prev => prev.includes(mapId) ? prev.filter(id => id !== mapId) : [...prev, mapId]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const created = await onCreate({
+            name,
+            region,
+            format,
+            size: parseInt(size, 10),
+            entry_fee: parseInt(entryFee, 10),
+            payout_split: payoutSplit.split(',').map(part => parseInt(part.trim(), 10)),
+            map_pool: mapPool,
+            ...(startsAt ? { starts_at: new Date(startsAt).toISOString() } : {}),
+        });
+        if (created) {
+            setName('');
+            setMapPool([]);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="widget space-y-4 mb-8">
+            <h2 className="widget-title">Create Tournament</h2>
+            <div className="grid grid-cols-2 gap-4">
+                <div className="form-group">
+                    <label>Name</label>
+                    <input type="text" value={name} onChange={e => setName(e.target.value)} required className="form-input" />
+                </div>
+                <div className="form-group">
+                    <label>Region</label>
+                    <select value={region} onChange={e => setRegion(e.target.value)} className="form-input">
+                        {['North America', 'Europe', 'Oceania'].map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Format</label>
+                    <select value={format} onChange={e => setFormat(e.target.value)} className="form-input">
+                        <option value="single_elimination">Single Elimination</option>
+                        <option value="double_elimination">Double Elimination</option>
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Size</label>
+                    <select value={size} onChange={e => setSize(e.target.value)} className="form-input">
+                        {[4, 8, 16, 32].map(s => <option key={s} value={s}>{s} players</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Entry Fee (Gems)</label>
+                    <input type="number" min="0" value={entryFee} onChange={e => setEntryFee(e.target.value)} required className="form-input" />
+                </div>
+                <div className="form-group">
+                    <label>Payout Split (% by place)</label>
+                    <input type="text" value={payoutSplit} onChange={e => setPayoutSplit(e.target.value)} placeholder="60, 30, 10" required className="form-input" />
+                </div>
+                <div className="form-group">
+                    <label>Starts At (Optional)</label>
+                    <input type="datetime-local" value={startsAt} onChange={e => setStartsAt(e.target.value)} className="form-input" />
+                </div>
+            </div>
+            <div className="form-group">
+                <label>Map Pool</label>
+                <div id="map-selector" className="max-h-36 overflow-y-auto">
+                    {gameData.maps.map(map => (
+                        <button key={map.id} type="button" onClick={() => toggleMap(map.id)} className={`map-card ${mapPool.includes(map.id) ? 'selected' : ''}`}>
+                            <span className="map-name">{map.name}</span>
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <button type="submit" className="btn btn-primary">Create Tournament</button>
+        </form>
+    );
+};
+
+
+// --- Main Tournaments Page Component ---
+const TournamentsPage = () => {
+    const { user, token, refreshUser } = useAuth();
+    const navigate = useNavigate();
+    const [tournaments, setTournaments] = useState([]);
+    const [gameData, setGameData] = useState({ maps: [], weapons: [] });
+    const [isLoading, setIsLoading] = useState(true);
+    const [message, setMessage] = useState({ text: '', type: '' });
+
+    const fetchTournaments = useCallback(async () => {
+        try {
+            setTournaments(await api.getTournaments(token));
+        } catch (err) {
+            setMessage({ text: err.message || 'Failed to fetch tournaments.', type: 'error' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        if (!token) return;
+        fetchTournaments();
+        if (user.is_admin) {
+            api.getGameData(token).then(setGameData).catch(err => console.error("Failed to fetch game data:", err));
+        }
+    }, [token, user.is_admin, fetchTournaments]);
+
+    const runAction = async (action) => {
+        try {
+            const result = await action();
+            setMessage({ text: result.message, type: 'success' });
+            await refreshUser();
+            fetchTournaments();
+            return true;
+        } catch (err) {
+            setMessage({ text: err.message, type: 'error' });
+            return false;
+        }
+    };
+
+    return (
+        <div className="max-w-5xl mx-auto p-4 sm:p-6 lg:p-8">
+            <header className="flex justify-between items-center mb-8">
+                <h1 className="text-4xl font-bold text-white">Tournaments</h1>
+                <button onClick={() => navigate('/dashboard')} className="btn btn-secondary !mt-0">Back to Dashboard</button>
+            </header>
+
+            {message.text && (
+                <div className={`p-4 mb-4 text-center rounded-lg ${message.type === 'error' ? 'bg-red-900/50 text-red-300' : 'bg-green-900/50 text-green-300'}`}>{message.text}</div>
+            )}
+
+            {user.is_admin && (
+                <CreateTournamentForm gameData={gameData} onCreate={(data) => runAction(() => api.createTournament(data, token))} />
+            )}
+
+            <div className="widget">
+                <div className="space-y-3">
+                    {isLoading ? (
+                        <Loader />
+                    ) : tournaments.length > 0 ? (
+                        tournaments.map(tournament => (
+                            <TournamentRow
+                                key={tournament.id}
+                                tournament={tournament}
+                                onOpen={(id) => navigate(`/tournaments/${id}`)}
+                                onRegister={(t) => runAction(() => api.registerForTournament(t.id, token))}
+                                onWithdraw={(t) => runAction(() => api.withdrawFromTournament(t.id, token))}
+                            />
+                        ))
+                    ) : (
+                        <p className="p-8 text-center text-gray-500">No tournaments have been announced yet.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TournamentsPage;
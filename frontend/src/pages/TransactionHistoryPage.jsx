@@ -20,13 +20,19 @@ const TransactionRow = ({ transaction }) => {
         'deposit_stripe': 'bg-blue-800 text-blue-200',
         'deposit_crypto': 'bg-purple-800 text-purple-200',
         'withdrawal': 'bg-yellow-800 text-yellow-200',
+        'withdrawal_refund': 'bg-yellow-900 text-yellow-100',
         'duel_wager': 'bg-red-800 text-red-200',
         'duel_win': 'bg-green-800 text-green-200',
+        'duel_refund': 'bg-teal-800 text-teal-200',
         'admin_adjustment': 'bg-gray-600 text-gray-200',
+        'account_bonus': 'bg-indigo-800 text-indigo-200',
+        'tournament_entry': 'bg-orange-800 text-orange-200',
+        'tournament_prize': 'bg-emerald-800 text-emerald-200',
+        'tournament_refund': 'bg-orange-900 text-orange-100',
     };
 
     const typeStyle = typeStyles[transaction.type] || 'bg-gray-700';
-    const formattedType = transaction.type.replace('_', ' ').toUpperCase();
+    const formattedType = transaction.type.replace(/_/g, ' ').toUpperCase();
 
     return (
         <tr className="border-b border-gray-800 hover:bg-gray-800/50">
@@ -44,6 +50,9 @@ const TransactionRow = ({ transaction }) => {
             <td className={`p-4 font-bold text-right font-mono ${amountColor}`}>
                 {amountSign}{transaction.amount_gems.toLocaleString()}
             </td>
+            <td className="p-4 text-right font-mono text-gray-400">
+                {transaction.balance_after.toLocaleString()}
+            </td>
         </tr>
     );
 };
@@ -91,15 +100,16 @@ const TransactionHistoryPage = () => {
                                 <th className="p-4">Type</th>
                                 <th className="p-4">Description</th>
                                 <th className="p-4 text-right">Amount (Gems)</th>
+                                <th className="p-4 text-right">Balance</th>
                             </tr>
                         </thead>
                         <tbody>
                             {isLoading ? (
-                                <tr><td colSpan="4"><Loader /></td></tr>
+                                <tr><td colSpan="5"><Loader /></td></tr>
                             ) : history.length > 0 ? (
                                 history.map(tx => <TransactionRow key={tx.id} transaction={tx} />)
                             ) : (
-                                <tr><td colSpan="4" className="p-8 text-center text-gray-500">No transactions found.</td></tr>
+                                <tr><td colSpan="5" className="p-8 text-center text-gray-500">No transactions found.</td></tr>
                             )}
                         </tbody>
                     </table>
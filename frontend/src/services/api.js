@@ -41,8 +41,15 @@ export const registerUser = (userData) => apiRequest('/auth/register', 'POST', u
 // --- USER & DASHBOARD ---
 export const getDashboardData = (token) => apiRequest('/user-data', 'GET', null, token);
 export const verifyRobloxAccount = (robloxUsername, token) => apiRequest('/roblox/verify', 'POST', { robloxUsername }, token);
+export const getEventStreamTicket = (token) => apiRequest('/events/ticket', 'POST', null, token);
 export const getInbox = (token) => apiRequest('/inbox', 'GET', null, token);
+export const getNotificationHistory = (cursor, token) => apiRequest(`/inbox/notifications${cursor ? `?cursor=${cursor}` : ''}`, 'GET', null, token);
+export const getUnreadNotificationCount = (token) => apiRequest('/inbox/notifications/unread-count', 'GET', null, token);
+export const markNotificationRead = (notificationId, token) => apiRequest(`/inbox/notifications/${notificationId}/read`, 'POST', null, token);
+export const markAllNotificationsRead = (token) => apiRequest('/inbox/notifications/read-all', 'POST', null, token);
+export const deleteNotification = (notificationId, token) => apiRequest(`/inbox/notifications/${notificationId}`, 'DELETE', null, token);
 export const getTransactionHistory = (token) => apiRequest('/history', 'GET', null, token);
+export const getLeaderboard = (token) => apiRequest('/leaderboard', 'GET', null, token);
 
 
 // --- DUELS & DISPUTES ---
@@ -54,12 +61,49 @@ export const findPlayer = (robloxUsername, token) => apiRequest(`/duels/find-pla
 export const sendChallenge = (challengeData, token) => apiRequest('/duels/challenge', 'POST', challengeData, token);
 export const respondToDuel = (responseData, token) => apiRequest('/duels/respond', 'POST', responseData, token);
 export const cancelDuel = (duelId, token) => apiRequest(`/duels/cancel/${duelId}`, 'DELETE', null, token);
+export const respondToTeamInvite = (duelId, response, token) => apiRequest(`/duels/${duelId}/team-invite`, 'POST', { response }, token);
 export const getTranscript = (duelId, token) => apiRequest(`/duels/transcript/${duelId}`, 'GET', null, token);
-export const startDuel = (duelId, token) => apiRequest(`/duels/${duelId}/start`, 'POST', null, token);
+export const getUpcomingDuels = (token) => apiRequest('/duels/upcoming', 'GET', null, token);
+export const getDuelVeto = (duelId, token) => apiRequest(`/duels/${duelId}/veto`, 'GET', null, token);
+export const submitVetoBan = (duelId, choice, token) => apiRequest(`/duels/${duelId}/veto`, 'POST', { choice }, token);
+export const getDuelChat = (duelId, token) => apiRequest(`/duels/${duelId}/chat`, 'GET', null, token);
+export const sendDuelChatMessage = (duelId, message, token) => apiRequest(`/duels/${duelId}/chat`, 'POST', { message }, token);
+export const readyDuel = (duelId, token) => apiRequest(`/duels/${duelId}/ready`, 'POST', null, token);
 export const forfeitDuel = (duelId, token) => apiRequest(`/duels/${duelId}/forfeit`, 'POST', null, token);
 export const getUnseenResults = (token) => apiRequest('/duels/unseen-results', 'GET', null, token);
 export const confirmDuelResult = (duelId, token) => apiRequest(`/duels/${duelId}/confirm-result`, 'POST', null, token);
 export const fileDispute = (duelId, disputeData, token) => apiRequest(`/duels/${duelId}/dispute`, 'POST', disputeData, token);
+export const getOpenChallenges = (filters, token) => {
+    const params = new URLSearchParams();
+    if (filters.region) {
+        params.append('region', filters.region);
+    }
+    if (filters.minWager) {
+        params.append('min_wager', filters.minWager);
+    }
+    if (filters.maxWager) {
+        params.append('max_wager', filters.maxWager);
+    }
+    return apiRequest(`/duels/open?${params.toString()}`, 'GET', null, token);
+};
+export const postOpenChallenge = (challengeData, token) => apiRequest('/duels/open', 'POST', challengeData, token);
+export const acceptOpenChallenge = (duelId, token) => apiRequest(`/duels/open/${duelId}/accept`, 'POST', null, token);
+export const rematchDuel = (duelId, token) => apiRequest(`/duels/${duelId}/rematch`, 'POST', null, token);
+export const getChallengeTemplates = (token) => apiRequest('/duels/templates', 'GET', null, token);
+export const createChallengeTemplate = (templateData, token) => apiRequest('/duels/templates', 'POST', templateData, token);
+export const updateChallengeTemplate = (templateId, templateData, token) => apiRequest(`/duels/templates/${templateId}`, 'PUT', templateData, token);
+export const deleteChallengeTemplate = (templateId, token) => apiRequest(`/duels/templates/${templateId}`, 'DELETE', null, token);
+
+// --- MATCHMAKING ---
+export const getQueueStatus = (token) => apiRequest('/matchmaking/queue', 'GET', null, token);
+export const joinQueue = (region, wager, token) => apiRequest('/matchmaking/queue', 'POST', { region, wager }, token);
+export const leaveQueue = (token) => apiRequest('/matchmaking/queue', 'DELETE', null, token);
+
+// --- TOURNAMENTS ---
+export const getTournaments = (token) => apiRequest('/tournaments', 'GET', null, token);
+export const getTournament = (tournamentId, token) => apiRequest(`/tournaments/${tournamentId}`, 'GET', null, token);
+export const registerForTournament = (tournamentId, token) => apiRequest(`/tournaments/${tournamentId}/register`, 'POST', null, token);
+export const withdrawFromTournament = (tournamentId, token) => apiRequest(`/tournaments/${tournamentId}/register`, 'DELETE', null, token);
 
 
 // --- STATIC DATA ---
@@ -82,6 +126,11 @@ export const updatePassword = (passwordData, token) => apiRequest('/user/passwor
 export const unlinkRoblox = (token) => apiRequest('/user/unlink/roblox', 'POST', null, token);
 export const deleteAccount = (password, token) => apiRequest('/user/delete/account', 'DELETE', { password }, token);
 export const updateNotificationPreference = (enabled, token) => apiRequest('/user/notification-preference', 'PUT', { enabled }, token);
+export const getNotificationPreferences = (token) => apiRequest('/user/notification-preferences', 'GET', null, token);
+export const updateNotificationPreferences = (preferences, token) => apiRequest('/user/notification-preferences', 'PUT', { preferences }, token);
+export const getVapidPublicKey = () => apiRequest('/subscriptions/vapid-public-key');
+export const savePushSubscription = (subscription, token) => apiRequest('/subscriptions/save', 'POST', { subscription }, token);
+export const removePushSubscription = (endpoint, token) => apiRequest('/subscriptions/remove', 'POST', { endpoint }, token);
 
 // --- ADMIN ---
 export const getAdminStats = (token) => apiRequest('/admin/stats', 'GET', null, token);
@@ -104,8 +153,18 @@ export const getAdminServers = (token) => apiRequest('/admin/servers', 'GET', nu
 export const addAdminServer = (serverData, token) => apiRequest('/admin/servers', 'POST', serverData, token);
 export const deleteAdminServer = (serverId, token) => apiRequest(`/admin/servers/${serverId}`, 'DELETE', null, token);
 export const getPendingDisputes = (token) => apiRequest('/admin/disputes', 'GET', null, token);
+export const getDisputeEvidence = (disputeId, token) => apiRequest(`/admin/disputes/${disputeId}/evidence`, 'GET', null, token);
 export const resolveDispute = (disputeId, resolutionType, token) => apiRequest(`/admin/disputes/${disputeId}/resolve`, 'POST', { resolutionType }, token);
 export const getAdminPayoutRequests = (token) => apiRequest('/admin/payout-requests', 'GET', null, token);
 export const getAdminUserDetailsForPayout = (userId, payoutId, token) => apiRequest(`/admin/users/${userId}/details-for-payout/${payoutId}`, 'GET', null, token);
 export const approvePayoutRequest = (requestId, token) => apiRequest(`/admin/payout-requests/${requestId}/approve`, 'POST', null, token);
-export const declinePayoutRequest = (requestId, reason, token) => apiRequest(`/admin/payout-requests/${requestId}/decline`, 'POST', { reason }, token);
\ No newline at end of file
+export const declinePayoutRequest = (requestId, reason, token) => apiRequest(`/admin/payout-requests/${requestId}/decline`, 'POST', { reason }, token);
+export const getReconciliationReport = (token) => apiRequest('/admin/reconciliation', 'GET', null, token);
+export const runReconciliation = (token) => apiRequest('/admin/reconciliation/run', 'POST', null, token);
+export const getReconciliationBreakdown = (userId, token) => apiRequest(`/admin/reconciliation/users/${userId}`, 'GET', null, token);
+export const getDuelEvents = (duelId, token) => apiRequest(`/admin/duels/${duelId}/events`, 'GET', null, token);
+export const createTournament = (tournamentData, token) => apiRequest('/admin/tournaments', 'POST', tournamentData, token);
+export const seedTournament = (tournamentId, seeds, token) => apiRequest(`/admin/tournaments/${tournamentId}/seed`, 'POST', seeds ? { seeds } : {}, token);
+export const startTournament = (tournamentId, token) => apiRequest(`/admin/tournaments/${tournamentId}/start`, 'POST', null, token);
+export const disqualifyTournamentPlayer = (tournamentId, userId, token) => apiRequest(`/admin/tournaments/${tournamentId}/disqualify`, 'POST', { user_id: userId }, token);
+export const cancelTournament = (tournamentId, token) => apiRequest(`/admin/tournaments/${tournamentId}/cancel`, 'POST', null, token);
@@ -0,0 +1,59 @@
+// src/services/pushNotifications.js
+// This file registers the service worker and subscribes this browser to push notifications.
+
+import * as api from './api';
+
+export const isPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// The VAPID key comes as URL-safe base64, but the Push API wants raw bytes.
+const urlBase64ToUint8Array = (base64String) => {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+};
+
+// Registered once on startup so a browser that is already subscribed keeps receiving notifications.
+export const registerServiceWorker = () => {
+    if (!isPushSupported()) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => console.error("Service worker registration failed:", error));
+};
+
+/**
+ * Works out whether this browser gets push notifications.
+ * @returns {Promise<'unsupported'|'blocked'|'subscribed'|'unsubscribed'>}
+ */
+export const getPushStatus = async () => {
+    if (!isPushSupported()) return 'unsupported';
+    if (Notification.permission === 'denied') return 'blocked';
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = registration && await registration.pushManager.getSubscription();
+    return subscription ? 'subscribed' : 'unsubscribed';
+};
+
+/**
+ * Asks for permission if needed, then subscribes this browser and saves the subscription for the signed-in player.
+ * Throws with a user-facing message if the player says no.
+ */
+export const subscribeToPush = async (token) => {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notifications are blocked for this site. Allow them in your browser settings to turn them on.');
+    }
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    await navigator.serviceWorker.ready;
+    const { publicKey } = await api.getVapidPublicKey();
+    const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+    });
+    await api.savePushSubscription(subscription.toJSON(), token);
+};
+
+// Unsubscribes this browser and forgets its subscription on the server. Other devices keep theirs.
+export const unsubscribeFromPush = async (token) => {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = registration && await registration.pushManager.getSubscription();
+    if (!subscription) return;
+    await api.removePushSubscription(subscription.endpoint, token);
+    await subscription.unsubscribe();
+};